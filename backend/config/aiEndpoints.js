@@ -0,0 +1,95 @@
+import { BlockList, isIP } from 'node:net';
+import { lookup } from 'node:dns/promises';
+
+/**
+ * Which AI endpoints users may point their provider at (see services/ai/LLMProviders.js)
+ * Custom base URLs are requested by the server, so by default they may only reach public hosts.
+ * Read from the environment:
+ * - AI_ALLOWED_BASE_URLS: comma-separated origins that are allowed even though they are
+ *   private, loopback or link-local, e.g. http://localhost:11434 for an Ollama on this server
+ */
+
+// Loopback, private, shared, link-local (cloud metadata lives at 169.254.169.254) and unspecified ranges
+const internalAddresses = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+].forEach(([network, prefix]) => internalAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]
+].forEach(([network, prefix]) => internalAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const INTERNAL_HOSTNAMES = ['localhost', 'metadata', 'metadata.google.internal'];
+
+/**
+ * Get the origins operators allowed for custom AI base URLs
+ * @returns {Set<string>} Origins such as 'http://localhost:11434'
+ */
+export function getAllowedBaseUrlOrigins() {
+  const origins = (process.env.AI_ALLOWED_BASE_URLS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      try {
+        return new URL(entry).origin;
+      } catch {
+        console.warn(`⚠️ Ignoring AI_ALLOWED_BASE_URLS entry '${entry}': not an absolute URL`);
+        return null;
+      }
+    });
+  return new Set(origins.filter(Boolean));
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or unspecified
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address is internal
+ */
+export function isInternalAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  const ip = mapped ? mapped[1] : address;
+  const family = isIP(ip);
+  if (!family) return false;
+  return internalAddresses.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check whether a URL host names this server, the local network or a metadata service
+ * Only literal addresses and well-known names are recognized; see resolvesToInternalAddress
+ * @param {URL} url - Parsed URL
+ * @returns {boolean} True if the host is internal
+ */
+export function isInternalHost(url) {
+  const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  return INTERNAL_HOSTNAMES.includes(hostname) ||
+         hostname.endsWith('.localhost') ||
+         isInternalAddress(hostname);
+}
+
+/**
+ * Check whether an operator allowed a URL's origin
+ * @param {URL} url - Parsed URL
+ * @returns {boolean} True if the origin is listed in AI_ALLOWED_BASE_URLS
+ */
+export function isAllowedOrigin(url) {
+  return getAllowedBaseUrlOrigins().has(url.origin);
+}
+
+/**
+ * Check whether a URL's host name resolves to an internal address
+ * Catches public names pointing at internal addresses; lookup failures are left to the request itself
+ * @param {URL} url - Parsed URL
+ * @returns {Promise<boolean>} True if any resolved address is internal
+ */
+export async function resolvesToInternalAddress(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (isIP(hostname)) return isInternalAddress(hostname);
+  try {
+    const addresses = await lookup(hostname, { all: true });
+    return addresses.some(({ address }) => isInternalAddress(address));
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * AI pricing and budget configuration
+ * Prices are USD per million tokens and only used to estimate what AI calls cost;
+ * the provider's invoice is authoritative. Read from the environment:
+ * - AI_MODEL_PRICES: JSON overriding or adding prices, e.g. {"gpt-4o-mini":{"input":0.15,"output":0.6}}
+ * - AI_MONTHLY_BUDGET_USD: monthly spend cap for every user (users can set a lower one in Settings)
+ */
+
+// Matched by longest prefix, so dated and "-latest" model names pick up their family's price
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 }
+};
+
+// Self-hosted OpenAI-compatible servers don't bill per token
+const FREE_PROVIDERS = ['openai-compatible'];
+
+/**
+ * Read price overrides from AI_MODEL_PRICES
+ * @returns {Object} Model → { input, output }
+ */
+function getPriceOverrides() {
+  if (!process.env.AI_MODEL_PRICES) return {};
+  try {
+    return JSON.parse(process.env.AI_MODEL_PRICES);
+  } catch (error) {
+    console.error('❌ AI_MODEL_PRICES is not valid JSON - using built-in prices:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Get the price of a model
+ * @param {string} provider - AI provider id
+ * @param {string} model - Model name
+ * @returns {Object|null} { input, output } in USD per million tokens, or null when unknown
+ */
+export function getModelPrice(provider, model = '') {
+  const prices = { ...MODEL_PRICES, ...getPriceOverrides() };
+  if (prices[model]) return prices[model];
+  if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+
+  const family = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return family ? prices[family] : null;
+}
+
+/**
+ * Get the server-wide monthly budget per user
+ * @returns {number|null} USD, or null when unlimited
+ */
+export function getDefaultMonthlyBudget() {
+  const budget = parseFloat(process.env.AI_MONTHLY_BUDGET_USD);
+  return budget > 0 ? budget : null;
+}
@@ -0,0 +1,56 @@
+/**
+ * Diff size limits for AI prompts (see utils/DiffPreparation.js)
+ * Read from the environment:
+ * - AI_DIFF_CHUNK_CHARS: characters of diff sent in one prompt, overriding the per-model default
+ * - AI_DIFF_MAX_CHUNKS: prompts one commit's diff may be split across (default 4); files beyond that are left out
+ */
+
+// Characters of diff per prompt, by model context size
+const MODEL_CHUNK_CHARS = {
+  // GPT-4o models - highest context limit
+  'gpt-4o': 20000,
+  'gpt-4o-mini': 15000,
+
+  // GPT-4 Turbo models - high context limit
+  'gpt-4-turbo': 18000,
+  'gpt-4-turbo-preview': 18000,
+
+  // Standard GPT-4 - medium context limit
+  'gpt-4': 12000,
+  'gpt-4-32k': 25000,
+
+  // GPT-3.5 models - lower context limit
+  'gpt-3.5-turbo': 8000,
+  'gpt-3.5-turbo-16k': 12000
+};
+
+// Models we know nothing about (local models often have small context windows)
+const DEFAULT_CHUNK_CHARS = 5000;
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Value
+ */
+function readPositiveInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * Get how many characters of diff one prompt may hold
+ * @param {string} model - AI model the diff is sent to
+ * @returns {number} Characters per chunk
+ */
+export function getDiffChunkSize(model = 'gpt-4o-mini') {
+  return readPositiveInt('AI_DIFF_CHUNK_CHARS', MODEL_CHUNK_CHARS[model] || DEFAULT_CHUNK_CHARS);
+}
+
+/**
+ * Get how many prompts one commit's diff may be split across
+ * @returns {number} Chunks per commit
+ */
+export function getMaxDiffChunks() {
+  return readPositiveInt('AI_DIFF_MAX_CHUNKS', 4);
+}
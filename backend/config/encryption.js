@@ -0,0 +1,59 @@
+/**
+ * Encryption key configuration for secrets stored in MongoDB
+ * Read from the environment:
+ * - ENCRYPTION_KEYS: comma-separated "<version>:<key>" entries, each key 32 bytes as
+ *   base64 or hex. The first entry encrypts new values; the others only decrypt, so
+ *   keys can be rotated by putting a new one first and running `npm run encrypt-secrets`
+ * - ENCRYPTION_KEY: the passphrase older versions used for Settings values, only read to
+ *   migrate them
+ */
+
+const KEY_BYTES = 32; // AES-256
+
+/**
+ * Decode one key
+ * @param {string} encoded - 64 hex characters or base64 of 32 bytes
+ * @returns {Buffer|null} Key, or null when it isn't 32 bytes
+ */
+function decodeKey(encoded) {
+  const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+  return key.length === KEY_BYTES ? key : null;
+}
+
+/**
+ * Get the configured encryption keys
+ * @returns {Object|null} { currentVersion, keys: Map<version, Buffer> }, or null when ENCRYPTION_KEYS is unset
+ * @throws {Error} When an entry is malformed or a version is repeated
+ */
+export function getEncryptionKeys() {
+  const entries = (process.env.ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0) return null;
+
+  const keys = new Map();
+  entries.forEach((entry, index) => {
+    const separator = entry.indexOf(':');
+    const version = entry.substring(0, separator);
+    const key = separator > 0 ? decodeKey(entry.substring(separator + 1)) : null;
+
+    if (!/^\d+$/.test(version) || !key) {
+      throw new Error(`ENCRYPTION_KEYS entry ${index + 1} is invalid - use "<version>:<32-byte key as base64 or hex>"`);
+    }
+    if (keys.has(version)) {
+      throw new Error(`ENCRYPTION_KEYS has more than one key with version ${version}`);
+    }
+    keys.set(version, key);
+  });
+
+  return { currentVersion: keys.keys().next().value, keys };
+}
+
+/**
+ * Get the passphrase older versions encrypted Settings values with
+ * @returns {string} ENCRYPTION_KEY, or the fallback those versions used when it was unset
+ */
+export function getLegacyEncryptionPassphrase() {
+  return process.env.ENCRYPTION_KEY || 'fallback-key-change-in-production';
+}
@@ -0,0 +1,110 @@
+import fs from 'fs';
+
+/**
+ * GitHub authentication configuration
+ * Read from the environment:
+ * - GITHUB_AUTH_MODE picks how users sign in with GitHub: 'oauth' (OAuth app with the
+ *   user:email and repo scopes) or 'app' (GitHub App - users sign in with the app and
+ *   repository data is read with short-lived, read-only installation tokens)
+ * - GITHUB_TOKEN_LOGIN enables signing in with a personal access token, for
+ *   self-hosted and single-user deployments without an OAuth app
+ * - GITHUB_TOKEN_LOGIN_USERS lists the GitHub logins allowed to do so; token login stays
+ *   off while it is empty, since any GitHub account could otherwise sign in
+ */
+
+let warnedNoTokenLoginUsers = false;
+
+export const GITHUB_AUTH_MODES = {
+  OAUTH: 'oauth',
+  APP: 'app'
+};
+
+// Scopes requested by the OAuth app; GitHub Apps use their configured permissions instead
+export const OAUTH_SCOPES = ['user:email', 'repo'];
+
+// Permissions requested for installation tokens - repository data is only ever read
+export const INSTALLATION_PERMISSIONS = {
+  contents: 'read',
+  metadata: 'read',
+  pull_requests: 'read',
+  issues: 'read'
+};
+
+/**
+ * Get the configured GitHub sign-in mode
+ * @returns {string} One of GITHUB_AUTH_MODES (default: oauth)
+ */
+export function getGitHubAuthMode() {
+  return process.env.GITHUB_AUTH_MODE === GITHUB_AUTH_MODES.APP ? GITHUB_AUTH_MODES.APP : GITHUB_AUTH_MODES.OAUTH;
+}
+
+/**
+ * Check whether the server runs in GitHub App mode
+ * @returns {boolean} True in GitHub App mode
+ */
+export function isGitHubAppMode() {
+  return getGitHubAuthMode() === GITHUB_AUTH_MODES.APP;
+}
+
+/**
+ * Get the credentials used for the GitHub sign-in flow
+ * In GitHub App mode these are the app's client id and secret
+ * @returns {Object|null} { clientID, clientSecret, callbackURL, scope }, or null when not configured
+ */
+export function getGitHubLoginConfig() {
+  const appMode = isGitHubAppMode();
+  const config = {
+    clientID: appMode ? process.env.GITHUB_APP_CLIENT_ID : process.env.GITHUB_CLIENT_ID,
+    clientSecret: appMode ? process.env.GITHUB_APP_CLIENT_SECRET : process.env.GITHUB_CLIENT_SECRET,
+    callbackURL: process.env.GITHUB_CALLBACK_URL || 'http://localhost:3000/auth/github/callback',
+    scope: appMode ? [] : OAUTH_SCOPES
+  };
+  return config.clientID && config.clientSecret ? config : null;
+}
+
+/**
+ * Get the GitHub App's id and private key for minting installation tokens
+ * The key is read from GITHUB_APP_PRIVATE_KEY (PEM, "\n" escapes allowed) or GITHUB_APP_PRIVATE_KEY_PATH
+ * @returns {Object|null} { appId, privateKey }, or null when not configured
+ */
+export function getGitHubAppConfig() {
+  const appId = process.env.GITHUB_APP_ID;
+  let privateKey = process.env.GITHUB_APP_PRIVATE_KEY?.replace(/\\n/g, '\n');
+
+  if (!privateKey && process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+    try {
+      privateKey = fs.readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+    } catch (error) {
+      console.error('❌ Could not read GITHUB_APP_PRIVATE_KEY_PATH:', error.message);
+    }
+  }
+
+  return appId && privateKey ? { appId, privateKey } : null;
+}
+
+/**
+ * Check whether signing in with a personal access token is enabled
+ * @returns {boolean} True when GITHUB_TOKEN_LOGIN is "true" and GITHUB_TOKEN_LOGIN_USERS lists someone
+ */
+export function isTokenLoginEnabled() {
+  if (process.env.GITHUB_TOKEN_LOGIN !== 'true') return false;
+  if (getTokenLoginUsers().length === 0) {
+    if (!warnedNoTokenLoginUsers) {
+      console.warn('⚠️  GITHUB_TOKEN_LOGIN is set but GITHUB_TOKEN_LOGIN_USERS is empty - token login stays disabled');
+      warnedNoTokenLoginUsers = true;
+    }
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get the GitHub logins allowed to sign in with a personal access token
+ * @returns {Array<string>} Lower-cased logins; empty allows no one
+ */
+export function getTokenLoginUsers() {
+  return (process.env.GITHUB_TOKEN_LOGIN_USERS || '')
+    .split(',')
+    .map(login => login.trim().toLowerCase())
+    .filter(Boolean);
+}
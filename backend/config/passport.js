@@ -1,14 +1,25 @@
 import passport from 'passport';
 import { Strategy as GitHubStrategy } from 'passport-github2';
+import OAuth2Strategy from 'passport-oauth2';
 import User from '../models/User.js';
+import ProviderConnection from '../models/ProviderConnection.js';
+import { getProviderOAuthConfig } from './providers.js';
+import {
+  GITHUB_AUTH_MODES,
+  getGitHubAuthMode,
+  isGitHubAppMode,
+  getGitHubLoginConfig,
+  getGitHubAppConfig
+} from './github.js';
 
 /**
  * Passport configuration for GitHub OAuth
- * Uses a single shared GitHub OAuth app for all users
+ * Uses a single shared GitHub OAuth app (or GitHub App, see config/github.js) for all users
  * Each user gets their own access token when they authorize the app
  */
 
 let isOAuthConfigured = false;
+const configuredProviders = new Set();
 
 // Serialize user for session storage
 passport.serializeUser((user, done) => {
@@ -18,7 +29,7 @@ passport.serializeUser((user, done) => {
 // Deserialize user from session
 passport.deserializeUser(async (id, done) => {
   try {
-    const user = await User.findById(id).select('+accessToken'); // Include accessToken for GitHub API calls
+    const user = await User.findById(id).select('+accessToken +githubRefreshToken'); // Include tokens for GitHub API calls
     done(null, user);
   } catch (error) {
     done(error, null);
@@ -26,58 +37,53 @@ passport.deserializeUser(async (id, done) => {
 });
 
 /**
- * Initialize GitHub OAuth strategy with shared app credentials
- * Single OAuth app serves all users - each user gets their own access token
+ * Initialize the GitHub sign-in strategy with shared app credentials
+ * In OAuth mode this is the OAuth app (user:email and repo scopes); in GitHub App mode it is
+ * the GitHub App's user authorization, whose tokens are limited to the app's permissions
  */
 async function initializeOAuth() {
   try {
-    const clientID = process.env.GITHUB_CLIENT_ID;
-    const clientSecret = process.env.GITHUB_CLIENT_SECRET;
-    const callbackURL = process.env.GITHUB_CALLBACK_URL || 'http://localhost:3000/auth/github/callback';
+    // Connected accounts don't depend on GitHub sign-in (e.g. token login deployments)
+    initializeProviderOAuth();
 
-    if (!clientID || !clientSecret) {
+    const mode = getGitHubAuthMode();
+    const config = getGitHubLoginConfig();
+
+    if (!config) {
+      const variables = isGitHubAppMode() ? 'GITHUB_APP_CLIENT_ID and GITHUB_APP_CLIENT_SECRET' : 'GITHUB_CLIENT_ID and GITHUB_CLIENT_SECRET';
       console.warn('⚠️  GitHub OAuth credentials not found in .env - OAuth will be disabled');
-      console.warn('   Set GITHUB_CLIENT_ID and GITHUB_CLIENT_SECRET in .env to enable authentication');
+      console.warn(`   Set ${variables} in .env to enable authentication`);
       return false;
     }
 
-    // GitHub OAuth Strategy - Single shared app for all users
+    if (isGitHubAppMode() && !getGitHubAppConfig()) {
+      console.warn('⚠️  GITHUB_APP_ID or GITHUB_APP_PRIVATE_KEY missing - repositories will be read with user tokens');
+    }
+
+    // GitHub Strategy - Single shared app for all users
     passport.use(new GitHubStrategy({
-      clientID,
-      clientSecret,
-      callbackURL,
-      scope: ['user:email', 'repo'] // Required scopes for DevSum functionality
-    }, async (accessToken, refreshToken, profile, done) => {
+      clientID: config.clientID,
+      clientSecret: config.clientSecret,
+      callbackURL: config.callbackURL,
+      scope: config.scope // Required scopes for DevSum functionality (none for GitHub Apps)
+    }, async (accessToken, refreshToken, params, profile, done) => {
       try {
         console.log(`🔐 GitHub OAuth callback for user: ${profile.username}`);
-        
-        // Check if user already exists by GitHub ID
-        let user = await User.findByGithubId(profile.id);
-        
-        if (user) {
-          // Update existing user with fresh access token and profile data
-          user.accessToken = accessToken; // User-specific token from OAuth authorization
-          user.username = profile.username;
-          user.email = profile.emails?.[0]?.value || user.email; // Keep existing email if GitHub email is private
-          user.avatarUrl = profile.photos?.[0]?.value || user.avatarUrl;
-          await user.save();
-          
-          console.log(`🔄 Updated existing user: ${user.username} with fresh access token`);
-        } else {
-          // Create new user account
-          user = new User({
-            githubId: profile.id,
-            username: profile.username,
-            email: profile.emails?.[0]?.value || null,
-            avatarUrl: profile.photos?.[0]?.value || null,
-            accessToken: accessToken, // User-specific token from OAuth authorization
-            repositories: [] // Will be populated when user accesses repos
-          });
-          await user.save();
-          
-          console.log(`✅ Created new user: ${user.username} with access token`);
-        }
-        
+
+        // GitHub App user tokens expire after 8 hours and come with a refresh token
+        const user = await User.upsertFromGitHub({
+          githubId: profile.id,
+          username: profile.username,
+          email: profile.emails?.[0]?.value,
+          avatarUrl: profile.photos?.[0]?.value
+        }, {
+          accessToken, // User-specific token from OAuth authorization
+          refreshToken,
+          tokenExpiresAt: params?.expires_in ? new Date(Date.now() + params.expires_in * 1000) : null,
+          authMethod: mode
+        });
+
+        console.log(`✅ Signed in ${user.username} (${mode})`);
         return done(null, user);
       } catch (error) {
         console.error('❌ GitHub OAuth error:', error);
@@ -86,9 +92,10 @@ async function initializeOAuth() {
     }));
 
     isOAuthConfigured = true;
-    console.log('✅ GitHub OAuth strategy configured with shared app credentials');
-    console.log(`   Client ID: ${clientID.substring(0, 8)}...`);
-    console.log(`   Callback URL: ${callbackURL}`);
+    console.log(`✅ GitHub ${mode === GITHUB_AUTH_MODES.APP ? 'App' : 'OAuth'} strategy configured with shared app credentials`);
+    console.log(`   Client ID: ${config.clientID.substring(0, 8)}...`);
+    console.log(`   Callback URL: ${config.callbackURL}`);
+
     return true;
   } catch (error) {
     console.error('❌ Failed to initialize GitHub OAuth:', error);
@@ -96,6 +103,107 @@ async function initializeOAuth() {
   }
 }
 
+/**
+ * Fetch JSON from a provider API with an OAuth access token
+ * @param {string} url - API URL
+ * @param {string} accessToken - OAuth access token
+ * @returns {Promise<Object>} Response body
+ */
+async function fetchProviderJson(url, accessToken) {
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText} for ${url}`);
+  }
+  return response.json();
+}
+
+// Profile loaders: { id, username, emails } for each connectable provider
+const PROFILE_LOADERS = {
+  gitlab: async (accessToken, config) => {
+    const user = await fetchProviderJson(`${config.baseUrl}/api/v4/user`, accessToken);
+    return {
+      id: String(user.id),
+      username: user.username,
+      emails: [user.email, user.commit_email, user.public_email]
+    };
+  },
+  bitbucket: async (accessToken) => {
+    const user = await fetchProviderJson('https://api.bitbucket.org/2.0/user', accessToken);
+    const emails = await fetchProviderJson('https://api.bitbucket.org/2.0/user/emails', accessToken);
+    return {
+      id: user.uuid,
+      username: user.nickname || user.username,
+      emails: (emails.values || []).filter(entry => entry.is_confirmed).map(entry => entry.email)
+    };
+  }
+};
+
+/**
+ * Initialize GitLab and Bitbucket OAuth strategies
+ * These connect an extra account to the logged-in user (passport.authorize),
+ * they never log anyone in
+ */
+function initializeProviderOAuth() {
+  Object.keys(PROFILE_LOADERS).forEach(provider => {
+    const config = getProviderOAuthConfig(provider);
+    if (!config) {
+      console.log(`ℹ️  ${provider} OAuth not configured - connecting ${provider} accounts is disabled`);
+      return;
+    }
+
+    const strategy = new OAuth2Strategy({
+      authorizationURL: config.authorizationURL,
+      tokenURL: config.tokenURL,
+      clientID: config.clientID,
+      clientSecret: config.clientSecret,
+      callbackURL: config.callbackURL,
+      scope: config.scope,
+      scopeSeparator: ' ',
+      // Keep a nonce in the session and check it on the callback so a forged callback
+      // cannot attach someone else's account to the logged-in user
+      state: true,
+      passReqToCallback: true
+    }, async (req, accessToken, refreshToken, params, profile, done) => {
+      try {
+        const connection = await ProviderConnection.findOneAndUpdate(
+          { userId: req.user._id, provider },
+          {
+            provider,
+            baseUrl: config.baseUrl,
+            providerUserId: profile.id,
+            username: profile.username,
+            emails: [...new Set(profile.emails.filter(Boolean).map(email => email.toLowerCase()))],
+            accessToken,
+            refreshToken,
+            tokenExpiresAt: params.expires_in ? new Date(Date.now() + params.expires_in * 1000) : null
+          },
+          { upsert: true, new: true }
+        );
+
+        console.log(`🔗 Connected ${provider} account ${profile.username} for user ${req.user.username}`);
+        return done(null, connection);
+      } catch (error) {
+        console.error(`❌ ${provider} OAuth error:`, error);
+        return done(error, null);
+      }
+    });
+
+    strategy.name = provider;
+    strategy.userProfile = (accessToken, done) => {
+      PROFILE_LOADERS[provider](accessToken, config)
+        .then(profile => done(null, profile))
+        .catch(error => done(error));
+    };
+
+    passport.use(strategy);
+    configuredProviders.add(provider);
+    console.log(`✅ ${provider} OAuth strategy configured (callback: ${config.callbackURL})`);
+  });
+}
+
 /**
  * Check if OAuth is configured and available
  */
@@ -103,6 +211,14 @@ function isOAuthReady() {
   return isOAuthConfigured;
 }
 
+/**
+ * Check if connecting a GitLab or Bitbucket account is available
+ * @param {string} provider - 'gitlab' or 'bitbucket'
+ */
+function isProviderOAuthReady(provider) {
+  return configuredProviders.has(provider);
+}
+
 // Export passport instance and initialization function
 export default passport;
-export { initializeOAuth, isOAuthReady }; 
\ No newline at end of file
+export { initializeOAuth, isOAuthReady, isProviderOAuthReady }; 
\ No newline at end of file
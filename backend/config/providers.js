@@ -0,0 +1,57 @@
+/**
+ * Configuration for the source control providers next to GitHub
+ * Read from the environment: OAuth apps for GitLab and Bitbucket (a provider whose
+ * client id or secret is missing is disabled) and local git repository paths
+ */
+
+const DEFAULT_GITLAB_URL = 'https://gitlab.com';
+
+/**
+ * Get the OAuth app configuration for a provider
+ * @param {string} provider - 'gitlab' or 'bitbucket'
+ * @returns {Object|null} { clientID, clientSecret, callbackURL, authorizationURL, tokenURL, scope, baseUrl }, or null when not configured
+ */
+export function getProviderOAuthConfig(provider) {
+  if (provider === 'gitlab') {
+    // Self-hosted instances set GITLAB_URL, e.g. https://gitlab.example.com
+    const baseUrl = (process.env.GITLAB_URL || DEFAULT_GITLAB_URL).replace(/\/$/, '');
+    const config = {
+      clientID: process.env.GITLAB_CLIENT_ID,
+      clientSecret: process.env.GITLAB_CLIENT_SECRET,
+      callbackURL: process.env.GITLAB_CALLBACK_URL || 'http://localhost:3000/auth/gitlab/callback',
+      authorizationURL: `${baseUrl}/oauth/authorize`,
+      tokenURL: `${baseUrl}/oauth/token`,
+      scope: ['read_api', 'read_user', 'read_repository'],
+      baseUrl
+    };
+    return config.clientID && config.clientSecret ? config : null;
+  }
+
+  if (provider === 'bitbucket') {
+    const config = {
+      clientID: process.env.BITBUCKET_CLIENT_ID,
+      clientSecret: process.env.BITBUCKET_CLIENT_SECRET,
+      callbackURL: process.env.BITBUCKET_CALLBACK_URL || 'http://localhost:3000/auth/bitbucket/callback',
+      authorizationURL: 'https://bitbucket.org/site/oauth2/authorize',
+      tokenURL: 'https://bitbucket.org/site/oauth2/access_token',
+      scope: ['repository', 'account', 'email'],
+      baseUrl: null
+    };
+    return config.clientID && config.clientSecret ? config : null;
+  }
+
+  return null;
+}
+
+/**
+ * Get the local git repositories to read
+ * LOCAL_GIT_REPOSITORIES lists absolute paths separated by commas or newlines; they are
+ * visible to every user of this server, so only list repositories all of them may read
+ * @returns {Array<string>} Repository paths (empty when not configured)
+ */
+export function getLocalRepositoryPaths() {
+  return (process.env.LOCAL_GIT_REPOSITORIES || '')
+    .split(/[,\n]/)
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,55 @@
+/**
+ * Concurrency and retry configuration for outbound API calls (see utils/WorkQueue.js)
+ * Read from the environment:
+ * - AI_CONCURRENCY: AI requests in flight at once per user (default 3)
+ * - SOURCE_CONTROL_CONCURRENCY: GitHub / GitLab / Bitbucket requests in flight at once per token (default 4)
+ * - API_MAX_RETRIES: retries after a rate limit or temporary failure (default 3)
+ * - API_MAX_RETRY_DELAY_MS: longest Retry-After that is waited out; longer ones fail right away (default 60000)
+ * - AI_COMMIT_BATCH_SIZE: small commits analyzed together in one AI prompt (default 5, 1 disables batching)
+ */
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Value
+ */
+function readPositiveInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * Get how many AI requests a user may have in flight
+ * @returns {number} Concurrency
+ */
+export function getAIConcurrency() {
+  return readPositiveInt('AI_CONCURRENCY', 3);
+}
+
+/**
+ * Get how many source control requests a token may have in flight
+ * @returns {number} Concurrency
+ */
+export function getSourceControlConcurrency() {
+  return readPositiveInt('SOURCE_CONTROL_CONCURRENCY', 4);
+}
+
+/**
+ * Get the retry policy for rate limited and temporarily failing requests
+ * @returns {Object} { retries, maxDelayMs }
+ */
+export function getRetryConfig() {
+  return {
+    retries: process.env.API_MAX_RETRIES === '0' ? 0 : readPositiveInt('API_MAX_RETRIES', 3),
+    maxDelayMs: readPositiveInt('API_MAX_RETRY_DELAY_MS', 60000)
+  };
+}
+
+/**
+ * Get how many small commits are analyzed in one AI prompt
+ * @returns {number} Batch size
+ */
+export function getCommitBatchSize() {
+  return readPositiveInt('AI_COMMIT_BATCH_SIZE', 5);
+}
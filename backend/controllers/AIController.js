@@ -1,7 +1,24 @@
 import AIService from '../services/ai/AICoordinator.js';
-import GitHubService from '../services/external/GitHubAPIClient.js';
+import { getUserGitHubClient } from '../services/external/GitHubAuth.js';
+import {
+  PROVIDERS,
+  isValidProvider,
+  getSourceControlClient,
+  splitRepositoryName
+} from '../services/external/SourceControlProvider.js';
 import { YesterdaySummaryService } from '../services/tasks/YesterdaySummaryService.js';
 import User from '../models/User.js';
+import { getUserAICredentials } from '../services/ai/LLMProviders.js';
+import { resolveSummaryRange, resolveRetrospectiveRange } from '../utils/DateUtils.js';
+import { generateRetrospective as buildRetrospective } from '../services/tasks/RetrospectiveGenerator.js';
+import { startJob, updateProgress, completeJob, failJob } from '../services/tasks/ProgressTracker.js';
+import { resolveAuthorFilter, filterCommitsByAuthor } from '../utils/AuthorFilter.js';
+import { resolveCommitExclusion, partitionCommits } from '../utils/CommitExclusion.js';
+import { collectTaskIssues } from '../services/tasks/IssueCollector.js';
+import { getSuggestedTask, linkTaskIssue } from '../services/tasks/TaskSuggester.js';
+import { updateTaskStatus as setTaskStatus, getTrackedTasks, isValidTaskStatus } from '../services/tasks/TaskTracker.js';
+import { getUsageReport } from '../services/ai/UsageTracker.js';
+import { COMMIT_CATEGORIES } from '../utils/CommitTaxonomy.js';
 
 /**
  * AI Controller - Plain Functions
@@ -9,9 +26,9 @@ import User from '../models/User.js';
  */
 
 /**
- * Get user's OpenAI settings
+ * Get user's AI provider settings
  * @param {Object} req - Express request object
- * @returns {Promise<Object>} User's OpenAI API key and model
+ * @returns {Promise<Object>} User's provider credentials (passed as apiKey) and model
  */
 async function getUserOpenAISettings(req) {
   const user = await User.findById(req.user._id).select('+openaiApiKey');
@@ -19,16 +36,113 @@ async function getUserOpenAISettings(req) {
     throw new Error('User not found');
   }
   
-  if (!user.openaiApiKey) {
-    throw new Error('No OpenAI API key configured for your account. Please add your API key in Settings.');
+  const aiSettings = getUserAICredentials(user);
+  if (!aiSettings) {
+    throw new Error('No AI provider configured for your account. Please add your API key or server URL in Settings.');
   }
   
   return {
-    apiKey: user.openaiApiKey,
-    model: user.openaiModel || 'gpt-4o-mini'
+    apiKey: aiSettings.credentials,
+    model: aiSettings.model
   };
 }
 
+// Client-generated progress job ids (UUIDs or similar)
+const JOB_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Run a progress tracking call without letting tracking failures break the request
+ * @param {Function} operation - Async ProgressTracker call
+ * @returns {Promise<any>} Operation result, or null if tracking failed
+ */
+async function trackProgress(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    console.warn(`⚠️ Progress tracking failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Start a progress job for a client-supplied job id
+ * @param {string} jobId - Job id sent by the client
+ * @param {string} message - Initial status message
+ * @param {string} userId - Owner of the job
+ * @returns {Promise<string|null>} Job id if tracking started, otherwise null
+ */
+async function startProgressJob(jobId, message, userId) {
+  if (typeof jobId !== 'string' || !JOB_ID_PATTERN.test(jobId)) {
+    return null;
+  }
+  const started = await trackProgress(() => startJob(jobId, message, userId));
+  return started ? jobId : null;
+}
+
+/**
+ * Resolve the summary window using the user's time zone and weekend preferences
+ * @param {Object} req - Express request object
+ * @param {string} from - Optional first day (YYYY-MM-DD)
+ * @param {string} to - Optional last day (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object>} Resolved range from DateUtils.resolveSummaryRange
+ */
+async function resolveUserSummaryRange(req, from = null, to = null) {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return resolveSummaryRange({
+    from,
+    to,
+    timeZone: user.timezone || 'UTC',
+    skipWeekends: !!user.skipWeekends,
+    mondayCoversWeekend: !!user.mondayCoversWeekend
+  });
+}
+
+/**
+ * Resolve whose commits count as the user's work (see utils/AuthorFilter.js)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Author filter
+ */
+async function resolveUserAuthorFilter(req) {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return resolveAuthorFilter(user, await getUserGitHubClient(req.user));
+}
+
+/**
+ * Resolve which commits the user's analyses skip (merges, bots, excluded messages and paths)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Rules from CommitExclusion.resolveCommitExclusion
+ */
+async function resolveUserCommitExclusion(req) {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return resolveCommitExclusion(user);
+}
+
+/**
+ * Resolve which branches the user's summaries read and which commits they skip
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Summary options for YesterdaySummaryService.generateSummary
+ */
+async function resolveUserSummaryOptions(req) {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return { allBranches: !!user.summaryAllBranches, commitExclusion: resolveCommitExclusion(user) };
+}
+
 /**
  * Analyze and categorize commits with AI
  * POST /api/ai/analyze-commits
@@ -128,8 +242,13 @@ export async function generateYesterdaySummary(req, res, next) {
     // Get user's OpenAI settings
     const { apiKey, model } = await getUserOpenAISettings(req);
     
-    const summaryService = new YesterdaySummaryService(req.user.accessToken);
-    const result = await summaryService.generateSummary(forceRefresh, apiKey, model);
+    // Previous workday in the user's time zone
+    const range = await resolveUserSummaryRange(req);
+    const authorFilter = await resolveUserAuthorFilter(req);
+    const summaryOptions = await resolveUserSummaryOptions(req);
+    
+    const summaryService = new YesterdaySummaryService(await getUserGitHubClient(req.user), req.user._id);
+    const result = await summaryService.generateSummary(forceRefresh, apiKey, model, range, authorFilter, summaryOptions);
     
     // Set cache control headers to prevent browser caching
     res.set({
@@ -152,6 +271,109 @@ export async function generateYesterdaySummary(req, res, next) {
   }
 }
 
+/**
+ * Generate summary for an explicit date range across all repositories
+ * POST /api/ai/summary?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Days are interpreted in the user's time zone; omitting both uses the previous workday
+ */
+export async function generateRangeSummary(req, res, next) {
+  try {
+    const { from, to, force } = req.query;
+    const forceRefresh = force === 'true';
+
+    let range;
+    try {
+      range = await resolveUserSummaryRange(req, from || null, to || null);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.log(`🎯 Controller: generateRangeSummary called for ${range.key} with force=${forceRefresh}`);
+
+    const { apiKey, model } = await getUserOpenAISettings(req);
+    const authorFilter = await resolveUserAuthorFilter(req);
+    const summaryOptions = await resolveUserSummaryOptions(req);
+
+    const summaryService = new YesterdaySummaryService(await getUserGitHubClient(req.user), req.user._id);
+    const result = await summaryService.generateSummary(forceRefresh, apiKey, model, range, authorFilter, summaryOptions);
+
+    res.set({
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Pragma': 'no-cache',
+      'Expires': '0'
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('❌ Controller: Failed to generate range summary:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to generate summary'
+    });
+  }
+}
+
+/**
+ * Generate weekly or sprint retrospective from stored summaries, analyses and tasks
+ * POST /api/ai/retrospective?period=week|sprint&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * AI is only used for highlights; without an AI provider a data-only retrospective is returned
+ */
+export async function generateRetrospective(req, res, next) {
+  try {
+    const { period = 'week', from, to } = req.query;
+
+    const user = await User.findById(req.user._id).select('+openaiApiKey');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    let range;
+    try {
+      range = resolveRetrospectiveRange({
+        period,
+        from: from || null,
+        to: to || null,
+        timeZone: user.timezone || 'UTC'
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const aiSettings = getUserAICredentials(user);
+
+    const retrospective = await buildRetrospective({
+      userId: user._id,
+      range,
+      repositories: (user.repositories || []).map(repo => repo.fullName).filter(Boolean),
+      userApiKey: aiSettings?.credentials || null,
+      userModel: aiSettings?.model
+    });
+
+    res.json({
+      success: true,
+      data: retrospective,
+      meta: {
+        period: range.type,
+        from: range.from,
+        to: range.to,
+        aiEnhanced: retrospective.generatedWith === 'ai',
+      },
+    });
+  } catch (error) {
+    console.error('❌ Controller: Failed to generate retrospective:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to generate retrospective'
+    });
+  }
+}
+
 /**
  * Generate task suggestions for tomorrow based on yesterday's AI analysis
  * POST /api/ai/task-suggestions
@@ -184,12 +406,16 @@ export async function generateTaskSuggestions(req, res, next) {
     // Use 'ALL_REPOS' as identifier for cross-repository task suggestions
     const repositoryId = 'ALL_REPOS';
 
+    // Assigned issues and issues the commits reference, so tasks can link to them
+    const issues = await collectTaskIssues(await getUserGitHubClient(req.user), commits);
+
     const tasks = await AIService.generateTaskSuggestions(
       commits,
       repositoryId,
       apiKey,
       model,
-      forceRefresh
+      forceRefresh,
+      { issues, userId: req.user._id.toString() }
     );
 
     res.json({
@@ -208,6 +434,8 @@ export async function generateTaskSuggestions(req, res, next) {
       meta: {
         baseCommitCount: commits.length,
         taskCount: tasks.length,
+        issueCount: issues.length,
+        linkedIssueCount: tasks.filter(task => task.issue).length,
         aiEnhanced: commits.some(c => c.aiAnalysis),
         forceRefresh: forceRefresh
       },
@@ -221,6 +449,164 @@ export async function generateTaskSuggestions(req, res, next) {
   }
 }
 
+/**
+ * Change a suggested task's status (accept, start, complete or dismiss it)
+ * PATCH /api/ai/task-suggestions/:suggestionId/tasks/:taskId
+ */
+export async function updateTaskStatus(req, res, next) {
+  try {
+    const { suggestionId, taskId } = req.params;
+    const task = await setTaskStatus(req.user._id.toString(), suggestionId, taskId, req.body.status);
+
+    res.json({
+      success: true,
+      data: task,
+    });
+  } catch (error) {
+    console.error('Error updating task status:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to update task status',
+    });
+  }
+}
+
+/**
+ * List the user's tracked tasks (?status=accepted,in_progress&days=14)
+ * GET /api/ai/tasks
+ */
+export async function getTasks(req, res, next) {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',') : undefined;
+    if (statuses && !statuses.every(isValidTaskStatus)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid task status',
+      });
+    }
+
+    const days = req.query.days ? parseInt(req.query.days, 10) : undefined;
+    if (days !== undefined && (isNaN(days) || days < 1 || days > 90)) {
+      return res.status(400).json({
+        success: false,
+        error: 'days must be between 1 and 90',
+      });
+    }
+
+    const tasks = await getTrackedTasks(req.user._id.toString(), { statuses, days });
+
+    res.json({
+      success: true,
+      data: tasks,
+      meta: {
+        count: tasks.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch tasks',
+    });
+  }
+}
+
+/**
+ * AI token usage, estimated cost and budget for a month (?month=YYYY-MM, default current)
+ * GET /api/ai/usage
+ */
+export async function getAIUsage(req, res, next) {
+  try {
+    const month = req.query.month ? String(req.query.month) : undefined;
+    if (month !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        error: 'month must be in YYYY-MM format',
+      });
+    }
+
+    const report = await getUsageReport(req.user._id.toString(), month);
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error fetching AI usage:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch AI usage',
+    });
+  }
+}
+
+/**
+ * Commit categories shared by categorization, summaries and metrics, in display order
+ * GET /api/ai/commit-categories
+ */
+export async function getCommitCategories(req, res, next) {
+  res.json({
+    success: true,
+    data: COMMIT_CATEGORIES,
+  });
+}
+
+/**
+ * Create a GitHub issue from a suggested task and link the task to it
+ * POST /api/ai/task-suggestions/:suggestionId/tasks/:taskId/issue
+ */
+export async function createTaskIssue(req, res, next) {
+  try {
+    const { suggestionId, taskId } = req.params;
+
+    const task = await getSuggestedTask(req.user._id.toString(), suggestionId, taskId);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found',
+      });
+    }
+
+    // Creating twice from a stale page returns the issue created the first time
+    if (task.issue?.number) {
+      return res.json({
+        success: true,
+        data: task,
+        meta: { created: false },
+      });
+    }
+
+    const repository = req.body.repository || task.targetRepository;
+    if (!repository || !/^[\w.-]+\/[\w.-]+$/.test(repository)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A repository ("owner/repo") is required to create an issue',
+      });
+    }
+
+    const [owner, repo] = repository.split('/');
+    const githubService = await getUserGitHubClient(req.user);
+    const issue = await githubService.createIssue(owner, repo, {
+      title: task.title,
+      body: `${task.description}\n\n_Suggested by DevSum based on: ${task.basedOn}_`
+    });
+
+    const linkedTask = await linkTaskIssue(req.user._id.toString(), suggestionId, taskId, issue);
+
+    res.status(201).json({
+      success: true,
+      data: linkedTask,
+      meta: { created: true },
+    });
+  } catch (error) {
+    console.error('Error creating issue from task:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message?.err || error.message || 'Failed to create issue',
+    });
+  }
+}
+
 /**
  * Suggest improved commit message
  * POST /api/ai/suggest-commit-message
@@ -309,13 +695,17 @@ export async function getAnalysisHistory(req, res, next) {
  * POST /api/ai/analyze-quality
  */
 export async function analyzeCodeQuality(req, res, next) {
+  let progressJobId = null;
+
   try {
     const {
       commits,
       repositoryId,
       timeframe = 'weekly',
       repositoryFullName,
-      forceRefresh = false
+      forceRefresh = false,
+      jobId,
+      provider = PROVIDERS.GITHUB
     } = req.body;
 
     if (!commits || !repositoryId) {
@@ -325,39 +715,84 @@ export async function analyzeCodeQuality(req, res, next) {
       });
     }
 
+    if (!isValidProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: 'provider must be github, gitlab, bitbucket or local',
+      });
+    }
+
+    // Only analyze the work of the authors the user follows
+    const authorFilter = await resolveUserAuthorFilter(req);
+    const authorCommits = filterCommitsByAuthor(commits, authorFilter);
+    if (authorCommits.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `None of the ${commits.length} commits match your author filter (${authorFilter.mode})`,
+      });
+    }
+
+    // Merges, bot commits and the user's excluded commits are skipped by the analysis itself
+    const commitExclusion = await resolveUserCommitExclusion(req);
+    const { kept } = partitionCommits(authorCommits, commitExclusion);
+    if (kept.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `All ${authorCommits.length} commits are merges, bot commits or excluded by your commit filters`,
+      });
+    }
+
+    // Optional progress job so the client can stream step-by-step progress
+    progressJobId = await startProgressJob(jobId, 'Starting code quality analysis...', req.user._id);
+
     // Get user's OpenAI settings
     const { apiKey, model } = await getUserOpenAISettings(req);
 
+    // Analyses of other providers are cached apart from same-named GitHub repositories
+    const qualityRepositoryId = provider === PROVIDERS.GITHUB ? repositoryId : `${provider}:${repositoryId}`;
+
     // Clear cache if force refresh is requested
     if (forceRefresh) {
-      console.log(`🔄 Force refresh requested for ${repositoryId} quality analysis`);
+      console.log(`🔄 Force refresh requested for ${qualityRepositoryId} quality analysis`);
       const { default: CacheManager } = await import('../services/external/CacheManager.js');
       const cacheManager = new CacheManager();
-      await cacheManager.clearQualityAnalysisCache(...repositoryId.split('/'));
+      await cacheManager.clearQualityAnalysisCache(...splitRepositoryName(qualityRepositoryId));
     }
 
-    // Create GitHubService for authenticated API calls if repository analysis is needed
-    if (repositoryFullName && req.user?.accessToken) {
-      const githubService = GitHubService(req.user.accessToken); // GitHubService is now a factory function
-      AIService.setGitHubService(githubService);
-      console.log(`🔑 AIController: Set authenticated GitHubService for ${repositoryFullName}`);
+    // Diffs are read through the repository's own provider when repository analysis is needed
+    let sourceService = null;
+    if (repositoryFullName && (provider !== PROVIDERS.GITHUB || req.user?.accessToken)) {
+      sourceService = await getSourceControlClient(req.user, provider);
+      console.log(`🔑 AIController: Using authenticated ${provider} client for ${repositoryFullName}`);
     }
 
     const qualityAnalysis = await AIService.analyzeCodeQuality(
-      commits,
-      repositoryId,
+      authorCommits,
+      qualityRepositoryId,
       apiKey,
       model,
       timeframe,
       repositoryFullName,
-      forceRefresh // Pass forceRefresh to bypass cache when requested
+      forceRefresh, // Pass forceRefresh to bypass cache when requested
+      progressJobId
+        ? (progress, message, step) => trackProgress(() => updateProgress(progressJobId, progress, message, step))
+        : undefined,
+      commitExclusion,
+      sourceService
     );
 
+    if (progressJobId) {
+      await trackProgress(() => completeJob(progressJobId, { repositoryId, commitsAnalyzed: kept.length }));
+    }
+
     res.json({
       success: true,
       data: qualityAnalysis,
       meta: {
-        commitsAnalyzed: commits.length,
+        commitsAnalyzed: kept.length,
+        commitsReceived: commits.length,
+        commitsSkipped: qualityAnalysis.skippedCommits || null,
+        authorFilter: authorFilter.mode,
         repositoryId,
         timeframe,
         hasCodeAnalysis: !!repositoryFullName,
@@ -365,6 +800,13 @@ export async function analyzeCodeQuality(req, res, next) {
     });
   } catch (error) {
     console.error('Error analyzing code quality:', error);
+    if (progressJobId) {
+      await trackProgress(() => failJob(progressJobId, error.message?.err || error.message || 'Failed to analyze code quality'));
+    }
+    // Connection lookups throw AppErrors (e.g. no GitLab account connected) that are already structured
+    if (error.log) {
+      return next(error);
+    }
     res.status(500).json({
       success: false,
       error: error.message || 'Failed to analyze code quality',
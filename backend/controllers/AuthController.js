@@ -1,4 +1,9 @@
-import { createAuthError, createServerError } from '../utils/errors.js';
+import { AppError, createAuthError, createServerError, createValidationError } from '../utils/errors.js';
+import User from '../models/User.js';
+import { isOAuthReady } from '../config/passport.js';
+import { OAUTH_SCOPES, getGitHubAuthMode, isTokenLoginEnabled, getTokenLoginUsers } from '../config/github.js';
+import { createGitHubClient } from '../services/external/GitHubAPIClient.js';
+import { getUserAccessToken } from '../services/external/GitHubAuth.js';
 
 /**
  * Authentication Controller
@@ -31,6 +36,86 @@ class AuthController {
     }
   }
 
+  /**
+   * Return to settings after a GitLab or Bitbucket account was connected
+   */
+  static handleProviderConnected(req, res) {
+    console.log(`🔗 ${req.params.provider} account connected for ${req.user.username}`);
+    res.redirect(`${process.env.FRONTEND_URL}/settings?connected=${req.params.provider}`);
+  }
+
+  /**
+   * Sign in with a GitHub personal access token (GITHUB_TOKEN_LOGIN)
+   * For self-hosted and single-user deployments without an OAuth app;
+   * only the GitHub accounts in GITHUB_TOKEN_LOGIN_USERS may sign in
+   */
+  static async loginWithToken(req, res, next) {
+    try {
+      const token = typeof req.body?.token === 'string' ? req.body.token.trim() : '';
+      if (!token) {
+        return next(createValidationError('token is required', 'token login'));
+      }
+
+      let profile;
+      try {
+        profile = await createGitHubClient(token).getAuthenticatedUser();
+      } catch (error) {
+        return next(createAuthError('GitHub rejected this token', `token login: ${error.log || error.message}`));
+      }
+
+      // An empty list allows no one (see isTokenLoginEnabled)
+      const allowedUsers = getTokenLoginUsers();
+      if (!allowedUsers.includes(profile.login.toLowerCase())) {
+        console.warn(`⚠️  Token login refused for ${profile.login} - not in GITHUB_TOKEN_LOGIN_USERS`);
+        return next(new AppError(`${profile.login} is not allowed to sign in on this server`, 403));
+      }
+
+      if (profile.scopes?.includes('repo')) {
+        console.warn(`⚠️  ${profile.login} signed in with a classic token with full repo scope - a fine-grained read-only token is enough`);
+      }
+
+      const user = await User.upsertFromGitHub({
+        githubId: profile.id,
+        username: profile.login,
+        email: profile.email,
+        avatarUrl: profile.avatarUrl
+      }, {
+        accessToken: token,
+        authMethod: 'token'
+      });
+
+      await new Promise((resolve, reject) => {
+        req.login(user, (err) => {
+          if (err) return reject(err);
+          resolve();
+        });
+      });
+
+      console.log(`✅ User authenticated with a personal access token: ${user.username}`);
+      res.json({
+        success: true,
+        user: { username: user.username, avatarUrl: user.avatarUrl },
+      });
+    } catch (error) {
+      console.error('Token login error:', error);
+      return next(createServerError('Token login failed', 'token login'));
+    }
+  }
+
+  /**
+   * List the sign-in methods this server offers (used by the login page)
+   */
+  static getAuthMethods(req, res) {
+    res.json({
+      success: true,
+      data: {
+        github: isOAuthReady(),
+        githubMode: getGitHubAuthMode(),
+        token: isTokenLoginEnabled(),
+      },
+    });
+  }
+
   /**
    * Handle user logout with session cleanup
    */
@@ -85,8 +170,8 @@ class AuthController {
         return next(err);
       }
 
-      // Create userInfo object (exclude sensitive access token from response)
-      const { accessToken, ...userInfo } = req.user.toObject();
+      // Create userInfo object (exclude sensitive tokens from response)
+      const { accessToken, githubRefreshToken, ...userInfo } = req.user.toObject();
 
       // Fetch additional GitHub profile data using user's personal access token
       if (req.user.accessToken) {
@@ -95,7 +180,7 @@ class AuthController {
           
           const githubResponse = await fetch('https://api.github.com/user', {
             headers: { 
-              Authorization: `token ${req.user.accessToken}`,
+              Authorization: `token ${await getUserAccessToken(req.user)}`,
               'User-Agent': 'DevSum-App',
               'Accept': 'application/vnd.github.v3+json'
             },
@@ -155,7 +240,9 @@ class AuthController {
         authenticated: !!req.user,
         user: req.user ? req.user.username : null,
         hasGitHubToken: hasGitHubToken,
-        githubScopes: hasGitHubToken ? ['user:email', 'repo'] : null,
+        authMethod: req.user?.authMethod || null,
+        // GitHub App and personal access tokens carry permissions, not OAuth scopes
+        githubScopes: hasGitHubToken && req.user.authMethod === 'oauth' ? OAUTH_SCOPES : null,
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
@@ -1,8 +1,30 @@
-import GitHubService from '../services/external/GitHubAPIClient.js';
+import { getUserGitHubClient } from '../services/external/GitHubAuth.js';
 import AIService from '../services/ai/AICoordinator.js';
 import CacheManager from '../services/external/CacheManager.js';
 import User from '../models/User.js';
+import { getUserAICredentials } from '../services/ai/LLMProviders.js';
+import {
+  PROVIDERS,
+  isValidProvider,
+  getConnectedClients,
+  getSourceControlClient,
+  getAllUserRepos
+} from '../services/external/SourceControlProvider.js';
 import { createValidationError, createServerError, createGitHubError } from '../utils/errors.js';
+import { categorizeMessage } from '../utils/CommitTaxonomy.js';
+import { categorizeCommitDiff } from '../services/ai/AIFallbackStrategies.js';
+import { prepareDiff } from '../utils/DiffPreparation.js';
+import { getDiffChunkSize, getMaxDiffChunks } from '../config/diffLimits.js';
+import {
+  resolveCommitExclusion,
+  partitionCommits,
+  getSkipReason,
+  isPathOnlyChange,
+  createSkipCounts,
+  addSkipCount,
+  COMMIT_FILTER_MODES,
+  COMMIT_SKIP_REASONS
+} from '../utils/CommitExclusion.js';
 
 /**
  * Repository Controller
@@ -11,20 +33,21 @@ import { createValidationError, createServerError, createGitHubError } from '../
  */
 class RepositoryController {
   /**
-   * Get user's OpenAI settings
+   * Get user's AI provider settings
    * @param {Object} req - Express request object
-   * @returns {Promise<Object>} User's OpenAI API key and model, or null if not configured
+   * @returns {Promise<Object>} User's provider credentials (as apiKey) and model, or null if not configured
    */
   static async getUserOpenAISettings(req) {
     try {
       const user = await User.findById(req.user._id).select('+openaiApiKey');
-      if (!user || !user.openaiApiKey) {
-        return null; // No API key configured - AI features will be disabled
+      const aiSettings = getUserAICredentials(user);
+      if (!aiSettings) {
+        return null; // No provider configured - AI features will be disabled
       }
       
       return {
-        apiKey: user.openaiApiKey,
-        model: user.openaiModel || 'gpt-4o-mini'
+        apiKey: aiSettings.credentials,
+        model: aiSettings.model
       };
     } catch (error) {
       console.error('Error getting user OpenAI settings:', error);
@@ -33,7 +56,22 @@ class RepositoryController {
   }
 
   /**
-   * Get user's repositories with caching
+   * Get the rules deciding which of the user's commits are skipped
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Rules from CommitExclusion.resolveCommitExclusion (defaults when the user can't be read)
+   */
+  static async getUserCommitExclusion(req) {
+    try {
+      const user = await User.findById(req.user._id);
+      return resolveCommitExclusion(user);
+    } catch (error) {
+      console.error('Error getting user commit exclusion settings:', error);
+      return resolveCommitExclusion(null);
+    }
+  }
+
+  /**
+   * Get user's repositories from GitHub and every connected GitLab / Bitbucket account
    */
   static async getUserRepositories(req, res, next) {
     try {
@@ -44,7 +82,7 @@ class RepositoryController {
       console.log(`🔄 Fetching repositories for user: ${req.user.username} (GitHub ID: ${req.user.githubId})`);
       console.log(`📊 Request details: refresh=${refresh}, force=${force}, forceRefresh=${forceRefresh}, user agent: ${req.get('user-agent')}`);
       
-      const githubService = GitHubService(req.user.accessToken); // GitHubService is now a factory function
+      const githubService = await getUserGitHubClient(req.user);
       
       // Check rate limit before making API calls
       try {
@@ -58,7 +96,8 @@ class RepositoryController {
         console.warn(`⚠️  Could not check rate limit for ${req.user.username}:`, rateLimitError.message);
       }
       
-      const repos = await githubService.getUserRepos();
+      const connectedClients = await getConnectedClients(req.user._id);
+      const repos = await getAllUserRepos(githubService, connectedClients);
       const fetchTime = Date.now() - startTime;
       
       console.log(`✅ Successfully fetched ${repos.length} repositories for ${req.user.username} in ${fetchTime}ms`);
@@ -68,9 +107,17 @@ class RepositoryController {
       const publicRepos = repos.length - privateRepos;
       console.log(`📊 Repository breakdown: ${publicRepos} public, ${privateRepos} private`);
       
-      // If not forcing refresh, update the user's repository cache
+      const providerCounts = repos.reduce((counts, repo) => {
+        counts[repo.provider] = (counts[repo.provider] || 0) + 1;
+        return counts;
+      }, {});
+      
+      // If not forcing refresh, update the user's repository cache (GitHub repositories only)
       if (!forceRefresh) {
-        await RepositoryController._updateUserRepoCache(req.user, repos);
+        await RepositoryController._updateUserRepoCache(
+          req.user,
+          repos.filter(repo => repo.provider === PROVIDERS.GITHUB)
+        );
       }
       
       res.json({
@@ -84,6 +131,7 @@ class RepositoryController {
           totalRepos: repos.length,
           privateCount: privateRepos,
           publicCount: publicRepos,
+          providerCounts,
           fetchTime: fetchTime
         }
       });
@@ -98,11 +146,12 @@ class RepositoryController {
 
   /**
    * Get commits for a specific repository with AI-suggested commit messages
+   * Pass provider=gitlab or provider=bitbucket for repositories outside GitHub
    */
   static async getRepositoryCommits(req, res, next) {
     try {
       const { owner, repo } = req.params;
-      const { per_page = 10, include_stats = 'true', force_refresh = 'false' } = req.query;
+      const { per_page = 10, include_stats = 'true', force_refresh = 'false', branch, all_branches = 'false', provider = PROVIDERS.GITHUB } = req.query;
       
       // Input validation
       const validation = RepositoryController._validateCommitParams(req.params, req.query);
@@ -111,42 +160,61 @@ class RepositoryController {
         return next(err);
       }
       
-      const githubService = GitHubService(req.user.accessToken); // GitHubService is now a factory function
+      const sourceService = await getSourceControlClient(req.user, provider);
       const cacheManager = new CacheManager();
+      // Cache entries of other providers are kept apart from same-named GitHub repositories
+      const cacheOwner = provider === PROVIDERS.GITHUB ? owner : `${provider}:${owner}`;
       const targetCommitCount = Math.min(parseInt(per_page), 50); // Limit to 50 for security
       const includeStats = include_stats === 'true'; // Store this for later use
       const forceRefresh = force_refresh === 'true';
+      const allBranches = all_branches === 'true';
+      // '*' can't appear in a git ref name, so it never collides with a real branch
+      const branchScope = allBranches ? '*' : branch || null;
+      
+      // Merges, bot commits and the user's excluded commits get no AI analysis
+      const commitExclusion = await RepositoryController.getUserCommitExclusion(req);
       
       // Check cache first (unless force refresh is requested)
       if (!forceRefresh) {
-        const cachedCommits = await cacheManager.getCachedEnhancedCommits(owner, repo, targetCommitCount);
-        if (cachedCommits) {
+        const cached = await cacheManager.getCachedEnhancedCommits(cacheOwner, repo, targetCommitCount, branchScope);
+        if (cached) {
+          const { commits: cachedCommits, skipped } = RepositoryController._applyCommitExclusion(
+            RepositoryController._addCategories(cached),
+            commitExclusion
+          );
           console.log(`🚀 Returning ${cachedCommits.length} cached enhanced commits for ${owner}/${repo}`);
           return res.json({
             success: true,
             data: {
               repository: `${owner}/${repo}`,
+              provider,
+              branch: branchScope,
               commits: cachedCommits,
               total: cachedCommits.length,
               timestamp: new Date().toISOString(),
               includeStats: includeStats,
               aiEnhanced: cachedCommits.filter(c => c.suggestedMessage).length,
+              skipped,
+              commitFilterMode: commitExclusion.mode,
               fromCache: true
             }
           });
         }
       }
 
-      // Get fresh commits from GitHub
-      console.log(`📥 Fetching ${targetCommitCount} fresh commits for ${owner}/${repo}`);
+      // Get fresh commits from the repository's provider
+      console.log(`📥 Fetching ${targetCommitCount} fresh commits for ${owner}/${repo} on ${provider} (${allBranches ? 'all active branches' : branch || 'default branch'})`);
       console.log(`🔧 Include stats: ${includeStats}, Force refresh: ${forceRefresh}`);
       
       let commits;
       try {
-        commits = await githubService.getCommits(owner, repo, { 
+        commits = await sourceService.getCommits(owner, repo, { 
           per_page: targetCommitCount,
-          includeStats: includeStats 
+          includeStats: includeStats,
+          sha: branch || undefined,
+          allBranches
         });
+        commits = RepositoryController._addCategories(commits);
         console.log(`✅ Successfully fetched ${commits.length} commits for ${owner}/${repo}`);
       } catch (error) {
         console.error(`❌ Error fetching commits for ${owner}/${repo}:`, error.message);
@@ -156,85 +224,125 @@ class RepositoryController {
       // Get user's OpenAI settings for AI enhancements
       const openaiSettings = await RepositoryController.getUserOpenAISettings(req);
       
+      // Skipped commits don't need their diff read; the rest are categorized by the files they changed.
+      // Diffs are only fetched for AI analysis - without it, files already in the commit store are used
+      const { kept, skipped: skippedEntries } = partitionCommits(commits, commitExclusion);
+      const diffs = openaiSettings
+        ? await RepositoryController._fetchDiffs(kept, sourceService, owner, repo, openaiSettings.model)
+        : await RepositoryController._readKnownFiles(kept, sourceService, owner, repo);
+      const pathOnly = diffs.filter(entry => isPathOnlyChange(entry.files, commitExclusion));
+      const analyzable = diffs.filter(entry => !pathOnly.includes(entry));
+      
       // Add AI-suggested commit messages to each commit (if user has OpenAI configured)
-      const enhancedCommits = await Promise.all(
-        commits.map(async (commit) => {
-          try {
-            if (!openaiSettings) {
-              // No OpenAI configured - return commit without AI suggestions
-              return {
-                ...commit,
-                suggestedMessage: null,
-                aiAnalysisError: 'OpenAI API key not configured. Add your API key in Settings to enable AI features.'
-              };
-            }
-
-            // Get the commit diff for AI analysis
-            const commitDiff = await githubService.getCommitDiff(owner, repo, commit.sha);
-            
-            // Generate AI-suggested commit message using user's API key
-            const aiAnalysis = await AIService.analyzeCommitDiff(
-              commit, 
-              commitDiff.files.map(f => f.patch || '').join('\n'),
-              openaiSettings.apiKey,
-              openaiSettings.model
-            );
-            
-            // Add suggested message to the commit
-            return {
-              ...commit,
-              suggestedMessage: aiAnalysis.suggestedMessage
-            };
-          } catch (error) {
-            console.error(`Failed to generate AI suggestion for commit ${commit.sha.substring(0, 7)}:`, error.message);
-            
-            // Return commit without AI suggestion if analysis fails
-            return {
-              ...commit,
-              suggestedMessage: null,
-              aiAnalysisError: error.message
-            };
-          }
-        })
-      );
+      const analyzedCommits = openaiSettings
+        ? await RepositoryController._addAISuggestions(analyzable, owner, repo, openaiSettings)
+        : analyzable.map(({ commit }) => ({
+          ...commit,
+          suggestedMessage: null,
+          aiAnalysisError: 'OpenAI API key not configured. Add your API key in Settings to enable AI features.'
+        }));
       
-      const aiEnhancedCount = enhancedCommits.filter(c => c.suggestedMessage).length;
-      console.log(`✅ Enhanced ${aiEnhancedCount}/${enhancedCommits.length} commits with AI suggestions`);
+      const aiEnhancedCount = analyzedCommits.filter(c => c.suggestedMessage).length;
+      console.log(`✅ Enhanced ${aiEnhancedCount}/${analyzedCommits.length} commits with AI suggestions (${skippedEntries.length + pathOnly.length} skipped)`);
       
       if (!openaiSettings) {
         console.log(`ℹ️  AI features disabled for user ${req.user.username} - no OpenAI API key configured`);
       }
       
-      // Cache the enhanced commits for future requests
-      await cacheManager.storeEnhancedCommits(owner, repo, enhancedCommits, targetCommitCount);
+      // Skipped commits are cached too, marked, so switching to the collapsed view needs no refresh
+      const analyzedBySha = new Map(analyzedCommits.map(commit => [commit.sha, commit]));
+      const pathOnlyBySha = new Map(pathOnly.map(({ commit }) => [commit.sha, commit]));
+      const allCommits = commits.map(commit => analyzedBySha.get(commit.sha) || {
+        ...(pathOnlyBySha.get(commit.sha) || commit),
+        suggestedMessage: null,
+        skipReason: pathOnlyBySha.has(commit.sha) ? COMMIT_SKIP_REASONS.PATHS : getSkipReason(commit, commitExclusion)
+      });
+      await cacheManager.storeEnhancedCommits(cacheOwner, repo, allCommits, targetCommitCount, branchScope);
+      
+      const { commits: enhancedCommits, skipped } = RepositoryController._applyCommitExclusion(allCommits, commitExclusion);
       
       res.json({
         success: true,
         data: {
           repository: `${owner}/${repo}`,
+          provider,
+          branch: branchScope,
           commits: enhancedCommits,
           total: enhancedCommits.length,
           timestamp: new Date().toISOString(),
           includeStats: includeStats,
           aiEnhanced: aiEnhancedCount,
+          skipped,
+          commitFilterMode: commitExclusion.mode,
           fromCache: false,
           aiConfigured: !!openaiSettings
         }
       });
     } catch (error) {
-      const err = error.status 
+      // Provider clients and connection lookups throw errors that are already structured
+      const err = error.log
+        ? error
+        : error.status
         ? createGitHubError(error, `fetching commits for ${req.params.owner}/${req.params.repo}`)
         : createServerError('Failed to fetch repository commits', `repo: ${req.params.owner}/${req.params.repo}`);
       return next(err);
     }
   }
 
+  /**
+   * Get a repository's branches, most recently committed to first
+   * Pass active_days to only list branches committed to within that many days
+   * Branch listing is GitHub-only; other providers read their default branch
+   */
+  static async getRepositoryBranches(req, res, next) {
+    try {
+      const { owner, repo } = req.params;
+      const { active_days, provider = PROVIDERS.GITHUB } = req.query;
+
+      if (provider !== PROVIDERS.GITHUB) {
+        const err = createValidationError('Branches are only available for GitHub repositories', `${owner}/${repo}`);
+        return next(err);
+      }
+
+      if (active_days !== undefined && (isNaN(active_days) || active_days < 1)) {
+        const err = createValidationError('active_days must be a positive number', `${owner}/${repo}`);
+        return next(err);
+      }
+
+      const githubService = await getUserGitHubClient(req.user);
+      const activeSince = active_days
+        ? new Date(Date.now() - parseInt(active_days) * 24 * 60 * 60 * 1000)
+        : null;
+      const branches = await githubService.getBranches(owner, repo, { activeSince });
+
+      res.json({
+        success: true,
+        data: {
+          repository: `${owner}/${repo}`,
+          branches,
+          defaultBranch: branches.find(branch => branch.isDefault)?.name || null
+        },
+        meta: {
+          totalBranches: branches.length,
+          activeSince: activeSince ? activeSince.toISOString() : null
+        }
+      });
+    } catch (error) {
+      const err = error.status 
+        ? createGitHubError(error, `fetching branches for ${req.params.owner}/${req.params.repo}`)
+        : createServerError('Failed to fetch repository branches', `repo: ${req.params.owner}/${req.params.repo}`);
+      return next(err);
+    }
+  }
+
   /**
    * Get specific commit with diff information
+   * Pass provider=gitlab or provider=bitbucket for repositories outside GitHub
    */
   static async getCommitDiff(req, res, next) {
     try {
       const { owner, repo, sha } = req.params;
+      const { provider = PROVIDERS.GITHUB } = req.query;
       
       // Input validation
       if (!owner || !repo || !sha) {
@@ -247,15 +355,17 @@ class RepositoryController {
         return next(err);
       }
       
-      const githubService = GitHubService(req.user.accessToken); // GitHubService is now a factory function
-      const commitDiff = await githubService.getCommitDiff(owner, repo, sha);
+      const sourceService = await getSourceControlClient(req.user, provider);
+      const commitDiff = await sourceService.getCommitDiff(owner, repo, sha);
       
       res.json({
         success: true,
         data: commitDiff
       });
     } catch (error) {
-      const err = error.status 
+      const err = error.log
+        ? error
+        : error.status
         ? createGitHubError(error, `fetching commit diff for ${req.params.sha}`)
         : createServerError('Failed to fetch commit diff', `commit: ${req.params.sha}`);
       return next(err);
@@ -267,7 +377,7 @@ class RepositoryController {
    */
   static async getRateLimit(req, res, next) {
     try {
-      const githubService = GitHubService(req.user.accessToken); // GitHubService is now a factory function
+      const githubService = await getUserGitHubClient(req.user);
       const rateLimit = await githubService.getRateLimit();
       
       res.json({
@@ -304,13 +414,131 @@ class RepositoryController {
     }
   }
 
+  /**
+   * Fetch the diff of each commit and categorize it from the files it changed
+   * Diff fetches go through the shared per-token work queue; commits whose diff can't be
+   * fetched keep the category of their message. Diffs are prepared for the user's model
+   * (lockfiles and generated files dropped, large ones chunked - see utils/DiffPreparation.js)
+   * @param {Array} commits - Commits from the provider
+   * @param {Object} sourceService - Provider client the commits were read with
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} model - AI model the diffs are sized for
+   * @returns {Promise<Array>} [{ commit, diff, prepared, files }] or [{ commit, error }] in commit order
+   */
+  static async _fetchDiffs(commits, sourceService, owner, repo, model) {
+    const limits = { chunkChars: getDiffChunkSize(model), maxChunks: getMaxDiffChunks() };
+    return Promise.all(commits.map(async (commit) => {
+      try {
+        const commitDiff = await sourceService.getCommitDiff(owner, repo, commit.sha);
+        const prepared = prepareDiff(commitDiff.files, limits);
+        return {
+          commit: { ...commit, category: categorizeCommitDiff(commit.message, commitDiff.files).category },
+          diff: prepared.diff,
+          prepared,
+          files: commitDiff.files
+        };
+      } catch (error) {
+        // Provider clients throw structured errors with a log line instead of a message
+        console.error(`Failed to fetch diff for commit ${commit.sha.substring(0, 7)}:`, error.log || error.message);
+        return { commit, error: 'Could not fetch the commit diff' };
+      }
+    }));
+  }
+
+  /**
+   * Categorize commits from the changed files already stored for them, without fetching diffs
+   * Commits whose files aren't stored (and every commit from providers without a commit
+   * store) keep the category of their message
+   * @param {Array} commits - Commits from the provider
+   * @param {Object} sourceService - Provider client the commits were read with
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array>} [{ commit, files }] in commit order (files undefined when unknown)
+   */
+  static async _readKnownFiles(commits, sourceService, owner, repo) {
+    let filesBySha = new Map();
+    try {
+      filesBySha = await sourceService.getKnownCommitFiles?.(owner, repo, commits.map(commit => commit.sha)) || filesBySha;
+    } catch (error) {
+      console.error(`⚠️  Could not read stored files for ${owner}/${repo}:`, error.message);
+    }
+
+    return commits.map(commit => {
+      const files = filesBySha.get(commit.sha);
+      return files
+        ? { commit: { ...commit, category: categorizeCommitDiff(commit.message, files).category }, files }
+        : { commit };
+    });
+  }
+
+  /**
+   * Add AI-suggested commit messages
+   * AI calls go through the shared per-user work queue, and small commits are analyzed several to a prompt
+   * @param {Array} diffs - Entries from _fetchDiffs
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} openaiSettings - { apiKey, model } from getUserOpenAISettings
+   * @returns {Promise<Array>} Commits with suggestedMessage, or aiAnalysisError when none could be made
+   */
+  static async _addAISuggestions(diffs, owner, repo, openaiSettings) {
+    const analyzable = diffs.filter(entry => !entry.error);
+    const analyses = await AIService.analyzeCommitDiffs(
+      analyzable,
+      openaiSettings.apiKey,
+      openaiSettings.model,
+      `${owner}/${repo}`
+    );
+    const analysisBySha = new Map(analyzable.map((entry, index) => [entry.commit.sha, analyses[index]]));
+
+    return diffs.map(({ commit, error }) => error
+      ? { ...commit, suggestedMessage: null, aiAnalysisError: error }
+      : { ...commit, suggestedMessage: analysisBySha.get(commit.sha).suggestedMessage });
+  }
+
+  /**
+   * Mark the commits the user's exclusion rules skip, and drop them unless skipped commits are collapsed
+   * Path rules need the changed files, so a stored "paths" reason stands until the commits are refreshed
+   * @param {Array} commits - Commits from the provider or the enhanced commits cache
+   * @param {Object} commitExclusion - Rules from getUserCommitExclusion
+   * @returns {Object} { commits, skipped } - skipped counts the skipped commits per reason
+   */
+  static _applyCommitExclusion(commits, commitExclusion) {
+    const skipped = createSkipCounts();
+    const marked = commits.map(commit => {
+      const skipReason = getSkipReason(commit, commitExclusion) ||
+        (commit.skipReason === COMMIT_SKIP_REASONS.PATHS ? commit.skipReason : null);
+      if (skipReason) addSkipCount(skipped, skipReason);
+      return { ...commit, skipReason };
+    });
+
+    return {
+      commits: commitExclusion.mode === COMMIT_FILTER_MODES.COLLAPSE
+        ? marked
+        : marked.filter(commit => !commit.skipReason),
+      skipped
+    };
+  }
+
+  /**
+   * Tag commits with their CommitTaxonomy category so every screen counts them the same way
+   * Commits cached before categories existed get theirs on the way out
+   * @param {Array} commits - Commits from the provider or the enhanced commits cache
+   * @returns {Array} Commits with category
+   */
+  static _addCategories(commits) {
+    return commits.map(commit => commit.category
+      ? commit
+      : { ...commit, category: categorizeMessage(commit.message).category });
+  }
+
   /**
    * Private method to validate commit parameters
    * Follows DRY principle for reusable validation
    */
   static _validateCommitParams(params, query) {
     const { owner, repo } = params;
-    const { per_page } = query;
+    const { per_page, branch, all_branches, provider } = query;
     
     if (!owner || !repo) {
       return {
@@ -326,6 +554,27 @@ class RepositoryController {
       };
     }
     
+    if (branch !== undefined && (typeof branch !== 'string' || !branch.trim())) {
+      return {
+        isValid: false,
+        message: 'branch must be a branch name'
+      };
+    }
+    
+    if (branch && all_branches === 'true') {
+      return {
+        isValid: false,
+        message: 'branch and all_branches cannot be combined'
+      };
+    }
+    
+    if (provider !== undefined && !isValidProvider(provider)) {
+      return {
+        isValid: false,
+        message: 'provider must be github, gitlab, bitbucket or local'
+      };
+    }
+    
     return { isValid: true };
   }
 }
@@ -0,0 +1,74 @@
+import { getScheduleStatus, getRunHistory, runNow } from '../services/tasks/SummaryScheduler.js';
+
+/**
+ * Schedule Controller - Plain Functions
+ * Connects schedule routes to the SummaryScheduler service
+ * (schedule time and opt-in are edited through the settings API)
+ */
+
+/**
+ * Get the current user's schedule and next run time
+ * GET /api/schedule
+ */
+export async function getSchedule(req, res, next) {
+  try {
+    const schedule = await getScheduleStatus(req.user._id);
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    console.error('Error getting schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get schedule',
+    });
+  }
+}
+
+/**
+ * Get the current user's recent scheduled and manual runs
+ * GET /api/schedule/runs?limit=20
+ */
+export async function getScheduleRuns(req, res, next) {
+  try {
+    const limit = Math.max(1, parseInt(req.query.limit, 10) || 20);
+    const runs = await getRunHistory(req.user._id, limit);
+
+    res.json({
+      success: true,
+      data: runs,
+      meta: {
+        count: runs.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error getting schedule runs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get schedule runs',
+    });
+  }
+}
+
+/**
+ * Run the morning pre-generation for the current user now
+ * POST /api/schedule/run
+ */
+export async function runScheduleNow(req, res, next) {
+  try {
+    const run = await runNow(req.user._id);
+
+    res.json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    console.error('Error running scheduled job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to run scheduled job',
+    });
+  }
+}
@@ -1,6 +1,42 @@
 import * as EnvironmentService from '../services/external/EnvironmentService.js';
 import User from '../models/User.js';
 import { AppError } from '../utils/errors.js';
+import { callOpenAI } from '../services/ai/OpenAIClientManager.js';
+import { AI_FEATURES, clearBudgetCache } from '../services/ai/UsageTracker.js';
+import {
+  DEFAULT_PROVIDER,
+  assertBaseUrlAllowed,
+  createAICredentials,
+  getProvider,
+  isSupportedProvider,
+  validateCredentials
+} from '../services/ai/LLMProviders.js';
+import { isValidTimeZone, isValidTimeOfDay } from '../utils/DateUtils.js';
+import {
+  AUTHOR_FILTER_MODES,
+  DEFAULT_AUTHOR_FILTER_MODE,
+  isValidAuthorFilterMode,
+  parseAuthorList
+} from '../utils/AuthorFilter.js';
+import {
+  COMMIT_FILTER_MODES,
+  DEFAULT_COMMIT_FILTER_MODE,
+  findInvalidPattern,
+  getPatternError,
+  isValidCommitFilterMode,
+  parsePatternList
+} from '../utils/CommitExclusion.js';
+import { listConnections, disconnectProvider } from '../services/external/SourceControlProvider.js';
+
+// Boolean user settings are exchanged as 'true' / 'false' strings
+const BOOLEAN_USER_SETTINGS = {
+  SKIP_WEEKENDS: 'skipWeekends',
+  MONDAY_COVERS_WEEKEND: 'mondayCoversWeekend',
+  SCHEDULE_ENABLED: 'scheduleEnabled',
+  SUMMARY_ALL_BRANCHES: 'summaryAllBranches',
+  EXCLUDE_MERGE_COMMITS: 'excludeMergeCommits',
+  EXCLUDE_BOT_COMMITS: 'excludeBotCommits'
+};
 
 class SettingsController {
   constructor() {
@@ -9,7 +45,9 @@ class SettingsController {
     this.updateSettings = this.updateSettings.bind(this);
     this.testSetting = this.testSetting.bind(this);
     this.clearCache = this.clearCache.bind(this);
-    this.testOpenAIKey = this.testOpenAIKey.bind(this);
+    this.testAIProvider = this.testAIProvider.bind(this);
+    this.getConnections = this.getConnections.bind(this);
+    this.disconnect = this.disconnect.bind(this);
 
   }
 
@@ -24,17 +62,38 @@ class SettingsController {
       // Get shared environment settings
       const sharedSettings = await EnvironmentService.getConfigurableSettings();
       
-      // Get user-specific settings (OpenAI API key and model)
+      // Get user-specific settings (AI provider, API key and model)
       const user = await User.findById(req.user._id).select('+openaiApiKey');
       if (!user) {
         return next(new AppError('User not found', 404));
       }
 
+      const providerId = user.aiProvider || DEFAULT_PROVIDER;
+
       // Combine shared and user-specific settings
       const settings = {
         ...sharedSettings,
+        AI_PROVIDER: providerId,
+        AI_BASE_URL: user.aiBaseUrl || '',
         OPENAI_API_KEY: user.openaiApiKey ? this.maskSensitiveValue(user.openaiApiKey) : '',
-        OPENAI_MODEL: user.openaiModel || 'gpt-4o-mini'
+        OPENAI_MODEL: user.openaiModel || getProvider(providerId).defaultModel,
+        AI_MONTHLY_BUDGET: user.aiMonthlyBudget ? String(user.aiMonthlyBudget) : '',
+        TIMEZONE: user.timezone || 'UTC',
+        SKIP_WEEKENDS: user.skipWeekends ? 'true' : 'false',
+        MONDAY_COVERS_WEEKEND: user.mondayCoversWeekend ? 'true' : 'false',
+        SCHEDULE_ENABLED: user.scheduleEnabled ? 'true' : 'false',
+        SUMMARY_ALL_BRANCHES: user.summaryAllBranches ? 'true' : 'false',
+        SCHEDULE_TIME: user.scheduleTime || '08:30',
+        AUTHOR_FILTER: user.authorFilter || DEFAULT_AUTHOR_FILTER_MODE,
+        AUTHOR_FILTER_LIST: (user.authorFilterList || []).join(', '),
+        AUTHOR_EMAILS: (user.authorEmails || []).join(', '),
+        // Merge and bot exclusion default to on, so only an explicit false turns them off
+        EXCLUDE_MERGE_COMMITS: user.excludeMergeCommits !== false ? 'true' : 'false',
+        EXCLUDE_BOT_COMMITS: user.excludeBotCommits !== false ? 'true' : 'false',
+        COMMIT_BOT_AUTHORS: (user.commitBotAuthors || []).join(', '),
+        COMMIT_EXCLUDE_PATTERNS: (user.commitExcludePatterns || []).join('\n'),
+        COMMIT_EXCLUDE_PATHS: (user.commitExcludePaths || []).join(', '),
+        COMMIT_FILTER_MODE: user.commitFilterMode || DEFAULT_COMMIT_FILTER_MODE
       };
       
       res.json({
@@ -66,7 +125,12 @@ class SettingsController {
       const userSettings = {};
       const sharedSettings = {};
       const allowedSharedKeys = []; // Session secret should be environment variable only
-      const allowedUserKeys = ['OPENAI_API_KEY', 'OPENAI_MODEL'];
+      const allowedUserKeys = [
+        'AI_PROVIDER', 'AI_BASE_URL', 'OPENAI_API_KEY', 'OPENAI_MODEL', 'AI_MONTHLY_BUDGET',
+        'TIMEZONE', 'SCHEDULE_TIME', 'AUTHOR_FILTER', 'AUTHOR_FILTER_LIST', 'AUTHOR_EMAILS',
+        'COMMIT_BOT_AUTHORS', 'COMMIT_EXCLUDE_PATTERNS', 'COMMIT_EXCLUDE_PATHS', 'COMMIT_FILTER_MODE',
+        ...Object.keys(BOOLEAN_USER_SETTINGS)
+      ];
       
       for (const [key, value] of Object.entries(settings)) {
         if (allowedUserKeys.includes(key)) {
@@ -93,6 +157,28 @@ class SettingsController {
           }
 
           // Update user fields
+          if (userSettings.AI_PROVIDER && userSettings.AI_PROVIDER.trim()) {
+            const providerId = userSettings.AI_PROVIDER.trim();
+            if (!isSupportedProvider(providerId)) {
+              return next(new AppError(`Unsupported AI provider '${providerId}'`, 400));
+            }
+            // Switching provider invalidates the previous model name unless a new one is supplied
+            if (providerId !== user.aiProvider && !userSettings.OPENAI_MODEL) {
+              user.openaiModel = getProvider(providerId).defaultModel;
+            }
+            user.aiProvider = providerId;
+            result.success.push('AI_PROVIDER');
+          }
+          if (userSettings.AI_BASE_URL && userSettings.AI_BASE_URL.trim()) {
+            const baseUrl = userSettings.AI_BASE_URL.trim();
+            try {
+              await assertBaseUrlAllowed(baseUrl);
+            } catch (error) {
+              return next(new AppError(error.message, 400));
+            }
+            user.aiBaseUrl = baseUrl;
+            result.success.push('AI_BASE_URL');
+          }
           if (userSettings.OPENAI_API_KEY && userSettings.OPENAI_API_KEY.trim()) {
             user.openaiApiKey = userSettings.OPENAI_API_KEY.trim();
             result.success.push('OPENAI_API_KEY');
@@ -101,8 +187,92 @@ class SettingsController {
             user.openaiModel = userSettings.OPENAI_MODEL.trim();
             result.success.push('OPENAI_MODEL');
           }
+          // Sent empty to remove the personal budget
+          if (userSettings.AI_MONTHLY_BUDGET !== undefined) {
+            const budget = userSettings.AI_MONTHLY_BUDGET.trim();
+            if (budget && !(Number(budget) > 0)) {
+              return next(new AppError('Monthly AI budget must be a positive amount in USD', 400));
+            }
+            user.aiMonthlyBudget = budget ? Number(budget) : null;
+            result.success.push('AI_MONTHLY_BUDGET');
+          }
+          if (userSettings.TIMEZONE && userSettings.TIMEZONE.trim()) {
+            const timeZone = userSettings.TIMEZONE.trim();
+            if (!isValidTimeZone(timeZone)) {
+              return next(new AppError(`Unknown time zone '${timeZone}'`, 400));
+            }
+            user.timezone = timeZone;
+            result.success.push('TIMEZONE');
+          }
+          if (userSettings.SCHEDULE_TIME && userSettings.SCHEDULE_TIME.trim()) {
+            const scheduleTime = userSettings.SCHEDULE_TIME.trim();
+            if (!isValidTimeOfDay(scheduleTime)) {
+              return next(new AppError(`Schedule time '${scheduleTime}' must be in 24-hour HH:MM format`, 400));
+            }
+            user.scheduleTime = scheduleTime;
+            result.success.push('SCHEDULE_TIME');
+          }
+          if (userSettings.AUTHOR_FILTER && userSettings.AUTHOR_FILTER.trim()) {
+            const mode = userSettings.AUTHOR_FILTER.trim();
+            if (!isValidAuthorFilterMode(mode)) {
+              return next(new AppError(`Author filter must be one of: ${Object.values(AUTHOR_FILTER_MODES).join(', ')}`, 400));
+            }
+            user.authorFilter = mode;
+            result.success.push('AUTHOR_FILTER');
+          }
+          // Lists may be sent empty to clear them
+          if (userSettings.AUTHOR_FILTER_LIST !== undefined) {
+            user.authorFilterList = parseAuthorList(userSettings.AUTHOR_FILTER_LIST);
+            result.success.push('AUTHOR_FILTER_LIST');
+          }
+          if (userSettings.AUTHOR_EMAILS !== undefined) {
+            const emails = parseAuthorList(userSettings.AUTHOR_EMAILS);
+            const invalid = emails.find(email => !email.includes('@'));
+            if (invalid) {
+              return next(new AppError(`'${invalid}' is not an email address`, 400));
+            }
+            user.authorEmails = emails;
+            result.success.push('AUTHOR_EMAILS');
+          }
+          if (userSettings.COMMIT_BOT_AUTHORS !== undefined) {
+            user.commitBotAuthors = parseAuthorList(userSettings.COMMIT_BOT_AUTHORS);
+            result.success.push('COMMIT_BOT_AUTHORS');
+          }
+          if (userSettings.COMMIT_EXCLUDE_PATTERNS !== undefined) {
+            const patterns = parsePatternList(userSettings.COMMIT_EXCLUDE_PATTERNS);
+            const invalid = findInvalidPattern(patterns);
+            if (invalid) {
+              return next(new AppError(getPatternError(invalid), 400));
+            }
+            user.commitExcludePatterns = patterns;
+            result.success.push('COMMIT_EXCLUDE_PATTERNS');
+          }
+          if (userSettings.COMMIT_EXCLUDE_PATHS !== undefined) {
+            user.commitExcludePaths = parseAuthorList(userSettings.COMMIT_EXCLUDE_PATHS);
+            result.success.push('COMMIT_EXCLUDE_PATHS');
+          }
+          if (userSettings.COMMIT_FILTER_MODE && userSettings.COMMIT_FILTER_MODE.trim()) {
+            const mode = userSettings.COMMIT_FILTER_MODE.trim();
+            if (!isValidCommitFilterMode(mode)) {
+              return next(new AppError(`Commit filter mode must be one of: ${Object.values(COMMIT_FILTER_MODES).join(', ')}`, 400));
+            }
+            user.commitFilterMode = mode;
+            result.success.push('COMMIT_FILTER_MODE');
+          }
+          if (user.authorFilter === AUTHOR_FILTER_MODES.SELECTED && user.authorFilterList.length === 0) {
+            return next(new AppError('Add at least one GitHub login or email to filter by selected authors', 400));
+          }
+          for (const [key, field] of Object.entries(BOOLEAN_USER_SETTINGS)) {
+            if (userSettings[key] === undefined) continue;
+            if (!['true', 'false'].includes(userSettings[key])) {
+              return next(new AppError(`Setting '${key}' must be 'true' or 'false'`, 400));
+            }
+            user[field] = userSettings[key] === 'true';
+            result.success.push(key);
+          }
 
           await user.save();
+          clearBudgetCache(user._id);
         } catch (error) {
           console.error('Error updating user settings:', error);
           result.errors.push('Failed to update user settings');
@@ -159,15 +329,64 @@ class SettingsController {
 
       // Test specific settings using stored values for security
       switch (key) {
-        case 'OPENAI_API_KEY':
-          // Get the user's stored API key
+        case 'AI_PROVIDER':
+        case 'AI_BASE_URL':
+        case 'OPENAI_API_KEY': {
+          // Test the user's stored provider configuration as a whole
           const user = await User.findById(req.user._id).select('+openaiApiKey');
-          if (!user || !user.openaiApiKey) {
-            testResult = { valid: false, message: 'No OpenAI API key is configured for your account' };
+          if (!user) {
+            return next(new AppError('User not found', 404));
+          }
+          const providerId = user.aiProvider || DEFAULT_PROVIDER;
+          const credentials = createAICredentials({
+            provider: providerId,
+            apiKey: user.openaiApiKey,
+            baseUrl: user.aiBaseUrl,
+            userId: user._id
+          });
+          testResult = await this.testAIProvider(credentials, user.openaiModel || getProvider(providerId).defaultModel);
+          break;
+        }
+        case 'TIMEZONE': {
+          const { value } = req.body;
+          testResult = isValidTimeZone(value)
+            ? { valid: true, message: `'${value}' is a valid time zone` }
+            : { valid: false, message: `'${value}' is not a recognized IANA time zone (e.g. America/Los_Angeles)` };
+          break;
+        }
+        case 'SCHEDULE_TIME': {
+          const { value } = req.body;
+          testResult = isValidTimeOfDay(value)
+            ? { valid: true, message: `Pre-generation will run at ${value} in your time zone` }
+            : { valid: false, message: `'${value}' is not a valid 24-hour time (e.g. 08:30)` };
+          break;
+        }
+        case 'AUTHOR_FILTER_LIST': {
+          const authors = parseAuthorList(req.body.value);
+          testResult = authors.length > 0
+            ? { valid: true, message: `Summaries will include ${authors.length} author(s): ${authors.join(', ')}` }
+            : { valid: false, message: 'Enter GitHub logins or commit emails separated by commas' };
+          break;
+        }
+        case 'COMMIT_EXCLUDE_PATTERNS': {
+          const patterns = parsePatternList(req.body.value);
+          const invalid = findInvalidPattern(patterns);
+          if (invalid) {
+            testResult = { valid: false, message: getPatternError(invalid) };
           } else {
-            testResult = await this.testOpenAIKey(user.openaiApiKey);
+            testResult = patterns.length > 0
+              ? { valid: true, message: `Commits matching ${patterns.length} pattern(s) will be skipped` }
+              : { valid: false, message: 'Enter one regular expression per line, e.g. ^chore\\(release\\)' };
           }
           break;
+        }
+        case 'AI_MONTHLY_BUDGET': {
+          const budget = Number(req.body.value);
+          testResult = budget > 0
+            ? { valid: true, message: `AI features will switch to offline results after $${budget.toFixed(2)} of estimated spend per month` }
+            : { valid: false, message: 'Enter a positive amount in USD, or leave empty for no limit' };
+          break;
+        }
         default:
           testResult = { valid: true, message: 'Setting format appears valid' };
       }
@@ -184,27 +403,31 @@ class SettingsController {
   }
 
   /**
-   * Test OpenAI API key
-   * @param {string} apiKey - OpenAI API key
+   * Test AI provider credentials with a minimal completion
+   * @param {Object} credentials - Provider credentials { provider, apiKey, baseUrl, userId }
+   * @param {string} model - Model to test against
    * @returns {Promise<Object>} Test result
    */
-  async testOpenAIKey(apiKey) {
+  async testAIProvider(credentials, model) {
+    const provider = getProvider(credentials.provider);
+
+    // Check format first so obviously wrong keys don't cost a request
+    const formatCheck = validateCredentials(credentials);
+    if (!formatCheck.valid) {
+      return formatCheck;
+    }
+
     try {
-      const { default: OpenAI } = await import('openai');
-      const openai = new OpenAI({ apiKey });
-      
-      // Test with a simple completion
-      await openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [{ role: 'user', content: 'Hello' }],
-        max_tokens: 5
+      // Tests still work over budget so users can check a new key
+      await callOpenAI('Hello', credentials, model, {
+        maxTokens: 5,
+        usage: { feature: AI_FEATURES.CONNECTION_TEST, enforceBudget: false }
       });
-
-      return { valid: true, message: 'OpenAI API key is valid' };
+      return { valid: true, message: `${provider.label} connection is working with model "${model}"` };
     } catch (error) {
       return { 
         valid: false, 
-        message: error.message || 'OpenAI API key is invalid' 
+        message: error.message || `${provider.label} credentials are invalid` 
       };
     }
   }
@@ -231,6 +454,50 @@ class SettingsController {
     }
   }
 
+  /**
+   * List the GitLab and Bitbucket accounts the user can connect, and which are connected
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getConnections(req, res, next) {
+    try {
+      const connections = await listConnections(req.user._id);
+
+      res.json({
+        success: true,
+        data: connections
+      });
+    } catch (error) {
+      console.error('Error listing provider connections:', error);
+      next(new AppError('Failed to list connected accounts', 500));
+    }
+  }
+
+  /**
+   * Disconnect a GitLab or Bitbucket account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async disconnect(req, res, next) {
+    try {
+      const { provider } = req.params;
+      const removed = await disconnectProvider(req.user._id, provider);
+      if (!removed) {
+        return next(new AppError(`No ${provider} account connected`, 404));
+      }
+
+      res.json({
+        success: true,
+        message: `${provider} account disconnected`
+      });
+    } catch (error) {
+      console.error('Error disconnecting provider:', error);
+      next(error instanceof AppError ? error : new AppError('Failed to disconnect account', 500));
+    }
+  }
+
   /**
    * Mask sensitive values for display
    * @param {string} value - The value to mask
@@ -0,0 +1,305 @@
+import crypto from 'crypto';
+import {
+  listTeams,
+  listInvites,
+  acceptInvite,
+  declineInvite,
+  getTeam,
+  createTeam,
+  updateTeam,
+  addMember,
+  removeMember,
+  deleteTeam
+} from '../services/tasks/TeamService.js';
+import { getTeamDashboard, buildTeamDashboard } from '../services/tasks/TeamDashboardService.js';
+import { startJob, updateProgress, completeJob, failJob } from '../services/tasks/ProgressTracker.js';
+
+/**
+ * Team Controller - Plain Functions
+ * Connects team routes to the TeamService and TeamDashboardService
+ */
+
+// Dashboard builds running in this process, keyed by team, viewer and range, so
+// repeated refresh clicks follow the running job instead of starting another
+const runningDashboardBuilds = new Map();
+
+/**
+ * Record a progress change without letting tracking failures stop the build
+ * @param {Function} update - Progress tracker call
+ */
+async function trackProgress(update) {
+  try {
+    await update();
+  } catch (error) {
+    console.warn(`⚠️ Progress tracking failed: ${error.message}`);
+  }
+}
+
+/**
+ * Send an error response using the status set by the team services
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by a service
+ * @param {string} fallbackMessage - Message when the error has none
+ */
+function sendTeamError(res, error, fallbackMessage) {
+  if (!error.status || error.status >= 500) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message || fallbackMessage,
+  });
+}
+
+/**
+ * List the current user's teams
+ * GET /api/teams
+ */
+export async function getTeams(req, res, next) {
+  try {
+    const teams = await listTeams(req.user._id);
+
+    res.json({
+      success: true,
+      data: teams,
+      meta: {
+        count: teams.length,
+      },
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'Failed to list teams');
+  }
+}
+
+/**
+ * List the current user's pending team invites
+ * GET /api/teams/invites
+ */
+export async function getInvites(req, res, next) {
+  try {
+    const invites = await listInvites(req.user._id);
+
+    res.json({
+      success: true,
+      data: invites,
+      meta: {
+        count: invites.length,
+      },
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'Failed to list team invites');
+  }
+}
+
+/**
+ * Accept a team invite
+ * POST /api/teams/:teamId/invite/accept
+ */
+export async function postInviteAccept(req, res, next) {
+  try {
+    const team = await acceptInvite(req.params.teamId, req.user._id);
+
+    res.json({
+      success: true,
+      data: team,
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'Failed to accept team invite');
+  }
+}
+
+/**
+ * Decline a team invite
+ * DELETE /api/teams/:teamId/invite
+ */
+export async function removeInvite(req, res, next) {
+  try {
+    await declineInvite(req.params.teamId, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Invite declined',
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'Failed to decline team invite');
+  }
+}
+
+/**
+ * Create a team with the current user as admin and invite the listed members
+ * POST /api/teams  { name, repositories, members, timezone, skipWeekends, mondayCoversWeekend }
+ */
+export async function postTeam(req, res, next) {
+  try {
+    const team = await createTeam(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: team,
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'Failed to create team');
+  }
+}
+
+/**
+ * Get a team the current user belongs to
+ * GET /api/teams/:teamId
+ */
+export async function getTeamById(req, res, next) {
+  try {
+    const team = await getTeam(req.params.teamId, req.user._id);
+
+    res.json({
+      success: true,
+      data: team,
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'Failed to get team');
+  }
+}
+
+/**
+ * Update a team's name, repositories or summary window (admins only)
+ * PUT /api/teams/:teamId
+ */
+export async function putTeam(req, res, next) {
+  try {
+    const team = await updateTeam(req.params.teamId, req.user._id, req.body);
+
+    res.json({
+      success: true,
+      data: team,
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'Failed to update team');
+  }
+}
+
+/**
+ * Delete a team (admins only)
+ * DELETE /api/teams/:teamId
+ */
+export async function removeTeam(req, res, next) {
+  try {
+    await deleteTeam(req.params.teamId, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Team deleted',
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'Failed to delete team');
+  }
+}
+
+/**
+ * Invite someone by GitHub login or change a member's admin role (admins only)
+ * POST /api/teams/:teamId/members  { username, admin }
+ */
+export async function postTeamMember(req, res, next) {
+  try {
+    const team = await addMember(req.params.teamId, req.user._id, req.body);
+
+    res.json({
+      success: true,
+      data: team,
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'Failed to invite team member');
+  }
+}
+
+/**
+ * Remove a member or withdraw an invite (admins), or leave the team (own user id)
+ * DELETE /api/teams/:teamId/members/:memberId
+ */
+export async function removeTeamMember(req, res, next) {
+  try {
+    const team = await removeMember(req.params.teamId, req.user._id, req.params.memberId);
+
+    res.json({
+      success: true,
+      data: team,
+      message: team ? 'Member removed' : 'You left the team',
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'Failed to remove team member');
+  }
+}
+
+/**
+ * Get the stored team standup dashboard (data.dashboard is null until a refresh builds it)
+ * GET /api/teams/:teamId/dashboard?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Days are interpreted in the team's time zone; omitting both uses the previous workday
+ */
+export async function getTeamDashboardView(req, res, next) {
+  try {
+    const { from, to } = req.query;
+    const dashboard = await getTeamDashboard(req.params.teamId, req.user._id, {
+      from: from || null,
+      to: to || null,
+    });
+
+    res.set({
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Pragma': 'no-cache',
+      'Expires': '0'
+    });
+
+    res.json({
+      success: true,
+      data: dashboard,
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'Failed to get team dashboard');
+  }
+}
+
+/**
+ * Build the team standup dashboard in a background job
+ * POST /api/teams/:teamId/dashboard/refresh  { from, to, force }
+ * Responds 202 with the job id; follow it on /api/progress/:jobId and read the
+ * result from GET /api/teams/:teamId/dashboard once it completes
+ */
+export async function postTeamDashboardRefresh(req, res, next) {
+  try {
+    const { from = null, to = null, force = false } = req.body || {};
+    const teamId = req.params.teamId;
+    const userId = req.user._id;
+
+    // Checks membership and the range before any work starts
+    const { dateRange } = await getTeamDashboard(teamId, userId, { from, to });
+    const buildKey = `${teamId}:${userId}:${dateRange.key}`;
+
+    let jobId = runningDashboardBuilds.get(buildKey);
+    if (!jobId) {
+      jobId = crypto.randomUUID();
+      await startJob(jobId, 'Building team standup', userId);
+      runningDashboardBuilds.set(buildKey, jobId);
+
+      buildTeamDashboard(teamId, userId, {
+        from,
+        to,
+        forceRefresh: force === true,
+        onProgress: (progress, message, step) => trackProgress(() => updateProgress(jobId, progress, message, step)),
+      })
+        .then(() => trackProgress(() => completeJob(jobId, { teamId, rangeKey: dateRange.key })))
+        .catch(error => {
+          console.error('❌ Team dashboard build failed:', error);
+          return trackProgress(() => failJob(jobId, error.message || 'Failed to build team dashboard'));
+        })
+        .finally(() => runningDashboardBuilds.delete(buildKey));
+    }
+
+    res.status(202).json({
+      success: true,
+      data: {
+        jobId,
+        dateRange,
+      },
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'Failed to start team dashboard build');
+  }
+}
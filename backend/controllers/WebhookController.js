@@ -0,0 +1,67 @@
+import { verifySignature, handlePushEvent } from '../services/external/GitHubWebhookHandler.js';
+
+/**
+ * Webhook Controller - Plain Functions
+ * Receives GitHub webhook deliveries (routes/webhooks.js keeps the raw body for signing)
+ */
+
+/**
+ * Receive a GitHub webhook delivery
+ * POST /webhooks/github
+ */
+export async function receiveGitHubWebhook(req, res, next) {
+  const secret = process.env.GITHUB_WEBHOOK_SECRET;
+  const event = req.get('X-GitHub-Event');
+  const deliveryId = req.get('X-GitHub-Delivery');
+
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      error: 'GitHub webhooks are not configured (GITHUB_WEBHOOK_SECRET is not set)',
+    });
+  }
+
+  if (!Buffer.isBuffer(req.body) || !verifySignature(req.body, req.get('X-Hub-Signature-256'), secret)) {
+    console.warn(`🚫 Webhook: Rejected delivery ${deliveryId || 'unknown'} with invalid signature`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook signature',
+    });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString('utf8'));
+  } catch {
+    return res.status(400).json({
+      success: false,
+      error: 'Webhook payload must be JSON (set the content type to application/json)',
+    });
+  }
+
+  try {
+    switch (event) {
+      case 'ping':
+        console.log(`📬 Webhook: Ping received for hook ${payload.hook_id}`);
+        return res.json({ success: true, data: { event, message: 'pong' } });
+
+      case 'push': {
+        const result = await handlePushEvent(payload);
+        return res.json({ success: true, data: { event, deliveryId, ...result } });
+      }
+
+      default:
+        // Acknowledge so GitHub doesn't report failed deliveries for events we don't use
+        return res.status(202).json({
+          success: true,
+          data: { event, deliveryId, ignored: 'event not handled' },
+        });
+    }
+  } catch (error) {
+    console.error(`❌ Webhook: Failed to process ${event} delivery ${deliveryId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to process webhook',
+    });
+  }
+}
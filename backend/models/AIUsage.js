@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// Features AI calls are attributed to
+export const AI_FEATURES = {
+  SUMMARY: 'summary',
+  TASKS: 'tasks',
+  QUALITY: 'quality',
+  COMMIT_MESSAGE: 'commit_message',
+  COMMIT_ANALYSIS: 'commit_analysis',
+  CATEGORIZATION: 'categorization',
+  RETROSPECTIVE: 'retrospective',
+  CONNECTION_TEST: 'connection_test',
+  OTHER: 'other'
+};
+
+// AI Usage Schema - tokens and estimated cost of one AI call, for the usage
+// dashboard and monthly budgets (see services/ai/UsageTracker.js)
+const aiUsageSchema = new mongoose.Schema({
+  userId: {
+    type: String, // null for calls made without a user (none today)
+    default: null
+  },
+  feature: {
+    type: String,
+    enum: Object.values(AI_FEATURES),
+    default: AI_FEATURES.OTHER
+  },
+  repository: String, // "owner/repo", or an aggregate id such as ALL_REPOS
+  provider: String,
+  model: String,
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // Estimated USD; null when the model has no known price
+  cost: {
+    type: Number,
+    default: null
+  },
+  // True when the provider returned no usage and tokens were estimated from text length
+  estimated: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// Monthly totals per user
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+// Usage is kept for 13 months so a year can be compared
+aiUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 400 * 24 * 60 * 60 });
+
+export default mongoose.model('AIUsage', aiUsageSchema);
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// Commit Schema - local copy of repository commits, filled from GitHub push webhooks
+// and written through by GitHubAPIClient
+const commitSchema = new mongoose.Schema({
+  repositoryId: {
+    type: String, // Repository full name, e.g. "owner/repo"
+    required: true
+  },
+  sha: {
+    type: String,
+    required: true
+  },
+  message: String,
+  author: {
+    name: String,
+    email: String,
+    username: String, // GitHub login when known
+    date: Date
+  },
+  committer: {
+    name: String,
+    email: String,
+    date: Date
+  },
+  url: String,
+  parents: [{
+    _id: false,
+    sha: String
+  }],
+  branches: [String], // Branches this commit was pushed to
+  stats: {
+    additions: { type: Number, default: 0 },
+    deletions: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  files: [{
+    _id: false,
+    filename: String,
+    status: String, // added, modified, removed, renamed
+    additions: Number,
+    deletions: Number,
+    changes: Number,
+    patch: String // Only kept while the commit's patches fit within the store's size cap
+  }],
+  // Push payloads carry file names but no line counts or parents;
+  // detailsComplete is set once stats and parents come from the commits API
+  detailsComplete: {
+    type: Boolean,
+    default: false
+  },
+  // Patches are needed for AI analysis; very large commits are stored without them
+  patchesStored: {
+    type: Boolean,
+    default: false
+  },
+  source: {
+    type: String,
+    enum: ['webhook', 'api'],
+    default: 'webhook'
+  }
+}, {
+  timestamps: true
+});
+
+commitSchema.index({ repositoryId: 1, sha: 1 }, { unique: true });
+commitSchema.index({ repositoryId: 1, 'author.date': -1 });
+commitSchema.index({ repositoryId: 1, branches: 1, 'committer.date': -1 });
+
+export default mongoose.model('Commit', commitSchema);
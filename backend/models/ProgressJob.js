@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Progress Job Schema - long-running operation state shared by every backend instance
+const progressJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String, // Owner of the job; only this user may read its progress
+    default: null,
+    index: true
+  },
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  message: String,
+  steps: [{
+    _id: false,
+    step: String,
+    timestamp: Number,
+    progress: Number
+  }],
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  startTime: {
+    type: Number,
+    required: true
+  },
+  endTime: Number,
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // MongoDB TTL monitor removes expired jobs
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ProgressJob', progressJobSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { encryptedString } from '../services/security/EncryptionService.js';
+
+// Provider Connection Schema - a GitLab or Bitbucket account a user connected next to
+// their GitHub login, so their work there is included in summaries
+const providerConnectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: ['gitlab', 'bitbucket'],
+    required: true
+  },
+  // API base URL, e.g. a self-hosted GitLab instance (provider default when unset)
+  baseUrl: {
+    type: String,
+    trim: true
+  },
+  providerUserId: String,
+  username: String,
+  // Commit emails on the provider account, used by the "only my commits" filter
+  emails: [String],
+  // Tokens are encrypted at rest (see services/security/EncryptionService.js)
+  accessToken: encryptedString({
+    required: true,
+    select: false // Don't include in queries by default for security
+  }),
+  refreshToken: encryptedString({
+    select: false
+  }),
+  tokenExpiresAt: Date
+}, {
+  timestamps: true
+});
+
+// One account per provider per user
+providerConnectionSchema.index({ userId: 1, provider: 1 }, { unique: true });
+
+export default mongoose.model('ProviderConnection', providerConnectionSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Pull Request Schema - local copy of pull requests a user opened, merged, reviewed or
+// commented on, written through by GitHubAPIClient so PR activity is kept for history
+const pullRequestSchema = new mongoose.Schema({
+  repositoryId: {
+    type: String, // Repository full name, e.g. "owner/repo"
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  url: String,
+  author: String, // GitHub login
+  state: {
+    type: String,
+    enum: ['open', 'closed']
+  },
+  draft: {
+    type: Boolean,
+    default: false
+  },
+  openedAt: Date,
+  closedAt: Date,
+  mergedAt: Date,
+  mergedBy: String, // GitHub login
+  // GitHub's updated_at; a pull request is only re-fetched once this moves on
+  lastUpdatedAt: Date,
+  reviews: [{
+    _id: false,
+    user: String, // GitHub login
+    state: String, // APPROVED, CHANGES_REQUESTED, COMMENTED, DISMISSED
+    submittedAt: Date,
+    url: String
+  }],
+  comments: [{
+    _id: false,
+    user: String, // GitHub login
+    kind: {
+      type: String,
+      enum: ['conversation', 'review'] // Conversation tab comment or inline diff comment
+    },
+    createdAt: Date,
+    url: String
+  }]
+}, {
+  timestamps: true
+});
+
+pullRequestSchema.index({ repositoryId: 1, number: 1 }, { unique: true });
+pullRequestSchema.index({ lastUpdatedAt: -1 });
+
+export default mongoose.model('PullRequest', pullRequestSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Repository Sync Schema - how much of a branch's history the local commit store holds
+// The store covers every commit on the branch committed between oldestDate and newestDate
+const repositorySyncSchema = new mongoose.Schema({
+  repositoryId: {
+    type: String, // Repository full name, e.g. "owner/repo"
+    required: true
+  },
+  branch: {
+    type: String,
+    required: true
+  },
+  isDefault: {
+    type: Boolean, // The repository's default branch, used when no branch is requested
+    default: false
+  },
+  newestSha: String, // Last seen commit at the branch head
+  newestDate: Date, // Committer date of newestSha; the next sync asks GitHub for commits since then
+  oldestDate: Date, // Start of the contiguous window held locally
+  reachedRoot: {
+    type: Boolean, // The window reaches the first commit of the branch
+    default: false
+  },
+  lastSyncedAt: Date
+}, {
+  timestamps: true
+});
+
+repositorySyncSchema.index({ repositoryId: 1, branch: 1 }, { unique: true });
+repositorySyncSchema.index({ repositoryId: 1, isDefault: 1 });
+
+export default mongoose.model('RepositorySync', repositorySyncSchema);
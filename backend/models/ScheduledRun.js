@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Result of one step (summary or tasks) within a scheduled run
+const runStepSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  message: String,
+  count: Number, // Commits summarized or tasks suggested
+  durationMs: Number
+}, { _id: false });
+
+// Scheduled Run Schema - history of morning pre-generation runs per user
+const scheduledRunSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  runDate: {
+    type: String, // Local calendar day in the user's time zone (YYYY-MM-DD)
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'skipped'],
+    default: 'running'
+  },
+  timezone: String,
+  summaryRange: String, // Label of the summarized window, e.g. "yesterday"
+  steps: {
+    summary: { type: runStepSchema, default: () => ({}) },
+    tasks: { type: runStepSchema, default: () => ({}) }
+  },
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// One scheduled run per user per local day; this also acts as the claim that
+// stops several backend instances from running the same user's job
+scheduledRunSchema.index(
+  { userId: 1, runDate: 1 },
+  { unique: true, partialFilterExpression: { trigger: 'schedule' } }
+);
+// History is kept for 30 days
+scheduledRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('ScheduledRun', scheduledRunSchema);
@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
-import crypto from 'crypto';
+import {
+  encryptSecret,
+  decryptSecret,
+  decryptLegacySetting,
+  isEncryptedSecret
+} from '../services/security/EncryptionService.js';
 
 const settingsSchema = new mongoose.Schema({
   key: {
@@ -24,28 +29,19 @@ const settingsSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Encryption utilities
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'fallback-key-change-in-production';
-const ALGORITHM = 'aes-256-cbc';
-
 // Sensitive keys that should be encrypted
-const SENSITIVE_KEYS = [
+export const SENSITIVE_KEYS = [
   'GITHUB_CLIENT_SECRET',
   'OPENAI_API_KEY',
   'SESSION_SECRET'
 ];
 
-// Encrypt sensitive data before saving
+// Encrypt sensitive data before saving (see services/security/EncryptionService.js)
 settingsSchema.pre('save', function(next) {
   if (this.isModified('value') && SENSITIVE_KEYS.includes(this.key)) {
     try {
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipher(ALGORITHM, ENCRYPTION_KEY);
-      let encrypted = cipher.update(this.value, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      this.value = iv.toString('hex') + ':' + encrypted;
-      this.encrypted = true;
+      this.value = encryptSecret(this.value);
+      this.encrypted = isEncryptedSecret(this.value);
     } catch (error) {
       console.error('Encryption error:', error);
       return next(error);
@@ -55,21 +51,14 @@ settingsSchema.pre('save', function(next) {
 });
 
 // Method to decrypt sensitive data
+// Values from older versions use the legacy aes-256-cbc format until they are migrated
 settingsSchema.methods.getDecryptedValue = function() {
   if (!this.encrypted) {
     return this.value;
   }
   
   try {
-    const textParts = this.value.split(':');
-    const iv = Buffer.from(textParts.shift(), 'hex');
-    const encryptedText = textParts.join(':');
-    
-    const decipher = crypto.createDecipher(ALGORITHM, ENCRYPTION_KEY);
-    let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+    return isEncryptedSecret(this.value) ? decryptSecret(this.value) : decryptLegacySetting(this.value);
   } catch (error) {
     console.error('Decryption error:', error);
     return null;
@@ -98,10 +87,12 @@ settingsSchema.statics.getValue = async function(key) {
 };
 
 // Static method to set a setting value
+// Sensitive values are encrypted here too, since findOneAndUpdate skips the save hook
 settingsSchema.statics.setValue = async function(key, value) {
+  const storedValue = SENSITIVE_KEYS.includes(key) ? encryptSecret(value) : value;
   const setting = await this.findOneAndUpdate(
     { key },
-    { value, updatedAt: new Date() },
+    { value: storedValue, encrypted: isEncryptedSecret(storedValue), updatedAt: new Date() },
     { upsert: true, new: true }
   );
   return setting;
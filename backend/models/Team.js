@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// Team Schema - a group of DevSum users who share a standup dashboard
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Members are DevSum users; admins must also be members
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // People an admin asked to join; they only become members (and share their work) once they accept
+  invites: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    admin: {
+      type: Boolean,
+      default: false
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  // Repositories (full names, e.g. "owner/repo") the team dashboard covers
+  repositories: [{
+    type: String,
+    trim: true
+  }],
+  // Summary window for the team dashboard (see DateUtils.resolveSummaryRange)
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  skipWeekends: {
+    type: Boolean,
+    default: false
+  },
+  mondayCoversWeekend: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+teamSchema.index({ members: 1 });
+teamSchema.index({ 'invites.user': 1 });
+
+export default mongoose.model('Team', teamSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Team Dashboard Schema - last standup dashboard built for a viewer and date range
+// Building one is slow (GitHub reads plus AI calls per member), so it runs as a
+// background job and the dashboard page only reads the stored snapshot
+const teamDashboardSchema = new mongoose.Schema({
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  viewerId: {
+    type: mongoose.Schema.Types.ObjectId, // Built with this member's GitHub access and AI provider
+    ref: 'User',
+    required: true
+  },
+  rangeKey: {
+    type: String,
+    required: true
+  },
+  data: mongoose.Schema.Types.Mixed,
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+teamDashboardSchema.index({ teamId: 1, viewerId: 1, rangeKey: 1 }, { unique: true });
+teamDashboardSchema.index({ generatedAt: 1 }, { expireAfterSeconds: 14 * 24 * 60 * 60 });
+
+export default mongoose.model('TeamDashboard', teamDashboardSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { encryptedString } from '../services/security/EncryptionService.js';
 
 /**
  * User Schema - Stores essential GitHub user data
@@ -26,24 +27,138 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: false
   },
-  // GitHub access token for API calls
-  accessToken: {
-    type: String,
+  // GitHub access token for API calls (encrypted at rest, like every secret below)
+  accessToken: encryptedString({
     required: true,
     select: false // Don't include in queries by default for security
-  },
-  // User's personal OpenAI API key for AI features
-  openaiApiKey: {
+  }),
+  // How the user signed in: 'oauth' (OAuth app), 'app' (GitHub App) or 'token' (personal access token)
+  authMethod: {
     type: String,
+    enum: ['oauth', 'app', 'token'],
+    default: 'oauth'
+  },
+  // GitHub App user tokens expire; the refresh token gets a new one (see GitHubAuth)
+  githubRefreshToken: encryptedString({
     required: false,
     select: false // Don't include in queries by default for security
+  }),
+  githubTokenExpiresAt: {
+    type: Date,
+    required: false
+  },
+  // AI provider used for all AI features (see services/ai/LLMProviders.js)
+  aiProvider: {
+    type: String,
+    required: false,
+    enum: ['openai', 'openai-compatible', 'anthropic'],
+    default: 'openai'
+  },
+  // Base URL for OpenAI-compatible servers (Ollama, vLLM, LM Studio) or a custom Anthropic endpoint
+  aiBaseUrl: {
+    type: String,
+    required: false,
+    trim: true
   },
-  // User's preferred OpenAI model
+  // User's personal API key for the selected AI provider
+  // (field name kept from when OpenAI was the only provider)
+  openaiApiKey: encryptedString({
+    required: false,
+    select: false // Don't include in queries by default for security
+  }),
+  // User's preferred model for the selected AI provider
   openaiModel: {
     type: String,
     required: false,
     default: 'gpt-4o-mini'
   },
+  // Personal monthly AI spend cap in USD; AI_MONTHLY_BUDGET_USD still applies when lower
+  aiMonthlyBudget: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // IANA time zone used to resolve "yesterday" for summaries
+  timezone: {
+    type: String,
+    required: false,
+    default: 'UTC'
+  },
+  // Treat Saturday/Sunday as non-working days when picking the summary day
+  skipWeekends: {
+    type: Boolean,
+    default: false
+  },
+  // On Mondays, summarize Friday through Sunday
+  mondayCoversWeekend: {
+    type: Boolean,
+    default: false
+  },
+  // Pre-generate the summary and task suggestions every morning (see SummaryScheduler)
+  scheduleEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Local time ("HH:MM", user's time zone) when the morning pre-generation runs
+  scheduleTime: {
+    type: String,
+    required: false,
+    default: '08:30',
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  // Whose commits count as the user's work: 'me', 'selected' (authorFilterList) or 'everyone'
+  authorFilter: {
+    type: String,
+    enum: ['me', 'selected', 'everyone'],
+    default: 'me'
+  },
+  // GitHub logins and/or commit emails used by the 'selected' author filter
+  authorFilterList: [{
+    type: String,
+    trim: true
+  }],
+  // Extra commit emails of the user (e.g. a work address not verified on GitHub)
+  authorEmails: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Include commits on every recently active branch in summaries, not just the default branch
+  summaryAllBranches: {
+    type: Boolean,
+    default: false
+  },
+  // Leave merge commits out of summaries, quality analysis and AI commit analysis
+  excludeMergeCommits: {
+    type: Boolean,
+    default: true
+  },
+  // Leave bot commits (Dependabot, Renovate, "[bot]" accounts) out as well
+  excludeBotCommits: {
+    type: Boolean,
+    default: true
+  },
+  // Extra bot logins and/or commit emails
+  commitBotAuthors: [{
+    type: String,
+    trim: true
+  }],
+  // Regular expressions; commits whose message matches one are left out
+  commitExcludePatterns: [{
+    type: String,
+    trim: true
+  }],
+  // Path globs; commits that only change matching files are left out
+  commitExcludePaths: [{
+    type: String,
+    trim: true
+  }],
+  // 'exclude' drops skipped commits; 'collapse' keeps them in repository commit lists, marked and without AI analysis
+  commitFilterMode: {
+    type: String,
+    enum: ['exclude', 'collapse'],
+    default: 'exclude'
+  },
   // User's GitHub repositories (we'll cache this)
   repositories: [{
     id: Number,
@@ -71,4 +186,34 @@ userSchema.statics.findByGithubId = function(githubId) {
   return this.findOne({ githubId });
 };
 
+/**
+ * Create or update the user for a GitHub account after sign-in
+ * @param {Object} profile - { githubId, username, email, avatarUrl }
+ * @param {Object} credentials - { accessToken, refreshToken, tokenExpiresAt, authMethod }
+ * @returns {Promise<Object>} Saved user
+ */
+userSchema.statics.upsertFromGitHub = async function(profile, credentials) {
+  const { githubId, username, email, avatarUrl } = profile;
+  const { accessToken, refreshToken = null, tokenExpiresAt = null, authMethod } = credentials;
+  let user = await this.findByGithubId(String(githubId));
+
+  if (!user) {
+    user = new this({
+      githubId: String(githubId),
+      repositories: [] // Will be populated when user accesses repos
+    });
+  }
+
+  user.username = username;
+  user.email = email || user.email || null; // Keep existing email if GitHub email is private
+  user.avatarUrl = avatarUrl || user.avatarUrl || null;
+  user.accessToken = accessToken;
+  user.githubRefreshToken = refreshToken || undefined;
+  user.githubTokenExpiresAt = tokenExpiresAt;
+  user.authMethod = authMethod;
+  await user.save();
+
+  return user;
+};
+
 export default mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { CATEGORY_IDS } from '../utils/CommitTaxonomy.js';
 
 /**
  * AI Service Models
@@ -17,10 +18,11 @@ const commitAnalysisSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Commit category from utils/CommitTaxonomy.js (older documents: npm run migrate-categories)
   category: {
     type: String,
     required: true,
-    enum: ['feature', 'bugfix', 'refactor', 'docs', 'other']
+    enum: CATEGORY_IDS
   },
   confidence: {
     type: Number,
@@ -78,12 +80,61 @@ const dailySummarySchema = new mongoose.Schema({
     id: String,
     name: String,
     fullName: String,
+    provider: String, // github, gitlab or bitbucket
     commitCount: Number,
     _id: String
   }],
   formattedCommits: {
     type: mongoose.Schema.Types.Mixed,
     required: false // Optional for backward compatibility
+  },
+  // Resolved summary window for cross-repository summaries (see DateUtils.resolveSummaryRange)
+  // Per-repository summaries leave these unset and are keyed on date alone
+  userId: {
+    type: String,
+    required: false,
+    index: true
+  },
+  rangeKey: {
+    type: String,
+    required: false
+  },
+  rangeStart: {
+    type: Date,
+    required: false
+  },
+  rangeEnd: {
+    type: Date,
+    required: false
+  },
+  timezone: {
+    type: String,
+    required: false
+  },
+  // AuthorFilter key the summary was built with (unset for summaries of everyone's work)
+  authorFilterKey: {
+    type: String,
+    required: false
+  },
+  // Pull requests the user opened, merged, reviewed or commented on in the range
+  pullRequests: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false
+  },
+  // Branches the summary read: 'default' or 'active' (every recently active branch); unset means 'default'
+  branchScope: {
+    type: String,
+    required: false
+  },
+  // CommitExclusion key the summary was built with (unset for summaries from before exclusion rules)
+  commitExclusionKey: {
+    type: String,
+    required: false
+  },
+  // Commits left out of the summary, counted per reason ({ merge, bot, message, paths, total })
+  skippedCommits: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false
   }
 }, {
   timestamps: true
@@ -96,6 +147,10 @@ const taskSuggestionSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  userId: {
+    type: String, // Owner of the suggestions; task state is tracked per user
+    index: true
+  },
   workSignature: {
     type: String,
     required: true,
@@ -117,7 +172,28 @@ const taskSuggestionSchema = new mongoose.Schema({
       type: String,
       required: true
     },
-    repositories: [String]
+    repositories: [String],
+    // Repository ("owner/repo") an issue for this task is created in
+    targetRepository: String,
+    // GitHub issue the task works on, linked by the AI or created from the dashboard
+    issue: {
+      repository: String,
+      number: Number,
+      title: String,
+      url: String
+    },
+    // Lifecycle state, see TaskTracker.TASK_STATUSES
+    status: {
+      type: String,
+      enum: ['suggested', 'accepted', 'in_progress', 'done', 'dismissed'],
+      default: 'suggested'
+    },
+    statusUpdatedAt: Date,
+    // Commit that completed the task when it was marked done automatically
+    completedBy: {
+      sha: String,
+      url: String
+    }
   }],
   baseCommits: [String]
 }, {
@@ -170,17 +246,27 @@ const qualityAnalysisSchema = new mongoose.Schema({
   },
   codeAnalysis: {
     commitsAnalyzed: Number,
+    commitsSkipped: Number, // Commits that only changed excluded paths
     totalLinesAnalyzed: Number,
     insights: [{
       commitSha: String,
       commitMessage: String,
       linesChanged: Number,
+      diffParts: Number, // Prompts the diff was split across
+      omittedFiles: [String], // Lockfiles, generated, vendored or oversized files left out of the prompts
       analysis: {
         severity: String,
         issues: [{
           type: { type: String },
           severity: { type: String },
-          line: { type: String },
+          line: { type: String }, // Free-form line from the AI, or the located range
+          // Location checked against the diff's hunks (see utils/DiffFindings.js)
+          file: { type: String },
+          lineStart: { type: Number },
+          lineEnd: { type: Number },
+          located: { type: Boolean },
+          url: { type: String }, // GitHub link to the lines at this commit
+          excerpt: { type: mongoose.Schema.Types.Mixed }, // { header, lines } of the diff around the lines
           description: { type: String },
           suggestion: { type: String },
           example: { type: String }
@@ -197,13 +283,14 @@ const qualityAnalysisSchema = new mongoose.Schema({
       overallCodeHealth: String
     }
   },
-  analysisMethod: String // 'enhanced' or 'basic'
+  analysisMethod: String, // 'enhanced' or 'basic'
+  skippedCommits: mongoose.Schema.Types.Mixed // Commits left out, counted per reason ({ merge, bot, message, paths, total })
 }, {
   timestamps: true
 });
 
 // Compound indexes for optimal queries
-dailySummarySchema.index({ date: 1, repositoryId: 1 }, { unique: true });
+dailySummarySchema.index({ date: 1, repositoryId: 1, userId: 1, rangeKey: 1 }, { unique: true });
 taskSuggestionSchema.index({ repositoryId: 1, workSignature: 1, createdAt: 1 });
 // !quality analysis compound index
 qualityAnalysisSchema.index({ repositoryId: 1, analysisDate: 1, cacheKey: 1 }, { unique: true });
@@ -229,11 +316,14 @@ const enhancedCommitsCacheSchema = new mongoose.Schema({
     author: {
       name: String,
       email: String,
+      username: String,
       date: Date
     },
     url: String,
     parents: [{ sha: String }],
     suggestedMessage: String,
+    category: String, // CommitTaxonomy category
+    skipReason: String, // CommitExclusion reason the commit got no AI analysis (unset when analyzed)
     stats: {
       additions: Number,
       deletions: Number,
@@ -3,11 +3,18 @@ import {
   analyzeCommits, 
   generateDailySummary, 
   generateTaskSuggestions, 
+  createTaskIssue,
+  updateTaskStatus,
+  getTasks,
+  getAIUsage,
+  getCommitCategories,
   suggestCommitMessage,
   getAnalysisHistory,
   analyzeCodeQuality,
   getQualityTrends,
-  generateYesterdaySummary
+  generateYesterdaySummary,
+  generateRangeSummary,
+  generateRetrospective
 } from '../controllers/AIController.js';
 import { ensureAuthenticated } from '../middleware/auth.js';
 
@@ -30,9 +37,30 @@ router.post('/daily-summary', generateDailySummary);
 //generate previous day summary for all repositories
 router.post('/yesterday-summary', generateYesterdaySummary);
 
+// Generate summary for a date range (?from=YYYY-MM-DD&to=YYYY-MM-DD) in the user's time zone
+router.post('/summary', generateRangeSummary);
+
+// Weekly or sprint retrospective (?period=week|sprint&from=&to=) built from stored summaries
+router.post('/retrospective', generateRetrospective);
+
 // Generate task suggestions based on recent work
 router.post('/task-suggestions', generateTaskSuggestions);
 
+// Task lifecycle: { status: suggested|accepted|in_progress|done|dismissed }
+router.patch('/task-suggestions/:suggestionId/tasks/:taskId', updateTaskStatus);
+
+// Tracked tasks (?status=accepted,in_progress&days=14)
+router.get('/tasks', getTasks);
+
+// AI token usage, estimated cost and monthly budget (?month=YYYY-MM)
+router.get('/usage', getAIUsage);
+
+// Commit categories (id, label, conventional type) used across summaries and metrics
+router.get('/commit-categories', getCommitCategories);
+
+// Create a GitHub issue from a suggested task (optional body: { repository: "owner/repo" })
+router.post('/task-suggestions/:suggestionId/tasks/:taskId/issue', createTaskIssue);
+
 // Suggest improved commit message based on diff
 router.post('/suggest-commit-message', suggestCommitMessage);
 
@@ -5,6 +5,8 @@ import repositoryRoutes from './repositories.js';
 import cacheRoutes from './cache.js';
 import githubRoutes from './github.js';
 import progressRoutes from './progress.js';
+import scheduleRoutes from './schedule.js';
+import teamRoutes from './teams.js';
 
 const router = express.Router();
 
@@ -28,4 +30,10 @@ router.use('/github', githubRoutes);
 // Progress tracking routes
 router.use('/progress', progressRoutes);
 
+// Morning pre-generation schedule routes
+router.use('/schedule', scheduleRoutes);
+
+// Team membership and standup dashboard routes
+router.use('/teams', teamRoutes);
+
 export default router; 
\ No newline at end of file
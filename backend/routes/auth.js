@@ -1,9 +1,19 @@
 import express from 'express';
-import passport, { isOAuthReady } from '../config/passport.js';
+import passport, { isOAuthReady, isProviderOAuthReady } from '../config/passport.js';
 import AuthController from '../controllers/AuthController.js';
+import { ensureAuthenticated } from '../middleware/auth.js';
+import { isTokenLoginEnabled } from '../config/github.js';
 
 // Destructure methods for cleaner route definitions
-const { handleOAuthCallback, logout, getCurrentUser, getAuthStatus } = AuthController;
+const {
+  handleOAuthCallback,
+  handleProviderConnected,
+  loginWithToken,
+  getAuthMethods,
+  logout,
+  getCurrentUser,
+  getAuthStatus
+} = AuthController;
 
 console.log('Auth routes module loading...');
 
@@ -11,7 +21,7 @@ const router = express.Router();
 
 /**
  * Authentication Routes
- * Handles GitHub OAuth flow
+ * Handles GitHub OAuth / GitHub App flow and personal access token sign-in
  */
 
 // Middleware to check if OAuth is configured
@@ -25,12 +35,10 @@ const requireOAuth = (req, res, next) => {
   next();
 };
 
-// Initiate GitHub OAuth login
+// Initiate GitHub OAuth login (scopes come from the strategy - none in GitHub App mode)
 router.get('/github', 
   requireOAuth,
-  passport.authenticate('github', { 
-    scope: ['user:email', 'repo'] 
-  })
+  passport.authenticate('github')
 );
 
 // GitHub OAuth callback
@@ -42,6 +50,51 @@ router.get('/github/callback',
   handleOAuthCallback
 );
 
+// Middleware to check if personal access token sign-in is enabled
+const requireTokenLogin = (req, res, next) => {
+  if (!isTokenLoginEnabled()) {
+    return res.status(503).json({
+      error: 'Token login disabled',
+      message: 'Signing in with a personal access token is not enabled on this server.'
+    });
+  }
+  next();
+};
+
+// Sign in with a GitHub personal access token
+router.post('/token', requireTokenLogin, loginWithToken);
+
+// Sign-in methods available on this server
+router.get('/methods', getAuthMethods);
+
+// Middleware to check if the requested GitLab or Bitbucket OAuth app is configured
+const requireProviderOAuth = (req, res, next) => {
+  if (!isProviderOAuthReady(req.params.provider)) {
+    return res.status(503).json({
+      error: 'OAuth not configured',
+      message: `${req.params.provider} OAuth credentials are not configured on this server.`
+    });
+  }
+  next();
+};
+
+// Connect a GitLab or Bitbucket account to the logged-in user (the GitHub login is unchanged)
+router.get('/:provider(gitlab|bitbucket)',
+  ensureAuthenticated,
+  requireProviderOAuth,
+  (req, res, next) => passport.authorize(req.params.provider)(req, res, next)
+);
+
+// GitLab / Bitbucket OAuth callback
+router.get('/:provider(gitlab|bitbucket)/callback',
+  ensureAuthenticated,
+  requireProviderOAuth,
+  (req, res, next) => passport.authorize(req.params.provider, {
+    failureRedirect: `${process.env.FRONTEND_URL}/settings?connect_error=${req.params.provider}`
+  })(req, res, next),
+  handleProviderConnected
+);
+
 // Logout
 router.post('/logout', logout);
 
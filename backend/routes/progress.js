@@ -1,13 +1,22 @@
 import express from 'express';
-import { getJobStatus, getAllJobs } from '../services/tasks/ProgressTracker.js';
+import { getJobStatus, getAllJobs, subscribeToJob } from '../services/tasks/ProgressTracker.js';
+import { ensureAuthenticated } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Progress stream timing
+const STREAM_SYNC_INTERVAL_MS = 2000; // Re-read the store for updates made on other instances
+const STREAM_HEARTBEAT_MS = 15000; // Keep idle connections open through proxies
+const STREAM_JOB_WAIT_MS = 10000; // Grace period for jobs that are still being started
+
+// Jobs belong to the user that started them
+router.use(ensureAuthenticated);
+
 /**
  * GET /api/progress/:jobId
- * Get the progress status of a specific job
+ * Get the progress status of a specific job owned by the current user
  */
-router.get('/:jobId', (req, res) => {
+router.get('/:jobId', async (req, res) => {
   try {
     const { jobId } = req.params;
     
@@ -17,7 +26,7 @@ router.get('/:jobId', (req, res) => {
       });
     }
 
-    const status = getJobStatus(jobId);
+    const status = await getJobStatus(jobId, req.user._id);
     
     if (!status) {
       return res.status(404).json({ 
@@ -40,13 +49,91 @@ router.get('/:jobId', (req, res) => {
   }
 });
 
+/**
+ * GET /api/progress/:jobId/stream
+ * Stream job progress as Server-Sent Events
+ * Sends a "progress" event with the job status after every change and closes once the
+ * job completes or fails. Sends "not-found" if the job does not appear within the grace period.
+ */
+router.get('/:jobId/stream', async (req, res) => {
+  const { jobId } = req.params;
+  const userId = req.user._id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  const openedAt = Date.now();
+  let lastSignature = null;
+  let lastWriteAt = openedAt;
+  let closed = false;
+  let unsubscribe = () => {};
+  let syncTimer = null;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(syncTimer);
+    unsubscribe();
+    res.end();
+  };
+
+  const sendEvent = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    lastWriteAt = Date.now();
+  };
+
+  // Only forward real changes; the periodic store sync re-reads unchanged jobs
+  const sendStatus = (status) => {
+    const signature = `${status.status}:${status.progress}:${status.message}:${status.steps.length}`;
+    if (signature === lastSignature) return;
+    lastSignature = signature;
+
+    sendEvent('progress', { success: true, ...status });
+    if (status.status === 'completed' || status.status === 'failed') {
+      close();
+    }
+  };
+
+  const sync = async () => {
+    try {
+      const status = await getJobStatus(jobId, userId);
+      if (status) {
+        sendStatus(status);
+      } else if (!lastSignature && Date.now() - openedAt > STREAM_JOB_WAIT_MS) {
+        sendEvent('not-found', { error: 'Job not found', jobId });
+        close();
+      }
+
+      if (!closed && Date.now() - lastWriteAt > STREAM_HEARTBEAT_MS) {
+        res.write(': keep-alive\n\n');
+        lastWriteAt = Date.now();
+      }
+    } catch (error) {
+      console.error('Error streaming job progress:', error);
+      sendEvent('stream-error', { error: 'Internal server error', message: error.message });
+      close();
+    }
+  };
+
+  req.on('close', close);
+  unsubscribe = subscribeToJob(jobId, userId, sendStatus);
+  syncTimer = setInterval(sync, STREAM_SYNC_INTERVAL_MS);
+  await sync();
+});
+
 /**
  * GET /api/progress
- * Get all active jobs (for debugging)
+ * Get all jobs owned by the current user
  */
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   try {
-    const allJobs = getAllJobs();
+    const allJobs = await getAllJobs(req.user._id);
 
     res.json({
       success: true,
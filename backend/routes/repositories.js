@@ -3,7 +3,7 @@ import { ensureAuthenticated, ensureGitHubToken } from '../middleware/auth.js';
 import RepositoryController from '../controllers/RepositoryController.js';
 
 // Destructure methods for cleaner route definitions
-const { getUserRepositories, getRepositoryCommits, getCommitDiff } = RepositoryController;
+const { getUserRepositories, getRepositoryBranches, getRepositoryCommits, getCommitDiff } = RepositoryController;
 
 const router = express.Router();
 
@@ -19,6 +19,9 @@ router.use(ensureGitHubToken);
 // Get user's repositories
 router.get('/', getUserRepositories);
 
+// Get branches for a specific repository
+router.get('/:owner/:repo/branches', getRepositoryBranches);
+
 // Get commits for a specific repository
 router.get('/:owner/:repo/commits', getRepositoryCommits);
 
@@ -0,0 +1,23 @@
+import express from 'express';
+import { ensureAuthenticated } from '../middleware/auth.js';
+import { getSchedule, getScheduleRuns, runScheduleNow } from '../controllers/ScheduleController.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to ALL routes in this router
+router.use(ensureAuthenticated);
+
+/**
+ * Morning Pre-generation Schedule Routes
+ */
+
+// Current schedule and next run time
+router.get('/', getSchedule);
+
+// Run history (scheduled and manual)
+router.get('/runs', getScheduleRuns);
+
+// Run the pre-generation immediately
+router.post('/run', runScheduleNow);
+
+export default router;
@@ -35,4 +35,18 @@ router.post('/test', settingsController.testSetting);
  */
 router.post('/clear-cache', settingsController.clearCache);
 
+/**
+ * @route   GET /api/settings/connections
+ * @desc    List connectable GitLab / Bitbucket accounts and their status
+ * @access  Private
+ */
+router.get('/connections', settingsController.getConnections);
+
+/**
+ * @route   DELETE /api/settings/connections/:provider
+ * @desc    Disconnect a GitLab or Bitbucket account
+ * @access  Private
+ */
+router.delete('/connections/:provider', settingsController.disconnect);
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,50 @@
+import express from 'express';
+import { ensureAuthenticated } from '../middleware/auth.js';
+import {
+  getTeams,
+  getInvites,
+  postInviteAccept,
+  removeInvite,
+  postTeam,
+  getTeamById,
+  putTeam,
+  removeTeam,
+  postTeamMember,
+  removeTeamMember,
+  getTeamDashboardView,
+  postTeamDashboardRefresh
+} from '../controllers/TeamController.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to ALL routes in this router
+router.use(ensureAuthenticated);
+
+/**
+ * Team Routes
+ */
+
+// Teams the current user belongs to
+router.get('/', getTeams);
+router.post('/', postTeam);
+
+// Invites waiting for the current user (before /:teamId so "invites" is not read as an id)
+router.get('/invites', getInvites);
+router.post('/:teamId/invite/accept', postInviteAccept);
+router.delete('/:teamId/invite', removeInvite);
+
+// Single team (updates and deletion are admin only)
+router.get('/:teamId', getTeamById);
+router.put('/:teamId', putTeam);
+router.delete('/:teamId', removeTeam);
+
+// Membership
+router.post('/:teamId/members', postTeamMember);
+router.delete('/:teamId/members/:memberId', removeTeamMember);
+
+// Standup dashboard with per-member summaries and team metrics
+// GET reads the last build; POST refresh builds it in a progress-tracked job
+router.get('/:teamId/dashboard', getTeamDashboardView);
+router.post('/:teamId/dashboard/refresh', postTeamDashboardRefresh);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { receiveGitHubWebhook } from '../controllers/WebhookController.js';
+
+const router = express.Router();
+
+/**
+ * Webhook Routes
+ * Mounted before the global JSON parser: signatures are computed over the raw body,
+ * so it is kept as a Buffer here and parsed by the controller after verification.
+ * Authenticated by HMAC signature, not by session.
+ */
+
+// GitHub push events (and ping)
+router.post('/github', express.raw({ type: '*/*', limit: '5mb' }), receiveGitHubWebhook);
+
+export default router;
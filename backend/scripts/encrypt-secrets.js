@@ -0,0 +1,41 @@
+// Load environment variables FIRST, before any other imports
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+const { default: connectDB } = await import('../config/database.js');
+const { assertEncryptionConfigured, isEncryptionConfigured } = await import('../services/security/EncryptionService.js');
+const { migrateStoredSecrets } = await import('../services/security/SecretMigration.js');
+
+/**
+ * Encrypt stored secrets with the current encryption key
+ * Run after enabling encryption or after putting a new key first in ENCRYPTION_KEYS;
+ * once it reports nothing left to update, older keys can be removed.
+ *
+ * Usage:
+ *   npm run encrypt-secrets
+ */
+
+const main = async () => {
+  assertEncryptionConfigured();
+  if (!isEncryptionConfigured()) {
+    console.error('❌ Set ENCRYPTION_KEYS before running this script');
+    process.exit(1);
+  }
+
+  await connectDB();
+  const counts = await migrateStoredSecrets();
+  await mongoose.connection.close();
+
+  console.log(`✅ Done: ${counts.users} users, ${counts.connections} connections, ${counts.settings} settings updated`);
+  process.exit(0);
+};
+
+main().catch(error => {
+  console.error('❌ Secret migration failed:', error.message);
+  process.exit(1);
+});
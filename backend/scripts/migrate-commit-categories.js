@@ -0,0 +1,33 @@
+// Load environment variables FIRST, before any other imports
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+const { default: connectDB } = await import('../config/database.js');
+const { migrateCommitCategories } = await import('../services/ai/CategoryMigration.js');
+
+/**
+ * Move stored commit analyses and daily summaries onto the shared commit taxonomy
+ * Safe to run more than once; documents already up to date are left alone.
+ *
+ * Usage:
+ *   npm run migrate-categories
+ */
+
+const main = async () => {
+  await connectDB();
+  const counts = await migrateCommitCategories();
+  await mongoose.connection.close();
+
+  console.log(`✅ Done: ${counts.analyses} commit analyses, ${counts.summaries} daily summaries updated`);
+  process.exit(0);
+};
+
+main().catch(error => {
+  console.error('❌ Category migration failed:', error.message);
+  process.exit(1);
+});
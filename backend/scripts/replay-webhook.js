@@ -0,0 +1,120 @@
+// Load environment variables FIRST, before any other imports
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+const { signPayload } = await import('../services/external/GitHubWebhookHandler.js');
+
+/**
+ * Replay a GitHub webhook delivery against a running backend
+ * Signs the payload with GITHUB_WEBHOOK_SECRET exactly as GitHub does, so the
+ * webhook endpoint can be exercised locally without GitHub.
+ *
+ * Usage:
+ *   npm run replay-webhook -- [fixture.json] [--repo owner/name] [--url http://localhost:3000/webhooks/github]
+ *                             [--event push] [--yesterday]
+ *
+ *   --repo       Rewrite repository.full_name (and commit URLs) to one of your repositories
+ *   --yesterday  Shift commit timestamps so the newest commit lands 24 hours ago
+ */
+
+const DEFAULT_FIXTURE = join(__dirname, 'fixtures', 'github-push.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse command-line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} { fixture, repo, url, event, yesterday }
+ */
+const parseArgs = (argv) => {
+  const options = {
+    fixture: DEFAULT_FIXTURE,
+    repo: null,
+    url: `http://localhost:${process.env.PORT || 3000}/webhooks/github`,
+    event: 'push',
+    yesterday: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--repo') options.repo = argv[++i];
+    else if (arg === '--url') options.url = argv[++i];
+    else if (arg === '--event') options.event = argv[++i];
+    else if (arg === '--yesterday') options.yesterday = true;
+    else options.fixture = resolve(arg);
+  }
+
+  return options;
+};
+
+/**
+ * Apply --repo and --yesterday rewrites to a push payload
+ * @param {Object} payload - Push payload
+ * @param {Object} options - Parsed options
+ * @returns {Object} Rewritten payload
+ */
+const rewritePayload = (payload, options) => {
+  const originalRepo = payload.repository?.full_name;
+
+  if (options.repo && originalRepo) {
+    const [owner, name] = options.repo.split('/');
+    payload.repository = { ...payload.repository, full_name: options.repo, name, owner: { login: owner } };
+    for (const commit of payload.commits || []) {
+      commit.url = commit.url?.replace(originalRepo, options.repo);
+    }
+  }
+
+  if (options.yesterday && payload.commits?.length) {
+    const newest = Math.max(...payload.commits.map(commit => new Date(commit.timestamp).getTime()));
+    const shift = Date.now() - DAY_MS - newest;
+    for (const commit of payload.commits) {
+      commit.timestamp = new Date(new Date(commit.timestamp).getTime() + shift).toISOString();
+    }
+  }
+
+  return payload;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const secret = process.env.GITHUB_WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error('❌ GITHUB_WEBHOOK_SECRET is not set (backend/.env)');
+    process.exit(1);
+  }
+
+  const payload = rewritePayload(JSON.parse(await readFile(options.fixture, 'utf8')), options);
+  const body = JSON.stringify(payload);
+  const deliveryId = crypto.randomUUID();
+
+  console.log(`📤 Replaying ${options.event} delivery ${deliveryId} to ${options.url}`);
+  console.log(`   Fixture: ${options.fixture}`);
+  console.log(`   Repository: ${payload.repository?.full_name}, commits: ${payload.commits?.length || 0}`);
+
+  const response = await fetch(options.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'GitHub-Hookshot/devsum-replay',
+      'X-GitHub-Event': options.event,
+      'X-GitHub-Delivery': deliveryId,
+      'X-Hub-Signature-256': signPayload(body, secret)
+    },
+    body
+  });
+
+  const result = await response.json().catch(() => ({}));
+  console.log(`${response.ok ? '✅' : '❌'} ${response.status}`, JSON.stringify(result, null, 2));
+  process.exit(response.ok ? 0 : 1);
+};
+
+main().catch(error => {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+});
@@ -23,15 +23,32 @@ console.log('Importing API routes...');
 import apiRoutes from './routes/api.js';
 console.log('Importing AI routes...');
 import aiRoutes from './routes/ai.js';
+import webhookRoutes from './routes/webhooks.js';
+import { startScheduler, stopScheduler } from './services/tasks/SummaryScheduler.js';
+import { assertEncryptionConfigured } from './services/security/EncryptionService.js';
+import { migrateStoredSecrets } from './services/security/SecretMigration.js';
 console.log('✅ All route imports completed');
 
 // Fix memory leak warnings by increasing max listeners
 process.setMaxListeners(20);
 console.log('🔧 Set process max listeners to 20 to prevent memory leak warnings');
 
+// Tokens and API keys are encrypted at rest - refuse to start in production without keys
+try {
+  assertEncryptionConfigured();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
+
 // Connect to MongoDB
 await connectDB();
 
+// Encrypt secrets stored before encryption was enabled, or with a rotated-out key
+migrateStoredSecrets().catch(error => {
+  console.error('❌ Secret migration failed:', error.message);
+});
+
 // Initialize GitHub OAuth with shared app credentials
 console.log('🔐 Initializing GitHub OAuth...');
 await initializeOAuth();
@@ -78,6 +95,9 @@ app.use(cors({
   },
   credentials: true
 }));
+// Webhooks verify signatures over the raw body, so they are mounted before the body parsers
+app.use('/webhooks', webhookRoutes);
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -298,12 +318,18 @@ const server = app.listen(PORT, () => {
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`⚡ Ready to handle requests!`);
   console.log('============================================\n');
+
+  // Morning summary pre-generation for opted-in users
+  startScheduler();
 });
 
 // Graceful shutdown function
 const gracefulShutdown = (signal) => {
   console.log(`\n🛑 ${signal} received. Starting graceful shutdown...`);
   
+  // Stop scheduling new background runs
+  stopScheduler();
+  
   // Stop accepting new connections
   server.close((err) => {
     if (err) {
@@ -3,7 +3,10 @@ import PromptBuilder from '../prompts/PromptBuilder.js';
 import CacheManager from '../external/CacheManager.js';
 import { CommitAnalysis } from '../../models/aiModels.js';
 import { callOpenAI, defaultOptions } from './OpenAIClientManager.js';
-import { parseCommitAnalysis, parseCategorizationResponse, cleanCommitSuggestion } from './AIResponseParser.js';
+import { AI_FEATURES } from './UsageTracker.js';
+import { getCommitBatchSize } from '../../config/workQueue.js';
+import { describeOmittedFiles } from '../../utils/DiffPreparation.js';
+import { parseCommitAnalysis, parseBatchCommitAnalysis, parseCategorizationResponse, cleanCommitSuggestion } from './AIResponseParser.js';
 import { categorizeCommits as fallbackCategorize, suggestCommitMessage as fallbackSuggest, analyzeCommitDiff as fallbackAnalyze, isMessageImproved } from './AIFallbackStrategies.js';
 
 /**
@@ -11,6 +14,9 @@ import { categorizeCommits as fallbackCategorize, suggestCommitMessage as fallba
  * Handles commit categorization, analysis, and message suggestions
  */
 
+// Diffs up to this size are analyzed together with other small commits in one prompt
+const SMALL_DIFF_CHARS = 1500;
+
 let initialized = false;
 let promptBuilder = null;
 let cacheManager = null;
@@ -92,18 +98,23 @@ export const categorizeCommits = async (commits, userApiKey, userModel = 'gpt-4o
 /**
  * Analyze individual commit diff with AI
  * @param {Object} commit - Commit object
- * @param {string} diff - Diff content
+ * @param {string} diff - Diff content, prepared by utils/DiffPreparation.js
  * @param {string} userApiKey - User's OpenAI API key
  * @param {string} userModel - User's preferred model
+ * @param {string} repository - Repository full name, for usage accounting
+ * @param {Object} context - { omittedFiles } - files left out of the diff (see PromptUtils.formatDiffContext)
  * @returns {Promise<Object>} Commit analysis result
  */
-export const analyzeCommitDiff = async (commit, diff, userApiKey, userModel = 'gpt-4o-mini') => {
+export const analyzeCommitDiff = async (commit, diff, userApiKey, userModel = 'gpt-4o-mini', repository = null, context = {}) => {
   await init();
   console.log(`🔍 AI Diff Analysis: Analyzing commit ${commit.sha?.substring(0, 7)} (diff: ${diff.length} chars)`);
 
   try {
-    const prompt = promptBuilder.createCommitAnalysisPrompt(commit, diff);
-    const analysis = await callOpenAI(prompt, userApiKey, userModel, defaultOptions.commitAnalysis);
+    const prompt = promptBuilder.createCommitAnalysisPrompt(commit, diff, context);
+    const analysis = await callOpenAI(prompt, userApiKey, userModel, {
+      ...defaultOptions.commitAnalysis,
+      usage: { feature: AI_FEATURES.COMMIT_ANALYSIS, repository }
+    });
     const parsedAnalysis = parseCommitAnalysis(analysis);
 
     console.log(`Analysis complete for ${commit.sha?.substring(0, 7)}: ${parsedAnalysis.suggestedMessage}`);
@@ -122,6 +133,141 @@ export const analyzeCommitDiff = async (commit, diff, userApiKey, userModel = 'g
   }
 };
 
+/**
+ * Analyze a commit whose prepared diff was split into several chunks
+ * Each chunk is analyzed on its own, then one more prompt merges the part analyses into a single
+ * message and description; if that fails the first part (the most relevant files) stands in
+ * @param {Object} commit - Commit object
+ * @param {Object} prepared - Result of DiffPreparation.prepareDiff with more than one chunk
+ * @param {string|Object} userApiKey - User's API key or provider credentials
+ * @param {string} userModel - User's preferred model
+ * @param {string} repository - Repository full name, for usage accounting
+ * @returns {Promise<Object>} Commit analysis result (see analyzeCommitDiff), with diffParts
+ */
+export const analyzeChunkedCommitDiff = async (commit, prepared, userApiKey, userModel = 'gpt-4o-mini', repository = null) => {
+  await init();
+  const { diff, chunks, files, omitted } = prepared;
+  const omittedFiles = describeOmittedFiles(omitted);
+  const options = { ...defaultOptions.commitAnalysis, usage: { feature: AI_FEATURES.COMMIT_ANALYSIS, repository } };
+  console.log(`🔍 AI Diff Analysis: Analyzing commit ${commit.sha?.substring(0, 7)} in ${chunks.length} parts (${files.length} files, ${omitted.length} left out)`);
+
+  // callOpenAI's work queue limits how many parts run at once
+  const partials = (await Promise.all(chunks.map(async (chunk, index) => {
+    try {
+      const prompt = promptBuilder.createCommitAnalysisPrompt(commit, chunk, { part: index + 1, parts: chunks.length, omittedFiles });
+      return parseCommitAnalysis(await callOpenAI(prompt, userApiKey, userModel, options));
+    } catch (error) {
+      console.error(`Failed to analyze part ${index + 1} of commit ${commit.sha?.substring(0, 7)}:`, error.message);
+      return null;
+    }
+  }))).filter(Boolean);
+
+  if (partials.length === 0) {
+    return fallbackAnalyze(commit, diff);
+  }
+
+  let merged = partials[0];
+  if (partials.length > 1) {
+    try {
+      const prompt = promptBuilder.createCommitAnalysisMergePrompt(commit, partials, { files, omittedFiles });
+      merged = parseCommitAnalysis(await callOpenAI(prompt, userApiKey, userModel, options));
+    } catch (error) {
+      console.error(`Failed to merge the analyses of commit ${commit.sha?.substring(0, 7)}:`, error.message);
+      merged = { ...partials[0], description: partials.map(partial => partial.description).join(' ') };
+    }
+  }
+
+  console.log(`Analysis complete for ${commit.sha?.substring(0, 7)}: ${merged.suggestedMessage}`);
+  return {
+    diffSize: diff.length,
+    diffParts: chunks.length,
+    suggestedMessage: merged.suggestedMessage,
+    suggestedDescription: merged.description,
+    commitAnalysis: merged.analysis,
+    confidence: merged.confidence,
+    analysisDate: new Date().toISOString()
+  };
+};
+
+/**
+ * Analyze many commit diffs, batching small commits into shared prompts
+ * Large commits get a prompt of their own, or one per chunk when their prepared diff was split;
+ * commits the AI skips or that fail fall back to heuristics
+ * @param {Array} entries - [{ commit, diff, prepared }] - prepared is from DiffPreparation.prepareDiff (optional)
+ * @param {string|Object} userApiKey - User's API key or provider credentials
+ * @param {string} userModel - User's preferred model
+ * @param {string} repository - Repository full name, for usage accounting
+ * @returns {Promise<Array>} Commit analysis results in input order (see analyzeCommitDiff)
+ */
+export const analyzeCommitDiffs = async (entries, userApiKey, userModel = 'gpt-4o-mini', repository = null) => {
+  await init();
+  const batchSize = getCommitBatchSize();
+  const results = new Array(entries.length);
+
+  const batches = [];
+  let current = [];
+  entries.forEach((entry, index) => {
+    if (batchSize === 1 || entry.diff.length > SMALL_DIFF_CHARS) {
+      batches.push([index]);
+      return;
+    }
+    current.push(index);
+    if (current.length === batchSize) {
+      batches.push(current);
+      current = [];
+    }
+  });
+  if (current.length > 0) batches.push(current);
+
+  console.log(`🔍 AI Diff Analysis: ${entries.length} commits in ${batches.length} requests`);
+
+  // callOpenAI's work queue limits how many of these run at once
+  await Promise.all(batches.map(async (batch) => {
+    if (batch.length === 1) {
+      const [index] = batch;
+      const { commit, diff, prepared } = entries[index];
+      results[index] = prepared?.chunks.length > 1
+        ? await analyzeChunkedCommitDiff(commit, prepared, userApiKey, userModel, repository)
+        : await analyzeCommitDiff(commit, diff, userApiKey, userModel, repository, { omittedFiles: describeOmittedFiles(prepared?.omitted) });
+      return;
+    }
+
+    const batchEntries = batch.map(index => ({
+      ...entries[index],
+      omittedFiles: describeOmittedFiles(entries[index].prepared?.omitted)
+    }));
+    let analyses = [];
+    try {
+      const prompt = promptBuilder.createBatchCommitAnalysisPrompt(batchEntries);
+      const response = await callOpenAI(prompt, userApiKey, userModel, {
+        ...defaultOptions.commitAnalysis,
+        maxTokens: defaultOptions.commitAnalysis.maxTokens * batch.length,
+        usage: { feature: AI_FEATURES.COMMIT_ANALYSIS, repository }
+      });
+      analyses = parseBatchCommitAnalysis(response, batch.length);
+    } catch (error) {
+      console.error(`Failed to analyze a batch of ${batch.length} commits:`, error.message);
+    }
+
+    batch.forEach((index, position) => {
+      const { commit, diff } = entries[index];
+      const parsed = analyses[position];
+      results[index] = parsed
+        ? {
+          diffSize: diff.length,
+          suggestedMessage: parsed.suggestedMessage,
+          suggestedDescription: parsed.description,
+          commitAnalysis: parsed.analysis,
+          confidence: parsed.confidence,
+          analysisDate: new Date().toISOString()
+        }
+        : fallbackAnalyze(commit, diff);
+    });
+  }));
+
+  return results;
+};
+
 /**
  * Suggest improved commit message
  * @param {string} diffContent - Diff content for analysis
@@ -137,7 +283,10 @@ export const suggestCommitMessage = async (diffContent, userApiKey, userModel =
 
   try {
     const prompt = promptBuilder.createCommitMessagePrompt(diffContent, currentMessage);
-    const suggestion = await callOpenAI(prompt, userApiKey, userModel, defaultOptions.commitAnalysis);
+    const suggestion = await callOpenAI(prompt, userApiKey, userModel, {
+      ...defaultOptions.commitAnalysis,
+      usage: { feature: AI_FEATURES.COMMIT_MESSAGE, repository: repositoryId }
+    });
     const cleanSuggestion = cleanCommitSuggestion(suggestion);
     const improved = isMessageImproved(currentMessage, cleanSuggestion);
 
@@ -169,7 +318,10 @@ export const suggestCommitMessage = async (diffContent, userApiKey, userModel =
 const analyzeWithAI = async (commits, userApiKey, userModel) => {
   console.log(`🔍 AI Analysis: Categorizing ${commits.length} commits`);
   const prompt = promptBuilder.createCategorizationPrompt(commits);
-  const aiResponse = await callOpenAI(prompt, userApiKey, userModel, defaultOptions.commitAnalysis);
+  const aiResponse = await callOpenAI(prompt, userApiKey, userModel, {
+    ...defaultOptions.commitAnalysis,
+    usage: { feature: AI_FEATURES.CATEGORIZATION }
+  });
 
   try {
     return parseCategorizationResponse(commits, aiResponse);
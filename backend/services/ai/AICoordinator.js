@@ -2,6 +2,7 @@ import dotenv from 'dotenv';
 import connectDB from '../../config/database.js';
 import QualityAnalyzer from '../quality/QualityAnalyzer.js';
 import { createOpenAIClient } from './OpenAIClientManager.js';
+import { AI_FEATURES } from './UsageTracker.js';
 import * as CommitAnalyzer from './AICommitAnalyzer.js';
 import * as SummaryGenerator from '../tasks/SummaryGenerator.js';
 import * as TaskSuggester from '../tasks/TaskSuggester.js';
@@ -73,11 +74,12 @@ const generateDailySummary = async (commits, repositoryId, userApiKey, userModel
  * @param {string} userApiKey - User's OpenAI API key
  * @param {string} userModel - User's preferred model
  * @param {boolean} forceRefresh - Force regeneration
+ * @param {Object} context - { issues, userId } for issue linking and task tracking
  * @returns {Promise<Array>} Array of task suggestions
  */
-const generateTaskSuggestions = async (recentCommits, repositoryId, userApiKey, userModel = 'gpt-4o-mini', forceRefresh = false) => {
+const generateTaskSuggestions = async (recentCommits, repositoryId, userApiKey, userModel = 'gpt-4o-mini', forceRefresh = false, context = {}) => {
   await init();
-  return await TaskSuggester.generateTaskSuggestions(recentCommits, repositoryId, userApiKey, userModel, forceRefresh);
+  return await TaskSuggester.generateTaskSuggestions(recentCommits, repositoryId, userApiKey, userModel, forceRefresh, context);
 };
 
 /**
@@ -117,9 +119,13 @@ const getAnalysisHistory = async (repositoryId, days = 30) => {
  * @param {string} timeframe - Analysis timeframe
  * @param {string} repositoryFullName - Full repository name
  * @param {boolean} forceRefresh - Whether to bypass cache and force fresh analysis
+ * @param {Function} onProgress - Optional (progress, message, step) reporter
+ * @param {Object} commitExclusion - Optional rules from CommitExclusion.resolveCommitExclusion; matching commits are skipped
+ * @param {Object} sourceService - Source control client that reads the repository's diffs
+ *   (GitHub, GitLab, Bitbucket or local); defaults to the one set with setGitHubService
  * @returns {Promise<Object>} Quality analysis results
  */
-const analyzeCodeQuality = async (commits, repositoryId, userApiKey, userModel = 'gpt-4o-mini', timeframe = 'weekly', repositoryFullName = null, forceRefresh = false) => {
+const analyzeCodeQuality = async (commits, repositoryId, userApiKey, userModel = 'gpt-4o-mini', timeframe = 'weekly', repositoryFullName = null, forceRefresh = false, onProgress = undefined, commitExclusion = null, sourceService = githubService) => {
   await init();
   
   // Create quality analyzer with user-specific API key (existing class-based approach)
@@ -130,13 +136,15 @@ const analyzeCodeQuality = async (commits, repositoryId, userApiKey, userModel =
   const promptBuilder = new PromptBuilder();
   const qualityAnalyzer = new QualityAnalyzer(
     openai, 
-    (prompt) => callOpenAI(prompt, userApiKey, userModel), 
+    (prompt) => callOpenAI(prompt, userApiKey, userModel, {
+      usage: { feature: AI_FEATURES.QUALITY, repository: repositoryFullName || repositoryId }
+    }), 
     promptBuilder, 
-    githubService,
+    sourceService,
     userModel // Pass the model for dynamic diff sizing
   );
   
-  return await qualityAnalyzer.analyzeCodeQuality(commits, repositoryId, timeframe, repositoryFullName, forceRefresh);
+  return await qualityAnalyzer.analyzeCodeQuality(commits, repositoryId, timeframe, repositoryFullName, forceRefresh, onProgress, commitExclusion);
 };
 
 /**
@@ -159,7 +167,9 @@ const getQualityTrends = async (repositoryId, userApiKey, userModel = 'gpt-4o-mi
   const promptBuilder = new PromptBuilder();
   const qualityAnalyzer = new QualityAnalyzer(
     openai, 
-    (prompt) => callOpenAI(prompt, userApiKey, userModel), 
+    (prompt) => callOpenAI(prompt, userApiKey, userModel, {
+      usage: { feature: AI_FEATURES.QUALITY, repository: repositoryId }
+    }), 
     promptBuilder, 
     githubService
   );
@@ -174,11 +184,26 @@ const getQualityTrends = async (repositoryId, userApiKey, userModel = 'gpt-4o-mi
  * @param {string} diff - Diff content
  * @param {string} userApiKey - User's OpenAI API key
  * @param {string} userModel - User's preferred model
+ * @param {string} repository - Repository full name, for usage accounting
  * @returns {Promise<Object>} Commit analysis result
  */
-const analyzeCommitDiff = async (commit, diff, userApiKey, userModel = 'gpt-4o-mini') => {
+const analyzeCommitDiff = async (commit, diff, userApiKey, userModel = 'gpt-4o-mini', repository = null) => {
   await init();
-  return await CommitAnalyzer.analyzeCommitDiff(commit, diff, userApiKey, userModel);
+  return await CommitAnalyzer.analyzeCommitDiff(commit, diff, userApiKey, userModel, repository);
+};
+
+/**
+ * Analyze many commit diffs, batching small commits into shared prompts
+ * Delegates to CommitAnalyzer functional module
+ * @param {Array} entries - [{ commit, diff, prepared }] - prepared is from DiffPreparation.prepareDiff (optional)
+ * @param {string|Object} userApiKey - User's API key or provider credentials
+ * @param {string} userModel - User's preferred model
+ * @param {string} repository - Repository full name, for usage accounting
+ * @returns {Promise<Array>} Commit analysis results in input order
+ */
+const analyzeCommitDiffs = async (entries, userApiKey, userModel = 'gpt-4o-mini', repository = null) => {
+  await init();
+  return await CommitAnalyzer.analyzeCommitDiffs(entries, userApiKey, userModel, repository);
 };
 
 /**
@@ -238,6 +263,7 @@ const AIService = {
   generateTaskSuggestions,
   suggestCommitMessage,
   analyzeCommitDiff,
+  analyzeCommitDiffs,
   
   // Quality analysis (existing QualityAnalyzer integration)
   analyzeCodeQuality,
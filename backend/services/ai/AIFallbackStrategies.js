@@ -4,8 +4,94 @@
  * Fast execution, deterministic results, always available
  */
 
+import { categorizeMessage } from '../../utils/CommitTaxonomy.js';
+import { classifyFile, FILE_KINDS } from '../../utils/FileClassifier.js';
+
+// Category and confidence when every changed file is of one kind
+const SINGLE_KIND_CATEGORIES = {
+  [FILE_KINDS.TEST]: { category: 'test', confidence: 0.9, reason: 'Only test files changed' },
+  [FILE_KINDS.DOCS]: { category: 'docs', confidence: 0.9, reason: 'Only documentation changed' },
+  [FILE_KINDS.CI]: { category: 'ci', confidence: 0.9, reason: 'Only CI configuration changed' },
+  [FILE_KINDS.LOCKFILE]: { category: 'build', confidence: 0.85, reason: 'Only lockfiles changed' },
+  [FILE_KINDS.BUILD]: { category: 'build', confidence: 0.8, reason: 'Only build files and dependency manifests changed' },
+  [FILE_KINDS.CONFIG]: { category: 'chore', confidence: 0.6, reason: 'Only configuration files changed' }
+};
+
+// Categories the message decides on its own - words like "security" or a revert say more than file paths
+const MESSAGE_ONLY_CATEGORIES = ['security', 'revert'];
+
+/**
+ * Work out a category from the files a commit changed
+ * @param {Array} files - Changed files ({ filename, status, additions, deletions }) from getCommitDiff
+ * @returns {Object|null} { category, confidence, reason }, or null when the files don't point anywhere
+ */
+const categorizeFiles = (files) => {
+  const kinds = new Set(files.map(file => classifyFile(file.filename)));
+  const additions = files.reduce((sum, file) => sum + (file.additions || 0), 0);
+  const deletions = files.reduce((sum, file) => sum + (file.deletions || 0), 0);
+
+  if (files.every(file => file.status === 'renamed' && !file.changes)) {
+    return { category: 'refactor', confidence: 0.85, reason: 'Only renames or moves files' };
+  }
+
+  if (kinds.size === 1) {
+    const [kind] = kinds;
+    if (SINGLE_KIND_CATEGORIES[kind]) return SINGLE_KIND_CATEGORIES[kind];
+    if (kind === FILE_KINDS.MIGRATION) {
+      return { category: 'feature', confidence: 0.55, reason: 'Only database migrations changed' };
+    }
+  }
+
+  if (kinds.size === 2 && kinds.has(FILE_KINDS.LOCKFILE) && kinds.has(FILE_KINDS.BUILD)) {
+    return { category: 'build', confidence: 0.85, reason: 'Only dependency manifests and lockfiles changed' };
+  }
+
+  const sourceFiles = files.filter(file => classifyFile(file.filename) === FILE_KINDS.SOURCE);
+  if (sourceFiles.length > 0 && sourceFiles.every(file => file.status === 'added')) {
+    return { category: 'feature', confidence: 0.6, reason: 'Adds new source files' };
+  }
+  if (deletions >= 20 && deletions > additions * 2) {
+    return { category: 'refactor', confidence: 0.55, reason: 'Mostly removes code' };
+  }
+  return null;
+};
+
 /**
- * Categorize commits using keyword-based rules
+ * Categorize a commit from its message and the files it changed
+ * A conventional commit type is trusted; otherwise what the files show (tests-only, docs-only,
+ * lockfile-only, config, migrations, renames) outweighs message keywords
+ * @param {string} message - Commit message
+ * @param {Array} files - Changed files from getCommitDiff (optional)
+ * @returns {Object} { category, confidence, reason }
+ */
+export const categorizeCommitDiff = (message, files = []) => {
+  const fromMessage = categorizeMessage(message);
+  const fromFiles = files?.length > 0 ? categorizeFiles(files) : null;
+  if (!fromFiles) return fromMessage;
+
+  const agree = fromFiles.category === fromMessage.category;
+  const isConventional = fromMessage.confidence >= 0.9;
+
+  if (agree) {
+    return {
+      category: fromMessage.category,
+      confidence: Math.min(Math.max(fromMessage.confidence, fromFiles.confidence) + 0.1, 0.95),
+      reason: `${fromMessage.reason}; ${fromFiles.reason.toLowerCase()}`
+    };
+  }
+  if (isConventional || MESSAGE_ONLY_CATEGORIES.includes(fromMessage.category)) {
+    return fromMessage;
+  }
+  // Keywords win over equally weak file evidence ("Fix port in config.yml" stays a bugfix)
+  if (fromMessage.category !== 'other' && fromFiles.confidence <= fromMessage.confidence) {
+    return fromMessage;
+  }
+  return fromFiles;
+};
+
+/**
+ * Categorize commits using conventional commit types, keyword rules and, for commits
+ * carrying their changed files, the file-based rules of categorizeCommitDiff
  * @param {Array} commits - Array of commit objects
  * @returns {Array} Commits with category, confidence, and reason
  */
@@ -13,28 +99,7 @@ export const categorizeCommits = (commits) => {
   console.log('Using fallback keyword categorization');
 
   return commits.map(commit => {
-    const msg = commit.message.toLowerCase();
-    let category = 'other';
-    let confidence = 0.6;
-    let reason = 'Keyword-based fallback';
-
-    // Rule-based categorization
-    if (msg.includes('fix') || msg.includes('bug') || msg.includes('error')) {
-      category = 'bugfix';
-      reason = 'Contains fix/bug/error keywords';
-    } else if (msg.includes('feat') || msg.includes('add') || msg.includes('new')) {
-      category = 'feature';
-      reason = 'Contains feature/add/new keywords';
-    } else if (msg.includes('refactor') || msg.includes('clean') || msg.includes('improve')) {
-      category = 'refactor';
-      reason = 'Contains refactor/clean/improve keywords';
-    } else if (msg.includes('doc') || msg.includes('readme')) {
-      category = 'docs';
-      reason = 'Contains documentation keywords';
-    } else if (msg.includes('test') || msg.includes('spec')) {
-      category = 'test';
-      reason = 'Contains test/spec keywords';
-    }
+    const { category, confidence, reason } = categorizeCommitDiff(commit.message, commit.files);
 
     return {
       ...commit,
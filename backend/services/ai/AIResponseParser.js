@@ -1,3 +1,5 @@
+import { normalizeCategory } from '../../utils/CommitTaxonomy.js';
+
 /**
  * AI Response Parser - Functional Pattern
  * Parse and validate AI responses with fallback handling
@@ -34,6 +36,27 @@ export const parseCommitAnalysis = (response) => {
   }
 };
 
+/**
+ * Parse a batch commit analysis response from AI
+ * @param {string} response - AI response text
+ * @param {number} count - Number of commits in the batch
+ * @returns {Array} Parsed analysis per commit in batch order, null where the AI returned none
+ */
+export const parseBatchCommitAnalysis = (response, count) => {
+  const parsed = extractJSON(response);
+  const entries = Array.isArray(parsed) ? parsed : (parsed?.commits || []);
+  const results = new Array(count).fill(null);
+
+  entries.forEach((entry, position) => {
+    // Fall back to response order when the model leaves out the index
+    const index = Number.isInteger(entry?.index) ? entry.index - 1 : position;
+    if (index < 0 || index >= count || results[index] || !entry?.suggestedMessage) return;
+    results[index] = parseCommitAnalysis(JSON.stringify(entry));
+  });
+
+  return results;
+};
+
 /**
  * Parse task response from AI
  * @param {string} response - AI response text
@@ -54,7 +77,10 @@ export const parseTaskResponse = (response) => {
       basedOn: task.basedOn || 'recent_activity',
       repositories: Array.isArray(task.repositories) ? task.repositories : ['current'],
       category: task.category || 'general',
-      tags: Array.isArray(task.tags) ? task.tags : []
+      tags: Array.isArray(task.tags) ? task.tags : [],
+      // Issue the task works on; TaskSuggester checks it against the issues it sent
+      issueNumber: parseInt(task.issueNumber, 10) || null,
+      issueRepository: typeof task.issueRepository === 'string' ? task.issueRepository : null
     }));
   } catch (error) {
     console.error('Failed to parse task response:', error.message);
@@ -77,25 +103,9 @@ export const parseTaskResponse = (response) => {
  * @returns {Array} Commits with AI analysis
  */
 export const parseCategorizationResponse = (commits, aiResponse) => {
-  try {
-    const parsed = JSON.parse(aiResponse);
-    
-    // Handle different response formats
-    const analyses = Array.isArray(parsed) ? parsed : (parsed.analyses || parsed.commits || []);
-    
-    return commits.map((commit, index) => {
-      const analysis = analyses[index] || {};
-      
-      return {
-        ...commit,
-        category: validateCategory(analysis.category),
-        confidence: Math.min(Math.max(analysis.confidence || 0.5, 0), 1),
-        aiReason: analysis.reason || analysis.explanation || 'AI analysis',
-        analyzedAt: new Date().toISOString()
-      };
-    });
-  } catch (error) {
-    console.error('Failed to parse categorization response:', error.message);
+  const parsed = extractJSON(aiResponse);
+  if (!parsed) {
+    console.error('Failed to parse categorization response: no JSON found');
     // Return commits with default categorization
     return commits.map(commit => ({
       ...commit,
@@ -105,6 +115,27 @@ export const parseCategorizationResponse = (commits, aiResponse) => {
       analyzedAt: new Date().toISOString()
     }));
   }
+
+  // Handle different response formats; the prompt asks for { analysis: [...] }
+  const analyses = Array.isArray(parsed) ? parsed : (parsed.analysis || parsed.analyses || parsed.commits || []);
+  const byIndex = new Map();
+  analyses.forEach((analysis, position) => {
+    // Fall back to response order when the model leaves out the index
+    const index = Number.isInteger(analysis?.index) ? analysis.index - 1 : position;
+    if (!byIndex.has(index)) byIndex.set(index, analysis || {});
+  });
+
+  return commits.map((commit, index) => {
+    const analysis = byIndex.get(index) || {};
+
+    return {
+      ...commit,
+      category: validateCategory(analysis.category),
+      confidence: Math.min(Math.max(analysis.confidence || 0.5, 0), 1),
+      aiReason: analysis.reason || analysis.explanation || 'AI analysis',
+      analyzedAt: new Date().toISOString()
+    };
+  });
 };
 
 /**
@@ -197,14 +228,11 @@ export const validatePriority = (priority) => {
 
 /**
  * Validate and normalize category values
+ * Conventional types ("feat", "fix") are mapped onto their category
  * @param {string} category - Category value to validate
- * @returns {string} Valid category
+ * @returns {string} Valid category from CommitTaxonomy
  */
-export const validateCategory = (category) => {
-  const validCategories = ['feature', 'bugfix', 'refactor', 'docs', 'test', 'chore', 'other'];
-  const normalized = category?.toLowerCase();
-  return validCategories.includes(normalized) ? normalized : 'other';
-};
+export const validateCategory = (category) => normalizeCategory(category);
 
 /**
  * Check if a commit message follows conventional commit format
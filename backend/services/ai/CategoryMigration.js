@@ -0,0 +1,77 @@
+import { CommitAnalysis, DailySummary } from '../../models/aiModels.js';
+import { CATEGORY_IDS, normalizeCategory, categorizeMessage } from '../../utils/CommitTaxonomy.js';
+
+/**
+ * Category Migration - Functional Pattern
+ * Brings analyses and summaries stored before the shared commit taxonomy in line with it
+ * (see utils/CommitTaxonomy.js). Idempotent, run with `npm run migrate-categories`:
+ * - CommitAnalysis: 'other' was the only choice for tests, chores, CI, build and perf
+ *   commits, so those are categorized again from their message; unknown values are normalized
+ * - DailySummary: category counts were keyed by conventional type ("feat", "fix") and some
+ *   held commit lists instead of counts; both become counts per category
+ */
+
+/**
+ * Work out the category a stored analysis should have
+ * @param {Object} analysis - CommitAnalysis document
+ * @returns {Object|null} Fields to update, or null when it is up to date
+ */
+const migrateAnalysis = (analysis) => {
+  if (!CATEGORY_IDS.includes(analysis.category)) {
+    return { category: normalizeCategory(analysis.category) };
+  }
+
+  if (analysis.category === 'other') {
+    const { category, confidence, reason } = categorizeMessage(analysis.message);
+    if (category !== 'other') {
+      return { category, confidence: Math.min(analysis.confidence, confidence), reason: `${reason} (recategorized)` };
+    }
+  }
+  return null;
+};
+
+/**
+ * Rebuild a summary's category counts
+ * @param {Object} categories - Stored categories
+ * @returns {Object} Counts keyed by category id
+ */
+const migrateSummaryCategories = (categories) => {
+  return Object.entries(categories || {}).reduce((counts, [key, value]) => {
+    const category = normalizeCategory(key);
+    const count = Array.isArray(value) ? value.length : Number(value) || 0;
+    counts[category] = (counts[category] || 0) + count;
+    return counts;
+  }, {});
+};
+
+/**
+ * Migrate stored commit analyses and daily summaries to the current taxonomy
+ * @returns {Promise<Object>} { analyses, summaries } - documents updated per collection
+ */
+export const migrateCommitCategories = async () => {
+  const counts = { analyses: 0, summaries: 0 };
+
+  const staleAnalyses = CommitAnalysis.find({
+    $or: [{ category: 'other' }, { category: { $nin: CATEGORY_IDS } }]
+  }).lean();
+  for await (const analysis of staleAnalyses) {
+    const update = migrateAnalysis(analysis);
+    if (!update) continue;
+    await CommitAnalysis.updateOne({ _id: analysis._id }, { $set: update }, { timestamps: false });
+    counts.analyses++;
+  }
+
+  for await (const summary of DailySummary.find({}, { categories: 1 }).lean()) {
+    const categories = migrateSummaryCategories(summary.categories);
+    if (JSON.stringify(categories) === JSON.stringify(summary.categories)) continue;
+    await DailySummary.updateOne({ _id: summary._id }, { $set: { categories } }, { timestamps: false });
+    counts.summaries++;
+  }
+
+  console.log(`🏷️  CategoryMigration: Updated ${counts.analyses} commit analyses and ${counts.summaries} daily summaries`);
+  return counts;
+};
+
+export default {
+  migrateCommitCategories
+};
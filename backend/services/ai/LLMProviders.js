@@ -0,0 +1,361 @@
+import OpenAI from 'openai';
+import { isAllowedOrigin, isInternalHost, resolvesToInternalAddress } from '../../config/aiEndpoints.js';
+
+/**
+ * LLM Providers - Functional Pattern
+ * Registry of chat completion providers used behind callOpenAI
+ * Each provider exposes the same interface so AI services stay provider-agnostic:
+ * - validateApiKey(apiKey): format check for the provider's keys
+ * - validateBaseUrl(baseUrl): format and host check for the provider's endpoint (see config/aiEndpoints.js)
+ * - complete(credentials, model, request): send a single system + user prompt and return
+ *   { text, usage } where usage is { promptTokens, completionTokens }, or null if not reported
+ */
+
+export const PROVIDERS = {
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  ANTHROPIC: 'anthropic'
+};
+
+export const DEFAULT_PROVIDER = PROVIDERS.OPENAI;
+
+const ANTHROPIC_DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const INTERNAL_BASE_URL_MESSAGE = 'Base URL points to a private or internal address; ask the server administrator to add it to AI_ALLOWED_BASE_URLS';
+
+/**
+ * Check that a base URL is an absolute http(s) URL
+ * @param {string} baseUrl - Base URL to validate
+ * @returns {boolean} True if valid format
+ */
+const isHttpUrl = (baseUrl) => {
+  if (typeof baseUrl !== 'string' || !baseUrl.trim()) return false;
+  try {
+    const url = new URL(baseUrl.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check that a base URL is an http(s) URL on a public host or an origin the operator allowed
+ * @param {string} baseUrl - Base URL to validate
+ * @returns {boolean} True if users may point a provider at it
+ */
+const isAllowedBaseUrl = (baseUrl) => {
+  if (!isHttpUrl(baseUrl)) return false;
+  const url = new URL(baseUrl.trim());
+  return isAllowedOrigin(url) || !isInternalHost(url);
+};
+
+/**
+ * Explain why a base URL is not accepted
+ * @param {string} baseUrl - Base URL to check
+ * @returns {string|null} Error message, or null when the URL is allowed
+ */
+export const getBaseUrlError = (baseUrl) => {
+  if (!isHttpUrl(baseUrl)) {
+    return 'Base URL must be an absolute http(s) URL';
+  }
+  if (!isAllowedBaseUrl(baseUrl)) {
+    return INTERNAL_BASE_URL_MESSAGE;
+  }
+  return null;
+};
+
+/**
+ * Check a base URL before a request is sent to it, including where its host name resolves
+ * @param {string} baseUrl - Base URL to check
+ * @returns {Promise<void>}
+ * @throws {Error} With code AI_BASE_URL_NOT_ALLOWED when the URL may not be requested
+ */
+export const assertBaseUrlAllowed = async (baseUrl) => {
+  let message = getBaseUrlError(baseUrl);
+  if (!message) {
+    const url = new URL(baseUrl.trim());
+    if (!isAllowedOrigin(url) && await resolvesToInternalAddress(url)) {
+      message = INTERNAL_BASE_URL_MESSAGE;
+    }
+  }
+  if (message) {
+    const error = new Error(message);
+    error.code = 'AI_BASE_URL_NOT_ALLOWED';
+    throw error;
+  }
+};
+
+/**
+ * Send a chat completion through the OpenAI SDK
+ * Shared by the hosted OpenAI API and OpenAI-compatible servers (Ollama, vLLM, LM Studio)
+ * @param {Object} credentials - Normalized provider credentials
+ * @param {string} model - Model name
+ * @param {Object} request - { systemPrompt, prompt, temperature, maxTokens, additionalParams }
+ * @returns {Promise<Object>} { text, usage }
+ */
+const completeWithOpenAISDK = async (credentials, model, request) => {
+  const client = createOpenAISDKClient(credentials);
+
+  const response = await client.chat.completions.create({
+    model,
+    messages: [
+      { role: 'system', content: request.systemPrompt },
+      { role: 'user', content: request.prompt }
+    ],
+    temperature: request.temperature,
+    max_tokens: request.maxTokens,
+    ...request.additionalParams
+  });
+
+  return {
+    text: (response.choices?.[0]?.message?.content || '').trim(),
+    // Some OpenAI-compatible servers omit usage
+    usage: response.usage
+      ? { promptTokens: response.usage.prompt_tokens || 0, completionTokens: response.usage.completion_tokens || 0 }
+      : null
+  };
+};
+
+/**
+ * Send a message through the Anthropic Messages API
+ * Uses fetch directly so no additional SDK dependency is required
+ * @param {Object} credentials - Normalized provider credentials
+ * @param {string} model - Model name
+ * @param {Object} request - { systemPrompt, prompt, temperature, maxTokens, additionalParams }
+ * @returns {Promise<Object>} { text, usage }
+ */
+const completeWithAnthropic = async (credentials, model, request) => {
+  const baseUrl = (credentials.baseUrl || ANTHROPIC_DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  const response = await fetch(`${baseUrl}/v1/messages`, {
+    method: 'POST',
+    // A redirect could lead past the base URL host check
+    redirect: 'error',
+    headers: {
+      'content-type': 'application/json',
+      'x-api-key': credentials.apiKey,
+      'anthropic-version': ANTHROPIC_API_VERSION
+    },
+    body: JSON.stringify({
+      model,
+      system: request.systemPrompt,
+      messages: [{ role: 'user', content: request.prompt }],
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...request.additionalParams
+    })
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(body.error?.message || `Anthropic API request failed with status ${response.status}`);
+    error.status = response.status;
+    error.headers = Object.fromEntries(response.headers.entries());
+    throw error;
+  }
+
+  const text = (body.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('')
+    .trim();
+
+  return {
+    text,
+    usage: body.usage
+      ? { promptTokens: body.usage.input_tokens || 0, completionTokens: body.usage.output_tokens || 0 }
+      : null
+  };
+};
+
+/**
+ * Provider registry
+ */
+const providerRegistry = {
+  [PROVIDERS.OPENAI]: {
+    id: PROVIDERS.OPENAI,
+    label: 'OpenAI',
+    defaultModel: 'gpt-4o-mini',
+    requiresApiKey: true,
+    requiresBaseUrl: false,
+    validateApiKey: (apiKey) => typeof apiKey === 'string' &&
+                                apiKey.length > 20 &&
+                                apiKey.startsWith('sk-'),
+    validateBaseUrl: (baseUrl) => !baseUrl || isAllowedBaseUrl(baseUrl),
+    complete: completeWithOpenAISDK
+  },
+  [PROVIDERS.OPENAI_COMPATIBLE]: {
+    id: PROVIDERS.OPENAI_COMPATIBLE,
+    label: 'OpenAI-compatible (Ollama, vLLM, LM Studio)',
+    defaultModel: 'llama3.1',
+    requiresApiKey: false, // Local servers usually run without authentication
+    requiresBaseUrl: true,
+    validateApiKey: (apiKey) => !apiKey || (typeof apiKey === 'string' && apiKey.trim().length > 0),
+    validateBaseUrl: isAllowedBaseUrl,
+    complete: completeWithOpenAISDK
+  },
+  [PROVIDERS.ANTHROPIC]: {
+    id: PROVIDERS.ANTHROPIC,
+    label: 'Anthropic',
+    defaultModel: 'claude-3-5-haiku-latest',
+    requiresApiKey: true,
+    requiresBaseUrl: false,
+    validateApiKey: (apiKey) => typeof apiKey === 'string' &&
+                                apiKey.length > 20 &&
+                                apiKey.startsWith('sk-ant-'),
+    validateBaseUrl: (baseUrl) => !baseUrl || isAllowedBaseUrl(baseUrl),
+    complete: completeWithAnthropic
+  }
+};
+
+/**
+ * Check whether a provider id is supported
+ * @param {string} providerId - Provider identifier
+ * @returns {boolean} True if the provider is registered
+ */
+export const isSupportedProvider = (providerId) => {
+  return Object.prototype.hasOwnProperty.call(providerRegistry, providerId);
+};
+
+/**
+ * Get a provider definition by id
+ * @param {string} providerId - Provider identifier
+ * @returns {Object} Provider definition
+ */
+export const getProvider = (providerId = DEFAULT_PROVIDER) => {
+  if (!isSupportedProvider(providerId)) {
+    throw new Error(`Unsupported AI provider: ${providerId}`);
+  }
+  return providerRegistry[providerId];
+};
+
+/**
+ * List supported providers for settings UIs
+ * @returns {Array} Array of { id, label, defaultModel, requiresApiKey, requiresBaseUrl }
+ */
+export const listProviders = () => {
+  return Object.values(providerRegistry).map(({ id, label, defaultModel, requiresApiKey, requiresBaseUrl }) => ({
+    id, label, defaultModel, requiresApiKey, requiresBaseUrl
+  }));
+};
+
+/**
+ * Build provider credentials passed through the AI services in place of a raw API key
+ * @param {Object} params - { provider, apiKey, baseUrl, userId }
+ * @returns {Object} Normalized credentials { provider, apiKey, baseUrl, userId }
+ *   userId attributes usage and budgets to the user whose key is used (see UsageTracker)
+ */
+export const createAICredentials = ({ provider = DEFAULT_PROVIDER, apiKey = null, baseUrl = null, userId = null } = {}) => {
+  return Object.freeze({
+    provider: provider || DEFAULT_PROVIDER,
+    apiKey: apiKey || null,
+    baseUrl: baseUrl ? baseUrl.trim() : null,
+    userId: userId ? String(userId) : null
+  });
+};
+
+/**
+ * Normalize what callers pass as "userApiKey"
+ * A plain string is treated as an OpenAI key for backwards compatibility
+ * @param {string|Object} userApiKey - Raw OpenAI key or credentials object
+ * @returns {Object|null} Normalized credentials, or null when nothing was provided
+ */
+export const normalizeCredentials = (userApiKey) => {
+  if (!userApiKey) return null;
+  if (typeof userApiKey === 'string') {
+    return createAICredentials({ provider: PROVIDERS.OPENAI, apiKey: userApiKey });
+  }
+  return createAICredentials(userApiKey);
+};
+
+/**
+ * Check that credentials contain the fields their provider requires (presence only)
+ * @param {Object} credentials - Normalized provider credentials
+ * @returns {boolean} True if the API key and base URL requirements are met
+ */
+export const hasRequiredCredentials = (credentials) => {
+  if (!credentials || !isSupportedProvider(credentials.provider)) return false;
+  const provider = getProvider(credentials.provider);
+  return !(provider.requiresApiKey && !credentials.apiKey) &&
+         !(provider.requiresBaseUrl && !credentials.baseUrl);
+};
+
+/**
+ * Check that credentials contain everything their provider needs, in the right format
+ * @param {string|Object} userApiKey - Raw OpenAI key or credentials object
+ * @returns {Object} { valid, message }
+ */
+export const validateCredentials = (userApiKey) => {
+  const credentials = normalizeCredentials(userApiKey);
+  if (!credentials) {
+    return { valid: false, message: 'No AI provider credentials configured' };
+  }
+  if (!isSupportedProvider(credentials.provider)) {
+    return { valid: false, message: `Unsupported AI provider: ${credentials.provider}` };
+  }
+
+  const provider = getProvider(credentials.provider);
+  if (provider.requiresApiKey && !credentials.apiKey) {
+    return { valid: false, message: `An API key is required for ${provider.label}` };
+  }
+  if (credentials.apiKey && !provider.validateApiKey(credentials.apiKey)) {
+    return { valid: false, message: `API key format is not valid for ${provider.label}` };
+  }
+  if (provider.requiresBaseUrl && !credentials.baseUrl) {
+    return { valid: false, message: `A base URL is required for ${provider.label}` };
+  }
+  if (credentials.baseUrl && !provider.validateBaseUrl(credentials.baseUrl)) {
+    return { valid: false, message: getBaseUrlError(credentials.baseUrl) || `Base URL is not valid for ${provider.label}` };
+  }
+  return { valid: true, message: 'Credentials format appears valid' };
+};
+
+/**
+ * Create an OpenAI SDK client for OpenAI or an OpenAI-compatible server
+ * @param {Object} credentials - Normalized provider credentials
+ * @returns {OpenAI} OpenAI client instance
+ */
+export const createOpenAISDKClient = (credentials) => {
+  const clientOptions = {
+    // The SDK refuses to start without a key; local servers ignore it
+    apiKey: credentials.apiKey || 'not-required',
+    // callOpenAI's work queue retries, honoring Retry-After across all of a user's calls
+    maxRetries: 0
+  };
+  if (credentials.baseUrl) {
+    clientOptions.baseURL = credentials.baseUrl;
+    // A redirect could lead past the base URL host check
+    clientOptions.fetchOptions = { redirect: 'error' };
+  }
+  return new OpenAI(clientOptions);
+};
+
+/**
+ * Build provider credentials from a user document
+ * Expects the document to be loaded with '+openaiApiKey'
+ * @param {Object} user - User document
+ * @returns {Object|null} { credentials, model } or null when the provider is not configured
+ */
+export const getUserAICredentials = (user) => {
+  if (!user) return null;
+
+  const providerId = isSupportedProvider(user.aiProvider) ? user.aiProvider : DEFAULT_PROVIDER;
+  const provider = getProvider(providerId);
+  const credentials = createAICredentials({
+    provider: providerId,
+    apiKey: user.openaiApiKey,
+    baseUrl: user.aiBaseUrl,
+    userId: user._id
+  });
+
+  // Only presence is checked here; key format is reported by the settings test
+  if (!hasRequiredCredentials(credentials)) {
+    return null;
+  }
+
+  return {
+    credentials,
+    model: user.openaiModel || provider.defaultModel
+  };
+};
@@ -1,76 +1,114 @@
-import OpenAI from 'openai';
+import {
+  getProvider,
+  normalizeCredentials,
+  createOpenAISDKClient,
+  validateCredentials,
+  hasRequiredCredentials,
+  assertBaseUrlAllowed,
+  PROVIDERS,
+  DEFAULT_PROVIDER
+} from './LLMProviders.js';
+import { assertWithinBudget, recordUsage } from './UsageTracker.js';
+import { getSharedQueue } from '../../utils/WorkQueue.js';
+import { getAIConcurrency } from '../../config/workQueue.js';
 
 /**
  * OpenAI Client Manager - Functional Pattern
- * Handles OpenAI client creation and API communication
+ * Handles AI client creation and API communication
+ * The name is historical: calls are dispatched to the provider selected by the user
+ * (OpenAI, an OpenAI-compatible server, or Anthropic) via LLMProviders.js
  */
 
 /**
- * Create OpenAI client with user-specific API key
- * @param {string} userApiKey - User's OpenAI API key
- * @param {string} userModel - User's preferred OpenAI model
- * @returns {OpenAI} OpenAI client instance
+ * Create OpenAI SDK client with user-specific credentials
+ * @param {string|Object} userApiKey - User's OpenAI API key or provider credentials
+ * @param {string} userModel - User's preferred model
+ * @returns {OpenAI|null} OpenAI client instance, or null for providers that don't use the OpenAI SDK
  */
 export const createOpenAIClient = (userApiKey, userModel = 'gpt-4o-mini') => {
-  if (!userApiKey) {
-    throw new Error('User OpenAI API key is required');
+  const credentials = normalizeCredentials(userApiKey);
+  if (!credentials) {
+    throw new Error('User AI provider credentials are required');
+  }
+  if (credentials.provider === PROVIDERS.ANTHROPIC) {
+    return null;
   }
-  return new OpenAI({ apiKey: userApiKey });
+  return createOpenAISDKClient(credentials);
 };
 
 /**
- * Validate OpenAI API key format
+ * Validate API key format for a provider
  * @param {string} apiKey - API key to validate
+ * @param {string} provider - Provider identifier (defaults to OpenAI)
  * @returns {boolean} True if valid format
  */
-export const validateApiKey = (apiKey) => {
-  return typeof apiKey === 'string' && 
-         apiKey.length > 20 && 
-         apiKey.startsWith('sk-');
+export const validateApiKey = (apiKey, provider = DEFAULT_PROVIDER) => {
+  return getProvider(provider).validateApiKey(apiKey);
 };
 
 /**
- * Call OpenAI API with user-specific settings
+ * Call the user's AI provider with user-specific settings
+ * Calls with the same user's credentials share a work queue (AI_CONCURRENCY at a time) and are
+ * retried after rate limits and temporary provider errors
  * @param {string} prompt - The prompt to send
- * @param {string} userApiKey - User's OpenAI API key
+ * @param {string|Object} userApiKey - User's OpenAI API key or provider credentials ({ provider, apiKey, baseUrl })
  * @param {string} userModel - User's preferred model
  * @param {Object} options - Additional options (temperature, max_tokens, etc.)
+ *   options.usage tags the call for cost accounting: { feature, repository, enforceBudget }.
+ *   Calls are charged to credentials.userId; set enforceBudget to false to allow them over budget
  * @returns {Promise<string>} AI response text
+ * @throws {Error} With code AI_BUDGET_EXCEEDED when the user's monthly AI budget is used up
+ * @throws {Error} With code AI_BASE_URL_NOT_ALLOWED when the base URL points at an internal address
  */
 export const callOpenAI = async (prompt, userApiKey, userModel = 'gpt-4o-mini', options = {}) => {
-  if (!userApiKey) {
-    throw new Error('User OpenAI API key is required');
+  const credentials = normalizeCredentials(userApiKey);
+  if (!credentials) {
+    throw new Error('User AI provider credentials are required');
+  }
+
+  const provider = getProvider(credentials.provider);
+  if (!hasRequiredCredentials(credentials)) {
+    throw new Error(`Incomplete ${provider.label} configuration: ${validateCredentials(credentials).message}`);
+  }
+  if (credentials.baseUrl) {
+    // Re-checked on every call: the host may resolve elsewhere, or the allowlist may have changed
+    await assertBaseUrlAllowed(credentials.baseUrl);
+  }
+
+  const { feature, repository = null, enforceBudget = true } = options.usage || {};
+  if (enforceBudget) {
+    await assertWithinBudget(credentials.userId);
   }
 
   try {
-    const openai = createOpenAIClient(userApiKey, userModel);
-    
-    console.log(`🤖 OpenAI Request: Sending prompt to model "${userModel}" with user's API key`);
+    console.log(`🤖 ${provider.label} Request: Sending prompt to model "${userModel}" with user's credentials`);
     console.log(`🤖 Prompt preview: "${prompt.substring(0, 150)}..."`);
-    
-    const response = await openai.chat.completions.create({
-      model: userModel,
-      messages: [
-        {
-          role: 'system',
-          content: options.systemPrompt || 'You are a helpful developer assistant that analyzes code commits.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
+
+    const queue = getSharedQueue(`ai:${credentials.userId || credentials.provider}`, getAIConcurrency());
+    const { text: responseText, usage } = await queue.run(() => provider.complete(credentials, userModel, {
+      prompt,
+      systemPrompt: options.systemPrompt || 'You are a helpful developer assistant that analyzes code commits.',
       temperature: options.temperature || 0.1,
-      max_tokens: options.maxTokens || 1500,
-      ...options.additionalParams
-    });
-    
-    const responseText = response.choices[0].message.content.trim();
-    console.log(`✅ OpenAI Response: Received ${responseText.length} characters from "${userModel}"`);
+      maxTokens: options.maxTokens || 1500,
+      additionalParams: options.additionalParams
+    }));
+
+    console.log(`✅ ${provider.label} Response: Received ${responseText.length} characters from "${userModel}"`);
     console.log(`✅ Response preview: "${responseText.substring(0, 100)}..."`);
+
+    await recordUsage({
+      userId: credentials.userId,
+      feature,
+      repository,
+      provider: credentials.provider,
+      model: userModel,
+      usage,
+      prompt,
+      responseText
+    });
     return responseText;
   } catch (error) {
-    console.error(`❌ OpenAI API call failed with model "${userModel}":`, error.message);
+    console.error(`❌ ${provider.label} API call failed with model "${userModel}":`, error.message);
     throw error;
   }
 };
@@ -0,0 +1,240 @@
+import AIUsage, { AI_FEATURES } from '../../models/AIUsage.js';
+import User from '../../models/User.js';
+import { getModelPrice, getDefaultMonthlyBudget } from '../../config/aiPricing.js';
+
+/**
+ * Usage Tracker - Functional Pattern
+ * Records the tokens and estimated cost of every AI call (see callOpenAI) and enforces
+ * per-user monthly budgets. Calls over budget throw, which sends features down their
+ * existing AIFallbackStrategies paths
+ */
+
+export { AI_FEATURES };
+
+// Budget and month-to-date spend are cached per user for this long
+const BUDGET_CACHE_TTL_MS = 60 * 1000;
+const CHARS_PER_TOKEN = 4; // Rough estimate when a provider returns no usage
+
+const budgetCache = new Map(); // userId → { month, limit, spent, fetchedAt }
+
+/**
+ * Get the first instant of a UTC month
+ * @param {Date} date - Any instant in the month
+ * @returns {Date} Month start
+ */
+const getMonthStart = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+/**
+ * Format a month as YYYY-MM
+ * @param {Date} date - Any instant in the month
+ * @returns {string} Month key
+ */
+const toMonthKey = (date) => date.toISOString().substring(0, 7);
+
+/**
+ * Estimate the cost of a call
+ * @param {string} provider - AI provider id
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {number|null} USD, or null when the model has no known price
+ */
+export const estimateCost = (provider, model, promptTokens, completionTokens) => {
+  const price = getModelPrice(provider, model);
+  if (!price) return null;
+  return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+};
+
+/**
+ * Get a user's effective monthly budget
+ * The server-wide AI_MONTHLY_BUDGET_USD caps every user; a personal budget can only be lower
+ * @param {Object} user - User document (or null)
+ * @returns {Object} { limit, source } - limit is null when unlimited; source is 'user', 'server' or null
+ */
+export const getEffectiveBudget = (user) => {
+  const serverLimit = getDefaultMonthlyBudget();
+  const userLimit = user?.aiMonthlyBudget > 0 ? user.aiMonthlyBudget : null;
+
+  if (userLimit !== null && (serverLimit === null || userLimit < serverLimit)) {
+    return { limit: userLimit, source: 'user' };
+  }
+  return { limit: serverLimit, source: serverLimit === null ? null : 'server' };
+};
+
+/**
+ * Sum a user's estimated spend since a date
+ * @param {string} userId - User id
+ * @param {Date} since - Start of the period
+ * @returns {Promise<number>} USD
+ */
+const sumSpend = async (userId, since) => {
+  const [totals] = await AIUsage.aggregate([
+    { $match: { userId, createdAt: { $gte: since } } },
+    { $group: { _id: null, cost: { $sum: { $ifNull: ['$cost', 0] } } } }
+  ]);
+  return totals?.cost || 0;
+};
+
+/**
+ * Get a user's budget and month-to-date spend, cached briefly
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} { month, limit, spent }
+ */
+const getBudgetState = async (userId) => {
+  const month = toMonthKey(new Date());
+  const cached = budgetCache.get(userId);
+  if (cached && cached.month === month && Date.now() - cached.fetchedAt < BUDGET_CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const user = await User.findById(userId).select('aiMonthlyBudget').lean();
+  const state = {
+    month,
+    limit: getEffectiveBudget(user).limit,
+    spent: await sumSpend(userId, getMonthStart()),
+    fetchedAt: Date.now()
+  };
+  budgetCache.set(userId, state);
+  return state;
+};
+
+/**
+ * Forget a user's cached budget, e.g. after they changed it in Settings
+ * @param {string} userId - User id
+ */
+export const clearBudgetCache = (userId) => {
+  budgetCache.delete(String(userId));
+};
+
+/**
+ * Throw when a user has used up their monthly budget
+ * @param {string} userId - User id (calls without a user are never limited)
+ * @throws {Error} With status 429 and code AI_BUDGET_EXCEEDED
+ */
+export const assertWithinBudget = async (userId) => {
+  if (!userId) return;
+
+  let state;
+  try {
+    state = await getBudgetState(String(userId));
+  } catch (error) {
+    // Same rule as recordUsage: accounting problems don't block AI features
+    console.warn('⚠️  UsageTracker: Could not check AI budget:', error.message);
+    return;
+  }
+
+  const { limit, spent } = state;
+  if (limit !== null && spent >= limit) {
+    const error = new Error(`Monthly AI budget of $${limit.toFixed(2)} reached ($${spent.toFixed(2)} spent) - using offline results until next month`);
+    error.status = 429;
+    error.code = 'AI_BUDGET_EXCEEDED';
+    throw error;
+  }
+};
+
+/**
+ * Record one AI call
+ * Never throws - accounting failures must not break AI features
+ * @param {Object} call - { userId, feature, repository, provider, model, usage, prompt, responseText }
+ *   usage is { promptTokens, completionTokens } from the provider, or null to estimate from text length
+ * @returns {Promise<Object|null>} Stored usage record
+ */
+export const recordUsage = async ({ userId = null, feature = AI_FEATURES.OTHER, repository = null, provider, model, usage, prompt = '', responseText = '' }) => {
+  try {
+    const estimated = !usage;
+    const promptTokens = usage?.promptTokens ?? Math.ceil(prompt.length / CHARS_PER_TOKEN);
+    const completionTokens = usage?.completionTokens ?? Math.ceil(responseText.length / CHARS_PER_TOKEN);
+    const cost = estimateCost(provider, model, promptTokens, completionTokens);
+
+    const record = await AIUsage.create({
+      userId: userId ? String(userId) : null,
+      feature: Object.values(AI_FEATURES).includes(feature) ? feature : AI_FEATURES.OTHER,
+      repository,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      cost,
+      estimated
+    });
+
+    // Keep the cached spend current between refreshes
+    const cached = userId && budgetCache.get(String(userId));
+    if (cached) cached.spent += cost || 0;
+
+    console.log(`💰 UsageTracker: ${feature} used ${promptTokens}+${completionTokens} tokens${cost !== null ? ` (~$${cost.toFixed(4)})` : ''}`);
+    return record;
+  } catch (error) {
+    console.warn('⚠️  UsageTracker: Could not record AI usage:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Build a user's usage report for a month
+ * @param {string} userId - User id
+ * @param {string} month - YYYY-MM (default: current month)
+ * @returns {Promise<Object>} { month, totals, byFeature, byRepository, byModel, byDay, budget }
+ */
+export const getUsageReport = async (userId, month = toMonthKey(new Date())) => {
+  const start = new Date(`${month}-01T00:00:00Z`);
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  const match = { userId: String(userId), createdAt: { $gte: start, $lt: end } };
+
+  const groupBy = (key) => AIUsage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: key,
+        calls: { $sum: 1 },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        totalTokens: { $sum: '$totalTokens' },
+        cost: { $sum: { $ifNull: ['$cost', 0] } },
+        unpricedCalls: { $sum: { $cond: [{ $eq: ['$cost', null] }, 1, 0] } }
+      }
+    },
+    { $sort: { cost: -1, totalTokens: -1 } }
+  ]);
+
+  const [totals, byFeature, byRepository, byModel, byDay] = await Promise.all([
+    groupBy(null),
+    groupBy('$feature'),
+    groupBy({ $ifNull: ['$repository', 'unknown'] }),
+    groupBy('$model'),
+    groupBy({ $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } })
+  ]);
+
+  const toRows = (groups, name) => groups.map(({ _id, ...row }) => ({ [name]: _id, ...row }));
+  const user = await User.findById(userId).select('aiMonthlyBudget').lean();
+  const budget = getEffectiveBudget(user);
+  const spent = totals[0]?.cost || 0;
+
+  return {
+    month,
+    totals: totals[0]
+      ? toRows(totals, 'all')[0]
+      : { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpricedCalls: 0 },
+    byFeature: toRows(byFeature, 'feature'),
+    byRepository: toRows(byRepository, 'repository'),
+    byModel: toRows(byModel, 'model'),
+    byDay: toRows(byDay, 'day').sort((a, b) => a.day.localeCompare(b.day)),
+    budget: {
+      ...budget,
+      spent,
+      remaining: budget.limit === null ? null : Math.max(budget.limit - spent, 0),
+      exceeded: budget.limit !== null && spent >= budget.limit && month === toMonthKey(new Date())
+    }
+  };
+};
+
+export default {
+  AI_FEATURES,
+  estimateCost,
+  getEffectiveBudget,
+  clearBudgetCache,
+  assertWithinBudget,
+  recordUsage,
+  getUsageReport
+};
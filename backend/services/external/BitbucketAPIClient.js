@@ -0,0 +1,286 @@
+import { createProviderError } from '../../utils/errors.js';
+import { splitUnifiedDiff } from '../../utils/DiffUtils.js';
+import { storeCommits, storeCommitDetails, getStoredCommitDiff, toCommitDiffShape } from './CommitStore.js';
+import { getTokenQueue } from '../../utils/WorkQueue.js';
+import { getSourceControlConcurrency } from '../../config/workQueue.js';
+
+/**
+ * Bitbucket API Client - Functional Pattern
+ * Source control provider for Bitbucket Cloud
+ * Returns repositories, commits and diffs in the same shapes as GitHubAPIClient
+ *
+ * Commits are read live and written through to the local commit store under
+ * "bitbucket:<workspace/repo>" so diffs are only fetched once
+ */
+
+const API_URL = 'https://api.bitbucket.org/2.0';
+const PAGE_SIZE = 100;
+const MAX_REPO_PAGES = 10; // Up to 1000 repositories
+const MAX_COMMIT_PAGES = 10;
+const STATS_BATCH_SIZE = 10;
+
+/**
+ * Build the commit store repository id for a Bitbucket repository
+ * @param {string} fullName - "workspace/repo"
+ * @returns {string} Repository id
+ */
+const toRepositoryId = (fullName) => `bitbucket:${fullName}`;
+
+/**
+ * Create Bitbucket API client
+ * @param {Object} connection - { accessToken }
+ * @returns {Object} Bitbucket API client with the source control provider methods
+ */
+export const createBitbucketClient = ({ accessToken }) => {
+  const request = createRequest(accessToken);
+
+  return {
+    provider: 'bitbucket',
+    getUserRepos: () => getUserRepos(request),
+    getCommits: (owner, repo, options = {}) => getCommits(request, owner, repo, options),
+    getCommitDiff: (owner, repo, sha) => getCommitDiff(request, owner, repo, sha),
+    getRateLimit: () => getRateLimit()
+  };
+};
+
+/**
+ * Create an authenticated request function for the Bitbucket REST API
+ * Requests with the same token share a work queue and are retried after rate limits
+ * @param {string} accessToken - OAuth access token
+ * @returns {Function} request(pathOrUrl, params, options) resolving to the JSON body (or text with { text: true })
+ */
+const createRequest = (accessToken) => async (pathOrUrl, params = {}, options = {}) => {
+  const queue = getTokenQueue('bitbucket', accessToken, getSourceControlConcurrency());
+  return queue.run(() => sendRequest(accessToken, pathOrUrl, params, options));
+};
+
+/**
+ * Send one Bitbucket REST API request
+ * @param {string} accessToken - OAuth access token
+ * @param {string} pathOrUrl - API path or absolute pagination URL
+ * @param {Object} params - Query parameters
+ * @param {Object} options - { text } - return the body as text
+ * @returns {Promise<Object|string>} JSON body, or text
+ */
+const sendRequest = async (accessToken, pathOrUrl, params, options) => {
+  // Pagination hands back absolute "next" URLs
+  const url = new URL(pathOrUrl.startsWith('http') ? pathOrUrl : `${API_URL}${pathOrUrl}`);
+  Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .forEach(([key, value]) => url.searchParams.set(key, value));
+
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    signal: AbortSignal.timeout(10000) // 10 second timeout
+  });
+
+  if (!response.ok) {
+    const error = new Error(`${response.status} ${response.statusText} for ${url.pathname}`);
+    error.status = response.status;
+    error.headers = response.headers; // Retry-After for the work queue
+    throw error;
+  }
+
+  return options.text ? response.text() : response.json();
+};
+
+/**
+ * Split a raw git author ("Name <email>")
+ * @param {string} raw - Raw author string
+ * @returns {Object} { name, email }
+ */
+const parseRawAuthor = (raw = '') => {
+  const match = raw.match(/^(.*?)\s*<([^>]+)>$/);
+  return match ? { name: match[1], email: match[2] } : { name: raw, email: null };
+};
+
+/**
+ * Convert a commit from the commits API to the commit store shape
+ * Bitbucket reports a single date, used for both author and committer
+ * @param {Object} commit - Bitbucket commit
+ * @returns {Object} Commit for CommitStore
+ */
+const normalizeCommit = (commit) => {
+  const { name, email } = parseRawAuthor(commit.author?.raw);
+  return {
+    sha: commit.hash,
+    message: commit.message,
+    author: {
+      name: commit.author?.user?.display_name || name,
+      email,
+      username: commit.author?.user?.nickname,
+      date: commit.date
+    },
+    committer: { name, email, date: commit.date },
+    url: commit.links?.html?.href,
+    parents: (commit.parents || []).map(parent => ({ sha: parent.hash }))
+  };
+};
+
+/**
+ * Get line stats for a commit from the diffstat API
+ * @param {Function} request - Authenticated request function
+ * @param {string} fullName - "workspace/repo"
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Object>} { additions, deletions, total }
+ */
+const fetchCommitStats = async (request, fullName, sha) => {
+  const data = await request(`/repositories/${fullName}/diffstat/${sha}`, { pagelen: 500 });
+  const additions = data.values.reduce((sum, file) => sum + (file.lines_added || 0), 0);
+  const deletions = data.values.reduce((sum, file) => sum + (file.lines_removed || 0), 0);
+  return { additions, deletions, total: additions + deletions };
+};
+
+/**
+ * Get the repositories the user is a member of
+ * @param {Function} request - Authenticated request function
+ * @returns {Promise<Array>} Repositories in the GitHubAPIClient.getUserRepos shape
+ */
+export const getUserRepos = async (request) => {
+  try {
+    const repositories = [];
+    let next = '/repositories';
+    let params = { role: 'member', sort: '-updated_on', pagelen: PAGE_SIZE };
+
+    for (let page = 1; next && page <= MAX_REPO_PAGES; page++) {
+      const data = await request(next, params);
+      repositories.push(...data.values);
+      next = data.next;
+      params = {}; // The next URL carries the query
+    }
+
+    console.log(`✅ Fetched ${repositories.length} Bitbucket repositories`);
+
+    return repositories.map(repository => ({
+      id: repository.uuid,
+      name: repository.slug,
+      fullName: repository.full_name,
+      private: repository.is_private,
+      defaultBranch: repository.mainbranch?.name,
+      updatedAt: repository.updated_on,
+      pushedAt: repository.updated_on,
+      description: repository.description,
+      language: repository.language || null,
+      webUrl: repository.links?.html?.href
+    }));
+  } catch (error) {
+    console.error('❌ Error fetching Bitbucket repositories:', error.message);
+    throw createProviderError('Bitbucket', error, 'fetching user repositories');
+  }
+};
+
+/**
+ * Get commits for a repository, newest first
+ * Bitbucket has no date filter, so pages are read until commits are older than since
+ * @param {Function} request - Authenticated request function
+ * @param {string} owner - Workspace
+ * @param {string} repo - Repository slug
+ * @param {Object} options - { per_page, page, sha, since, until, includeStats }
+ * @returns {Promise<Array>} Commits in the GitHubAPIClient.getCommits shape
+ */
+export const getCommits = async (request, owner, repo, options = {}) => {
+  const { per_page = 20, page = 1, sha, since, until, includeStats = false } = options;
+  const fullName = `${owner}/${repo}`;
+
+  try {
+    const listed = [];
+    let next = `/repositories/${fullName}/commits${sha ? `/${encodeURIComponent(sha)}` : ''}`;
+    let params = { pagelen: since ? PAGE_SIZE : per_page, ...(!since && { page }) };
+
+    for (let index = 0; next && index < (since ? MAX_COMMIT_PAGES : 1); index++) {
+      const data = await request(next, params);
+      const commits = data.values.map(normalizeCommit);
+      listed.push(...commits);
+      next = data.next;
+      params = {};
+      if (since && commits.some(commit => new Date(commit.committer.date) < new Date(since))) break;
+    }
+
+    const commits = listed.filter(commit => {
+      const date = new Date(commit.committer.date);
+      return (!since || date >= new Date(since)) && (!until || date <= new Date(until));
+    });
+
+    if (includeStats) {
+      for (let index = 0; index < commits.length; index += STATS_BATCH_SIZE) {
+        await Promise.all(commits.slice(index, index + STATS_BATCH_SIZE).map(async (commit) => {
+          try {
+            commit.stats = await fetchCommitStats(request, fullName, commit.sha);
+          } catch (error) {
+            console.error(`⚠️  Failed to fetch stats for Bitbucket commit ${commit.sha.substring(0, 7)}:`, error.message);
+          }
+        }));
+      }
+    }
+
+    await storeCommits(toRepositoryId(fullName), commits, { branch: sha || null, source: 'api' });
+
+    return commits.map(commit => ({
+      sha: commit.sha,
+      message: commit.message,
+      author: commit.author,
+      url: commit.url,
+      parents: commit.parents,
+      stats: commit.stats || { additions: 0, deletions: 0, total: 0 },
+      ...(sha && { branch: sha })
+    }));
+  } catch (error) {
+    console.error(`❌ Error fetching Bitbucket commits for ${fullName}:`, error.message);
+    throw createProviderError('Bitbucket', error, `fetching commits for ${fullName}`);
+  }
+};
+
+/**
+ * Get a commit with its files and patches
+ * @param {Function} request - Authenticated request function
+ * @param {string} owner - Workspace
+ * @param {string} repo - Repository slug
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Object>} Commit diff in the GitHubAPIClient.getCommitDiff shape
+ */
+export const getCommitDiff = async (request, owner, repo, sha) => {
+  const fullName = `${owner}/${repo}`;
+  const repositoryId = toRepositoryId(fullName);
+
+  try {
+    const stored = await getStoredCommitDiff(repositoryId, sha);
+    if (stored) return stored;
+
+    const commit = await request(`/repositories/${fullName}/commit/${sha}`);
+    const diff = await request(`/repositories/${fullName}/diff/${sha}`, {}, { text: true });
+    const files = splitUnifiedDiff(diff);
+    const additions = files.reduce((sum, file) => sum + file.additions, 0);
+    const deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+
+    const details = {
+      ...normalizeCommit(commit),
+      stats: { additions, deletions, total: additions + deletions },
+      files
+    };
+
+    try {
+      await storeCommitDetails(repositoryId, details);
+    } catch (storeError) {
+      console.error(`⚠️  Failed to store Bitbucket commit ${sha.substring(0, 7)}:`, storeError.message);
+    }
+
+    return toCommitDiffShape(details);
+  } catch (error) {
+    console.error(`❌ Error fetching Bitbucket commit diff for ${sha}:`, error.message);
+    throw createProviderError('Bitbucket', error, `fetching commit diff for ${sha}`);
+  }
+};
+
+/**
+ * Check API rate limit status
+ * Bitbucket doesn't report its hourly limits, so nothing is known up front
+ * @returns {Promise<Object>} { limit, remaining, reset, used } with null values
+ */
+export const getRateLimit = async () => ({
+  limit: null,
+  remaining: null,
+  reset: null,
+  used: null
+});
+
+export default createBitbucketClient;
@@ -1,4 +1,5 @@
 import { CommitAnalysis, DailySummary, TaskSuggestion, QualityAnalysis, EnhancedCommitsCache } from '../../models/aiModels.js';
+import { normalizeCategory } from '../../utils/CommitTaxonomy.js';
 
 /**
  * Cache Manager - Functional Pattern
@@ -22,7 +23,7 @@ export const storeAnalysis = async (analyzedCommits) => {
   const docs = analyzedCommits.map(commit => ({
     commitHash: commit.sha, // Git SHA hash (unique per commit)
     message: commit.message, // Original commit message
-    category: commit.category, // AI-determined category (feat, bugfix, etc)
+    category: normalizeCategory(commit.category), // AI-determined category (see CommitTaxonomy)
     confidence: commit.confidence, // AI confidence score (0.0 to 1.0)
     reason: commit.aiReason, // AI explanation for the categorization
     date: commit.date // Commit timestamp for temporal queries
@@ -55,15 +56,30 @@ export const getAnalysisHistory = async (repositoryId, days = 30) => {
   return history;
 };
 
+/**
+ * Build the cache key for a repository's enhanced commits
+ * Default branch keys keep their original format so existing entries stay valid
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} per_page - Number of commits per page
+ * @param {string} branchScope - Branch the commits were read from (null for the default branch)
+ * @returns {string} Cache key
+ */
+const buildEnhancedCommitsKey = (owner, repo, per_page, branchScope) => {
+  const key = `${owner}/${repo}:enhanced-commits:${per_page}`;
+  return branchScope ? `${key}:${branchScope}` : key;
+};
+
 /**
  * Get cached enhanced commits for a repository
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {number} per_page - Number of commits per page (default: 10)
+ * @param {string} branchScope - Branch the commits were read from (null for the default branch)
  * @returns {Promise<Array|null>} Cached commits or null if not found/expired
  */
-export const getCachedEnhancedCommits = async (owner, repo, per_page = 10) => {
-  const cacheKey = `${owner}/${repo}:enhanced-commits:${per_page}`;
+export const getCachedEnhancedCommits = async (owner, repo, per_page = 10, branchScope = null) => {
+  const cacheKey = buildEnhancedCommitsKey(owner, repo, per_page, branchScope);
   
   try {
     const cached = await EnhancedCommitsCache.findOne({ cacheKey }).lean();
@@ -87,10 +103,11 @@ export const getCachedEnhancedCommits = async (owner, repo, per_page = 10) => {
  * @param {string} repo - Repository name
  * @param {Array} commits - Array of enhanced commits
  * @param {number} per_page - Number of commits per page (default: 10)
+ * @param {string} branchScope - Branch the commits were read from (null for the default branch)
  * @returns {Promise<void>}
  */
-export const storeEnhancedCommits = async (owner, repo, commits, per_page = 10) => {
-  const cacheKey = `${owner}/${repo}:enhanced-commits:${per_page}`;
+export const storeEnhancedCommits = async (owner, repo, commits, per_page = 10, branchScope = null) => {
+  const cacheKey = buildEnhancedCommitsKey(owner, repo, per_page, branchScope);
   const repositoryId = `${owner}/${repo}`;
   
   try {
@@ -275,12 +292,12 @@ class CacheManager {
     return await getAnalysisHistory(repositoryId, days);
   }
 
-  async getCachedEnhancedCommits(owner, repo, per_page = 10) {
-    return await getCachedEnhancedCommits(owner, repo, per_page);
+  async getCachedEnhancedCommits(owner, repo, per_page = 10, branchScope = null) {
+    return await getCachedEnhancedCommits(owner, repo, per_page, branchScope);
   }
 
-  async storeEnhancedCommits(owner, repo, commits, per_page = 10) {
-    return await storeEnhancedCommits(owner, repo, commits, per_page);
+  async storeEnhancedCommits(owner, repo, commits, per_page = 10, branchScope = null) {
+    return await storeEnhancedCommits(owner, repo, commits, per_page, branchScope);
   }
 
   async clearEnhancedCommitsCache(owner, repo) {
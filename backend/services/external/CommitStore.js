@@ -0,0 +1,286 @@
+import Commit from '../../models/Commit.js';
+import RepositorySync from '../../models/RepositorySync.js';
+
+/**
+ * Commit Store - Functional Pattern
+ * Local persistence for repository commits so they don't have to be re-fetched from GitHub
+ * Commits are keyed by repository full name + sha and returned in the same
+ * shape as GitHubAPIClient.getCommits; RepositorySync records track how much of
+ * each branch is held locally
+ */
+
+// Commits whose patches add up to more than this are stored without them
+const MAX_STORED_PATCH_CHARS = 512 * 1024;
+
+/**
+ * Convert a stored commit document to the GitHubAPIClient.getCommits shape
+ * @param {Object} doc - Lean Commit document
+ * @returns {Object} Commit object
+ */
+export const toCommitShape = (doc) => ({
+  sha: doc.sha,
+  message: doc.message,
+  author: {
+    name: doc.author?.name,
+    email: doc.author?.email,
+    username: doc.author?.username,
+    date: doc.author?.date ? new Date(doc.author.date).toISOString() : null
+  },
+  url: doc.url,
+  // Pushed commits have no parents until their details are synced; null tells callers they're unknown
+  parents: doc.detailsComplete || doc.parents?.length ? doc.parents : null,
+  branches: doc.branches || [],
+  stats: {
+    additions: doc.stats?.additions || 0,
+    deletions: doc.stats?.deletions || 0,
+    total: doc.stats?.total || 0
+  }
+});
+
+/**
+ * Convert a stored commit document to the GitHubAPIClient.getCommitDiff shape
+ * @param {Object} doc - Lean Commit document
+ * @returns {Object} Commit diff object
+ */
+export const toCommitDiffShape = (doc) => ({
+  sha: doc.sha,
+  message: doc.message,
+  author: {
+    name: doc.author?.name,
+    email: doc.author?.email,
+    date: doc.author?.date ? new Date(doc.author.date).toISOString() : null
+  },
+  stats: {
+    additions: doc.stats?.additions || 0,
+    deletions: doc.stats?.deletions || 0,
+    total: doc.stats?.total || 0
+  },
+  files: (doc.files || []).map(file => ({
+    filename: file.filename,
+    status: file.status,
+    additions: file.additions,
+    deletions: file.deletions,
+    changes: file.changes,
+    patch: file.patch || null
+  }))
+});
+
+/**
+ * Store commits for a repository
+ * New commits are inserted; existing commits gain the branch. Pushed data never
+ * overwrites what is already stored, while commits listed by the API refresh the
+ * message, author, committer, url and parents (stats and files are left alone)
+ * @param {string} repositoryId - Repository full name ("owner/repo")
+ * @param {Array} commits - Commits with { sha, message, author, committer, url, parents, stats, files }
+ * @param {Object} options - { branch, source }
+ * @returns {Promise<Object>} { stored, existing }
+ */
+export const storeCommits = async (repositoryId, commits, options = {}) => {
+  const { branch = null, source = 'webhook' } = options;
+
+  if (!commits || commits.length === 0) {
+    return { stored: 0, existing: 0 };
+  }
+
+  const operations = commits.map(commit => {
+    const { sha, ...fields } = commit;
+    const update = source === 'api'
+      ? { $set: fields, $setOnInsert: { repositoryId, sha, source } }
+      : { $setOnInsert: { ...fields, repositoryId, sha, source } };
+    if (branch) update.$addToSet = { branches: branch };
+
+    return {
+      updateOne: {
+        filter: { repositoryId, sha },
+        update,
+        upsert: true
+      }
+    };
+  });
+
+  const result = await Commit.bulkWrite(operations, { ordered: false });
+  const stored = result.upsertedCount || 0;
+
+  console.log(`💾 CommitStore: Stored ${stored} new commits for ${repositoryId} (${commits.length - stored} already known)`);
+  return { stored, existing: commits.length - stored };
+};
+
+/**
+ * Store the full details of a commit fetched from the commits API
+ * Marks the commit as complete so its stats are never fetched again; patches are
+ * kept too unless the commit is too large to store them
+ * @param {string} repositoryId - Repository full name ("owner/repo")
+ * @param {Object} commit - Commit with { sha, message, author, committer, url, parents, stats, files }
+ * @returns {Promise<void>}
+ */
+export const storeCommitDetails = async (repositoryId, commit) => {
+  const { sha, files = [], ...fields } = commit;
+
+  const patchChars = files.reduce((total, file) => total + (file.patch?.length || 0), 0);
+  const patchesStored = patchChars <= MAX_STORED_PATCH_CHARS;
+
+  await Commit.updateOne(
+    { repositoryId, sha },
+    {
+      $set: {
+        ...fields,
+        files: patchesStored ? files : files.map(({ patch, ...file }) => file),
+        detailsComplete: true,
+        patchesStored
+      },
+      $setOnInsert: { repositoryId, sha, source: 'api' }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Build the committer date filter shared by commit queries
+ * @param {string|Date} since - Earliest committer date (inclusive)
+ * @param {string|Date} until - Latest committer date (inclusive)
+ * @returns {Object|null} Mongo condition or null when unbounded
+ */
+const buildDateFilter = (since, until) => {
+  if (!since && !until) return null;
+  const filter = {};
+  if (since) filter.$gte = new Date(since);
+  if (until) filter.$lte = new Date(until);
+  return filter;
+};
+
+/**
+ * Get stored commits for a repository, newest first
+ * Dates filter on the committer date, matching GitHub's since/until parameters
+ * @param {string} repositoryId - Repository full name ("owner/repo")
+ * @param {Object} options - { since, until, branch, limit, skip }
+ * @returns {Promise<Array>} Commits in the GitHubAPIClient.getCommits shape
+ */
+export const getStoredCommits = async (repositoryId, options = {}) => {
+  const { since, until, branch, limit = 100, skip = 0 } = options;
+
+  const query = { repositoryId };
+  const dateFilter = buildDateFilter(since, until);
+  if (dateFilter) query['committer.date'] = dateFilter;
+  if (branch) query.branches = branch;
+
+  const docs = await Commit.find(query)
+    .sort({ 'committer.date': -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  return docs.map(toCommitShape);
+};
+
+/**
+ * Get a stored commit in the getCommitDiff shape
+ * @param {string} repositoryId - Repository full name ("owner/repo")
+ * @param {string} sha - Full commit SHA
+ * @returns {Promise<Object|null>} Commit diff, or null unless details and patches are stored
+ */
+export const getStoredCommitDiff = async (repositoryId, sha) => {
+  const doc = await Commit.findOne({ repositoryId, sha, detailsComplete: true, patchesStored: true }).lean();
+  return doc ? toCommitDiffShape(doc) : null;
+};
+
+/**
+ * Get the changed files stored for commits, without their patches
+ * @param {string} repositoryId - Repository full name ("owner/repo")
+ * @param {Array<string>} shas - Commit SHAs
+ * @returns {Promise<Map<string, Array>>} Files by sha, for the commits whose details are stored
+ */
+export const getStoredCommitFiles = async (repositoryId, shas) => {
+  const docs = await Commit.find({ repositoryId, sha: { $in: shas }, detailsComplete: true })
+    .select('sha files.filename files.status files.additions files.deletions files.changes')
+    .lean();
+  return new Map(docs.map(doc => [doc.sha, doc.files || []]));
+};
+
+/**
+ * Find which of the given commits still lack stats from the commits API
+ * @param {string} repositoryId - Repository full name ("owner/repo")
+ * @param {Array<string>} shas - Commit SHAs
+ * @returns {Promise<Set<string>>} SHAs without complete details
+ */
+export const getShasMissingDetails = async (repositoryId, shas) => {
+  const complete = await Commit.find({ repositoryId, sha: { $in: shas }, detailsComplete: true })
+    .select('sha')
+    .lean();
+  const completeShas = new Set(complete.map(doc => doc.sha));
+  return new Set(shas.filter(sha => !completeShas.has(sha)));
+};
+
+/**
+ * Get the committer dates of stored commits
+ * @param {string} repositoryId - Repository full name ("owner/repo")
+ * @param {Array<string>} shas - Commit SHAs
+ * @returns {Promise<Map<string, Date>>} Committer date by sha for the commits that are stored
+ */
+export const getStoredCommitDates = async (repositoryId, shas) => {
+  const docs = await Commit.find({ repositoryId, sha: { $in: shas } })
+    .select('sha committer.date')
+    .lean();
+  return new Map(
+    docs
+      .filter(doc => doc.committer?.date)
+      .map(doc => [doc.sha, new Date(doc.committer.date)])
+  );
+};
+
+/**
+ * Count stored commits for a repository
+ * @param {string} repositoryId - Repository full name ("owner/repo")
+ * @param {Object} options - { branch, since }
+ * @returns {Promise<number>} Number of stored commits
+ */
+export const countStoredCommits = async (repositoryId, options = {}) => {
+  const { branch, since } = options;
+
+  const query = { repositoryId };
+  if (branch) query.branches = branch;
+  const dateFilter = buildDateFilter(since);
+  if (dateFilter) query['committer.date'] = dateFilter;
+
+  return await Commit.countDocuments(query);
+};
+
+/**
+ * Get the sync state of a branch
+ * @param {string} repositoryId - Repository full name ("owner/repo")
+ * @param {string} branch - Branch name, or null for the repository's default branch
+ * @returns {Promise<Object|null>} Lean RepositorySync document
+ */
+export const getSyncState = async (repositoryId, branch) => {
+  const query = branch ? { repositoryId, branch } : { repositoryId, isDefault: true };
+  return await RepositorySync.findOne(query).lean();
+};
+
+/**
+ * Create or update the sync state of a branch
+ * @param {string} repositoryId - Repository full name ("owner/repo")
+ * @param {string} branch - Branch name
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object>} Updated lean RepositorySync document
+ */
+export const saveSyncState = async (repositoryId, branch, changes) => {
+  return await RepositorySync.findOneAndUpdate(
+    { repositoryId, branch },
+    { $set: changes },
+    { upsert: true, new: true }
+  ).lean();
+};
+
+export default {
+  toCommitShape,
+  toCommitDiffShape,
+  storeCommits,
+  storeCommitDetails,
+  getStoredCommits,
+  getStoredCommitDiff,
+  getStoredCommitFiles,
+  getShasMissingDetails,
+  getStoredCommitDates,
+  countStoredCommits,
+  getSyncState,
+  saveSyncState
+};
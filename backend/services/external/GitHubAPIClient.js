@@ -1,29 +1,162 @@
+import crypto from 'crypto';
 import { Octokit } from '@octokit/rest';
 import { createGitHubError } from '../../utils/errors.js';
+import {
+  storeCommits,
+  storeCommitDetails,
+  getStoredCommits,
+  getStoredCommitDiff,
+  getStoredCommitFiles,
+  getShasMissingDetails,
+  getStoredCommitDates,
+  countStoredCommits,
+  getSyncState,
+  saveSyncState,
+  toCommitDiffShape
+} from './CommitStore.js';
+import { getStoredPullRequest, storePullRequest } from './PullRequestStore.js';
+import { getTokenQueue, isRateLimitError, isRetryableError } from '../../utils/WorkQueue.js';
+import { getSourceControlConcurrency } from '../../config/workQueue.js';
 
 /**
  * GitHub API Client - Functional Pattern
  * Handles all GitHub API interactions with proper error handling and rate limiting
  * Pure functions for reliable API communication
+ *
+ * Commits are written through to the local commit store (CommitStore), which is
+ * read back for analytics so each commit is only fetched from GitHub once
+ *
+ * Requests made with the same token share a work queue, so parallel callers stay under
+ * GitHub's secondary rate limits and rate limited requests are retried after Retry-After
  */
 
+const SYNC_PAGE_SIZE = 100;
+const MAX_SYNC_PAGES = 10;
+const MAX_BRANCH_PAGES = 3; // Up to 300 branches per repository
+const MAX_ACTIVE_BRANCHES = 20; // Branches read when commits across all branches are requested
+const DEFAULT_ACTIVE_BRANCH_DAYS = 14;
+const BRANCH_HEAD_BATCH_SIZE = 10;
+const MAX_ACTIVITY_PULL_REQUESTS = 50; // Pull requests inspected per activity request
+const REPO_ACCESS_TTL_MS = 10 * 60 * 1000; // How long a user's repository access check is trusted
+const MAX_REPO_ACCESS_ENTRIES = 10000;
+
+// Whether a user token can read a repository, keyed by token digest and repository
+const repoAccessCache = new Map(); // key → { allowed, expiresAt }
+
+/**
+ * Check that a user can read a repository before reading it with an installation token
+ * The installation token sees every repository the app is installed on, so without this
+ * any signed-in user could read private repositories of other people's installations.
+ * Results are cached per user token and repository; errors other than "no access" are not
+ * cached and are thrown so the caller falls back to the user token
+ * @param {Function} request - Octokit request function
+ * @param {string} userToken - User-to-server token
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<boolean>} True when the user's own token can read the repository
+ */
+const canUserReadRepo = async (request, userToken, owner, repo) => {
+  const digest = crypto.createHash('sha256').update(String(userToken)).digest('hex').substring(0, 16);
+  const key = `${digest}:${owner}/${repo}`.toLowerCase();
+  const cached = repoAccessCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.allowed;
+  }
+
+  let allowed = true;
+  try {
+    await request(request.endpoint.merge('GET /repos/{owner}/{repo}', {
+      owner,
+      repo,
+      headers: { authorization: `token ${userToken}` }
+    }));
+  } catch (error) {
+    if (isRateLimitError(error) || ![403, 404].includes(error.status)) throw error;
+    allowed = false;
+  }
+
+  if (repoAccessCache.size >= MAX_REPO_ACCESS_ENTRIES) {
+    const now = Date.now();
+    repoAccessCache.forEach((entry, entryKey) => {
+      if (entry.expiresAt <= now) repoAccessCache.delete(entryKey);
+    });
+    if (repoAccessCache.size >= MAX_REPO_ACCESS_ENTRIES) repoAccessCache.clear();
+  }
+  repoAccessCache.set(key, { allowed, expiresAt: Date.now() + REPO_ACCESS_TTL_MS });
+  return allowed;
+};
+
+/**
+ * Octokit auth strategy for GitHub App mode
+ * Repository reads use an installation token for the repository's owner, but only once
+ * the user's own token has been seen to read that repository (canUserReadRepo); everything
+ * else (the user's own repositories and emails, searches, writes such as creating
+ * issues) and repositories the app isn't installed on use the user's token
+ * @param {Object} options - { userToken, getInstallationToken(owner, repo) → token or null }
+ * @returns {Function} Octokit auth function with a request hook
+ */
+const createInstallationAuth = ({ userToken, getInstallationToken }) => {
+  const auth = async () => ({ type: 'token', token: userToken, tokenType: 'oauth' });
+
+  auth.hook = async (request, route, parameters) => {
+    const endpoint = request.endpoint.merge(route, parameters);
+    let token = userToken;
+
+    if (endpoint.method === 'GET' && endpoint.owner && endpoint.repo) {
+      try {
+        if (await canUserReadRepo(request, userToken, endpoint.owner, endpoint.repo)) {
+          token = (await getInstallationToken(endpoint.owner, endpoint.repo)) || userToken;
+        }
+      } catch (error) {
+        console.warn(`⚠️  Could not get installation token for ${endpoint.owner}, using the user token:`, error.message);
+      }
+    }
+
+    endpoint.headers.authorization = `token ${token}`;
+    return request(endpoint);
+  };
+
+  return auth;
+};
+
 /**
  * Create GitHub API client with access token
  * @param {string} accessToken - GitHub access token
+ * @param {Object} options - { getInstallationToken } - set in GitHub App mode to read repositories with installation tokens
  * @returns {Object} GitHub API client with all methods
  */
-export const createGitHubClient = (accessToken) => {
+export const createGitHubClient = (accessToken, { getInstallationToken } = {}) => {
   const octokit = new Octokit({
-    auth: accessToken,
+    ...(getInstallationToken
+      ? { authStrategy: createInstallationAuth, auth: { userToken: accessToken, getInstallationToken } }
+      : { auth: accessToken }),
     request: {
       timeout: 10000 // 10 second timeout
     }
   });
 
+  const queue = getTokenQueue('github', accessToken, getSourceControlConcurrency());
+  // Only reads are retried after server errors; writes only after rate limits, which GitHub rejects before acting
+  octokit.hook.wrap('request', (request, options) => queue.run(() => request(options), {
+    retryOn: options.method === 'GET' ? isRetryableError : isRateLimitError
+  }));
+
+  // Repositories this token has been seen to read, so stored commits can be served for them
+  const accessibleRepos = new Set();
+
   return {
+    getAuthenticatedUser: () => getAuthenticatedUser(octokit),
     getUserRepos: () => getUserRepos(octokit),
-    getCommits: (owner, repo, options = {}) => getCommits(octokit, owner, repo, options),
-    getCommitDiff: (owner, repo, sha) => getCommitDiff(octokit, owner, repo, sha),
+    getUserEmails: () => getUserEmails(octokit),
+    getBranches: (owner, repo, options = {}) => getBranches(octokit, owner, repo, options),
+    getCommits: (owner, repo, options = {}) => getCommits(octokit, owner, repo, options, accessibleRepos),
+    getCommitDiff: (owner, repo, sha) => getCommitDiff(octokit, owner, repo, sha, accessibleRepos),
+    getKnownCommitFiles: (owner, repo, shas) => getKnownCommitFiles(owner, repo, shas, accessibleRepos),
+    syncCommits: (owner, repo, options = {}) => syncCommits(octokit, owner, repo, options, accessibleRepos),
+    getPullRequestActivity: (options = {}) => getPullRequestActivity(octokit, options),
+    getAssignedIssues: (options = {}) => getAssignedIssues(octokit, options),
+    getIssue: (owner, repo, number) => getIssue(octokit, owner, repo, number),
+    createIssue: (owner, repo, issue) => createIssue(octokit, owner, repo, issue),
     getRateLimit: () => getRateLimit(octokit)
   };
 };
@@ -44,10 +177,11 @@ export const getUserRepos = async (octokit) => {
     // Debug: Check what scopes the token has
     try {
       const { headers } = await octokit.rest.users.getAuthenticated();
-      const scopes = headers['x-oauth-scopes'] || 'unknown';
-      console.log(`🔑 DEBUG - Token scopes: ${scopes}`);
+      // GitHub App and fine-grained tokens have permissions instead of scopes, so no header
+      const scopes = headers['x-oauth-scopes'];
+      console.log(`🔑 DEBUG - Token scopes: ${scopes ?? 'none (fine-grained permissions)'}`);
       
-      if (!scopes.includes('repo')) {
+      if (scopes !== undefined && !scopes.includes('repo')) {
         console.warn(`⚠️  WARNING - Token does not have 'repo' scope, private repositories will not be accessible`);
       }
     } catch (scopeError) {
@@ -114,6 +248,7 @@ export const getUserRepos = async (octokit) => {
       private: repo.private,
       defaultBranch: repo.default_branch,
       updatedAt: repo.updated_at,
+      pushedAt: repo.pushed_at,
       description: repo.description,
       language: repo.language
     }));
@@ -124,160 +259,702 @@ export const getUserRepos = async (octokit) => {
   }
 };
 
+/**
+ * Get the user the token belongs to
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @returns {Promise<Object>} { id, login, name, email, avatarUrl, scopes } - scopes is null for fine-grained tokens
+ */
+export const getAuthenticatedUser = async (octokit) => {
+  try {
+    const { data, headers } = await octokit.rest.users.getAuthenticated();
+    const scopes = headers['x-oauth-scopes'];
+    return {
+      id: data.id,
+      login: data.login,
+      name: data.name,
+      email: data.email,
+      avatarUrl: data.avatar_url,
+      scopes: scopes === undefined ? null : scopes.split(',').map(scope => scope.trim()).filter(Boolean)
+    };
+  } catch (error) {
+    console.error('❌ Error fetching authenticated user:', error.message);
+    throw createGitHubError(error, 'fetching authenticated user');
+  }
+};
+
+/**
+ * Get the authenticated user's verified email addresses
+ * Requires the user:email scope
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @returns {Promise<Array<string>>} Verified email addresses
+ */
+export const getUserEmails = async (octokit) => {
+  try {
+    const { data } = await octokit.rest.users.listEmailsForAuthenticatedUser({ per_page: 100 });
+    return data.filter(entry => entry.verified).map(entry => entry.email);
+  } catch (error) {
+    console.error('❌ Error fetching user emails:', error.message);
+    throw createGitHubError(error, 'fetching user emails');
+  }
+};
+
+/**
+ * Convert a commit from the commits API to the commit store shape
+ * @param {Object} commit - Commit from listCommits or getCommit
+ * @returns {Object} Commit for CommitStore
+ */
+const normalizeApiCommit = (commit) => ({
+  sha: commit.sha,
+  message: commit.commit.message,
+  author: {
+    name: commit.commit.author?.name,
+    email: commit.commit.author?.email,
+    username: commit.author?.login,
+    date: commit.commit.author?.date
+  },
+  committer: {
+    name: commit.commit.committer?.name,
+    email: commit.commit.committer?.email,
+    date: commit.commit.committer?.date
+  },
+  url: commit.html_url,
+  parents: (commit.parents || []).map(parent => ({ sha: parent.sha })) // Parents drive merge commit detection
+});
+
+/**
+ * Fetch pages of commits from GitHub, newest first
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} params - listCommits parameters ({ sha, since, until })
+ * @param {Object} options - { maxPages, stopAtSha }
+ * @returns {Promise<Object>} { commits, complete } - complete is false when maxPages cut the listing short
+ */
+const fetchCommitPages = async (octokit, owner, repo, params, options = {}) => {
+  const { maxPages = MAX_SYNC_PAGES, stopAtSha } = options;
+  const commits = [];
+
+  for (let page = 1; page <= maxPages; page++) {
+    const { data } = await octokit.rest.repos.listCommits({
+      owner,
+      repo,
+      ...params,
+      per_page: SYNC_PAGE_SIZE,
+      page
+    });
+
+    for (const commit of data) {
+      // Everything from the last seen sha onwards is already stored
+      if (stopAtSha && commit.sha === stopAtSha) {
+        return { commits, complete: true };
+      }
+      commits.push(normalizeApiCommit(commit));
+    }
+
+    if (data.length < SYNC_PAGE_SIZE) {
+      return { commits, complete: true };
+    }
+  }
+
+  return { commits, complete: false };
+};
+
+/**
+ * Fetch a commit with stats, files and patches
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Object>} Commit for CommitStore.storeCommitDetails
+ */
+const fetchCommitDetails = async (octokit, owner, repo, sha) => {
+  const { data } = await octokit.rest.repos.getCommit({
+    owner,
+    repo,
+    ref: sha
+  });
+
+  return {
+    ...normalizeApiCommit(data),
+    stats: {
+      additions: data.stats?.additions || 0,
+      deletions: data.stats?.deletions || 0,
+      total: data.stats?.total || 0
+    },
+    files: (data.files || []).map(file => ({
+      filename: file.filename,
+      status: file.status, // added, modified, removed, renamed
+      additions: file.additions,
+      deletions: file.deletions,
+      changes: file.changes,
+      patch: file.patch || null // The actual diff
+    }))
+  };
+};
+
+/**
+ * Look up the committer date of branch heads the commit store doesn't know yet
+ * Heads are stored (without a branch) so the next lookup is served locally
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array<string>} shas - Head commit SHAs
+ * @returns {Promise<Map<string, Date>>} Committer date by sha
+ */
+const fetchHeadDates = async (octokit, owner, repo, shas) => {
+  const repositoryId = `${owner}/${repo}`;
+  const dates = await getStoredCommitDates(repositoryId, shas);
+  const unknown = shas.filter(sha => !dates.has(sha));
+
+  for (let index = 0; index < unknown.length; index += BRANCH_HEAD_BATCH_SIZE) {
+    const heads = await Promise.all(
+      unknown.slice(index, index + BRANCH_HEAD_BATCH_SIZE).map(async (sha) => {
+        // The git data API returns the commit without its diff, which keeps this cheap
+        const { data } = await octokit.rest.git.getCommit({ owner, repo, commit_sha: sha });
+        return {
+          sha: data.sha,
+          message: data.message,
+          author: { name: data.author?.name, email: data.author?.email, date: data.author?.date },
+          committer: { name: data.committer?.name, email: data.committer?.email, date: data.committer?.date },
+          url: data.html_url,
+          parents: (data.parents || []).map(parent => ({ sha: parent.sha }))
+        };
+      })
+    );
+    await storeCommits(repositoryId, heads, { source: 'api' });
+    heads.forEach(head => dates.set(head.sha, new Date(head.committer.date)));
+  }
+
+  return dates;
+};
+
+/**
+ * Get a repository's branches, most recently committed to first
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - { activeSince } - only branches committed to since this date (the default branch is always kept)
+ * @returns {Promise<Array>} Branches with { name, sha, isDefault, protected, lastCommitDate }
+ */
+export const getBranches = async (octokit, owner, repo, options = {}) => {
+  try {
+    const { activeSince } = options;
+    const { data: repository } = await octokit.rest.repos.get({ owner, repo });
+
+    const branches = [];
+    for (let page = 1; page <= MAX_BRANCH_PAGES; page++) {
+      const { data } = await octokit.rest.repos.listBranches({ owner, repo, per_page: 100, page });
+      branches.push(...data);
+      if (data.length < 100) break;
+    }
+
+    const headDates = await fetchHeadDates(octokit, owner, repo, branches.map(branch => branch.commit.sha));
+
+    return branches
+      .map(branch => ({
+        name: branch.name,
+        sha: branch.commit.sha,
+        isDefault: branch.name === repository.default_branch,
+        protected: !!branch.protected,
+        lastCommitDate: headDates.get(branch.commit.sha)?.toISOString() || null
+      }))
+      .filter(branch => branch.isDefault || !activeSince || (branch.lastCommitDate && new Date(branch.lastCommitDate) >= new Date(activeSince)))
+      .sort((a, b) => new Date(b.lastCommitDate || 0) - new Date(a.lastCommitDate || 0));
+  } catch (error) {
+    console.error(`❌ Error fetching branches for ${owner}/${repo}:`, error.message);
+    throw createGitHubError(error, `fetching branches for ${owner}/${repo}`);
+  }
+};
+
+/**
+ * Bring the local commit store up to date for a branch
+ * Catches up from the last seen sha, then backfills older history when the caller
+ * needs commits before the stored window (by date or by count)
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - { branch, since, minCount }
+ * @param {Set<string>} accessibleRepos - Repositories this token is known to read
+ * @returns {Promise<Object>} RepositorySync state after the sync
+ */
+export const syncCommits = async (octokit, owner, repo, options = {}, accessibleRepos = new Set()) => {
+  const { branch, since, minCount = 0 } = options;
+  const repositoryId = `${owner}/${repo}`;
+
+  let state = await getSyncState(repositoryId, branch);
+  let targetBranch = branch || state?.branch;
+  if (!targetBranch) {
+    const { data } = await octokit.rest.repos.get({ owner, repo });
+    targetBranch = data.default_branch;
+    state = await getSyncState(repositoryId, targetBranch);
+  }
+  const storeBatch = (commits) => storeCommits(repositoryId, commits, { branch: targetBranch, source: 'api' });
+
+  // Catch up with the branch head; a first sync only takes the newest page
+  const head = await fetchCommitPages(
+    octokit, owner, repo,
+    { sha: targetBranch, ...(state?.newestDate && { since: state.newestDate.toISOString() }) },
+    { maxPages: state ? MAX_SYNC_PAGES : 1, stopAtSha: state?.newestSha }
+  );
+  accessibleRepos.add(repositoryId);
+  await storeBatch(head.commits);
+
+  const changes = { lastSyncedAt: new Date() };
+  if (!branch) changes.isDefault = true;
+  if (head.commits.length > 0) {
+    changes.newestSha = head.commits[0].sha;
+    changes.newestDate = head.commits[0].committer.date;
+  }
+  if (!state || !head.complete) {
+    // First sync, or too far behind to bridge the gap: the stored window restarts here
+    changes.oldestDate = head.commits.at(-1)?.committer.date || new Date();
+    changes.reachedRoot = !state && head.complete;
+  }
+  state = await saveSyncState(repositoryId, targetBranch, changes);
+
+  // Backfill the requested date range
+  if (since && !state.reachedRoot && new Date(since) < state.oldestDate) {
+    const older = await fetchCommitPages(octokit, owner, repo, {
+      sha: targetBranch,
+      since,
+      until: state.oldestDate.toISOString()
+    });
+    await storeBatch(older.commits);
+    state = await saveSyncState(repositoryId, targetBranch, {
+      oldestDate: older.complete ? new Date(since) : older.commits.at(-1).committer.date
+    });
+  }
+
+  // Backfill until the window holds enough commits
+  if (minCount > 0 && !state.reachedRoot) {
+    const held = await countStoredCommits(repositoryId, { branch: targetBranch, since: state.oldestDate });
+    if (held < minCount) {
+      const older = await fetchCommitPages(
+        octokit, owner, repo,
+        { sha: targetBranch, until: state.oldestDate.toISOString() },
+        { maxPages: Math.min(Math.ceil((minCount - held) / SYNC_PAGE_SIZE), MAX_SYNC_PAGES) }
+      );
+      await storeBatch(older.commits);
+      state = await saveSyncState(repositoryId, targetBranch, {
+        oldestDate: older.commits.at(-1)?.committer.date || state.oldestDate,
+        reachedRoot: older.complete
+      });
+    }
+  }
+
+  return state;
+};
+
 /**
  * Get commits for a repository
+ * Syncs the branch into the local commit store, then reads from it; stats are
+ * fetched only for commits that don't have them stored yet
  * @param {Octokit} octokit - Authenticated Octokit instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {Object} options - Options for commit fetching
+ * @param {Set<string>} accessibleRepos - Repositories this token is known to read
  * @returns {Promise<Array>} Array of commit objects
  */
-export const getCommits = async (octokit, owner, repo, options = {}) => {
+export const getCommits = async (octokit, owner, repo, options = {}, accessibleRepos = new Set()) => {
+  if (options.allBranches) {
+    return getCommitsAcrossBranches(octokit, owner, repo, options, accessibleRepos);
+  }
+
   try {
     const {
       per_page = 20, // Last 20 commits
       page = 1, // Page number for pagination
-      sha = undefined, // branch/commit SHA
+      sha = undefined, // Branch name (default branch when omitted)
       since,
       until,
       includeStats = false // Whether to fetch commit statistics (expensive)
     } = options;
+    const repositoryId = `${owner}/${repo}`;
 
-    const params = {
-      owner,
-      repo,
-      per_page,
-      page,
-      sha
-    };
-    if (since) params.since = since;
-    if (until) params.until = until;
+    const state = await syncCommits(octokit, owner, repo, {
+      branch: sha,
+      since,
+      minCount: since ? 0 : per_page * page
+    }, accessibleRepos);
 
-    const { data } = await octokit.rest.repos.listCommits(params);
+    // Only read inside the window the store is known to hold completely
+    const coveredSince = state.reachedRoot || (since && new Date(since) > state.oldestDate)
+      ? since
+      : state.oldestDate;
 
-    // If statistics are requested, fetch them individually (expensive but accurate)
-    if (includeStats) {
-      console.log(`🔄 Fetching statistics for ${data.length} commits in ${owner}/${repo}...`);
-      
-      const commitsWithStats = await Promise.all(
-        data.map(async (commit) => {
-          try {
-            const { data: fullCommit } = await octokit.rest.repos.getCommit({
-              owner,
-              repo,
-              ref: commit.sha
-            });
-            
-            return {
-              sha: commit.sha,
-              message: commit.commit.message,
-              author: {
-                name: commit.commit.author.name,
-                email: commit.commit.author.email,
-                date: commit.commit.author.date
-              },
-              url: commit.html_url,
-              parents: commit.parents || [], // Include parents for merge commit detection
-              stats: {
-                additions: fullCommit.stats?.additions || 0,
-                deletions: fullCommit.stats?.deletions || 0,
-                total: fullCommit.stats?.total || 0
-              }
-            };
-          } catch (error) {
-            console.error(`⚠️  Failed to fetch stats for commit ${commit.sha.substring(0, 7)}:`, error.message);
-            // Return commit without stats as fallback
-            return {
-              sha: commit.sha,
-              message: commit.commit.message,
-              author: {
-                name: commit.commit.author.name,
-                email: commit.commit.author.email,
-                date: commit.commit.author.date
-              },
-              url: commit.html_url,
-              parents: commit.parents || [], // Include parents for merge commit detection
-              stats: {
-                additions: 0,
-                deletions: 0,
-                total: 0
+    const commits = await getStoredCommits(repositoryId, {
+      branch: state.branch,
+      since: coveredSince,
+      until,
+      limit: per_page,
+      skip: (page - 1) * per_page
+    });
+    commits.forEach(commit => { commit.branch = state.branch; });
+
+    // If statistics are requested, fetch the ones not stored yet (expensive but accurate)
+    if (includeStats && commits.length > 0) {
+      const missing = await getShasMissingDetails(repositoryId, commits.map(commit => commit.sha));
+
+      if (missing.size > 0) {
+        console.log(`🔄 Fetching statistics for ${missing.size} commits in ${owner}/${repo}...`);
+
+        await Promise.all(
+          commits
+            .filter(commit => missing.has(commit.sha))
+            .map(async (commit) => {
+              try {
+                const details = await fetchCommitDetails(octokit, owner, repo, commit.sha);
+                await storeCommitDetails(repositoryId, details);
+                commit.stats = details.stats;
+              } catch (error) {
+                // Keep the commit without stats as fallback
+                console.error(`⚠️  Failed to fetch stats for commit ${commit.sha.substring(0, 7)}:`, error.message);
               }
-            };
-          }
-        })
-      );
-      
-      console.log(`✅ Successfully fetched statistics for ${commitsWithStats.length} commits`);
-      return commitsWithStats;
-    }
+            })
+        );
 
-    // Default behavior - return commits without statistics for performance
-    return data.map(commit => ({
-      sha: commit.sha,
-      message: commit.commit.message,
-      author: {
-        name: commit.commit.author.name,
-        email: commit.commit.author.email,
-        date: commit.commit.author.date
-      },
-      url: commit.html_url,
-      parents: commit.parents || [], // Include parents for merge commit detection
-      stats: {
-        additions: 0,
-        deletions: 0,
-        total: 0
+        console.log(`✅ Stored statistics for ${missing.size} commits`);
       }
-    }));
+    }
+
+    return commits;
   } catch (error) {
     console.error(`❌ Error fetching commits for ${owner}/${repo}:`, error.message);
     throw createGitHubError(error, `fetching commits for ${owner}/${repo}`);
   }
 };
 
+/**
+ * Get commits from every recently active branch of a repository
+ * Each branch is read like a single-branch request and the results are merged by
+ * sha; a commit on several branches is attributed to the default branch if it is
+ * there, otherwise to the most recently active branch that has it
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - getCommits options plus { activeSince } (defaults to since, or the last 14 days)
+ * @param {Set<string>} accessibleRepos - Repositories this token is known to read
+ * @returns {Promise<Array>} Commits newest first, each with { branch, branches }
+ */
+const getCommitsAcrossBranches = async (octokit, owner, repo, options = {}, accessibleRepos = new Set()) => {
+  const { per_page = 20, page = 1, since, activeSince } = options;
+  const activeFrom = activeSince || since || new Date(Date.now() - DEFAULT_ACTIVE_BRANCH_DAYS * 24 * 60 * 60 * 1000);
+
+  const branches = (await getBranches(octokit, owner, repo, { activeSince: activeFrom })).slice(0, MAX_ACTIVE_BRANCHES);
+  if (branches.length === MAX_ACTIVE_BRANCHES) {
+    console.warn(`⚠️  Reading the ${MAX_ACTIVE_BRANCHES} most recently active branches of ${owner}/${repo}`);
+  }
+  // Default branch first so commits it already has are attributed to it
+  branches.sort((a, b) => b.isDefault - a.isDefault);
+
+  const bySha = new Map();
+  for (const branch of branches) {
+    const commits = await getCommits(octokit, owner, repo, {
+      ...options,
+      allBranches: false,
+      sha: branch.name,
+      per_page: per_page * page, // Enough from each branch to fill the requested page once merged
+      page: 1
+    }, accessibleRepos);
+
+    commits.forEach(commit => {
+      const known = bySha.get(commit.sha);
+      if (known) {
+        known.branches.push(branch.name);
+      } else {
+        bySha.set(commit.sha, { ...commit, branch: branch.name, branches: [branch.name] });
+      }
+    });
+  }
+
+  return [...bySha.values()]
+    .sort((a, b) => new Date(b.author.date) - new Date(a.author.date))
+    .slice((page - 1) * per_page, page * per_page);
+};
+
 /**
  * Get commit diff/changes
+ * Commits never change, so stored details are served once the token is known to
+ * read the repository; otherwise the diff is fetched and written to the store
  * @param {Octokit} octokit - Authenticated Octokit instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} sha - Commit SHA
+ * @param {Set<string>} accessibleRepos - Repositories this token is known to read
  * @returns {Promise<Object>} Commit diff data
  */
-export const getCommitDiff = async (octokit, owner, repo, sha) => {
+export const getCommitDiff = async (octokit, owner, repo, sha, accessibleRepos = new Set()) => {
   try {
-    const { data } = await octokit.rest.repos.getCommit({
-      owner,
-      repo,
-      ref: sha
-    });
+    const repositoryId = `${owner}/${repo}`;
 
-    return {
-      sha: data.sha,
-      message: data.commit.message,
-      author: {
-        name: data.commit.author.name,
-        email: data.commit.author.email,
-        date: data.commit.author.date
-      },
-      stats: {
-        additions: data.stats.additions,
-        deletions: data.stats.deletions,
-        total: data.stats.total
-      },
-      files: data.files.map(file => ({
-        filename: file.filename,
-        status: file.status, // added, modified, removed, renamed
-        additions: file.additions,
-        deletions: file.deletions,
-        changes: file.changes,
-        patch: file.patch || null // The actual diff
-      }))
-    };
+    const stored = await getStoredCommitDiff(repositoryId, sha);
+    if (stored) {
+      if (!accessibleRepos.has(repositoryId)) {
+        await octokit.rest.repos.get({ owner, repo });
+        accessibleRepos.add(repositoryId);
+      }
+      return stored;
+    }
+
+    const details = await fetchCommitDetails(octokit, owner, repo, sha);
+    accessibleRepos.add(repositoryId);
+
+    try {
+      await storeCommitDetails(repositoryId, details);
+    } catch (storeError) {
+      console.error(`⚠️  Failed to store commit ${sha.substring(0, 7)}:`, storeError.message);
+    }
+
+    return toCommitDiffShape(details);
   } catch (error) {
     console.error(`❌ Error fetching commit diff for ${sha}:`, error.message);
     throw createGitHubError(error, `fetching commit diff for ${sha}`);
   }
 };
 
+/**
+ * Get the changed files of commits whose details are already stored, without calling GitHub
+ * Used to categorize commits when no AI provider will read their diffs anyway
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array<string>} shas - Commit SHAs
+ * @param {Set<string>} accessibleRepos - Repositories this token is known to read
+ * @returns {Promise<Map<string, Array>>} Files by sha; empty unless the token has read the repository
+ */
+export const getKnownCommitFiles = async (owner, repo, shas, accessibleRepos = new Set()) => {
+  const repositoryId = `${owner}/${repo}`;
+  if (!accessibleRepos.has(repositoryId) || shas.length === 0) {
+    return new Map();
+  }
+  return getStoredCommitFiles(repositoryId, shas);
+};
+
+/**
+ * Load a pull request with its reviews and comments
+ * The stored copy is reused while GitHub reports no update since it was fetched
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} item - Pull request from the search API
+ * @returns {Promise<Object>} Lean PullRequest document
+ */
+const syncPullRequest = async (octokit, owner, repo, item) => {
+  const repositoryId = `${owner}/${repo}`;
+  const pull_number = item.number;
+
+  const stored = await getStoredPullRequest(repositoryId, pull_number);
+  if (stored?.lastUpdatedAt && stored.lastUpdatedAt >= new Date(item.updated_at)) {
+    return stored;
+  }
+
+  const [{ data: pull }, { data: reviews }, { data: conversation }, { data: inline }] = await Promise.all([
+    octokit.rest.pulls.get({ owner, repo, pull_number }),
+    octokit.rest.pulls.listReviews({ owner, repo, pull_number, per_page: 100 }),
+    octokit.rest.issues.listComments({ owner, repo, issue_number: pull_number, per_page: 100 }),
+    octokit.rest.pulls.listReviewComments({ owner, repo, pull_number, per_page: 100 })
+  ]);
+
+  return await storePullRequest({
+    repositoryId,
+    number: pull_number,
+    title: pull.title,
+    url: pull.html_url,
+    author: pull.user?.login,
+    state: pull.state,
+    draft: !!pull.draft,
+    openedAt: pull.created_at,
+    closedAt: pull.closed_at,
+    mergedAt: pull.merged_at,
+    mergedBy: pull.merged_by?.login,
+    lastUpdatedAt: pull.updated_at,
+    reviews: reviews.map(review => ({
+      user: review.user?.login,
+      state: review.state,
+      submittedAt: review.submitted_at,
+      url: review.html_url
+    })),
+    comments: [
+      ...conversation.map(comment => ({ user: comment.user?.login, kind: 'conversation', createdAt: comment.created_at, url: comment.html_url })),
+      ...inline.map(comment => ({ user: comment.user?.login, kind: 'review', createdAt: comment.created_at, url: comment.html_url }))
+    ]
+  });
+};
+
+/**
+ * Describe what a user did on a pull request within a window
+ * @param {Object} pullRequest - Lean PullRequest document
+ * @param {string} login - GitHub login
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @returns {Object|null} Activity entry, or null if the user did nothing in the window
+ */
+const summarizePullRequestActivity = (pullRequest, login, start, end) => {
+  const isUser = (user) => !!user && user.toLowerCase() === login.toLowerCase();
+  const inWindow = (date) => !!date && new Date(date) >= start && new Date(date) <= end;
+
+  const reviews = pullRequest.reviews.filter(review => isUser(review.user) && inWindow(review.submittedAt));
+  const comments = pullRequest.comments.filter(comment => isUser(comment.user) && inWindow(comment.createdAt));
+
+  const actions = [];
+  if (isUser(pullRequest.author) && inWindow(pullRequest.openedAt)) actions.push('opened');
+  if (inWindow(pullRequest.mergedAt) && (isUser(pullRequest.author) || isUser(pullRequest.mergedBy))) actions.push('merged');
+  if (reviews.length > 0) actions.push('reviewed');
+  if (comments.length > 0) actions.push('commented');
+  if (actions.length === 0) return null;
+
+  const times = [
+    ...reviews.map(review => review.submittedAt),
+    ...comments.map(comment => comment.createdAt),
+    actions.includes('opened') && pullRequest.openedAt,
+    actions.includes('merged') && pullRequest.mergedAt
+  ].filter(Boolean).map(date => new Date(date));
+
+  return {
+    repository: pullRequest.repositoryId,
+    number: pullRequest.number,
+    title: pullRequest.title,
+    url: pullRequest.url,
+    author: pullRequest.author,
+    state: pullRequest.mergedAt ? 'merged' : pullRequest.state,
+    draft: pullRequest.draft,
+    actions,
+    reviewStates: [...new Set(reviews.map(review => review.state))],
+    commentCount: comments.length,
+    lastActivityAt: new Date(Math.max(...times)).toISOString()
+  };
+};
+
+/**
+ * Get the pull requests a user opened, merged, reviewed or commented on in a window
+ * Found through the search API, then written through to the local pull request store
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @param {Object} options - { since, until, login } - login defaults to the token's user
+ * @returns {Promise<Array>} Activity entries, most recent first
+ */
+export const getPullRequestActivity = async (octokit, options = {}) => {
+  try {
+    const start = new Date(options.since);
+    const end = options.until ? new Date(options.until) : new Date();
+    const login = options.login || (await octokit.rest.users.getAuthenticated()).data.login;
+
+    // involves: covers authored, assigned, mentioned and commented; reviews need their own qualifier
+    const day = start.toISOString().split('T')[0];
+    const found = new Map();
+    for (const qualifier of [`involves:${login}`, `reviewed-by:${login}`]) {
+      const { data } = await octokit.rest.search.issuesAndPullRequests({
+        q: `type:pr ${qualifier} updated:>=${day}`,
+        sort: 'updated',
+        order: 'desc',
+        per_page: 100
+      });
+      data.items.forEach(item => found.set(item.html_url, item));
+    }
+
+    const activity = [];
+    for (const item of [...found.values()].slice(0, MAX_ACTIVITY_PULL_REQUESTS)) {
+      const [owner, repo] = item.repository_url.split('/').slice(-2);
+      try {
+        const pullRequest = await syncPullRequest(octokit, owner, repo, item);
+        const entry = summarizePullRequestActivity(pullRequest, login, start, end);
+        if (entry) activity.push(entry);
+      } catch (error) {
+        console.error(`⚠️  Failed to load pull request ${owner}/${repo}#${item.number}:`, error.message);
+      }
+    }
+
+    console.log(`🔀 Found activity on ${activity.length} of ${found.size} pull requests for ${login}`);
+    return activity.sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+  } catch (error) {
+    console.error('❌ Error fetching pull request activity:', error.message);
+    throw createGitHubError(error, 'fetching pull request activity');
+  }
+};
+
+/**
+ * Convert an issue from the issues API to the shape used for task suggestions
+ * @param {Object} issue - Issue from the issues API
+ * @param {string} repositoryFullName - Repository full name when the payload doesn't carry it
+ * @returns {Object} { repository, number, title, body, url, state, labels, updatedAt }
+ */
+const normalizeIssue = (issue, repositoryFullName = null) => ({
+  repository: issue.repository?.full_name || repositoryFullName,
+  number: issue.number,
+  title: issue.title,
+  body: (issue.body || '').substring(0, 500), // Enough context for prompts
+  url: issue.html_url,
+  state: issue.state,
+  labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+  updatedAt: issue.updated_at
+});
+
+/**
+ * Get open issues assigned to the authenticated user across their repositories
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @param {Object} options - { per_page }
+ * @returns {Promise<Array>} Issues, most recently updated first (pull requests excluded)
+ */
+export const getAssignedIssues = async (octokit, options = {}) => {
+  try {
+    const { per_page = 50 } = options;
+    const { data } = await octokit.rest.issues.list({
+      filter: 'assigned',
+      state: 'open',
+      sort: 'updated',
+      per_page
+    });
+
+    // The issues API lists pull requests too
+    return data.filter(issue => !issue.pull_request).map(issue => normalizeIssue(issue));
+  } catch (error) {
+    console.error('❌ Error fetching assigned issues:', error.message);
+    throw createGitHubError(error, 'fetching assigned issues');
+  }
+};
+
+/**
+ * Get a single issue
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} number - Issue number
+ * @returns {Promise<Object|null>} Issue, or null if the number belongs to a pull request
+ */
+export const getIssue = async (octokit, owner, repo, number) => {
+  try {
+    const { data } = await octokit.rest.issues.get({ owner, repo, issue_number: number });
+    return data.pull_request ? null : normalizeIssue(data, `${owner}/${repo}`);
+  } catch (error) {
+    console.error(`❌ Error fetching issue ${owner}/${repo}#${number}:`, error.message);
+    throw createGitHubError(error, `fetching issue ${owner}/${repo}#${number}`);
+  }
+};
+
+/**
+ * Create an issue
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} issue - { title, body, labels }
+ * @returns {Promise<Object>} Created issue
+ */
+export const createIssue = async (octokit, owner, repo, issue) => {
+  try {
+    const { data } = await octokit.rest.issues.create({
+      owner,
+      repo,
+      title: issue.title,
+      body: issue.body,
+      ...(issue.labels?.length > 0 && { labels: issue.labels })
+    });
+    console.log(`📝 Created issue ${owner}/${repo}#${data.number}`);
+    return normalizeIssue(data, `${owner}/${repo}`);
+  } catch (error) {
+    console.error(`❌ Error creating issue in ${owner}/${repo}:`, error.message);
+    throw createGitHubError(error, `creating issue in ${owner}/${repo}`);
+  }
+};
+
 /**
  * Check API rate limit status
  * @param {Octokit} octokit - Authenticated Octokit instance
@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import { Octokit } from '@octokit/rest';
+import { createGitHubClient } from './GitHubAPIClient.js';
+import {
+  INSTALLATION_PERMISSIONS,
+  isGitHubAppMode,
+  getGitHubAppConfig,
+  getGitHubLoginConfig
+} from '../../config/github.js';
+import { AppError } from '../../utils/errors.js';
+
+/**
+ * GitHub Auth - Functional Pattern
+ * Hands out the GitHub client for a user according to how they signed in:
+ * - OAuth app and personal access token users: their own token
+ * - GitHub App users: repository reads use short-lived installation tokens limited to
+ *   INSTALLATION_PERMISSIONS; the user's own (expiring) token is refreshed when needed
+ */
+
+// Refresh tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// How long an owner → installation lookup (including "not installed") is trusted
+const INSTALLATION_LOOKUP_TTL_MS = 10 * 60 * 1000;
+
+const installationIds = new Map(); // owner → { id, checkedAt }
+const installationTokens = new Map(); // installation id → { token, expiresAt }
+const pendingUserRefreshes = new Map(); // user id → refresh promise (refresh tokens are single-use)
+
+/**
+ * Create the JWT that authenticates as the GitHub App itself
+ * @param {Object} config - { appId, privateKey }
+ * @returns {string} RS256-signed JWT, valid for 9 minutes
+ */
+const createAppJwt = ({ appId, privateKey }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  // iat is backdated to allow for clock drift
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({ iat: now - 60, exp: now + 540, iss: String(appId) })}`;
+  const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(privateKey, 'base64url');
+  return `${unsigned}.${signature}`;
+};
+
+/**
+ * Find the installation of the app that covers an owner's repositories
+ * @param {Octokit} appOctokit - Octokit authenticated as the app
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name (optional)
+ * @returns {Promise<number|null>} Installation id, or null when the app isn't installed
+ */
+const getInstallationId = async (appOctokit, owner, repo) => {
+  const key = owner.toLowerCase();
+  const cached = installationIds.get(key);
+  if (cached && Date.now() - cached.checkedAt < INSTALLATION_LOOKUP_TTL_MS) {
+    return cached.id;
+  }
+
+  let id = null;
+  try {
+    const { data } = repo
+      ? await appOctokit.rest.apps.getRepoInstallation({ owner, repo })
+      : await appOctokit.rest.apps.getUserInstallation({ username: owner });
+    id = data.id;
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+
+  installationIds.set(key, { id, checkedAt: Date.now() });
+  return id;
+};
+
+/**
+ * Get a read-only installation token for an owner's repositories
+ * Tokens are cached until shortly before they expire (GitHub issues them for an hour)
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name (optional)
+ * @returns {Promise<string|null>} Installation token, or null when the app isn't installed for the owner
+ */
+export const getInstallationToken = async (owner, repo) => {
+  const config = getGitHubAppConfig();
+  if (!config) return null;
+
+  const appOctokit = new Octokit({ auth: createAppJwt(config), request: { timeout: 10000 } });
+  const installationId = await getInstallationId(appOctokit, owner, repo);
+  if (!installationId) return null;
+
+  const cached = installationTokens.get(installationId);
+  if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cached.token;
+  }
+
+  const { data } = await appOctokit.rest.apps.createInstallationAccessToken({
+    installation_id: installationId,
+    permissions: INSTALLATION_PERMISSIONS
+  });
+  installationTokens.set(installationId, { token: data.token, expiresAt: new Date(data.expires_at).getTime() });
+
+  console.log(`🔑 GitHubAuth: Issued installation token for ${owner} (installation ${installationId})`);
+  return data.token;
+};
+
+/**
+ * Exchange a GitHub App user's refresh token for a new access token
+ * @param {Object} user - User document with accessToken and githubRefreshToken selected
+ * @returns {Promise<string>} The new access token
+ */
+const refreshUserToken = async (user) => {
+  const config = getGitHubLoginConfig();
+  if (!config || !user.githubRefreshToken) {
+    throw new AppError('GitHub session expired - please sign in again', 401);
+  }
+
+  const response = await fetch('https://github.com/login/oauth/access_token', {
+    method: 'POST',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({
+      client_id: config.clientID,
+      client_secret: config.clientSecret,
+      grant_type: 'refresh_token',
+      refresh_token: user.githubRefreshToken
+    }),
+    signal: AbortSignal.timeout(10000)
+  });
+
+  // GitHub answers 200 with an error field when the refresh token is invalid
+  const tokens = await response.json().catch(() => ({}));
+  if (!response.ok || tokens.error || !tokens.access_token) {
+    console.warn(`⚠️  GitHubAuth: Token refresh failed for ${user.username}:`, tokens.error || response.status);
+    throw new AppError('GitHub session expired - please sign in again', 401);
+  }
+
+  user.accessToken = tokens.access_token;
+  user.githubRefreshToken = tokens.refresh_token || user.githubRefreshToken;
+  user.githubTokenExpiresAt = tokens.expires_in ? new Date(Date.now() + tokens.expires_in * 1000) : null;
+  await user.save();
+
+  console.log(`🔄 GitHubAuth: Refreshed GitHub token for ${user.username}`);
+  return user.accessToken;
+};
+
+/**
+ * Get a user's GitHub access token, refreshing it first when it is about to expire
+ * Only GitHub App user tokens expire; OAuth app and personal access tokens are returned as is
+ * @param {Object} user - User document with accessToken (and githubRefreshToken) selected
+ * @returns {Promise<string>} Access token
+ */
+export const getUserAccessToken = async (user) => {
+  const expiresSoon = user.githubTokenExpiresAt
+    && user.githubTokenExpiresAt.getTime() - TOKEN_REFRESH_MARGIN_MS < Date.now();
+  if (!expiresSoon) {
+    return user.accessToken;
+  }
+
+  const key = String(user._id);
+  if (!pendingUserRefreshes.has(key)) {
+    pendingUserRefreshes.set(key, refreshUserToken(user).finally(() => pendingUserRefreshes.delete(key)));
+  }
+  return pendingUserRefreshes.get(key);
+};
+
+/**
+ * Create the GitHub client for a user
+ * Users who signed in with the GitHub App read repositories with installation tokens;
+ * personal access token users always use their own token
+ * @param {Object} user - User document with accessToken (and githubRefreshToken) selected
+ * @returns {Promise<Object>} GitHub API client (see GitHubAPIClient)
+ */
+export const getUserGitHubClient = async (user) => {
+  const accessToken = await getUserAccessToken(user);
+
+  if (user.authMethod === 'app' && isGitHubAppMode() && getGitHubAppConfig()) {
+    return createGitHubClient(accessToken, { getInstallationToken });
+  }
+  return createGitHubClient(accessToken);
+};
+
+export default {
+  getInstallationToken,
+  getUserAccessToken,
+  getUserGitHubClient
+};
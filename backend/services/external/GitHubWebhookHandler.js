@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import { storeCommits } from './CommitStore.js';
+import { clearEnhancedCommitsCache } from './CacheManager.js';
+
+/**
+ * GitHub Webhook Handler - Functional Pattern
+ * Verifies GitHub webhook signatures and ingests push events into the local commit store
+ *
+ * Configure the webhook on a repository or organization with:
+ * - Payload URL: https://<backend>/webhooks/github
+ * - Content type: application/json
+ * - Secret: the value of GITHUB_WEBHOOK_SECRET
+ * - Events: "Just the push event" (ping is answered as well)
+ */
+
+const BRANCH_REF_PREFIX = 'refs/heads/';
+
+/**
+ * Compute the X-Hub-Signature-256 value GitHub sends for a payload
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} secret - Webhook secret
+ * @returns {string} Signature in the form "sha256=<hex>"
+ */
+export const signPayload = (rawBody, secret) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+};
+
+/**
+ * Verify an X-Hub-Signature-256 header against the raw request body
+ * Uses a constant-time comparison so the signature can't be guessed byte by byte
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} signature - X-Hub-Signature-256 header value
+ * @param {string} secret - Webhook secret
+ * @returns {boolean} True if the signature matches
+ */
+export const verifySignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = Buffer.from(signPayload(rawBody, secret));
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Convert a push payload commit to the commit store shape
+ * Push payloads list changed paths but not line counts or parents, so stats stay at zero
+ * and parents empty until the sync fetches the commit details from the API
+ * @param {Object} commit - Commit from payload.commits
+ * @returns {Object} Commit for CommitStore.storeCommits
+ */
+const normalizePushCommit = (commit) => {
+  const files = [
+    ...(commit.added || []).map(filename => ({ filename, status: 'added' })),
+    ...(commit.modified || []).map(filename => ({ filename, status: 'modified' })),
+    ...(commit.removed || []).map(filename => ({ filename, status: 'removed' }))
+  ];
+
+  return {
+    sha: commit.id,
+    message: commit.message,
+    author: {
+      name: commit.author?.name,
+      email: commit.author?.email,
+      username: commit.author?.username,
+      date: commit.timestamp
+    },
+    committer: {
+      name: commit.committer?.name,
+      email: commit.committer?.email,
+      date: commit.timestamp
+    },
+    url: commit.url,
+    // Push order says nothing reliable about parents (merges, commits brought in from other branches)
+    parents: [],
+    files,
+    detailsComplete: false
+  };
+};
+
+/**
+ * Ingest a push event into the commit store
+ * @param {Object} payload - Parsed push event payload
+ * @returns {Promise<Object>} { repositoryId, branch, received, stored, existing, ignored }
+ */
+export const handlePushEvent = async (payload) => {
+  const repositoryId = payload.repository?.full_name;
+  if (!repositoryId) {
+    throw new Error('Push payload is missing repository.full_name');
+  }
+
+  // Tag pushes and branch deletions carry no new work
+  if (!payload.ref?.startsWith(BRANCH_REF_PREFIX)) {
+    return { repositoryId, branch: null, received: 0, stored: 0, existing: 0, ignored: 'not a branch push' };
+  }
+  const branch = payload.ref.slice(BRANCH_REF_PREFIX.length);
+  if (payload.deleted) {
+    return { repositoryId, branch, received: 0, stored: 0, existing: 0, ignored: 'branch deleted' };
+  }
+
+  const commits = (payload.commits || []).map(normalizePushCommit);
+
+  const { stored, existing } = await storeCommits(repositoryId, commits, { branch, source: 'webhook' });
+
+  // New commits make the cached commit list for this repository stale
+  if (stored > 0) {
+    const [owner, repo] = repositoryId.split('/');
+    await clearEnhancedCommitsCache(owner, repo);
+  }
+
+  console.log(`📬 Webhook: Push to ${repositoryId}@${branch} - ${stored} new, ${existing} known commits`);
+  return { repositoryId, branch, received: commits.length, stored, existing };
+};
+
+export default {
+  signPayload,
+  verifySignature,
+  handlePushEvent
+};
@@ -0,0 +1,283 @@
+import { createProviderError } from '../../utils/errors.js';
+import { countDiffLines } from '../../utils/DiffUtils.js';
+import { storeCommits, storeCommitDetails, getStoredCommitDiff, toCommitDiffShape } from './CommitStore.js';
+import { getTokenQueue } from '../../utils/WorkQueue.js';
+import { getSourceControlConcurrency } from '../../config/workQueue.js';
+
+/**
+ * GitLab API Client - Functional Pattern
+ * Source control provider for gitlab.com and self-hosted GitLab instances
+ * Returns repositories, commits and diffs in the same shapes as GitHubAPIClient
+ *
+ * Commits are read live by date range and written through to the local commit
+ * store under "gitlab:<namespace/project>" so diffs are only fetched once
+ */
+
+export const DEFAULT_GITLAB_URL = 'https://gitlab.com';
+const PAGE_SIZE = 100;
+const MAX_REPO_PAGES = 10; // Up to 1000 projects
+const MAX_COMMIT_PAGES = 10;
+
+/**
+ * Build the commit store repository id for a GitLab project
+ * @param {string} fullName - Project path with namespace
+ * @returns {string} Repository id
+ */
+const toRepositoryId = (fullName) => `gitlab:${fullName}`;
+
+/**
+ * Create GitLab API client
+ * @param {Object} connection - { accessToken, baseUrl }
+ * @returns {Object} GitLab API client with the source control provider methods
+ */
+export const createGitLabClient = ({ accessToken, baseUrl }) => {
+  const request = createRequest(accessToken, (baseUrl || DEFAULT_GITLAB_URL).replace(/\/$/, ''));
+
+  return {
+    provider: 'gitlab',
+    getUserRepos: () => getUserRepos(request),
+    getCommits: (owner, repo, options = {}) => getCommits(request, owner, repo, options),
+    getCommitDiff: (owner, repo, sha) => getCommitDiff(request, owner, repo, sha),
+    getRateLimit: () => getRateLimit(request)
+  };
+};
+
+/**
+ * Create an authenticated request function for the GitLab REST API
+ * Requests with the same token share a work queue and are retried after rate limits
+ * @param {string} accessToken - OAuth access token
+ * @param {string} baseUrl - Instance URL without trailing slash
+ * @returns {Function} request(path, params) resolving to { data, headers }
+ */
+const createRequest = (accessToken, baseUrl) => async (path, params = {}) => {
+  const queue = getTokenQueue('gitlab', accessToken, getSourceControlConcurrency());
+  return queue.run(() => sendRequest(accessToken, baseUrl, path, params));
+};
+
+/**
+ * Send one GitLab REST API request
+ * @param {string} accessToken - OAuth access token
+ * @param {string} baseUrl - Instance URL without trailing slash
+ * @param {string} path - API path
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} { data, headers }
+ */
+const sendRequest = async (accessToken, baseUrl, path, params) => {
+  const url = new URL(`${baseUrl}/api/v4${path}`);
+  Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .forEach(([key, value]) => url.searchParams.set(key, value));
+
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    signal: AbortSignal.timeout(10000) // 10 second timeout
+  });
+
+  if (!response.ok) {
+    const error = new Error(`${response.status} ${response.statusText} for ${path}`);
+    error.status = response.status;
+    error.headers = response.headers; // Retry-After for the work queue
+    throw error;
+  }
+
+  return { data: await response.json(), headers: response.headers };
+};
+
+/**
+ * Encode a project path for use as a GitLab project id
+ * @param {string} owner - Namespace (may contain subgroups)
+ * @param {string} repo - Project path
+ * @returns {string} URL-encoded "namespace/project"
+ */
+const projectId = (owner, repo) => encodeURIComponent(`${owner}/${repo}`);
+
+/**
+ * Convert a commit from the commits API to the commit store shape
+ * @param {Object} commit - GitLab commit
+ * @returns {Object} Commit for CommitStore
+ */
+const normalizeCommit = (commit) => ({
+  sha: commit.id,
+  message: commit.message,
+  author: {
+    name: commit.author_name,
+    email: commit.author_email,
+    date: commit.authored_date
+  },
+  committer: {
+    name: commit.committer_name,
+    email: commit.committer_email,
+    date: commit.committed_date
+  },
+  url: commit.web_url,
+  parents: (commit.parent_ids || []).map(sha => ({ sha })),
+  ...(commit.stats && {
+    stats: {
+      additions: commit.stats.additions || 0,
+      deletions: commit.stats.deletions || 0,
+      total: commit.stats.total || 0
+    }
+  })
+});
+
+/**
+ * Get the projects the user is a member of
+ * @param {Function} request - Authenticated request function
+ * @returns {Promise<Array>} Repositories in the GitHubAPIClient.getUserRepos shape
+ */
+export const getUserRepos = async (request) => {
+  try {
+    const projects = [];
+    for (let page = 1; page <= MAX_REPO_PAGES; page++) {
+      const { data } = await request('/projects', {
+        membership: true,
+        archived: false,
+        order_by: 'last_activity_at',
+        per_page: PAGE_SIZE,
+        page
+      });
+      projects.push(...data);
+      if (data.length < PAGE_SIZE) break;
+    }
+
+    console.log(`✅ Fetched ${projects.length} GitLab projects`);
+
+    return projects.map(project => ({
+      id: project.id,
+      name: project.path,
+      fullName: project.path_with_namespace,
+      private: project.visibility !== 'public',
+      defaultBranch: project.default_branch,
+      updatedAt: project.last_activity_at,
+      pushedAt: project.last_activity_at,
+      description: project.description,
+      language: null, // Not part of the projects listing
+      webUrl: project.web_url
+    }));
+  } catch (error) {
+    console.error('❌ Error fetching GitLab projects:', error.message);
+    throw createProviderError('GitLab', error, 'fetching user projects');
+  }
+};
+
+/**
+ * Get commits for a project, newest first
+ * @param {Function} request - Authenticated request function
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {Object} options - { per_page, page, sha, since, until, allBranches }
+ * @returns {Promise<Array>} Commits in the GitHubAPIClient.getCommits shape
+ */
+export const getCommits = async (request, owner, repo, options = {}) => {
+  const { per_page = 20, page = 1, sha, since, until, allBranches = false } = options;
+  const fullName = `${owner}/${repo}`;
+
+  try {
+    const commits = [];
+    // A date range is read completely; otherwise only the requested page
+    const pages = since ? MAX_COMMIT_PAGES : 1;
+    for (let index = 0; index < pages; index++) {
+      const { data } = await request(`/projects/${projectId(owner, repo)}/repository/commits`, {
+        ref_name: sha,
+        since,
+        until,
+        all: allBranches || undefined,
+        with_stats: true,
+        per_page: since ? PAGE_SIZE : per_page,
+        page: since ? index + 1 : page
+      });
+      commits.push(...data.map(normalizeCommit));
+      if (!since || data.length < PAGE_SIZE) break;
+    }
+
+    await storeCommits(toRepositoryId(fullName), commits, { branch: sha || null, source: 'api' });
+
+    return commits.map(commit => ({
+      sha: commit.sha,
+      message: commit.message,
+      author: { ...commit.author, username: null }, // GitLab only reports the commit author's name and email
+      url: commit.url,
+      parents: commit.parents,
+      stats: commit.stats || { additions: 0, deletions: 0, total: 0 },
+      ...(sha && { branch: sha })
+    }));
+  } catch (error) {
+    console.error(`❌ Error fetching GitLab commits for ${fullName}:`, error.message);
+    throw createProviderError('GitLab', error, `fetching commits for ${fullName}`);
+  }
+};
+
+/**
+ * Get a commit with its files and patches
+ * @param {Function} request - Authenticated request function
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Object>} Commit diff in the GitHubAPIClient.getCommitDiff shape
+ */
+export const getCommitDiff = async (request, owner, repo, sha) => {
+  const fullName = `${owner}/${repo}`;
+  const repositoryId = toRepositoryId(fullName);
+
+  try {
+    const stored = await getStoredCommitDiff(repositoryId, sha);
+    if (stored) return stored;
+
+    const base = `/projects/${projectId(owner, repo)}/repository/commits/${sha}`;
+    const { data: commit } = await request(base);
+    const { data: diffs } = await request(`${base}/diff`, { per_page: PAGE_SIZE });
+
+    const details = {
+      ...normalizeCommit(commit),
+      files: diffs.map(file => {
+        const { additions, deletions } = countDiffLines(file.diff);
+        return {
+          filename: file.new_path,
+          status: file.new_file ? 'added' : file.deleted_file ? 'removed' : file.renamed_file ? 'renamed' : 'modified',
+          additions,
+          deletions,
+          changes: additions + deletions,
+          patch: file.diff || null
+        };
+      })
+    };
+
+    try {
+      await storeCommitDetails(repositoryId, details);
+    } catch (storeError) {
+      console.error(`⚠️  Failed to store GitLab commit ${sha.substring(0, 7)}:`, storeError.message);
+    }
+
+    return toCommitDiffShape(details);
+  } catch (error) {
+    console.error(`❌ Error fetching GitLab commit diff for ${sha}:`, error.message);
+    throw createProviderError('GitLab', error, `fetching commit diff for ${sha}`);
+  }
+};
+
+/**
+ * Check API rate limit status
+ * GitLab reports limits in response headers when the instance enforces them
+ * @param {Function} request - Authenticated request function
+ * @returns {Promise<Object>} { limit, remaining, reset, used } (null values when not enforced)
+ */
+export const getRateLimit = async (request) => {
+  try {
+    const { headers } = await request('/user');
+    const limit = headers.get('ratelimit-limit');
+    const remaining = headers.get('ratelimit-remaining');
+    const reset = headers.get('ratelimit-reset');
+
+    return {
+      limit: limit ? Number(limit) : null,
+      remaining: remaining ? Number(remaining) : null,
+      reset: reset ? new Date(Number(reset) * 1000) : null,
+      used: limit && remaining ? Number(limit) - Number(remaining) : null
+    };
+  } catch (error) {
+    console.error('❌ Error checking GitLab rate limit:', error.message);
+    throw createProviderError('GitLab', error, 'checking rate limit');
+  }
+};
+
+export default createGitLabClient;
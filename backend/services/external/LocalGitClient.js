@@ -0,0 +1,255 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+import { createProviderError } from '../../utils/errors.js';
+import { countDiffLines, splitUnifiedDiff } from '../../utils/DiffUtils.js';
+
+/**
+ * Local Git Client - Functional Pattern
+ * Source control provider for repositories on the server's disk, read with
+ * `git log` / `git show`, so air-gapped code can be analyzed without any network
+ * Returns repositories, commits and diffs in the same shapes as GitHubAPIClient
+ *
+ * Repositories are named "local/<directory name>"; nothing is written to the
+ * commit store because the repository itself is already local
+ */
+
+const execFileAsync = promisify(execFile);
+
+export const LOCAL_OWNER = 'local';
+const GIT_TIMEOUT_MS = 30000;
+const GIT_MAX_BUFFER = 64 * 1024 * 1024; // Large merges can produce big diffs
+
+// Field and record separators for --format output (can't appear in commit metadata)
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+const COMMIT_FORMAT = `%x1e${['%H', '%P', '%an', '%ae', '%aI', '%cn', '%ce', '%cI', '%S', '%B'].join('%x1f')}%x1f`;
+
+/**
+ * Create local git client
+ * Directories that share a name are ambiguous, so only the first one is used
+ * @param {Object} config - { paths } - absolute paths of git working trees or bare repositories
+ * @returns {Object} Local git client with the source control provider methods
+ */
+export const createLocalGitClient = ({ paths = [] }) => {
+  const repositories = new Map();
+  paths.forEach(repositoryPath => {
+    const name = path.basename(path.resolve(repositoryPath)).replace(/\.git$/, '');
+    if (repositories.has(name)) {
+      console.warn(`⚠️  LocalGitClient: Ignoring ${repositoryPath} - another repository is already named "${name}"`);
+      return;
+    }
+    repositories.set(name, path.resolve(repositoryPath));
+  });
+
+  return {
+    provider: 'local',
+    getUserRepos: () => getUserRepos(repositories),
+    getCommits: async (owner, repo, options = {}) => getCommits(resolveRepository(repositories, owner, repo), options),
+    getCommitDiff: async (owner, repo, sha) => getCommitDiff(resolveRepository(repositories, owner, repo), sha),
+    getRateLimit: () => getRateLimit()
+  };
+};
+
+/**
+ * Run a git command in a repository
+ * @param {string} repositoryPath - Repository directory
+ * @param {Array<string>} args - git arguments
+ * @returns {Promise<string>} stdout
+ */
+const runGit = async (repositoryPath, args) => {
+  const { stdout } = await execFileAsync('git', ['-C', repositoryPath, ...args], {
+    timeout: GIT_TIMEOUT_MS,
+    maxBuffer: GIT_MAX_BUFFER
+  });
+  return stdout;
+};
+
+/**
+ * Find the configured repository for an owner/name pair
+ * @param {Map} repositories - name → path
+ * @param {string} owner - Always "local"
+ * @param {string} repo - Repository name
+ * @returns {Object} { name, path }
+ */
+const resolveRepository = (repositories, owner, repo) => {
+  const repositoryPath = owner === LOCAL_OWNER && repositories.get(repo);
+  if (!repositoryPath) {
+    const error = new Error(`Unknown local repository ${owner}/${repo}`);
+    error.status = 404;
+    throw createProviderError('Local git', error, `resolving ${owner}/${repo}`);
+  }
+  return { name: repo, path: repositoryPath };
+};
+
+/**
+ * Validate a ref or sha before it is passed to git
+ * Refs starting with "-" would be read as options
+ * @param {string} ref - Branch name or commit sha
+ * @returns {string} The ref
+ */
+const assertSafeRef = (ref) => {
+  if (typeof ref !== 'string' || !ref || ref.startsWith('-')) {
+    const error = new Error(`Invalid ref: ${ref}`);
+    error.status = 400;
+    throw error;
+  }
+  return ref;
+};
+
+/**
+ * Parse `git log --numstat` output written with COMMIT_FORMAT
+ * @param {string} output - git stdout
+ * @returns {Array} Commits with { sha, parents, author, committer, source, message, stats }
+ */
+const parseLog = (output) => {
+  return output
+    .split(RECORD)
+    .filter(Boolean)
+    .map(record => {
+      const [sha, parents, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate, source, message, numstat = ''] = record.split(FIELD);
+
+      // numstat lines are "<added>\t<deleted>\t<path>", with "-" for binary files
+      const stats = numstat.split('\n').filter(Boolean).reduce((totals, line) => {
+        const [added, deleted] = line.split('\t');
+        totals.additions += parseInt(added) || 0;
+        totals.deletions += parseInt(deleted) || 0;
+        return totals;
+      }, { additions: 0, deletions: 0 });
+
+      return {
+        sha,
+        parents: parents ? parents.split(' ').map(parent => ({ sha: parent })) : [],
+        author: { name: authorName, email: authorEmail, username: null, date: authorDate },
+        committer: { name: committerName, email: committerEmail, date: committerDate },
+        source: source || null,
+        message: message.replace(/\n+$/, ''),
+        stats: { ...stats, total: stats.additions + stats.deletions }
+      };
+    });
+};
+
+/**
+ * Get the configured repositories
+ * Paths that aren't git repositories are skipped with a warning
+ * @param {Map} repositories - name → path
+ * @returns {Promise<Array>} Repositories in the GitHubAPIClient.getUserRepos shape
+ */
+export const getUserRepos = async (repositories) => {
+  const listed = [];
+
+  for (const [name, repositoryPath] of repositories) {
+    try {
+      const defaultBranch = (await runGit(repositoryPath, ['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+      const lastCommitDate = (await runGit(repositoryPath, ['log', '-1', '--format=%cI', '--branches'])).trim() || null;
+
+      listed.push({
+        id: `${LOCAL_OWNER}:${name}`,
+        name,
+        fullName: `${LOCAL_OWNER}/${name}`,
+        private: true,
+        defaultBranch,
+        updatedAt: lastCommitDate,
+        pushedAt: lastCommitDate,
+        description: repositoryPath,
+        language: null
+      });
+    } catch (error) {
+      console.warn(`⚠️  LocalGitClient: Skipping ${repositoryPath}:`, error.message);
+    }
+  }
+
+  console.log(`✅ Found ${listed.length} local git repositories`);
+  return listed;
+};
+
+/**
+ * Get commits for a repository, newest first
+ * Stats come from --numstat, so they are always included
+ * @param {Object} repository - { name, path }
+ * @param {Object} options - { per_page, page, sha, since, until, allBranches }
+ * @returns {Promise<Array>} Commits in the GitHubAPIClient.getCommits shape
+ */
+export const getCommits = async (repository, options = {}) => {
+  const { per_page = 20, page = 1, sha, since, until, allBranches = false } = options;
+
+  try {
+    const args = [
+      'log',
+      `--format=${COMMIT_FORMAT}`,
+      '--numstat',
+      `--max-count=${per_page}`,
+      `--skip=${(page - 1) * per_page}`
+    ];
+    if (since) args.push(`--since=${since}`);
+    if (until) args.push(`--until=${until}`);
+    // --source reports which branch each commit was reached from
+    if (allBranches) args.push('--branches', '--source');
+    else if (sha) args.push(assertSafeRef(sha));
+    args.push('--');
+
+    const commits = parseLog(await runGit(repository.path, args));
+    const branchOf = (commit) => allBranches
+      ? (commit.source || '').replace(/^refs\/heads\//, '') || null
+      : sha || null;
+
+    return commits.map(commit => ({
+      sha: commit.sha,
+      message: commit.message,
+      author: commit.author,
+      url: null, // No web view for local repositories
+      parents: commit.parents,
+      stats: commit.stats,
+      ...(branchOf(commit) && { branch: branchOf(commit) })
+    }));
+  } catch (error) {
+    console.error(`❌ Error reading local commits for ${repository.name}:`, error.message);
+    throw createProviderError('Local git', error, `reading commits for ${repository.name}`);
+  }
+};
+
+/**
+ * Get a commit with its files and patches
+ * Merge commits are diffed against their first parent, like GitHub does
+ * @param {Object} repository - { name, path }
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Object>} Commit diff in the GitHubAPIClient.getCommitDiff shape
+ */
+export const getCommitDiff = async (repository, sha) => {
+  try {
+    assertSafeRef(sha);
+    const [commit] = parseLog(await runGit(repository.path, ['show', '-s', `--format=${COMMIT_FORMAT}`, sha, '--']));
+    const diff = await runGit(repository.path, ['show', '--format=', '--patch', '--find-renames', '--first-parent', '--no-color', sha, '--']);
+    const files = splitUnifiedDiff(diff);
+    const { additions, deletions } = countDiffLines(files.map(file => file.patch || '').join('\n'));
+
+    return {
+      sha: commit.sha,
+      message: commit.message,
+      author: {
+        name: commit.author.name,
+        email: commit.author.email,
+        date: commit.author.date
+      },
+      stats: { additions, deletions, total: additions + deletions },
+      files
+    };
+  } catch (error) {
+    console.error(`❌ Error reading local commit diff for ${sha}:`, error.message);
+    throw createProviderError('Local git', error, `reading commit diff for ${sha}`);
+  }
+};
+
+/**
+ * Check API rate limit status
+ * Local repositories have no limits
+ * @returns {Promise<Object>} { limit, remaining, reset, used } with null values
+ */
+export const getRateLimit = async () => ({
+  limit: null,
+  remaining: null,
+  reset: null,
+  used: null
+});
+
+export default createLocalGitClient;
@@ -0,0 +1,36 @@
+import PullRequest from '../../models/PullRequest.js';
+
+/**
+ * Pull Request Store - Functional Pattern
+ * Local persistence for pull requests with their reviews and comments, keyed by
+ * repository full name + number, so PR activity is kept alongside stored commits
+ */
+
+/**
+ * Get a stored pull request
+ * @param {string} repositoryId - Repository full name ("owner/repo")
+ * @param {number} number - Pull request number
+ * @returns {Promise<Object|null>} Lean PullRequest document
+ */
+export const getStoredPullRequest = async (repositoryId, number) => {
+  return await PullRequest.findOne({ repositoryId, number }).lean();
+};
+
+/**
+ * Create or replace a stored pull request
+ * @param {Object} pullRequest - Pull request with { repositoryId, number, ...fields }
+ * @returns {Promise<Object>} Updated lean PullRequest document
+ */
+export const storePullRequest = async (pullRequest) => {
+  const { repositoryId, number, ...fields } = pullRequest;
+  return await PullRequest.findOneAndUpdate(
+    { repositoryId, number },
+    { $set: fields },
+    { upsert: true, new: true }
+  ).lean();
+};
+
+export default {
+  getStoredPullRequest,
+  storePullRequest
+};
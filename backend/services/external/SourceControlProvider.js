@@ -0,0 +1,252 @@
+import ProviderConnection from '../../models/ProviderConnection.js';
+import { getUserGitHubClient } from './GitHubAuth.js';
+import { createGitLabClient } from './GitLabAPIClient.js';
+import { createBitbucketClient } from './BitbucketAPIClient.js';
+import { createLocalGitClient } from './LocalGitClient.js';
+import { getProviderOAuthConfig, getLocalRepositoryPaths } from '../../config/providers.js';
+import { AppError } from '../../utils/errors.js';
+
+/**
+ * Source Control Provider - Functional Pattern
+ * One interface over GitHub, GitLab, Bitbucket and local git repositories so
+ * summaries and repository views can cover every account a user connected
+ *
+ * Every provider client implements:
+ * - getUserRepos() → [{ id, name, fullName, private, defaultBranch, updatedAt, pushedAt, description, language }]
+ * - getCommits(owner, repo, { per_page, page, sha, since, until, includeStats, allBranches }) → commits
+ * - getCommitDiff(owner, repo, sha) → { sha, message, author, stats, files }
+ * - getRateLimit() → { limit, remaining, reset, used }
+ * in the shapes GitHubAPIClient returns. GitHub stays the login provider and keeps
+ * its extra features (branches, pull requests, issues, webhooks, and getKnownCommitFiles
+ * to categorize commits from stored details without fetching their diffs).
+ */
+
+export const PROVIDERS = {
+  GITHUB: 'github',
+  GITLAB: 'gitlab',
+  BITBUCKET: 'bitbucket',
+  LOCAL: 'local' // Repositories on the server's disk (LOCAL_GIT_REPOSITORIES)
+};
+
+// Providers connected next to the GitHub login
+export const CONNECTABLE_PROVIDERS = [PROVIDERS.GITLAB, PROVIDERS.BITBUCKET];
+
+// Refresh access tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * Check whether a value is a supported provider
+ * @param {string} provider - Provider to check
+ * @returns {boolean} True if supported
+ */
+export const isValidProvider = (provider) => {
+  return Object.values(PROVIDERS).includes(provider);
+};
+
+/**
+ * Split a repository full name into owner and name
+ * GitLab namespaces can contain subgroups, so only the last segment is the name
+ * @param {string} fullName - "owner/repo" or "group/subgroup/project"
+ * @returns {Array<string>} [owner, name]
+ */
+export const splitRepositoryName = (fullName) => {
+  const index = fullName.lastIndexOf('/');
+  return [fullName.substring(0, index), fullName.substring(index + 1)];
+};
+
+/**
+ * Exchange a connection's refresh token for a new access token when it is about to expire
+ * @param {Object} connection - ProviderConnection document with tokens selected
+ * @returns {Promise<Object>} The connection, updated and saved when refreshed
+ */
+const refreshConnectionToken = async (connection) => {
+  const expiresSoon = connection.tokenExpiresAt
+    && connection.tokenExpiresAt.getTime() - TOKEN_REFRESH_MARGIN_MS < Date.now();
+  if (!expiresSoon || !connection.refreshToken) {
+    return connection;
+  }
+
+  const config = getProviderOAuthConfig(connection.provider);
+  if (!config) {
+    throw new Error(`${connection.provider} OAuth is not configured`);
+  }
+
+  const response = await fetch(config.tokenURL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Authorization: `Basic ${Buffer.from(`${config.clientID}:${config.clientSecret}`).toString('base64')}`
+    },
+    body: new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: connection.refreshToken,
+      client_id: config.clientID,
+      client_secret: config.clientSecret
+    }),
+    signal: AbortSignal.timeout(10000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Token refresh failed with ${response.status} - reconnect ${connection.provider}`);
+  }
+
+  const tokens = await response.json();
+  connection.accessToken = tokens.access_token;
+  connection.refreshToken = tokens.refresh_token || connection.refreshToken;
+  connection.tokenExpiresAt = tokens.expires_in ? new Date(Date.now() + tokens.expires_in * 1000) : null;
+  await connection.save();
+
+  console.log(`🔄 SourceControlProvider: Refreshed ${connection.provider} token for user ${connection.userId}`);
+  return connection;
+};
+
+/**
+ * Create a provider client for a GitLab or Bitbucket connection
+ * @param {Object} connection - ProviderConnection with an access token
+ * @returns {Object} Provider client
+ */
+const createConnectionClient = (connection) => {
+  if (connection.provider === PROVIDERS.GITLAB) {
+    return createGitLabClient({ accessToken: connection.accessToken, baseUrl: connection.baseUrl });
+  }
+  return createBitbucketClient({ accessToken: connection.accessToken });
+};
+
+/**
+ * Create the client for the server's local git repositories
+ * @returns {Object|null} Local git client, or null when none are configured
+ */
+const createLocalClient = () => {
+  const paths = getLocalRepositoryPaths();
+  return paths.length > 0 ? createLocalGitClient({ paths }) : null;
+};
+
+/**
+ * Get clients for every GitLab and Bitbucket account the user connected, plus
+ * the local git repositories when the server has any
+ * Connections whose token can't be refreshed are skipped with a warning
+ * @param {string} userId - User id
+ * @returns {Promise<Array>} [{ provider, client, connection }] - connection is null for local repositories
+ */
+export const getConnectedClients = async (userId) => {
+  if (!userId) return [];
+
+  const connections = await ProviderConnection.find({ userId }).select('+accessToken +refreshToken');
+  const clients = [];
+
+  for (const connection of connections) {
+    try {
+      const fresh = await refreshConnectionToken(connection);
+      clients.push({ provider: connection.provider, client: createConnectionClient(fresh), connection: fresh });
+    } catch (error) {
+      console.warn(`⚠️  SourceControlProvider: Skipping ${connection.provider} for user ${userId}:`, error.message);
+    }
+  }
+
+  const localClient = createLocalClient();
+  if (localClient) {
+    clients.push({ provider: PROVIDERS.LOCAL, client: localClient, connection: null });
+  }
+
+  return clients;
+};
+
+/**
+ * Get the client for one provider
+ * @param {Object} user - User document with accessToken (and githubRefreshToken) selected
+ * @param {string} provider - Provider name (default: github)
+ * @returns {Promise<Object>} Provider client
+ */
+export const getSourceControlClient = async (user, provider = PROVIDERS.GITHUB) => {
+  if (provider === PROVIDERS.GITHUB) {
+    return getUserGitHubClient(user);
+  }
+  if (!isValidProvider(provider)) {
+    throw new AppError(`Unknown provider: ${provider}`, 400);
+  }
+  if (provider === PROVIDERS.LOCAL) {
+    const localClient = createLocalClient();
+    if (!localClient) {
+      throw new AppError('No local git repositories configured', 404);
+    }
+    return localClient;
+  }
+
+  const connection = await ProviderConnection.findOne({ userId: user._id, provider }).select('+accessToken +refreshToken');
+  if (!connection) {
+    throw new AppError(`No ${provider} account connected`, 404);
+  }
+
+  return createConnectionClient(await refreshConnectionToken(connection));
+};
+
+/**
+ * Get the repositories of every connected provider
+ * GitHub failures are thrown; other providers are skipped with a warning so one
+ * unreachable instance doesn't hide the rest
+ * @param {Object} githubService - GitHub client for the user
+ * @param {Array} connectedClients - From getConnectedClients
+ * @returns {Promise<Array>} Repositories, each with provider (and webUrl outside GitHub)
+ */
+export const getAllUserRepos = async (githubService, connectedClients = []) => {
+  const repos = (await githubService.getUserRepos()).map(repo => ({ ...repo, provider: PROVIDERS.GITHUB }));
+
+  for (const { provider, client } of connectedClients) {
+    try {
+      const providerRepos = await client.getUserRepos();
+      repos.push(...providerRepos.map(repo => ({ ...repo, provider })));
+    } catch (error) {
+      console.warn(`⚠️  SourceControlProvider: Could not list ${provider} repositories:`, error.log || error.message);
+    }
+  }
+
+  return repos;
+};
+
+/**
+ * List a user's connected accounts (without tokens)
+ * @param {string} userId - User id
+ * @returns {Promise<Array>} [{ provider, username, baseUrl, connectedAt }] plus configured-but-unconnected providers
+ */
+export const listConnections = async (userId) => {
+  const connections = await ProviderConnection.find({ userId }).lean();
+
+  return CONNECTABLE_PROVIDERS.map(provider => {
+    const connection = connections.find(entry => entry.provider === provider);
+    return {
+      provider,
+      available: !!getProviderOAuthConfig(provider),
+      connected: !!connection,
+      username: connection?.username || null,
+      baseUrl: connection?.baseUrl || getProviderOAuthConfig(provider)?.baseUrl || null,
+      connectedAt: connection?.createdAt || null
+    };
+  });
+};
+
+/**
+ * Disconnect a provider account
+ * @param {string} userId - User id
+ * @param {string} provider - 'gitlab' or 'bitbucket'
+ * @returns {Promise<boolean>} True if a connection was removed
+ */
+export const disconnectProvider = async (userId, provider) => {
+  if (!CONNECTABLE_PROVIDERS.includes(provider)) {
+    throw new AppError(`Unknown provider: ${provider}`, 400);
+  }
+
+  const result = await ProviderConnection.deleteOne({ userId, provider });
+  return result.deletedCount > 0;
+};
+
+export default {
+  PROVIDERS,
+  CONNECTABLE_PROVIDERS,
+  isValidProvider,
+  splitRepositoryName,
+  getConnectedClients,
+  getSourceControlClient,
+  getAllUserRepos,
+  listConnections,
+  disconnectProvider
+};
@@ -4,7 +4,8 @@
  * Pure functions for reliable commit analysis prompt generation
  */
 
-import { createNumberedCommitList, truncateDiff, formatCommitInfo } from './PromptUtils.js';
+import { createNumberedCommitList, truncateDiff, formatCommitInfo, formatDiffContext } from './PromptUtils.js';
+import { describeCategories } from '../../utils/CommitTaxonomy.js';
 
 /**
  * Create prompt for categorizing git commits by type
@@ -18,11 +19,7 @@ export const createCategorizationPrompt = (commits) => {
 Analyze these git commit messages and categorize each one.
 
 Categories:
-- feature: new functionality, additions, enhancements
-- bugfix: fixing errors, bugs, issues
-- refactor: code improvements, cleanup, optimization
-- docs: documentation, README, comments
-- other: configuration, build, misc
+${describeCategories()}
 
 Commits:
 ${commitList}
@@ -45,12 +42,13 @@ Return this exact JSON structure:
 
 /**
  * Create comprehensive commit analysis prompt with git diff
+ * The diff is expected to be prepared and sized for the model (see utils/DiffPreparation.js)
  * @param {Object} commit - Commit object with metadata
- * @param {string} diff - Git diff content
+ * @param {string} diff - Git diff content, or one chunk of it
+ * @param {Object} context - { part, parts, omittedFiles } for chunked or filtered diffs (see formatDiffContext)
  * @returns {string} Analysis prompt for AI
  */
-export const createCommitAnalysisPrompt = (commit, diff) => {
-  const truncatedDiff = truncateDiff(diff, 2000);
+export const createCommitAnalysisPrompt = (commit, diff, context = {}) => {
   const commitInfo = formatCommitInfo(commit);
 
   return `You are a senior developer analyzing a git commit. Provide a comprehensive analysis including a suggested conventional commit message and description.
@@ -59,7 +57,7 @@ COMMIT INFO:
 ${commitInfo}
 
 CODE CHANGES (GIT DIFF):
-${truncatedDiff}
+${formatDiffContext(context)}${diff}
 
 TASKS:
 1. Analyze what this commit actually does
@@ -89,6 +87,100 @@ Expected JSON format:
 }`.trim();
 };
 
+/**
+ * Create one analysis prompt for several small commits
+ * Same output per commit as createCommitAnalysisPrompt, returned as an array in input order
+ * @param {Array} entries - [{ commit, diff, omittedFiles }]
+ * @returns {string} Batch analysis prompt for AI
+ */
+export const createBatchCommitAnalysisPrompt = (entries) => {
+  const commitSections = entries.map(({ commit, diff, omittedFiles }, index) => `### COMMIT ${index + 1}
+${formatCommitInfo(commit)}
+
+CODE CHANGES (GIT DIFF):
+${formatDiffContext({ omittedFiles })}${truncateDiff(diff, 2000)}`).join('\n\n');
+
+  return `You are a senior developer analyzing ${entries.length} git commits. For EACH commit, provide an analysis including a suggested conventional commit message and description.
+
+${commitSections}
+
+TASKS (for each commit separately):
+1. Analyze what the commit actually does
+2. Suggest a better conventional commit message (format: type(scope): description)
+3. Provide a clear description of the changes
+4. Assess the quality/impact of the changes
+
+CONVENTIONAL COMMIT TYPES:
+- feat: new feature
+- fix: bug fix
+- docs: documentation
+- style: formatting, missing semi-colons, etc.
+- refactor: code change that neither fixes a bug nor adds a feature
+- test: adding tests
+- chore: updating build tasks, package manager configs, etc.
+
+IMPORTANT: Respond using ONLY raw JSON. Do NOT use markdown code blocks. Send the JSON object directly without any backticks.
+Return exactly one entry per commit, with "index" matching the commit number.
+
+Expected JSON format:
+{
+  "commits": [
+    {
+      "index": 1,
+      "suggestedMessage": "feat(auth): add JWT token validation middleware",
+      "description": "Implements JWT token validation middleware for API route protection",
+      "analysis": "Adds security infrastructure with proper error handling.",
+      "confidence": 0.9,
+      "impact": "medium",
+      "quality": "high"
+    }
+  ]
+}`.trim();
+};
+
+/**
+ * Create prompt combining the analyses of a large commit's diff parts into one
+ * Same output as createCommitAnalysisPrompt
+ * @param {Object} commit - Commit object with metadata
+ * @param {Array} partials - Parsed analyses of each part ({ suggestedMessage, description, analysis }), in part order
+ * @param {Object} context - { files, omittedFiles } - files are the changed files analyzed, most relevant first
+ * @returns {string} Merge prompt for AI
+ */
+export const createCommitAnalysisMergePrompt = (commit, partials, { files = [], omittedFiles = '' } = {}) => {
+  const partSections = partials.map((partial, index) => `### PART ${index + 1} of ${partials.length}
+Suggested message: ${partial.suggestedMessage}
+Description: ${partial.description}
+Analysis: ${partial.analysis}`).join('\n\n');
+
+  return `You are a senior developer analyzing a large git commit. Its diff was too big for one review, so each part was analyzed separately. Combine the part analyses into ONE analysis of the whole commit.
+
+COMMIT INFO:
+${formatCommitInfo(commit)}
+
+FILES CHANGED (most relevant first):
+${files.map(file => `- ${file.filename} (${file.changes} lines changed)`).join('\n')}
+${omittedFiles ? `Also changed but not reviewed: ${omittedFiles}\n` : ''}
+${partSections}
+
+TASKS:
+1. Work out what the commit does as a whole - name the main change, not the parts
+2. Suggest one conventional commit message for the whole commit (format: type(scope): description)
+3. Write one description covering all parts
+4. Assess the overall quality/impact
+
+IMPORTANT: Respond using ONLY raw JSON. Do NOT use markdown code blocks. Send the JSON object directly without any backticks.
+
+Expected JSON format:
+{
+  "suggestedMessage": "refactor(api): split request handlers into per-resource modules",
+  "description": "Moves each resource's handlers into its own module and updates the router and tests to match",
+  "analysis": "A broad but mechanical restructuring; behavior is unchanged and tests were updated alongside.",
+  "confidence": 0.8,
+  "impact": "medium",
+  "quality": "high"
+}`.trim();
+};
+
 /**
  * Create prompt for improving commit messages
  * @param {string} diffContent - Git diff content
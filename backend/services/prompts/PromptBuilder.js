@@ -18,6 +18,8 @@ import { createWorkSignature, groupByCategory } from './PromptUtils.js';
 import { 
   createCategorizationPrompt, 
   createCommitAnalysisPrompt, 
+  createBatchCommitAnalysisPrompt,
+  createCommitAnalysisMergePrompt,
   createCommitMessagePrompt 
 } from './CommitPromptBuilder.js';
 import { 
@@ -65,8 +67,8 @@ class PromptBuilder {
    * Create summary prompt - chooses between enhanced and basic
    * Delegates to SummaryPromptBuilder
    */
-  createSummaryPrompt(commits) {
-    return createSummaryPrompt(commits);
+  createSummaryPrompt(commits, pullRequests = []) {
+    return createSummaryPrompt(commits, pullRequests);
   }
 
   /**
@@ -89,8 +91,8 @@ class PromptBuilder {
    * Create task prompt - chooses between enhanced and basic
    * Delegates to TaskPromptBuilder
    */
-  createTaskPrompt(commits) {
-    return createTaskPrompt(commits);
+  createTaskPrompt(commits, issues = [], taskHistory = []) {
+    return createTaskPrompt(commits, issues, taskHistory);
   }
 
   /**
@@ -121,16 +123,32 @@ class PromptBuilder {
    * Create comprehensive code review prompt for individual commits
    * Delegates to QualityPromptBuilder
    */
-  createCodeAnalysisPrompt(commit, diff) {
-    return createCodeAnalysisPrompt(commit, diff);
+  createCodeAnalysisPrompt(commit, diff, context = {}) {
+    return createCodeAnalysisPrompt(commit, diff, context);
   }
 
   /**
    * Create comprehensive commit analysis prompt with git diff
    * Delegates to CommitPromptBuilder
    */
-  createCommitAnalysisPrompt(commit, diff) {
-    return createCommitAnalysisPrompt(commit, diff);
+  createCommitAnalysisPrompt(commit, diff, context = {}) {
+    return createCommitAnalysisPrompt(commit, diff, context);
+  }
+
+  /**
+   * Create one analysis prompt for several small commits
+   * Delegates to CommitPromptBuilder
+   */
+  createBatchCommitAnalysisPrompt(entries) {
+    return createBatchCommitAnalysisPrompt(entries);
+  }
+
+  /**
+   * Create prompt combining the analyses of a large commit's diff parts
+   * Delegates to CommitPromptBuilder
+   */
+  createCommitAnalysisMergePrompt(commit, partials, context = {}) {
+    return createCommitAnalysisMergePrompt(commit, partials, context);
   }
 
   /**
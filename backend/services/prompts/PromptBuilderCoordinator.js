@@ -89,8 +89,8 @@ class PromptBuilder {
    * Create task prompt - chooses between enhanced and basic
    * Delegates to TaskPromptBuilder
    */
-  createTaskPrompt(commits) {
-    return createTaskPrompt(commits);
+  createTaskPrompt(commits, issues = [], taskHistory = []) {
+    return createTaskPrompt(commits, issues, taskHistory);
   }
 
   /**
@@ -4,6 +4,8 @@
  * Pure functions for reliable response parsing
  */
 
+import { normalizeCategory } from '../../utils/CommitTaxonomy.js';
+
 /**
  * Parse AI response for commit categorization
  * @param {Array} commits - Original commits array
@@ -19,7 +21,7 @@ export const parseCategorizationResponse = (commits, aiResponse) => {
 
       return {
         ...commit,
-        category: analysis?.category || 'other',
+        category: normalizeCategory(analysis?.category),
         confidence: analysis?.confidence || 0.5,
         aiReason: analysis?.reason || 'Auto-categorized'
       };
@@ -202,6 +204,9 @@ export const parseCodeAnalysisResponse = (aiResponse) => {
       issues: issues.map(issue => ({
         type: String(issue.type || 'quality'),
         severity: String(issue.severity || 'medium'),
+        file: issue.file ? String(issue.file) : null,
+        lineStart: parseInt(issue.lineStart, 10) || null,
+        lineEnd: parseInt(issue.lineEnd, 10) || null,
         line: String(issue.line || 'unknown'),
         description: String(issue.description || 'Code issue detected'),
         suggestion: String(issue.suggestion || 'Review and improve this code'),
@@ -92,6 +92,80 @@ export const separateCommitsByAnalysis = (commits) => {
   };
 };
 
+/**
+ * Format the branch a commit was read from for prompt lines
+ * @param {Object} commit - Formatted commit object
+ * @returns {string} " on <branch>" or an empty string when the branch is unknown
+ */
+export const formatBranchLabel = (commit) => {
+  return commit.branch ? ` on ${commit.branch}` : '';
+};
+
+/**
+ * Format pull request activity as a prompt section
+ * @param {Array} pullRequests - Activity entries from GitHubAPIClient.getPullRequestActivity
+ * @returns {string} Section text, or an empty string without activity
+ */
+export const formatPullRequestSection = (pullRequests = []) => {
+  if (pullRequests.length === 0) {
+    return '';
+  }
+
+  return `PULL REQUESTS & CODE REVIEW (${pullRequests.length} pull requests):
+${pullRequests.map(pr => {
+  const details = [
+    pr.actions.join(', '),
+    pr.reviewStates.length > 0 && `review: ${pr.reviewStates.join(', ').toLowerCase()}`,
+    pr.commentCount > 0 && `${pr.commentCount} comments`
+  ].filter(Boolean).join('; ');
+  return `- ${pr.repository}#${pr.number} "${pr.title}" by ${pr.author || 'unknown'} (${details})`;
+}).join('\n')}`;
+};
+
+/**
+ * Format open GitHub issues as a prompt section
+ * @param {Array} issues - Issues from IssueCollector.collectTaskIssues
+ * @returns {string} Section text, or an empty string without issues
+ */
+export const formatIssueSection = (issues = []) => {
+  if (issues.length === 0) {
+    return '';
+  }
+
+  return `OPEN GITHUB ISSUES (${issues.length} issues):
+${issues.map(issue => {
+  const details = [
+    issue.source === 'referenced' ? 'referenced by recent commits' : 'assigned to you',
+    issue.labels?.length > 0 && `labels: ${issue.labels.join(', ')}`
+  ].filter(Boolean).join('; ');
+  const body = issue.body ? `\n  ${issue.body.replace(/\s+/g, ' ').substring(0, 200)}` : '';
+  return `- ${issue.repository}#${issue.number} "${issue.title}" (${details})${body}`;
+}).join('\n')}`;
+};
+
+/**
+ * Format the user's recent task decisions as a prompt section
+ * @param {Array} taskHistory - Entries from TaskTracker.getTaskStatusHistory
+ * @returns {string} Section text, or an empty string without history
+ */
+export const formatTaskHistorySection = (taskHistory = []) => {
+  if (taskHistory.length === 0) {
+    return '';
+  }
+
+  const groups = [
+    ['Already done', ['done']],
+    ['Dismissed by the user', ['dismissed']],
+    ['Already planned', ['accepted', 'in_progress']]
+  ];
+
+  return `PREVIOUSLY SUGGESTED TASKS - do NOT suggest these (or close variations) again:
+${groups.map(([label, statuses]) => {
+  const tasks = taskHistory.filter(task => statuses.includes(task.status));
+  return tasks.length > 0 ? `${label}:\n${tasks.map(task => `- ${task.title}`).join('\n')}` : '';
+}).filter(Boolean).join('\n')}`;
+};
+
 /**
  * Truncate diff content to prevent excessive AI costs
  * @param {string} diff - Diff content
@@ -106,6 +180,22 @@ export const truncateDiff = (diff, maxLength = 2000) => {
   return diff.slice(0, maxLength) + '\n... (diff truncated for analysis)';
 };
 
+/**
+ * Describe which part of a prepared diff a prompt holds (see utils/DiffPreparation.js)
+ * @param {Object} context - { part, parts, omittedFiles } - omittedFiles from describeOmittedFiles
+ * @returns {string} Note placed before the diff, or '' for a whole, unfiltered diff
+ */
+export const formatDiffContext = ({ part = 1, parts = 1, omittedFiles = '' } = {}) => {
+  const notes = [];
+  if (parts > 1) {
+    notes.push(`This is part ${part} of ${parts} of a large commit's diff. Only judge the changes shown; the other parts are reviewed separately.`);
+  }
+  if (omittedFiles) {
+    notes.push(`Files changed but not shown (lockfiles, generated, vendored, binary or over the size limit): ${omittedFiles}`);
+  }
+  return notes.length > 0 ? `NOTE: ${notes.join('\n')}\n\n` : '';
+};
+
 /**
  * Format commit info section for prompts
  * @param {Object} commit - Commit object
@@ -4,7 +4,7 @@
  * Pure functions for reliable quality assessment prompt generation
  */
 
-import { formatCommitsByCategory, formatCommitInfo } from './PromptUtils.js';
+import { formatCommitsByCategory, formatCommitInfo, formatDiffContext } from './PromptUtils.js';
 
 /**
  * Create quality analysis prompt for commit patterns
@@ -73,10 +73,11 @@ Quality score should be 0.0-1.0 where:
 /**
  * Create comprehensive code review prompt for individual commits
  * @param {Object} commit - Commit object with metadata
- * @param {string} diff - Git diff content
+ * @param {string} diff - Git diff content, or one chunk of it
+ * @param {Object} context - { part, parts, omittedFiles } for chunked or filtered diffs (see PromptUtils.formatDiffContext)
  * @returns {string} Code analysis prompt for AI
  */
-export const createCodeAnalysisPrompt = (commit, diff) => {
+export const createCodeAnalysisPrompt = (commit, diff, context = {}) => {
   const commitInfo = formatCommitInfo(commit);
   
   return `
@@ -86,7 +87,7 @@ COMMIT INFO:
 ${commitInfo}
 
 CODE CHANGES (GIT DIFF):
-${diff}
+${formatDiffContext(context)}${diff}
 
 ANALYZE FOR:
 
@@ -131,7 +132,9 @@ Return this exact JSON structure:
     {
       "type": "security|performance|maintainability|quality",
       "severity": "low|medium|high|critical", 
-      "line": "approximate line number or 'multiple'",
+      "file": "path of the file exactly as in its diff --git header, or null for commit-wide issues",
+      "lineStart": 42,
+      "lineEnd": 45,
       "description": "Specific issue found",
       "suggestion": "How to fix it",
       "example": "Show better code if applicable"
@@ -146,6 +149,13 @@ Return this exact JSON structure:
   ]
 }
 
+LOCATING ISSUES:
+- lineStart and lineEnd are line numbers in the NEW version of the file. Count them from the "+N" of the
+  hunk header (@@ -a,b +N,c @@): the first line after the header is line N, and every line not starting
+  with "-" adds one
+- Only point at lines that appear in the diff; use null for lineStart and lineEnd when the issue isn't
+  about specific lines
+
 Focus on actionable, specific feedback. If code looks good, say so!
   `.trim();
 };
@@ -4,21 +4,28 @@
  * Pure functions for reliable summary prompt generation
  */
 
-import { groupByCategory, getTotalRepositories, separateCommitsByAnalysis } from './PromptUtils.js';
+import {
+  groupByCategory,
+  getTotalRepositories,
+  separateCommitsByAnalysis,
+  formatBranchLabel,
+  formatPullRequestSection
+} from './PromptUtils.js';
 
 /**
  * Create summary prompt - chooses between enhanced and basic based on available data
  * @param {Array} commits - Array of commit objects
+ * @param {Array} pullRequests - Pull request activity (opened, merged, reviewed, commented)
  * @returns {string} Summary generation prompt for AI
  */
-export const createSummaryPrompt = (commits) => {
+export const createSummaryPrompt = (commits, pullRequests = []) => {
   const categories = groupByCategory(commits);
   const { hasAIAnalysis } = separateCommitsByAnalysis(commits);
 
   if (hasAIAnalysis) {
-    return createEnhancedSummaryPrompt(commits, categories);
+    return createEnhancedSummaryPrompt(commits, categories, pullRequests);
   } else {
-    return createBasicSummaryPrompt(commits, categories);
+    return createBasicSummaryPrompt(commits, categories, pullRequests);
   }
 };
 
@@ -26,9 +33,10 @@ export const createSummaryPrompt = (commits) => {
  * Create enhanced summary prompt using AI analysis data
  * @param {Array} commits - Array of commit objects
  * @param {Object} categories - Commits grouped by category
+ * @param {Array} pullRequests - Pull request activity (opened, merged, reviewed, commented)
  * @returns {string} Enhanced summary prompt for AI
  */
-export const createEnhancedSummaryPrompt = (commits, categories) => {
+export const createEnhancedSummaryPrompt = (commits, categories, pullRequests = []) => {
   const { analyzed, unanalyzed } = separateCommitsByAnalysis(commits);
   const totalRepositories = getTotalRepositories(commits);
   
@@ -40,13 +48,13 @@ ${analyzed.map(c => `
 - Description: ${c.aiAnalysis.suggestedDescription}
 - Analysis: ${c.aiAnalysis.commitAnalysis}
 - Quality Impact: ${c.aiAnalysis.confidence > 0.7 ? 'High' : c.aiAnalysis.confidence > 0.5 ? 'Medium' : 'Low'}
-- Repository: ${c.repository}`).join('\n')}
+- Repository: ${c.repository}${formatBranchLabel(c)}`).join('\n')}
   `.trim() : '';
 
   const basicCommitsSection = unanalyzed.length > 0 ? `
 ADDITIONAL COMMITS (${unanalyzed.length} commits):
 ${Object.entries(groupByCategory(unanalyzed)).map(([cat, commits]) =>
-  `${cat.toUpperCase()}: ${commits.length} commits\n${commits.map(c => `- ${c.message} (${c.repository})`).join('\n')}`
+  `${cat.toUpperCase()}: ${commits.length} commits\n${commits.map(c => `- ${c.message} (${c.repository}${formatBranchLabel(c)})`).join('\n')}`
 ).join('\n\n')}
   `.trim() : '';
 
@@ -59,13 +67,16 @@ ${aiAnalysisSection}
 
 ${basicCommitsSection}
 
+${formatPullRequestSection(pullRequests)}
+
 SUMMARY REQUIREMENTS:
 1. Synthesize the AI analysis to highlight key developments and patterns
 2. Focus on actual code changes and their impact (not just commit messages)
-3. Group related work across repositories when relevant
+3. Group related work across repositories and branches when relevant
 4. Mention code quality insights from AI analysis
 5. Highlight significant features, fixes, or improvements
-6. Keep it professional but engaging
+6. Count pull request reviews and discussions as real work, not just commits
+7. Keep it professional but engaging
 
 Write a 4-6 sentence summary that captures:
 - Most impactful changes based on AI analysis
@@ -81,20 +92,23 @@ Start with "Yesterday's development work focused on..." and provide actionable i
  * Create basic summary prompt when only commit messages are available
  * @param {Array} commits - Array of commit objects
  * @param {Object} categories - Commits grouped by category
+ * @param {Array} pullRequests - Pull request activity (opened, merged, reviewed, commented)
  * @returns {string} Basic summary prompt for AI
  */
-export const createBasicSummaryPrompt = (commits, categories) => {
+export const createBasicSummaryPrompt = (commits, categories, pullRequests = []) => {
   return `
 Generate a brief, friendly daily summary of development work.
 
 YESTERDAY'S COMMITS:
 ${Object.entries(categories).map(([cat, commits]) =>
   `${cat.toUpperCase()}: ${commits.length} commits\n${commits.map(c => `- ${c.message}`).join('\n')}`
-).join('\n\n')}
+).join('\n\n') || 'No commits'}
+
+${formatPullRequestSection(pullRequests)}
 
 Write a 2-3 sentence summary focusing on:
 - main accomplishments
-- types of work done
+- types of work done, including pull requests reviewed or merged
 - Overall progress
 
 Keep it positive and professional. Start with "Today you..."
@@ -258,4 +272,47 @@ INSTRUCTIONS:
 Write a 3-4 sentence summary specific to ${repositoryName}.
 Start with "Development in ${repositoryName} focused on..."
   `.trim();
-}; 
\ No newline at end of file
+};
+
+/**
+ * Create prompt for a weekly or sprint retrospective
+ * @param {Object} retrospective - Aggregated retrospective data from RetrospectiveGenerator
+ * @returns {string} Retrospective prompt for AI
+ */
+export const createRetrospectivePrompt = (retrospective) => {
+  const { period, totals, categories, repositories, dailySummaries, quality, carriedOverTasks } = retrospective;
+
+  return `
+Write a ${period.type === 'sprint' ? 'sprint' : 'weekly'} retrospective for a developer's sprint review.
+
+PERIOD: ${period.from} to ${period.to} (${period.timeZone})
+OVERVIEW: ${totals.commits} commits across ${totals.repositories} repositories on ${totals.activeDays} active days
+
+CATEGORY BREAKDOWN:
+${categories.map(c => `${c.category.toUpperCase()}: ${c.count} commits (${c.percentage}%)`).join('\n') || 'No categorized commits'}
+
+REPOSITORIES:
+${repositories.map(r => `- ${r.name}: ${r.commitCount} commits`).join('\n') || 'None'}
+
+DAILY SUMMARIES:
+${dailySummaries.map(d => `${d.from}${d.to !== d.from ? ` to ${d.to}` : ''}: ${d.summary}`).join('\n\n') || 'None recorded'}
+
+QUALITY CHANGES:
+${quality.map(q => `- ${q.repositoryId}: score ${q.currentScore ?? 'n/a'}${q.scoreDelta !== null ? ` (${q.scoreDelta >= 0 ? '+' : ''}${q.scoreDelta})` : ''}, ${q.currentIssues} open issues`).join('\n') || 'No quality analyses in this period'}
+
+CARRIED-OVER TASKS:
+${carriedOverTasks.map(t => `- [${t.priority}] ${t.title} (suggested ${t.timesSuggested}x)`).join('\n') || 'None'}
+
+INSTRUCTIONS:
+1. Summarize what was delivered in 3-4 sentences, starting with "During this ${period.type === 'sprint' ? 'sprint' : 'week'}..."
+2. List 3-6 concrete highlights (features shipped, bugs fixed, notable refactors)
+3. Mention quality trends only if they changed meaningfully
+4. Do not invent work that is not listed above
+
+Respond with ONLY a JSON object in this format:
+{
+  "narrative": "3-4 sentence summary",
+  "highlights": ["highlight 1", "highlight 2"]
+}
+  `.trim();
+};
@@ -4,29 +4,51 @@
  * Pure functions for reliable task generation prompt creation
  */
 
-import { getTotalRepositories, separateCommitsByAnalysis } from './PromptUtils.js';
+import { getTotalRepositories, separateCommitsByAnalysis, formatIssueSection, formatTaskHistorySection } from './PromptUtils.js';
+
+/**
+ * Explain how tasks link to the open issues listed in the prompt
+ * @param {Array} issues - Open issues included in the prompt
+ * @returns {string} Instructions, or an empty string without issues
+ */
+const createIssueInstructions = (issues) => {
+  if (issues.length === 0) {
+    return '';
+  }
+
+  return `
+OPEN ISSUES: Prefer tasks that move the open issues above forward, starting with issues referenced by recent commits. When a task works on one of those issues, set:
+- issueNumber (number): The issue number, exactly as listed above
+- issueRepository (string): The issue's repository ("owner/repo"), exactly as listed above
+Omit both fields for tasks that don't belong to a listed issue. Never invent issue numbers.
+`.trim();
+};
 
 /**
  * Create task prompt - chooses between enhanced and basic based on available data
  * @param {Array} commits - Array of commit objects
+ * @param {Array} issues - Open GitHub issues to link tasks to
+ * @param {Array} taskHistory - Tasks the user already finished, dismissed or planned
  * @returns {string} Task generation prompt for AI
  */
-export const createTaskPrompt = (commits) => {
+export const createTaskPrompt = (commits, issues = [], taskHistory = []) => {
   const { hasAIAnalysis } = separateCommitsByAnalysis(commits);
 
   if (hasAIAnalysis) {
-    return createEnhancedTaskPrompt(commits);
+    return createEnhancedTaskPrompt(commits, issues, taskHistory);
   } else {
-    return createBasicTaskPrompt(commits);
+    return createBasicTaskPrompt(commits, issues, taskHistory);
   }
 };
 
 /**
  * Create enhanced task prompt using AI analysis data
  * @param {Array} commits - Array of commit objects with AI analysis
+ * @param {Array} issues - Open GitHub issues to link tasks to
+ * @param {Array} taskHistory - Tasks the user already finished, dismissed or planned
  * @returns {string} Enhanced task generation prompt for AI
  */
-export const createEnhancedTaskPrompt = (commits) => {
+export const createEnhancedTaskPrompt = (commits, issues = [], taskHistory = []) => {
   const { analyzed, unanalyzed } = separateCommitsByAnalysis(commits);
   const totalRepositories = getTotalRepositories(commits);
   
@@ -60,6 +82,10 @@ ${aiAnalysisSection}
 
 ${basicCommitsSection}
 
+${formatIssueSection(issues)}
+
+${formatTaskHistorySection(taskHistory)}
+
 TASK GENERATION INSTRUCTIONS:
 Based on the detailed AI analysis above, generate 3-4 specific, actionable tasks for today. Each task should be directly inspired by the AI analysis insights:
 
@@ -71,6 +97,8 @@ Based on the detailed AI analysis above, generate 3-4 specific, actionable tasks
 
 CRITICAL: Each task must reference the specific AI analysis that inspired it. Use the actual commit analysis text, confidence scores, and AI suggestions as the foundation for your tasks.
 
+${createIssueInstructions(issues)}
+
 PRIORITIZATION CRITERIA:
 - HIGH: Critical bugs, security issues, or blocking features
 - MEDIUM: Feature improvements, code quality enhancements, testing
@@ -128,9 +156,11 @@ RESPOND WITH ONLY THE JSON OBJECT - NO OTHER TEXT.
 /**
  * Create basic task prompt when only commit messages are available
  * @param {Array} commits - Array of commit objects
+ * @param {Array} issues - Open GitHub issues to link tasks to
+ * @param {Array} taskHistory - Tasks the user already finished, dismissed or planned
  * @returns {string} Basic task generation prompt for AI
  */
-export const createBasicTaskPrompt = (commits) => {
+export const createBasicTaskPrompt = (commits, issues = [], taskHistory = []) => {
   const recentWork = commits.slice(0, 10).map(c => c.message).join('\n- ');
 
   return `
@@ -139,6 +169,12 @@ Based on recent development work, suggest 3-4 priority tasks for tomorrow.
 RECENT COMMITS:
 - ${recentWork}
 
+${formatIssueSection(issues)}
+
+${formatTaskHistorySection(taskHistory)}
+
+${createIssueInstructions(issues)}
+
 CRITICAL: You MUST respond with ONLY valid JSON. Do NOT include any markdown formatting, explanations, or other text.
 
 Expected JSON format:
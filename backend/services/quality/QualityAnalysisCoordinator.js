@@ -16,6 +16,11 @@ import {
   analyzeCommitMessages,
   createFallbackMessageAnalysis 
 } from './QualityMessageAnalyzer.js';
+import { partitionCommits, isPathOnlyChange, addSkipCount, COMMIT_SKIP_REASONS } from '../../utils/CommitExclusion.js';
+import { prepareDiff, describeOmittedFiles } from '../../utils/DiffPreparation.js';
+import { getDiffChunkSize, getMaxDiffChunks } from '../../config/diffLimits.js';
+import { locateFindings } from '../../utils/DiffFindings.js';
+import { splitRepositoryName } from '../external/SourceControlProvider.js';
 
 /**
  * Quality Analysis Coordinator - Functional Pattern
@@ -23,55 +28,37 @@ import {
  * Delegates to specialized functional modules while maintaining backwards compatibility
  */
 
-/**
- * Calculate maximum diff size based on model capabilities
- * Different models have different context limits, so we adjust accordingly
- * @param {string} model - The AI model being used
- * @returns {number} Maximum diff size in characters
- */
-const getMaxDiffSizeForModel = (model = 'gpt-4o-mini') => {
-  const modelLimits = {
-    // GPT-4o models - highest context limit
-    'gpt-4o': 20000,           // ~20KB for latest model
-    'gpt-4o-mini': 15000,      // ~15KB for mini variant
-    
-    // GPT-4 Turbo models - high context limit  
-    'gpt-4-turbo': 18000,      // ~18KB for turbo
-    'gpt-4-turbo-preview': 18000,
-    
-    // Standard GPT-4 - medium context limit
-    'gpt-4': 12000,            // ~12KB for standard GPT-4
-    'gpt-4-32k': 25000,        // ~25KB for 32k variant (if available)
-    
-    // GPT-3.5 models - lower context limit
-    'gpt-3.5-turbo': 8000,     // ~8KB for cost-effective option
-    'gpt-3.5-turbo-16k': 12000 // ~12KB for 16k variant
-  };
-
-  const maxSize = modelLimits[model] || 5000; // Default fallback
-  console.log(`📏 Using max diff size of ${maxSize} chars for model: ${model}`);
-  return maxSize;
-};
+// Most severe first, for merging the analyses of a chunked diff
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
 
 /**
  * Analyze code quality for commits with comprehensive analysis
- * @param {Array} commits - Array of commit objects
+ * Commits matching options.commitExclusion (merges, bots, excluded messages and paths) are skipped
+ * before any AI call; the result's skippedCommits counts them per reason
+ * @param {Array} receivedCommits - Array of commit objects
  * @param {string} repositoryId - Repository identifier
  * @param {string} timeframe - Analysis timeframe (default: 'weekly')
  * @param {string} repositoryFullName - Full repository name (optional)
  * @param {Object} options - Analysis options
  * @returns {Promise<Object>} Quality analysis results
  */
-export const analyzeCodeQuality = async (commits, repositoryId, timeframe = 'weekly', repositoryFullName = null, options = {}) => {
+export const analyzeCodeQuality = async (receivedCommits, repositoryId, timeframe = 'weekly', repositoryFullName = null, options = {}) => {
   const {
     openaiClient,
     callOpenAI,
     promptBuilder,
     githubService,
     forceRefresh = false,
-    model = 'gpt-4o-mini' // Add model parameter to options
+    model = 'gpt-4o-mini', // Add model parameter to options
+    onProgress = async () => {}, // (progress, message, step) reporter for job tracking
+    commitExclusion = null // Rules from CommitExclusion.resolveCommitExclusion (null analyzes every commit)
   } = options;
 
+  const { kept: commits, counts: skippedCommits } = partitionCommits(receivedCommits, commitExclusion);
+  if (skippedCommits.total > 0) {
+    console.log(`⏭️ Skipping ${skippedCommits.total} of ${receivedCommits.length} commits (${skippedCommits.merge} merges, ${skippedCommits.bot} bots, ${skippedCommits.message} by message)`);
+  }
+
   console.log(`🔍 Enhanced code quality analysis for ${commits.length} commits using model: ${model}...`);
 
   try {
@@ -79,6 +66,7 @@ export const analyzeCodeQuality = async (commits, repositoryId, timeframe = 'wee
     console.log(`📦 Quality analysis request for ${repositoryId} (forceRefresh: ${forceRefresh})`);
     
     if (!forceRefresh) {
+      await onProgress(5, 'Checking for cached analysis...', 'cache-check');
       const cacheKey = generateCacheKey(commits, repositoryId, timeframe);
       console.log(`🔍 Checking cache before calling OpenAI...`);
       
@@ -97,19 +85,22 @@ export const analyzeCodeQuality = async (commits, repositoryId, timeframe = 'wee
     let qualityData;
     if (repositoryFullName && githubService) {
       console.log('🔍 Running ENHANCED analysis with code diffs...');
-      qualityData = await analyzeCommitsWithDiffs(commits, repositoryFullName, githubService, callOpenAI, promptBuilder, model);
+      qualityData = await analyzeCommitsWithDiffs(commits, repositoryFullName, githubService, callOpenAI, promptBuilder, model, onProgress, commitExclusion);
+      addSkipCount(skippedCommits, COMMIT_SKIP_REASONS.PATHS, qualityData.codeAnalysis?.commitsSkipped || 0);
     } else {
       console.log('📝 Running message-only analysis (no repository info)...');
+      await onProgress(10, 'Analyzing commit messages...', 'message-analysis');
       qualityData = await analyzeCommitMessages(commits, callOpenAI, promptBuilder);
     }
     
     // STEP 3: Add our calculated metrics to AI insights
-    const enhancedQuality = enhanceQualityAnalysis(qualityData, commits);
+    const enhancedQuality = { ...enhanceQualityAnalysis(qualityData, commits), skippedCommits };
     
     // STEP 4: Store for future caching and historical trends
     const today = new Date().toISOString().split('T')[0];
     const cacheKey = generateCacheKey(commits, repositoryId, timeframe);
     console.log(`💾 Caching fresh OpenAI analysis for future requests...`);
+    await onProgress(95, 'Saving analysis results...', 'store');
     const storedAnalysis = await storeQualityAnalysis(enhancedQuality, repositoryId, today, cacheKey);
     console.log(`✅ Fresh analysis cached! Next request will use cache (4-hour window)`);
     
@@ -117,7 +108,7 @@ export const analyzeCodeQuality = async (commits, repositoryId, timeframe = 'wee
 
   } catch (error) {
     console.error('❌ Enhanced quality analysis failed:', error.message);
-    return createFallbackQualityAnalysis(commits, repositoryId);
+    return { ...createFallbackQualityAnalysis(commits, repositoryId), skippedCommits };
   }
 };
 
@@ -177,13 +168,17 @@ export const getQualityTrends = async (repositoryId, days = 30) => {
  * @param {Object} githubService - GitHub service instance
  * @param {Function} callOpenAI - OpenAI API function
  * @param {Object} promptBuilder - Prompt builder instance
+ * @param {string} model - AI model for dynamic sizing
+ * @param {Function} onProgress - (progress, message, step) reporter
+ * @param {Object} commitExclusion - Rules whose excluded paths skip code analysis (null analyzes every diff)
  * @returns {Promise<Object>} Enhanced analysis results
  */
-const analyzeCommitsWithDiffs = async (commits, repositoryFullName, githubService, callOpenAI, promptBuilder, model) => {
+const analyzeCommitsWithDiffs = async (commits, repositoryFullName, githubService, callOpenAI, promptBuilder, model, onProgress, commitExclusion = null) => {
   console.log(`🔍 Enhanced analysis: ${commits.length} commits + code diffs`);
   
   try {
     // STEP 1: Analyze commit messages (all commits - fast and cheap)
+    await onProgress(10, 'Analyzing commit messages...', 'message-analysis');
     const messageAnalysis = await analyzeCommitMessages(commits, callOpenAI, promptBuilder);
     
     // STEP 2: Smart selection of commits for expensive code analysis
@@ -191,7 +186,7 @@ const analyzeCommitsWithDiffs = async (commits, repositoryFullName, githubServic
     console.log(`📋 Selected ${commitsForCodeAnalysis.length} commits for code analysis`);
     
     // STEP 3: Get diffs and analyze code changes
-    const codeAnalysis = await analyzeCodeChanges(commitsForCodeAnalysis, repositoryFullName, githubService, callOpenAI, promptBuilder, model);
+    const codeAnalysis = await analyzeCodeChanges(commitsForCodeAnalysis, repositoryFullName, githubService, callOpenAI, promptBuilder, model, onProgress, commitExclusion);
     
     // STEP 4: Combine message and code insights
     return combineMessageAndCodeAnalysis(messageAnalysis, codeAnalysis);
@@ -224,17 +219,35 @@ const selectCommitsForCodeAnalysis = (commits) => {
  * @param {Object} githubService - GitHub service instance
  * @param {Function} callOpenAI - OpenAI API function
  * @param {Object} promptBuilder - Prompt builder instance
- * @returns {Promise<Object>} Code analysis results
+ * @param {string} model - AI model for dynamic sizing
+ * @param {Function} onProgress - (progress, message, step) reporter
+ * @param {Object} commitExclusion - Rules whose excluded paths skip code analysis (null analyzes every diff)
+ * @returns {Promise<Object>} Code analysis results, with commitsSkipped for commits that only changed excluded paths
  */
-const analyzeCodeChanges = async (commits, repositoryFullName, githubService, callOpenAI, promptBuilder, model) => {
+const analyzeCodeChanges = async (commits, repositoryFullName, githubService, callOpenAI, promptBuilder, model, onProgress, commitExclusion = null) => {
   const codeInsights = [];
   let totalLinesAnalyzed = 0;
+  let commitsSkipped = 0;
   
-  for (const commit of commits) {
+  for (const [index, commit] of commits.entries()) {
     try {
-      // Get the actual code diff
-      const diff = await getCommitDiff(commit.sha, repositoryFullName, githubService, model);
+      // Code analysis covers 20-90% of the overall job
+      await onProgress(
+        20 + Math.round((index / commits.length) * 70),
+        `Analyzing code changes (${index + 1}/${commits.length})...`,
+        `commit ${commit.sha.slice(0, 8)}`
+      );
+
+
+      // Get the actual code diff, filtered and chunked for the model
+      const { diff, chunks, omitted, files } = await getCommitDiff(commit.sha, repositoryFullName, githubService, model);
       
+      if (isPathOnlyChange(files, commitExclusion)) {
+        console.log(`⏭️ Skipping code analysis for ${commit.sha.slice(0, 8)} - only excluded paths changed`);
+        commitsSkipped++;
+        continue;
+      }
+
       if (!diff) {
         console.log(`⏭️ Skipping code analysis for ${commit.sha.slice(0, 8)} - no diff available`);
         continue;
@@ -244,8 +257,24 @@ const analyzeCodeChanges = async (commits, repositoryFullName, githubService, ca
       const lineCount = diff.split('\n').length;
       totalLinesAnalyzed += lineCount;
       
-      // Send this commit's code changes to AI
-      const codeAnalysis = await analyzeIndividualCommitCode(commit, diff, callOpenAI, promptBuilder, model);
+      // Send this commit's code changes to AI, one prompt per chunk
+      const omittedFiles = describeOmittedFiles(omitted);
+      const analyses = [];
+      for (const [part, chunk] of chunks.entries()) {
+        analyses.push(await analyzeIndividualCommitCode(commit, chunk, callOpenAI, promptBuilder, model, {
+          part: part + 1,
+          parts: chunks.length,
+          omittedFiles
+        }));
+      }
+      const merged = analyses.length > 1 ? mergeCodeAnalyses(analyses) : analyses[0];
+      
+      // Tie findings to the lines they're about; ones the diff doesn't back up lose their location
+      const codeAnalysis = merged && {
+        ...merged,
+        // GitHub clients carry no provider; GitLab, Bitbucket and local clients name theirs
+        issues: locateFindings(merged.issues, files, { repositoryFullName, sha: commit.sha, provider: githubService.provider })
+      };
       
       // Validate and add to insights
       if (codeAnalysis && typeof codeAnalysis === 'object') {
@@ -253,6 +282,8 @@ const analyzeCodeChanges = async (commits, repositoryFullName, githubService, ca
           commitSha: String(commit.sha),
           commitMessage: String(commit.message),
           linesChanged: Number(lineCount),
+          diffParts: chunks.length,
+          omittedFiles: omitted.map(file => file.filename),
           analysis: codeAnalysis
         };
         
@@ -269,7 +300,8 @@ const analyzeCodeChanges = async (commits, repositoryFullName, githubService, ca
   }
   
   return {
-    commitsAnalyzed: commits.length,
+    commitsAnalyzed: commits.length - commitsSkipped,
+    commitsSkipped,
     totalLinesAnalyzed: totalLinesAnalyzed,
     insights: codeInsights,
     summary: summarizeCodeAnalysis(codeInsights)
@@ -278,69 +310,72 @@ const analyzeCodeChanges = async (commits, repositoryFullName, githubService, ca
 
 /**
  * Get commit diff for analysis
+ * Lockfiles, generated and vendored files are dropped and the rest is split into chunks
+ * sized for the model (see utils/DiffPreparation.js)
  * @param {string} commitSha - Commit SHA
  * @param {string} repositoryFullName - Full repository name
  * @param {Object} githubService - GitHub service instance
  * @param {string} model - AI model for dynamic sizing
- * @returns {Promise<string|null>} Diff content or null
+ * @returns {Promise<Object>} { diff, chunks, omitted, files } - diff is null and chunks empty when nothing
+ *   can be analyzed; files are all the changed files, omitted the ones left out of the chunks
  */
 const getCommitDiff = async (commitSha, repositoryFullName, githubService, model) => {
+  const empty = { diff: null, chunks: [], omitted: [], files: [] };
   try {
     console.log(`📥 Fetching diff for commit ${commitSha.slice(0, 8)}...`);
     
     if (!githubService) {
-      console.error('❌ GitHubService not available for authenticated API calls');
-      return null;
+      console.error('❌ Source control client not available for authenticated API calls');
+      return empty;
     }
     
-    // Parse repository full name
-    const [owner, repo] = repositoryFullName.split('/');
+    // Parse repository full name (GitLab namespaces can contain subgroups)
+    const [owner, repo] = splitRepositoryName(repositoryFullName);
     if (!owner || !repo) {
       console.error(`❌ Invalid repository format: ${repositoryFullName}`);
-      return null;
+      return empty;
     }
     
-    // Use authenticated GitHubService
+    // Use the repository's authenticated source control client
     const commitData = await githubService.getCommitDiff(owner, repo, commitSha);
     
-    // Extract diff content from files
-    const diff = commitData.files
-      .map(file => file.patch || '')
-      .filter(patch => patch.length > 0)
-      .join('\n');
+    // COST CONTROL: chunk size follows the model's context, and the chunk count is capped
+    const prepared = prepareDiff(commitData.files, {
+      chunkChars: getDiffChunkSize(model),
+      maxChunks: getMaxDiffChunks()
+    });
     
-    if (!diff || diff.trim().length === 0) {
+    if (prepared.chunks.length === 0) {
       console.log(`⚠️ No diff content available for commit ${commitSha.slice(0, 8)}`);
-      return null;
+      return { ...empty, omitted: prepared.omitted, files: commitData.files };
     }
     
-    // COST CONTROL: Limit diff size to prevent massive AI costs
-    const maxDiffSize = getMaxDiffSizeForModel(model); // Use the new function
-    if (diff.length > maxDiffSize) {
-      console.log(`✂️ Diff too large (${diff.length} chars), truncating to ${maxDiffSize}`);
-      return diff.slice(0, maxDiffSize) + '\n\n... (diff truncated for analysis)';
+    if (prepared.chunks.length > 1 || prepared.omitted.length > 0) {
+      console.log(`✂️ Diff for ${commitSha.slice(0, 8)} split into ${prepared.chunks.length} part(s), ${prepared.omitted.length} file(s) left out`);
     }
     
-    return diff;
+    return { diff: prepared.diff, chunks: prepared.chunks, omitted: prepared.omitted, files: commitData.files };
     
   } catch (error) {
     console.error(`❌ Failed to fetch diff for ${commitSha}:`, error.message);
-    return null;
+    return empty;
   }
 };
 
 /**
  * Analyze individual commit code with AI
  * @param {Object} commit - Commit object
- * @param {string} diff - Diff content
+ * @param {string} diff - Diff content (the whole diff, or one chunk of it)
  * @param {Function} callOpenAI - OpenAI API function
  * @param {Object} promptBuilder - Prompt builder instance
+ * @param {string} model - AI model
+ * @param {Object} context - { part, parts, omittedFiles } describing what the diff leaves out
  * @returns {Promise<Object>} Code analysis result
  */
-const analyzeIndividualCommitCode = async (commit, diff, callOpenAI, promptBuilder, model) => {
+const analyzeIndividualCommitCode = async (commit, diff, callOpenAI, promptBuilder, model, context = {}) => {
   try {
     console.log(`🤖 AI Code Quality: Analyzing code diff for commit ${commit.sha.slice(0, 8)} (${diff.split('\n').length} lines)`);
-    const prompt = promptBuilder.createCodeAnalysisPrompt(commit, diff);
+    const prompt = promptBuilder.createCodeAnalysisPrompt(commit, diff, context);
     const aiResponse = await callOpenAI(prompt);
     return parseCodeAnalysisResponse(aiResponse);
     
@@ -350,6 +385,33 @@ const analyzeIndividualCommitCode = async (commit, diff, callOpenAI, promptBuild
   }
 };
 
+/**
+ * Merge the analyses of a chunked diff into one
+ * Keeps the most severe rating, drops issues reported twice and labels each part's assessment
+ * @param {Array} analyses - Code analysis per chunk, in chunk order
+ * @returns {Object} Code analysis of the whole commit
+ */
+const mergeCodeAnalyses = (analyses) => {
+  const severity = SEVERITY_ORDER.find(level => analyses.some(analysis => analysis.severity === level)) || 'medium';
+  const seen = new Set();
+  const issues = analyses.flatMap(analysis => analysis.issues || []).filter(issue => {
+    const key = `${issue.type}:${issue.file || ''}:${String(issue.description || '').toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return {
+    severity,
+    issues,
+    positives: [...new Set(analyses.flatMap(analysis => analysis.positives || []))],
+    overallAssessment: analyses
+      .map((analysis, index) => `Part ${index + 1}: ${analysis.overallAssessment || ''}`.trim())
+      .join('\n'),
+    recommendedActions: [...new Set(analyses.flatMap(analysis => analysis.recommendedActions || []))]
+  };
+};
+
 /**
  * Create fallback code analysis when AI fails
  * @param {Object} commit - Commit object
@@ -31,7 +31,7 @@ class QualityAnalyzer {
    * Analyze code quality for commits with comprehensive analysis
    * Delegates to functional coordinator while maintaining same interface
    */
-  async analyzeCodeQuality(commits, repositoryId, timeframe = 'weekly', repositoryFullName = null, forceRefresh = false) {
+  async analyzeCodeQuality(commits, repositoryId, timeframe = 'weekly', repositoryFullName = null, forceRefresh = false, onProgress = undefined, commitExclusion = null) {
     // Delegate to the functional coordinator with backwards compatibility
     const options = {
       openaiClient: this.openai,
@@ -39,7 +39,9 @@ class QualityAnalyzer {
       promptBuilder: this.promptBuilder,
       githubService: this.githubService,
       forceRefresh: forceRefresh, // Pass through the forceRefresh parameter
-      model: this.model // Pass the model for dynamic diff sizing
+      model: this.model, // Pass the model for dynamic diff sizing
+      onProgress, // Optional progress reporter for job tracking
+      commitExclusion // Optional CommitExclusion rules - matching commits are skipped
     };
 
     return await functionalAnalyzeCodeQuality(
@@ -110,7 +110,8 @@ export const storeQualityAnalysis = async (qualityData, repositoryId, date, cach
           concerningAreas: []
         },
         codeAnalysis: qualityData.codeAnalysis || null,
-        analysisMethod: qualityData.analysisMethod || 'basic'
+        analysisMethod: qualityData.analysisMethod || 'basic',
+        skippedCommits: qualityData.skippedCommits || null
       },
       { upsert: true, new: true }
     );
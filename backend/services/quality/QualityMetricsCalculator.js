@@ -4,6 +4,9 @@
  * Pure functions for reliable metric computation
  */
 
+import { countByCategory } from '../../utils/CommitTaxonomy.js';
+import { formatFindingLocation } from '../../utils/DiffFindings.js';
+
 /**
  * Calculate code quality score from code analysis results
  * @param {Object} codeAnalysis - Code analysis results
@@ -146,10 +149,7 @@ export const calculatePatternHealthScore = (patterns, totalCommits) => {
  * @returns {Object} Commit distribution
  */
 export const calculateCommitDistribution = (commits) => {
-  return commits.reduce((acc, commit) => {
-    acc[commit.category || 'other'] = (acc[commit.category || 'other'] || 0) + 1;
-    return acc;
-  }, {});
+  return countByCategory(commits);
 };
 
 /**
@@ -170,7 +170,7 @@ export const extractCodeIssues = (codeAnalysis) => {
           description: `Code: ${issue.description}`,
           suggestion: issue.suggestion,
           commitCount: 1,
-          location: issue.line
+          location: formatFindingLocation(issue)
         });
       });
     });
@@ -93,6 +93,9 @@ export const parseCodeAnalysisResponse = (aiResponse) => {
       issues: issues.map(issue => ({
         type: String(issue.type || 'quality'),
         severity: String(issue.severity || 'medium'),
+        file: issue.file ? String(issue.file) : null,
+        lineStart: parseInt(issue.lineStart, 10) || null,
+        lineEnd: parseInt(issue.lineEnd, 10) || null,
         line: String(issue.line || 'unknown'),
         description: String(issue.description || 'Code issue detected'),
         suggestion: String(issue.suggestion || 'Review and improve this code'),
@@ -142,6 +145,9 @@ export const validateIssue = (issue) => {
   return {
     type: validTypes.includes(issue.type) ? issue.type : 'quality',
     severity: validSeverities.includes(issue.severity) ? issue.severity : 'medium',
+    file: issue.file ? String(issue.file) : null,
+    lineStart: parseInt(issue.lineStart, 10) || null,
+    lineEnd: parseInt(issue.lineEnd, 10) || null,
     line: String(issue.line || 'unknown'),
     description: String(issue.description || 'Issue detected'),
     suggestion: String(issue.suggestion || 'Review and improve'),
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import { getEncryptionKeys, getLegacyEncryptionPassphrase } from '../../config/encryption.js';
+
+/**
+ * Encryption Service - Functional Pattern
+ * Encrypts secrets (GitHub and provider tokens, AI API keys, sensitive settings) before
+ * they are written to MongoDB, with AES-256-GCM and a fresh random IV per value
+ *
+ * Stored format: "enc:v<key version>:<iv>:<auth tag>:<ciphertext>" (base64 parts).
+ * The key version lets old values be read after a rotation (see config/encryption.js);
+ * values without the prefix are legacy plaintext and are returned unchanged until the
+ * migration (services/security/SecretMigration.js) encrypts them
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12; // Recommended IV size for GCM
+const PREFIX = 'enc:v';
+
+let keyring; // Parsed once; undefined until first use
+let warnedPlaintext = false;
+
+/**
+ * Get the parsed encryption keys
+ * @returns {Object|null} { currentVersion, keys }, or null when none are configured
+ */
+const getKeyring = () => {
+  if (keyring === undefined) {
+    keyring = getEncryptionKeys();
+  }
+  return keyring;
+};
+
+/**
+ * Check whether encryption keys are configured
+ * @returns {boolean} True when ENCRYPTION_KEYS is set
+ */
+export const isEncryptionConfigured = () => !!getKeyring();
+
+/**
+ * Validate the encryption configuration at startup
+ * Production refuses to run without keys; elsewhere secrets stay plaintext with a warning
+ * @throws {Error} When keys are malformed, or missing in production
+ */
+export const assertEncryptionConfigured = () => {
+  const configured = getKeyring();
+
+  if (!configured) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('ENCRYPTION_KEYS is not set - refusing to store tokens and API keys in plaintext');
+    }
+    console.warn('⚠️  ENCRYPTION_KEYS not set - secrets are stored in plaintext (development only)');
+    return;
+  }
+
+  console.log(`🔐 Secret encryption enabled (key version ${configured.currentVersion}, ${configured.keys.size} key(s) loaded)`);
+};
+
+/**
+ * Check whether a stored value was written by encryptSecret
+ * @param {*} value - Stored value
+ * @returns {boolean} True for encrypted values
+ */
+export const isEncryptedSecret = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Encrypt a secret with the current key
+ * Empty and already encrypted values are returned unchanged
+ * @param {string} value - Plaintext secret
+ * @returns {string} Encrypted value (plaintext when no keys are configured outside production)
+ */
+export const encryptSecret = (value) => {
+  if (value === null || value === undefined || value === '' || isEncryptedSecret(value)) {
+    return value;
+  }
+
+  const configured = getKeyring();
+  if (!configured) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('ENCRYPTION_KEYS is not set - cannot store secrets');
+    }
+    if (!warnedPlaintext) {
+      console.warn('⚠️  EncryptionService: Storing secrets in plaintext - set ENCRYPTION_KEYS');
+      warnedPlaintext = true;
+    }
+    return value;
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, configured.keys.get(configured.currentVersion), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [
+    `${PREFIX}${configured.currentVersion}`,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+/**
+ * Decrypt a value written by encryptSecret
+ * Legacy plaintext values are returned unchanged
+ * @param {string} value - Stored value
+ * @returns {string} Plaintext secret
+ * @throws {Error} When the key version is unknown or the value was tampered with
+ */
+export const decryptSecret = (value) => {
+  if (!isEncryptedSecret(value)) {
+    return value;
+  }
+
+  const [versionTag, iv, tag, ciphertext] = value.split(':').slice(1);
+  const version = versionTag.substring(1);
+  const key = getKeyring()?.keys.get(version);
+  if (!key) {
+    throw new Error(`No encryption key with version ${version} - add it to ENCRYPTION_KEYS`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Check whether a stored value should be (re-)encrypted: legacy plaintext, or
+ * encrypted with a key that is no longer the current one
+ * @param {*} value - Stored value
+ * @returns {boolean} True when the migration should rewrite it
+ */
+export const needsReEncryption = (value) => {
+  const configured = getKeyring();
+  if (!configured || value === null || value === undefined || value === '') {
+    return false;
+  }
+  return !value.startsWith(`${PREFIX}${configured.currentVersion}:`);
+};
+
+/**
+ * Decrypt a Settings value written by older versions (aes-256-cbc via the deprecated
+ * crypto.createCipher, key and IV derived from ENCRYPTION_KEY - the stored IV was never used)
+ * @param {string} value - "<unused iv hex>:<ciphertext hex>"
+ * @returns {string} Plaintext
+ */
+export const decryptLegacySetting = (value) => {
+  // EVP_BytesToKey with MD5, one iteration and no salt, as createCipher did
+  const passphrase = Buffer.from(getLegacyEncryptionPassphrase(), 'utf8');
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  while (derived.length < 48) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, passphrase])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+
+  const ciphertext = value.split(':').slice(1).join(':');
+  const decipher = crypto.createDecipheriv('aes-256-cbc', derived.subarray(0, 32), derived.subarray(32, 48));
+  return decipher.update(ciphertext, 'hex', 'utf8') + decipher.final('utf8');
+};
+
+/**
+ * Mongoose path options for an encrypted string field
+ * Values are encrypted when assigned (including in update queries) and decrypted when
+ * read; a value that can't be decrypted reads as null so callers treat it as missing
+ * @param {Object} options - Other path options (required, select, ...)
+ * @returns {Object} Schema path definition
+ */
+export const encryptedString = (options = {}) => ({
+  type: String,
+  ...options,
+  set: encryptSecret,
+  get: (value) => {
+    try {
+      return decryptSecret(value);
+    } catch (error) {
+      console.error('❌ EncryptionService: Could not decrypt a stored secret:', error.message);
+      return null;
+    }
+  }
+});
+
+export default {
+  isEncryptionConfigured,
+  assertEncryptionConfigured,
+  isEncryptedSecret,
+  encryptSecret,
+  decryptSecret,
+  needsReEncryption,
+  decryptLegacySetting,
+  encryptedString
+};
@@ -0,0 +1,84 @@
+import User from '../../models/User.js';
+import ProviderConnection from '../../models/ProviderConnection.js';
+import Settings, { SENSITIVE_KEYS } from '../../models/Settings.js';
+import { isEncryptionConfigured, decryptSecret, needsReEncryption } from './EncryptionService.js';
+
+/**
+ * Secret Migration - Functional Pattern
+ * Encrypts secrets stored before encryption was enabled and re-encrypts values written
+ * with an older key after a rotation. Idempotent: values already encrypted with the
+ * current key are left alone, so it runs on every startup and from `npm run encrypt-secrets`
+ */
+
+const USER_SECRET_FIELDS = ['accessToken', 'githubRefreshToken', 'openaiApiKey'];
+const CONNECTION_SECRET_FIELDS = ['accessToken', 'refreshToken'];
+
+/**
+ * Rewrite a document's stale secret fields with the current key
+ * Values that can't be decrypted are left untouched so they aren't lost
+ * @param {Object} doc - Mongoose document with the secret fields selected
+ * @param {Array<string>} fields - Encrypted fields
+ * @returns {Promise<boolean>} True if the document was updated
+ */
+const reEncryptFields = async (doc, fields) => {
+  let changed = false;
+
+  for (const field of fields) {
+    const stored = doc.get(field, null, { getters: false });
+    if (!needsReEncryption(stored)) continue;
+
+    try {
+      doc.set(field, decryptSecret(stored)); // The setter encrypts with the current key
+      changed = true;
+    } catch (error) {
+      console.error(`❌ SecretMigration: Skipping ${doc.constructor.modelName} ${doc._id}.${field}:`, error.message);
+    }
+  }
+
+  if (changed) {
+    await doc.save({ timestamps: false });
+  }
+  return changed;
+};
+
+/**
+ * Encrypt or re-encrypt every stored secret
+ * @returns {Promise<Object>} { users, connections, settings } - documents updated per collection
+ */
+export const migrateStoredSecrets = async () => {
+  const counts = { users: 0, connections: 0, settings: 0 };
+  if (!isEncryptionConfigured()) {
+    console.log('ℹ️  SecretMigration: ENCRYPTION_KEYS not set - nothing to migrate');
+    return counts;
+  }
+
+  for await (const user of User.find({}).select(USER_SECRET_FIELDS.map(field => `+${field}`).join(' '))) {
+    if (await reEncryptFields(user, USER_SECRET_FIELDS)) counts.users++;
+  }
+
+  for await (const connection of ProviderConnection.find({}).select(CONNECTION_SECRET_FIELDS.map(field => `+${field}`).join(' '))) {
+    if (await reEncryptFields(connection, CONNECTION_SECRET_FIELDS)) counts.connections++;
+  }
+
+  // Settings only encrypt sensitive keys, and older versions used their own format
+  for await (const setting of Settings.find({ key: { $in: SENSITIVE_KEYS } })) {
+    if (setting.encrypted && !needsReEncryption(setting.value)) continue;
+
+    const value = setting.getDecryptedValue();
+    if (value === null) {
+      console.error(`❌ SecretMigration: Skipping setting ${setting.key} - it could not be decrypted`);
+      continue;
+    }
+    setting.value = value; // Encrypted again by the save hook
+    setting.markModified('value');
+    await setting.save();
+    counts.settings++;
+  }
+
+  console.log(`🔐 SecretMigration: Encrypted secrets of ${counts.users} users, ${counts.connections} connections and ${counts.settings} settings`);
+  return counts;
+};
+
+export default {
+  migrateStoredSecrets
+};
@@ -0,0 +1,103 @@
+import { extractIssueReferences } from '../../utils/CommitFormatter.js';
+
+/**
+ * Issue Collector - Functional Pattern
+ * Gathers the GitHub issues task suggestions should know about: open issues
+ * assigned to the user, plus issues their recent commits reference as "#123"
+ */
+
+// Referenced issues are fetched one by one, so cap how many a busy day can cost
+const MAX_REFERENCED_ISSUES = 20;
+
+/**
+ * Get a formatted commit's repository full name
+ * @param {Object} commit - Formatted commit
+ * @returns {string|null} "owner/repo", falling back to the commit URL for older cached commits
+ */
+export const getCommitRepository = (commit) => {
+  if (commit.repositoryFullName) return commit.repositoryFullName;
+  const match = (commit.url || '').match(/github\.com\/([^/]+\/[^/]+)\/commit\//);
+  return match ? match[1] : null;
+};
+
+/**
+ * Check whether a formatted commit comes from a GitHub repository
+ * @param {Object} commit - Formatted commit
+ * @returns {boolean} True unless the commit was read from GitLab or Bitbucket
+ */
+export const isGitHubCommit = (commit) => !commit.provider || commit.provider === 'github';
+
+/**
+ * Build a unique key for an issue
+ * @param {string} repository - Repository full name
+ * @param {number} number - Issue number
+ * @returns {string} "owner/repo#123"
+ */
+export const buildIssueKey = (repository, number) => `${repository}#${number}`;
+
+/**
+ * Collect the issues referenced by commit messages
+ * @param {Array} commits - Formatted commits
+ * @returns {Array} [{ repository, number }] in order of appearance
+ */
+export const collectIssueReferences = (commits = []) => {
+  const references = new Map();
+
+  commits.forEach(commit => {
+    const repository = getCommitRepository(commit);
+    if (!repository || !isGitHubCommit(commit)) return;
+
+    extractIssueReferences(commit.message || commit.description).forEach(number => {
+      references.set(buildIssueKey(repository, number), { repository, number });
+    });
+  });
+
+  return [...references.values()];
+};
+
+/**
+ * Collect assigned and referenced issues for task suggestions
+ * Failures are logged and skipped - suggestions still work without issues
+ * @param {Object} githubService - GitHub client for the user
+ * @param {Array} commits - Formatted commits the suggestions are based on
+ * @returns {Promise<Array>} Issues with source 'assigned' or 'referenced'
+ */
+export const collectTaskIssues = async (githubService, commits = []) => {
+  const issues = new Map();
+
+  try {
+    const assigned = await githubService.getAssignedIssues();
+    assigned.forEach(issue => {
+      issues.set(buildIssueKey(issue.repository, issue.number), { ...issue, source: 'assigned' });
+    });
+  } catch (error) {
+    console.warn('⚠️ IssueCollector: Could not fetch assigned issues:', error.message?.err || error.message);
+  }
+
+  const references = collectIssueReferences(commits)
+    .filter(reference => !issues.has(buildIssueKey(reference.repository, reference.number)))
+    .slice(0, MAX_REFERENCED_ISSUES);
+
+  for (const reference of references) {
+    const [owner, repo] = reference.repository.split('/');
+    try {
+      // Pull request numbers resolve to null and are skipped
+      const issue = await githubService.getIssue(owner, repo, reference.number);
+      if (issue && issue.state === 'open') {
+        issues.set(buildIssueKey(issue.repository, issue.number), { ...issue, source: 'referenced' });
+      }
+    } catch (error) {
+      console.warn(`⚠️ IssueCollector: Could not fetch ${buildIssueKey(reference.repository, reference.number)}`);
+    }
+  }
+
+  console.log(`🎫 IssueCollector: Found ${issues.size} open issues (${references.length} referenced by commits)`);
+  return [...issues.values()];
+};
+
+export default {
+  getCommitRepository,
+  buildIssueKey,
+  collectIssueReferences,
+  collectTaskIssues
+};
@@ -0,0 +1,208 @@
+import ProgressJob from '../../models/ProgressJob.js';
+
+/**
+ * Job Store - Functional Pattern
+ * Storage backends for ProgressTracker job state
+ * Every store exposes the same async interface so the tracker stays storage-agnostic:
+ * - create(job): persist a new job record (rejects ids owned by another user)
+ * - get(jobId): read a job record (or null)
+ * - update(jobId, changes, step): apply field changes and optionally append a step
+ * - list({ userId }): list job records, optionally for one owner
+ * - removeExpired(): delete jobs past their expiresAt
+ * - stats(): count jobs by status
+ *
+ * Stores:
+ * - memory: module-local Map, single instance only, lost on restart
+ * - mongodb: ProgressJob collection with a TTL index, shared across instances
+ */
+
+export const JOB_STORES = {
+  MEMORY: 'memory',
+  MONGODB: 'mongodb'
+};
+
+export const DEFAULT_JOB_STORE = JOB_STORES.MONGODB;
+
+/**
+ * Copy a job record so callers cannot mutate stored state
+ * @param {Object} job - Stored job record
+ * @returns {Object} Plain job record
+ */
+const cloneJob = (job) => ({
+  ...job,
+  steps: [...(job.steps || [])]
+});
+
+/**
+ * Error raised when a job id is already taken by another user's job
+ * @param {string} jobId - Job identifier
+ * @returns {Error} Error with code JOB_ID_TAKEN
+ */
+const createJobIdTakenError = (jobId) => {
+  const error = new Error(`Job id ${jobId} is already in use`);
+  error.code = 'JOB_ID_TAKEN';
+  return error;
+};
+
+/**
+ * Create an in-memory job store
+ * Suitable for single-instance development setups
+ * @returns {Object} Job store
+ */
+export const createMemoryJobStore = () => {
+  const jobs = new Map(); // jobId -> job record
+
+  const store = {
+    type: JOB_STORES.MEMORY,
+
+    async create(job) {
+      const existing = jobs.get(job.jobId);
+      if (existing && existing.userId !== job.userId) {
+        throw createJobIdTakenError(job.jobId);
+      }
+
+      jobs.set(job.jobId, cloneJob(job));
+      return cloneJob(job);
+    },
+
+    async get(jobId) {
+      const job = jobs.get(jobId);
+      return job ? cloneJob(job) : null;
+    },
+
+    async update(jobId, changes, step = null) {
+      const job = jobs.get(jobId);
+      if (!job) return null;
+
+      Object.assign(job, changes);
+      if (step) job.steps.push(step);
+      return cloneJob(job);
+    },
+
+    async list({ userId } = {}) {
+      return [...jobs.values()]
+        .filter(job => userId === undefined || job.userId === userId)
+        .map(cloneJob);
+    },
+
+    async removeExpired() {
+      const now = Date.now();
+      let removed = 0;
+
+      for (const [jobId, job] of jobs) {
+        if (job.expiresAt && job.expiresAt.getTime() < now) {
+          jobs.delete(jobId);
+          removed++;
+          console.log(`🧹 Cleaned up old job: ${jobId}`);
+        }
+      }
+
+      return removed;
+    },
+
+    async stats() {
+      const stats = { total: jobs.size, running: 0, completed: 0, failed: 0 };
+      for (const [, job] of jobs) {
+        stats[job.status]++;
+      }
+      return stats;
+    }
+  };
+
+  // MongoDB has a TTL monitor; the memory store sweeps itself every 30 minutes
+  setInterval(async () => {
+    const cleaned = await store.removeExpired();
+    if (cleaned > 0) {
+      console.log(`🧹 Cleanup completed: removed ${cleaned} old jobs`);
+    }
+  }, 30 * 60 * 1000).unref();
+
+  return store;
+};
+
+/**
+ * Create a MongoDB-backed job store
+ * Jobs are visible to every backend instance and survive restarts;
+ * expired jobs are removed by the ProgressJob TTL index
+ * @returns {Object} Job store
+ */
+export const createMongoJobStore = () => {
+  const toRecord = (doc) => {
+    if (!doc) return null;
+    const { _id, __v, createdAt, updatedAt, ...job } = doc;
+    return cloneJob(job);
+  };
+
+  return {
+    type: JOB_STORES.MONGODB,
+
+    async create(job) {
+      // Upsert so restarting a job id replaces the previous run of the same owner;
+      // an id held by another owner fails the unique jobId index
+      try {
+        const doc = await ProgressJob.findOneAndUpdate(
+          { jobId: job.jobId, userId: job.userId },
+          { $set: job },
+          { upsert: true, new: true, lean: true }
+        );
+        return toRecord(doc);
+      } catch (error) {
+        if (error.code === 11000) throw createJobIdTakenError(job.jobId);
+        throw error;
+      }
+    },
+
+    async get(jobId) {
+      return toRecord(await ProgressJob.findOne({ jobId }).lean());
+    },
+
+    async update(jobId, changes, step = null) {
+      const update = { $set: changes };
+      if (step) update.$push = { steps: step };
+
+      const doc = await ProgressJob.findOneAndUpdate({ jobId }, update, { new: true, lean: true });
+      return toRecord(doc);
+    },
+
+    async list({ userId } = {}) {
+      const query = userId === undefined ? {} : { userId };
+      const docs = await ProgressJob.find(query).sort({ startTime: -1 }).lean();
+      return docs.map(toRecord);
+    },
+
+    async removeExpired() {
+      // The TTL monitor runs every 60 seconds; this only catches what it has not reached yet
+      const result = await ProgressJob.deleteMany({ expiresAt: { $lt: new Date() } });
+      return result.deletedCount || 0;
+    },
+
+    async stats() {
+      const counts = await ProgressJob.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+
+      const stats = { total: 0, running: 0, completed: 0, failed: 0 };
+      for (const { _id: status, count } of counts) {
+        stats[status] = count;
+        stats.total += count;
+      }
+      return stats;
+    }
+  };
+};
+
+/**
+ * Create the job store selected by JOB_STORE (memory | mongodb)
+ * @param {string} type - Store type, defaults to the JOB_STORE environment variable
+ * @returns {Object} Job store
+ */
+export const createJobStore = (type = process.env.JOB_STORE || DEFAULT_JOB_STORE) => {
+  switch (type) {
+    case JOB_STORES.MEMORY:
+      return createMemoryJobStore();
+    case JOB_STORES.MONGODB:
+      return createMongoJobStore();
+    default:
+      throw new Error(`Unsupported job store: ${type} (expected "memory" or "mongodb")`);
+  }
+};
@@ -1,26 +1,76 @@
+import { EventEmitter } from 'events';
+import { createJobStore } from './JobStore.js';
+
 /**
  * Progress Tracker Service - Functional Pattern
  * Manages progress tracking for long-running operations like summary generation
  * Follows the functional pattern established by AICoordinator and CacheManager
+ *
+ * Job state lives in a pluggable job store (see JobStore.js) so progress can be
+ * read from any backend instance. Every job records the user that started it,
+ * and status lookups only return jobs owned by the requesting user.
+ *
+ * Every change is also published on an in-process event bus so streaming
+ * endpoints (SSE) can push updates as they happen instead of polling.
  */
 
+// Running jobs that never finish are dropped after a day; finished jobs after an hour
+const RUNNING_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
 // Module-level state (equivalent to singleton pattern)
-const jobs = new Map(); // jobId -> { progress, status, message, startTime }
+let store = null;
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per open progress stream
+
+/**
+ * Get the configured job store, creating it on first use
+ * @returns {Object} Job store
+ */
+const getStore = () => {
+  if (!store) {
+    store = createJobStore();
+    console.log(`📦 ProgressTracker initialized with ${store.type} job store`);
+  }
+  return store;
+};
+
+/**
+ * Normalize an owner id for storage and comparison
+ * @param {string|Object} userId - User id or ObjectId
+ * @returns {string|null} String user id
+ */
+const toOwnerId = (userId) => (userId ? userId.toString() : null);
+
+/**
+ * Publish a job change to local subscribers
+ * @param {Object|null} job - Updated job record
+ */
+const publish = (job) => {
+  if (job) jobEvents.emit(job.jobId, job);
+};
 
 /**
  * Start tracking a new job
  * @param {string} jobId - Unique identifier for the job
  * @param {string} initialMessage - Initial status message
- * @returns {string} jobId
+ * @param {string} userId - User that owns the job
+ * @returns {Promise<string>} jobId
  */
-export const startJob = (jobId, initialMessage = "Starting...") => {
-  jobs.set(jobId, {
+export const startJob = async (jobId, initialMessage = "Starting...", userId = null) => {
+  const startTime = Date.now();
+
+  const job = await getStore().create({
+    jobId,
+    userId: toOwnerId(userId),
     progress: 0,
     status: 'running',
     message: initialMessage,
-    startTime: Date.now(),
-    steps: []
+    startTime,
+    steps: [],
+    expiresAt: new Date(startTime + RUNNING_JOB_TTL_MS)
   });
+  publish(job);
   
   console.log(`🚀 Started job ${jobId}: ${initialMessage}`);
   return jobId;
@@ -32,18 +82,20 @@ export const startJob = (jobId, initialMessage = "Starting...") => {
  * @param {number} progress - Progress percentage (0-100)
  * @param {string} message - Status message
  * @param {string} step - Current step description
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-export const updateProgress = (jobId, progress, message, step = null) => {
-  const job = jobs.get(jobId);
+export const updateProgress = async (jobId, progress, message, step = null) => {
+  const job = await getStore().update(
+    jobId,
+    { progress: Math.max(0, Math.min(100, progress)), message },
+    step ? { step, timestamp: Date.now(), progress } : null
+  );
+
   if (!job) {
     console.warn(`⚠️ Job ${jobId} not found for progress update`);
     return false;
   }
-
-  job.progress = Math.max(0, Math.min(100, progress));
-  job.message = message;
-  if (step) job.steps.push({ step, timestamp: Date.now(), progress });
+  publish(job);
   
   console.log(`📊 Job ${jobId}: ${progress}% - ${message}`);
   return true;
@@ -53,23 +105,26 @@ export const updateProgress = (jobId, progress, message, step = null) => {
  * Complete a job
  * @param {string} jobId - Job identifier
  * @param {any} result - Job result data
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-export const completeJob = (jobId, result = null) => {
-  const job = jobs.get(jobId);
+export const completeJob = async (jobId, result = null) => {
+  const endTime = Date.now();
+  const job = await getStore().update(jobId, {
+    progress: 100,
+    status: 'completed',
+    message: 'Completed successfully',
+    result,
+    endTime,
+    expiresAt: new Date(endTime + FINISHED_JOB_TTL_MS)
+  });
+
   if (!job) {
     console.warn(`⚠️ Job ${jobId} not found for completion`);
     return false;
   }
+  publish(job);
 
-  job.progress = 100;
-  job.status = 'completed';
-  job.message = 'Completed successfully';
-  job.result = result;
-  job.endTime = Date.now();
-  job.duration = job.endTime - job.startTime;
-
-  console.log(`✅ Job ${jobId} completed in ${job.duration}ms`);
+  console.log(`✅ Job ${jobId} completed in ${endTime - job.startTime}ms`);
   return true;
 };
 
@@ -77,104 +132,105 @@ export const completeJob = (jobId, result = null) => {
  * Mark job as failed
  * @param {string} jobId - Job identifier
  * @param {string} error - Error message
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-export const failJob = (jobId, error) => {
-  const job = jobs.get(jobId);
+export const failJob = async (jobId, error) => {
+  const endTime = Date.now();
+  const job = await getStore().update(jobId, {
+    status: 'failed',
+    error,
+    endTime,
+    expiresAt: new Date(endTime + FINISHED_JOB_TTL_MS)
+  });
+
   if (!job) {
     console.warn(`⚠️ Job ${jobId} not found for failure`);
     return false;
   }
-
-  job.status = 'failed';
-  job.error = error;
-  job.endTime = Date.now();
-  job.duration = job.endTime - job.startTime;
+  publish(job);
 
   console.log(`❌ Job ${jobId} failed: ${error}`);
   return true;
 };
 
 /**
- * Get job status
+ * Shape a stored job record as a public status object
+ * @param {Object} job - Stored job record
+ * @returns {object} Job status
+ */
+const toJobStatus = (job) => ({
+  jobId: job.jobId,
+  progress: job.progress,
+  status: job.status,
+  message: job.message,
+  steps: job.steps,
+  duration: (job.endTime || Date.now()) - job.startTime,
+  result: job.result,
+  error: job.error
+});
+
+/**
+ * Get job status for the user that owns it
+ * Jobs owned by someone else are reported as not found so their existence is not revealed
  * @param {string} jobId - Job identifier
- * @returns {object|null} Job status or null if not found
+ * @param {string} userId - Requesting user
+ * @returns {Promise<object|null>} Job status or null if not found or not owned by the user
  */
-export const getJobStatus = (jobId) => {
-  const job = jobs.get(jobId);
-  if (!job) return null;
+export const getJobStatus = async (jobId, userId) => {
+  const job = await getStore().get(jobId);
+  if (!job || !job.userId || job.userId !== toOwnerId(userId)) return null;
 
-  return {
-    jobId,
-    progress: job.progress,
-    status: job.status,
-    message: job.message,
-    steps: job.steps,
-    duration: job.endTime ? job.duration : Date.now() - job.startTime,
-    result: job.result,
-    error: job.error
+  return toJobStatus(job);
+};
+
+/**
+ * Subscribe to changes of a job owned by a user
+ * Only sees changes made by this backend instance; readers on other instances
+ * should also re-read getJobStatus periodically
+ * @param {string} jobId - Job identifier
+ * @param {string} userId - Requesting user
+ * @param {Function} listener - Called with the job status after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToJob = (jobId, userId, listener) => {
+  const ownerId = toOwnerId(userId);
+  const handler = (job) => {
+    if (ownerId && job.userId === ownerId) listener(toJobStatus(job));
   };
+
+  jobEvents.on(jobId, handler);
+  return () => jobEvents.off(jobId, handler);
 };
 
 /**
- * Get all active jobs (for debugging)
- * @returns {Array} Array of all job statuses
+ * Get all jobs owned by a user
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Array>} Array of the user's job statuses
  */
-export const getAllJobs = () => {
-  const allJobs = [];
-  for (const [jobId] of jobs) {
-    const status = getJobStatus(jobId);
-    if (status) allJobs.push(status);
-  }
-  return allJobs;
+export const getAllJobs = async (userId) => {
+  const ownerId = toOwnerId(userId);
+  if (!ownerId) return [];
+
+  const jobs = await getStore().list({ userId: ownerId });
+  return jobs.map(toJobStatus);
 };
 
 /**
- * Clean up old completed jobs (older than 1 hour)
- * @returns {number} Number of jobs cleaned up
+ * Clean up expired jobs (finished more than 1 hour ago, or stuck for a day)
+ * @returns {Promise<number>} Number of jobs cleaned up
  */
-export const cleanup = () => {
-  const oneHourAgo = Date.now() - (60 * 60 * 1000);
-  let cleanedCount = 0;
-  
-  for (const [jobId, job] of jobs) {
-    if (job.endTime && job.endTime < oneHourAgo) {
-      jobs.delete(jobId);
-      cleanedCount++;
-      console.log(`🧹 Cleaned up old job: ${jobId}`);
-    }
-  }
-  
-  return cleanedCount;
+export const cleanup = async () => {
+  return await getStore().removeExpired();
 };
 
 /**
  * Get current jobs count for monitoring
- * @returns {object} Jobs statistics
+ * @returns {Promise<object>} Jobs statistics
  */
-export const getStats = () => {
-  const stats = {
-    total: jobs.size,
-    running: 0,
-    completed: 0,
-    failed: 0
-  };
-  
-  for (const [, job] of jobs) {
-    stats[job.status]++;
-  }
-  
-  return stats;
+export const getStats = async () => {
+  return await getStore().stats();
 };
 
-// Clean up old jobs every 30 minutes
-setInterval(() => {
-  const cleaned = cleanup();
-  if (cleaned > 0) {
-    console.log(`🧹 Cleanup completed: removed ${cleaned} old jobs`);
-  }
-}, 30 * 60 * 1000);
-
 // Export all functions as default for backwards compatibility
 export default {
   startJob,
@@ -182,7 +238,8 @@ export default {
   completeJob,
   failJob,
   getJobStatus,
+  subscribeToJob,
   getAllJobs,
   cleanup,
   getStats
-}; 
\ No newline at end of file
+}; 
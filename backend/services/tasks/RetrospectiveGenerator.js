@@ -0,0 +1,471 @@
+import connectDB from '../../config/database.js';
+import { DailySummary, CommitAnalysis, QualityAnalysis, TaskSuggestion } from '../../models/aiModels.js';
+import { callOpenAI, defaultOptions } from '../ai/OpenAIClientManager.js';
+import { AI_FEATURES } from '../ai/UsageTracker.js';
+import { extractJSON, validatePriority } from '../ai/AIResponseParser.js';
+import { createRetrospectivePrompt } from '../prompts/SummaryPromptBuilder.js';
+import { getLocalDateString, addDays } from '../../utils/DateUtils.js';
+import { normalizeCategory } from '../../utils/CommitTaxonomy.js';
+
+/**
+ * Retrospective Generator - Functional Pattern
+ * Rolls up stored DailySummary, CommitAnalysis, QualityAnalysis and TaskSuggestion
+ * documents into a weekly or sprint retrospective. Reads only what earlier runs
+ * stored, so no GitHub calls are made; only the highlights use AI. Days without a
+ * stored summary are listed in coverage.missingDays rather than counted as idle.
+ */
+
+let initialized = false;
+
+// Cap on commits looked up in CommitAnalysis per retrospective
+const MAX_CATEGORY_LOOKUPS = 500;
+const MAX_CARRIED_OVER_TASKS = 10;
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Initialize the generator (lazy initialization)
+ */
+const init = async () => {
+  if (!initialized) {
+    await connectDB();
+    initialized = true;
+    console.log('Retrospective Generator initialized');
+  }
+};
+
+/**
+ * Generate a retrospective for a resolved period
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the stored daily summaries
+ * @param {Object} params.range - Range from DateUtils.resolveRetrospectiveRange
+ * @param {Array<string>} params.repositories - Repository full names the user can see (for quality lookups)
+ * @param {string|Object} params.userApiKey - User's API key or provider credentials (optional)
+ * @param {string} params.userModel - User's preferred model
+ * @returns {Promise<Object>} Retrospective data including a Markdown rendering
+ */
+export const generateRetrospective = async ({ userId, range, repositories = [], userApiKey = null, userModel = 'gpt-4o-mini' }) => {
+  await init();
+
+  console.log(`📅 RetrospectiveGenerator: Building ${range.type} retrospective for ${range.key}`);
+
+  const summaries = await DailySummary.find({
+    repositoryId: 'ALL_REPOS',
+    userId: userId.toString(),
+    rangeStart: { $gte: range.start, $lte: range.end }
+  })
+  .sort({ rangeStart: 1 })
+  .lean();
+
+  const commits = collectCommits(summaries, range);
+  const missingDays = findMissingDays(summaries, range);
+  const categories = await buildCategoryBreakdown(commits);
+  const repositoryBreakdown = buildRepositoryBreakdown(commits);
+
+  const repositoryNames = new Set(repositories);
+  summaries.forEach(summary => {
+    (summary.repositories || []).forEach(repo => repo.fullName && repositoryNames.add(repo.fullName));
+  });
+
+  const [quality, carriedOverTasks] = await Promise.all([
+    buildQualityDeltas([...repositoryNames], range),
+    findCarriedOverTasks(commits, range)
+  ]);
+
+  const retrospective = {
+    period: {
+      type: range.type,
+      from: range.from,
+      to: range.to,
+      start: range.start.toISOString(),
+      end: range.end.toISOString(),
+      timeZone: range.timeZone,
+      label: range.label
+    },
+    totals: {
+      commits: commits.length,
+      repositories: repositoryBreakdown.length,
+      activeDays: new Set(commits.filter(c => c.date).map(c => getLocalDateString(new Date(c.date), range.timeZone))).size,
+      summariesFound: summaries.length
+    },
+    coverage: {
+      days: countDays(range.from, range.to),
+      missingDays
+    },
+    categories,
+    repositories: repositoryBreakdown,
+    dailySummaries: summaries.map(summary => ({
+      from: summary.date,
+      to: summary.rangeEnd ? getLocalDateString(summary.rangeEnd, summary.timezone || range.timeZone) : summary.date,
+      summary: summary.summary,
+      commitCount: summary.commitCount
+    })),
+    quality,
+    carriedOverTasks
+  };
+
+  const { narrative, highlights, generatedWith } = await createHighlights(retrospective, commits, userApiKey, userModel);
+
+  const result = { ...retrospective, narrative, highlights, generatedWith };
+  result.markdown = renderMarkdown(result);
+
+  console.log(`✅ RetrospectiveGenerator: ${commits.length} commits, ${quality.length} quality deltas, ${carriedOverTasks.length} carried-over tasks (${generatedWith})`);
+  return result;
+};
+
+/**
+ * Count the local days from one date to another, inclusive
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @returns {number} Days
+ */
+const countDays = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000)) + 1;
+
+/**
+ * Find the days of the range no stored summary covers
+ * Summaries are only stored when someone generates them, so these days are unknown, not idle
+ * @param {Array} summaries - DailySummary documents
+ * @param {Object} range - Resolved range
+ * @returns {Array<string>} Local days ("YYYY-MM-DD") without a summary
+ */
+const findMissingDays = (summaries, range) => {
+  const covered = new Set();
+  summaries.forEach(summary => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(summary.date || '')) return;
+    const last = summary.rangeEnd ? getLocalDateString(summary.rangeEnd, summary.timezone || range.timeZone) : summary.date;
+    for (let day = summary.date; day <= last; day = addDays(day, 1)) {
+      covered.add(day);
+    }
+  });
+
+  const missing = [];
+  for (let day = range.from; day <= range.to; day = addDays(day, 1)) {
+    if (!covered.has(day)) missing.push(day);
+  }
+  return missing;
+};
+
+/**
+ * Flatten and deduplicate commits stored on daily summaries
+ * Overlapping summaries (e.g. a Monday "Friday to Sunday" plus a single Sunday) are merged by sha
+ * @param {Array} summaries - DailySummary documents
+ * @param {Object} range - Resolved range
+ * @returns {Array} Formatted commits inside the range
+ */
+const collectCommits = (summaries, range) => {
+  const seen = new Map();
+
+  summaries.forEach(summary => {
+    (summary.formattedCommits?.allCommits || []).forEach(commit => {
+      if (commit.date) {
+        const committedAt = new Date(commit.date);
+        if (committedAt < range.start || committedAt > range.end) return;
+      }
+      const key = `${commit.repository}:${commit.sha}`;
+      if (!seen.has(key)) seen.set(key, commit);
+    });
+  });
+
+  return [...seen.values()];
+};
+
+/**
+ * Count commits per category, preferring stored CommitAnalysis results
+ * @param {Array} commits - Formatted commits (7-character shas)
+ * @returns {Promise<Array>} [{ category, count, percentage }] sorted by count
+ */
+const buildCategoryBreakdown = async (commits) => {
+  const analysisBySha = new Map();
+  const shas = [...new Set(commits.map(c => c.sha).filter(sha => /^[0-9a-f]+$/i.test(sha || '')))].slice(0, MAX_CATEGORY_LOOKUPS);
+
+  if (shas.length > 0) {
+    try {
+      const analyses = await CommitAnalysis.find({
+        commitHash: { $in: shas.map(sha => new RegExp(`^${sha}`)) }
+      }, { commitHash: 1, category: 1 }).lean();
+
+      analyses.forEach(analysis => analysisBySha.set(analysis.commitHash.substring(0, 7), analysis.category));
+    } catch (error) {
+      console.error('Failed to load commit analyses for retrospective:', error.message);
+    }
+  }
+
+  const counts = commits.reduce((acc, commit) => {
+    // Summaries stored before the shared taxonomy only carry the conventional type
+    const category = normalizeCategory(analysisBySha.get(commit.sha) || commit.category || commit.type);
+    acc[category] = (acc[category] || 0) + 1;
+    return acc;
+  }, {});
+
+  return Object.entries(counts)
+    .map(([category, count]) => ({
+      category,
+      count,
+      percentage: Math.round((count / commits.length) * 100)
+    }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Count commits per repository
+ * @param {Array} commits - Formatted commits
+ * @returns {Array} [{ name, commitCount }] sorted by commit count
+ */
+const buildRepositoryBreakdown = (commits) => {
+  const counts = commits.reduce((acc, commit) => {
+    const name = commit.repository || 'unknown';
+    acc[name] = (acc[name] || 0) + 1;
+    return acc;
+  }, {});
+
+  return Object.entries(counts)
+    .map(([name, commitCount]) => ({ name, commitCount }))
+    .sort((a, b) => b.commitCount - a.commitCount);
+};
+
+/**
+ * Compare each repository's latest quality analysis in the period against its baseline
+ * Baseline is the latest analysis before the period, or the earliest one inside it
+ * @param {Array<string>} repositoryIds - Repository full names
+ * @param {Object} range - Resolved range
+ * @returns {Promise<Array>} Per-repository quality deltas
+ */
+const buildQualityDeltas = async (repositoryIds, range) => {
+  if (repositoryIds.length === 0) return [];
+
+  try {
+    const analyses = await QualityAnalysis.find({
+      repositoryId: { $in: repositoryIds },
+      createdAt: { $lte: range.end }
+    }, { repositoryId: 1, qualityScore: 1, issues: 1, createdAt: 1 })
+    .sort({ createdAt: 1 })
+    .lean();
+
+    const byRepository = analyses.reduce((acc, analysis) => {
+      if (!acc[analysis.repositoryId]) acc[analysis.repositoryId] = [];
+      acc[analysis.repositoryId].push(analysis);
+      return acc;
+    }, {});
+
+    return Object.entries(byRepository)
+      .map(([repositoryId, history]) => {
+        const inPeriod = history.filter(a => a.createdAt >= range.start);
+        if (inPeriod.length === 0) return null;
+
+        const current = inPeriod[inPeriod.length - 1];
+        const before = history.filter(a => a.createdAt < range.start);
+        const baseline = before.length > 0 ? before[before.length - 1] : (inPeriod.length > 1 ? inPeriod[0] : null);
+
+        const currentIssues = (current.issues || []).length;
+        const countSevere = (issues = []) => issues.filter(i => i.severity === 'high' || i.severity === 'critical').length;
+
+        return {
+          repositoryId,
+          currentScore: roundScore(current.qualityScore),
+          previousScore: baseline ? roundScore(baseline.qualityScore) : null,
+          scoreDelta: baseline ? roundScore(current.qualityScore - baseline.qualityScore) : null,
+          currentIssues,
+          issuesDelta: baseline ? currentIssues - (baseline.issues || []).length : null,
+          severeIssues: countSevere(current.issues),
+          analyzedAt: current.createdAt
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => (a.scoreDelta ?? 0) - (b.scoreDelta ?? 0));
+  } catch (error) {
+    console.error('Failed to build quality deltas for retrospective:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Round a 0-1 quality score to two decimals
+ * @param {number} score
+ * @returns {number}
+ */
+const roundScore = (score) => Math.round((score || 0) * 100) / 100;
+
+/**
+ * Find task suggestions from the period that are still outstanding
+ * A task is carried over when it was in the latest suggestion set or was suggested more than once
+ * @param {Array} commits - Formatted commits in the period
+ * @param {Object} range - Resolved range
+ * @returns {Promise<Array>} Carried-over tasks
+ */
+const findCarriedOverTasks = async (commits, range) => {
+  const shas = [...new Set(commits.map(c => c.sha).filter(Boolean))];
+  if (shas.length === 0) return [];
+
+  try {
+    const suggestions = await TaskSuggestion.find({
+      repositoryId: 'ALL_REPOS',
+      baseCommits: { $in: shas },
+      createdAt: { $gte: range.start, $lte: range.end }
+    })
+    .sort({ createdAt: 1 })
+    .lean();
+
+    if (suggestions.length === 0) return [];
+
+    const latestId = suggestions[suggestions.length - 1]._id.toString();
+    const tasksByTitle = new Map();
+
+    suggestions.forEach(suggestion => {
+      const inLatest = suggestion._id.toString() === latestId;
+      (suggestion.tasks || []).forEach(task => {
+        const key = (task.title || '').trim().toLowerCase();
+        if (!key) return;
+
+        const existing = tasksByTitle.get(key);
+        if (existing) {
+          existing.timesSuggested++;
+          existing.lastSuggested = suggestion.createdAt;
+          existing.inLatest = existing.inLatest || inLatest;
+        } else {
+          tasksByTitle.set(key, {
+            title: task.title,
+            description: task.description,
+            priority: validatePriority(task.priority),
+            category: task.category,
+            timesSuggested: 1,
+            firstSuggested: suggestion.createdAt,
+            lastSuggested: suggestion.createdAt,
+            inLatest
+          });
+        }
+      });
+    });
+
+    return [...tasksByTitle.values()]
+      .filter(task => task.inLatest || task.timesSuggested > 1)
+      .sort((a, b) =>
+        (b.timesSuggested - a.timesSuggested) ||
+        (PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority])
+      )
+      .slice(0, MAX_CARRIED_OVER_TASKS)
+      .map(({ inLatest, ...task }) => task);
+  } catch (error) {
+    console.error('Failed to load task suggestions for retrospective:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Produce the narrative and highlights, with AI when credentials are available
+ * @param {Object} retrospective - Aggregated retrospective data
+ * @param {Array} commits - Formatted commits in the period
+ * @param {string|Object} userApiKey - User's API key or provider credentials
+ * @param {string} userModel - User's preferred model
+ * @returns {Promise<Object>} { narrative, highlights, generatedWith }
+ */
+const createHighlights = async (retrospective, commits, userApiKey, userModel) => {
+  if (commits.length > 0 && userApiKey) {
+    try {
+      const prompt = createRetrospectivePrompt(retrospective);
+      const aiResponse = await callOpenAI(prompt, userApiKey, userModel, {
+        ...defaultOptions.summaryGeneration,
+        maxTokens: 1500,
+        usage: { feature: AI_FEATURES.RETROSPECTIVE, repository: 'ALL_REPOS' }
+      });
+      const parsed = extractJSON(aiResponse);
+
+      if (parsed && parsed.narrative && Array.isArray(parsed.highlights)) {
+        return {
+          narrative: parsed.narrative,
+          highlights: parsed.highlights.filter(h => typeof h === 'string' && h.trim()).slice(0, 6),
+          generatedWith: 'ai'
+        };
+      }
+      console.warn('⚠️  RetrospectiveGenerator: Unexpected AI response format - using fallback highlights');
+    } catch (error) {
+      console.error('❌ RetrospectiveGenerator: AI highlights failed - using fallback:', error.message);
+    }
+  }
+
+  return { ...createFallbackHighlights(retrospective, commits), generatedWith: 'fallback' };
+};
+
+/**
+ * Build highlights from stored data without AI
+ * @param {Object} retrospective - Aggregated retrospective data
+ * @param {Array} commits - Formatted commits in the period
+ * @returns {Object} { narrative, highlights }
+ */
+const createFallbackHighlights = (retrospective, commits) => {
+  const { totals, categories, repositories } = retrospective;
+
+  if (commits.length === 0) {
+    return {
+      narrative: totals.summariesFound === 0
+        ? 'No stored summaries were found for this period. Retrospectives are built from daily summaries generated on the dashboard.'
+        : 'No commits were recorded in this period.',
+      highlights: []
+    };
+  }
+
+  const topCategories = categories.slice(0, 3).map(c => `${c.count} ${c.category}`).join(', ');
+  const topRepository = repositories[0];
+  const narrative = `${totals.commits} commits across ${totals.repositories} repositories on ${totals.activeDays} active days (${topCategories}). ` +
+                    `Most activity was in ${topRepository.name} with ${topRepository.commitCount} commits.`;
+
+  const notable = commits
+    .filter(c => ['feature', 'bugfix'].includes(normalizeCategory(c.category || c.type)))
+    .concat(commits)
+    .filter((commit, index, all) => all.indexOf(commit) === index)
+    .slice(0, 5)
+    .map(commit => `${commit.repository}: ${commit.description || commit.formatted}`);
+
+  return { narrative, highlights: notable };
+};
+
+/**
+ * Render the retrospective as Markdown for pasting into a sprint review
+ * @param {Object} retrospective - Complete retrospective
+ * @returns {string} Markdown text
+ */
+const renderMarkdown = (retrospective) => {
+  const { period, totals, coverage, narrative, highlights, categories, repositories, quality, carriedOverTasks } = retrospective;
+  const title = period.type === 'sprint' ? 'Sprint Retrospective' : 'Weekly Retrospective';
+  const formatDelta = (value, digits = 2) => value === null ? 'n/a' : `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+  const lines = [
+    `# ${title}: ${period.from} to ${period.to}`,
+    '',
+    `_${totals.commits} commits · ${totals.repositories} repositories · ${totals.activeDays} active days · ${period.timeZone}_`,
+    '',
+    narrative,
+    ''
+  ];
+
+  if (coverage.missingDays.length > 0) {
+    lines.push(`> No summary was generated for ${coverage.missingDays.length} of ${coverage.days} days (${coverage.missingDays.join(', ')}); their commits are not included.`, '');
+  }
+
+  if (highlights.length > 0) {
+    lines.push('## Highlights', '', ...highlights.map(h => `- ${h}`), '');
+  }
+
+  if (categories.length > 0) {
+    lines.push('## Category Breakdown', '', '| Category | Commits | Share |', '| --- | --- | --- |');
+    lines.push(...categories.map(c => `| ${c.category} | ${c.count} | ${c.percentage}% |`), '');
+  }
+
+  if (repositories.length > 0) {
+    lines.push('## Repositories', '', ...repositories.map(r => `- ${r.name}: ${r.commitCount} commits`), '');
+  }
+
+  if (quality.length > 0) {
+    lines.push('## Quality Trends', '', '| Repository | Score | Change | Issues | Change |', '| --- | --- | --- | --- | --- |');
+    lines.push(...quality.map(q =>
+      `| ${q.repositoryId} | ${q.currentScore.toFixed(2)} | ${formatDelta(q.scoreDelta)} | ${q.currentIssues} | ${formatDelta(q.issuesDelta, 0)} |`
+    ), '');
+  }
+
+  if (carriedOverTasks.length > 0) {
+    lines.push('## Carried Over', '', ...carriedOverTasks.map(t =>
+      `- [${t.priority}] ${t.title}${t.timesSuggested > 1 ? ` (suggested ${t.timesSuggested} times)` : ''}`
+    ), '');
+  }
+
+  return lines.join('\n').trim();
+};
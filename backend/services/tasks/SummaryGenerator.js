@@ -2,8 +2,10 @@ import connectDB from '../../config/database.js';
 import PromptBuilder from '../prompts/PromptBuilder.js';
 import { DailySummary } from '../../models/aiModels.js';
 import { callOpenAI, defaultOptions } from '../ai/OpenAIClientManager.js';
+import { AI_FEATURES } from '../ai/UsageTracker.js';
 import { parseSummaryResponse } from '../ai/AIResponseParser.js';
-import { generateSummary as fallbackSummary, groupByCategory } from '../ai/AIFallbackStrategies.js';
+import { generateSummary as fallbackSummary } from '../ai/AIFallbackStrategies.js';
+import { countByCategory } from '../../utils/CommitTaxonomy.js';
 
 /**
  * Summary Generator - Functional Pattern
@@ -60,9 +62,7 @@ export const generateDailySummary = async (commits, repositoryId, userApiKey, us
 
     // Generate new summary with AI
     console.log(`🤖 SummaryGenerator: Generating FRESH daily summary for ${dateStr} with ${commits.length} commits (repositoryId: ${repositoryId})`);
-    const prompt = promptBuilder.createSummaryPrompt(commits);
-    const aiResponse = await callOpenAI(prompt, userApiKey, userModel, defaultOptions.summaryGeneration);
-    const summary = parseSummaryResponse(aiResponse);
+    const summary = await createSummaryText(commits, userApiKey, userModel, [], repositoryId);
     
     console.log(`🤖 SummaryGenerator: Fresh summary generated - Preview: "${summary.substring(0, 100)}..."`);
 
@@ -77,6 +77,26 @@ export const generateDailySummary = async (commits, repositoryId, userApiKey, us
   }
 };
 
+/**
+ * Generate summary text with AI without touching the cache
+ * Used by callers that cache on their own key (e.g. cross-repository date ranges)
+ * @param {Array} commits - Array of commits to summarize
+ * @param {string|Object} userApiKey - User's API key or provider credentials
+ * @param {string} userModel - User's preferred model
+ * @param {Array} pullRequests - Pull request activity from GitHubAPIClient.getPullRequestActivity
+ * @param {string} repository - Repository the summary covers, for usage accounting
+ * @returns {Promise<string>} Summary text (throws if the AI call fails)
+ */
+export const createSummaryText = async (commits, userApiKey, userModel = 'gpt-4o-mini', pullRequests = [], repository = null) => {
+  await init();
+  const prompt = promptBuilder.createSummaryPrompt(commits, pullRequests);
+  const aiResponse = await callOpenAI(prompt, userApiKey, userModel, {
+    ...defaultOptions.summaryGeneration,
+    usage: { feature: AI_FEATURES.SUMMARY, repository }
+  });
+  return parseSummaryResponse(aiResponse);
+};
+
 /**
  * Get summary history for a repository
  * @param {string} repositoryId - Repository identifier
@@ -204,7 +224,7 @@ const storeSummary = async (dateStr, repositoryId, summary, commits) => {
         repositoryId: repositoryId,
         summary: summary,
         commitCount: commits.length,
-        categories: groupByCategory(commits)
+        categories: countByCategory(commits)
       },
       { upsert: true, new: true }
     );
@@ -223,6 +243,7 @@ export const structureFormattedCommits = (commits) => {
   return {
     total: commits.length,
     byRepository: groupCommitsByRepository(commits),
+    byBranch: groupCommitsByBranch(commits),
     allCommits: commits
   };
 };
@@ -231,9 +252,10 @@ export const structureFormattedCommits = (commits) => {
  * Generate formatted summary from commits (Legacy compatibility)
  * @param {Array} commits - Array of formatted commit objects
  * @param {number} repositoryCount - Number of repositories
+ * @param {Array} pullRequests - Pull request activity from GitHubAPIClient.getPullRequestActivity
  * @returns {string} Formatted summary text
  */
-export const generateFormattedSummary = (commits, repositoryCount) => {
+export const generateFormattedSummary = (commits, repositoryCount, pullRequests = []) => {
   const summaryLines = [
     'Daily Development Activity Summary',
     '==================================',
@@ -241,6 +263,15 @@ export const generateFormattedSummary = (commits, repositoryCount) => {
     ''
   ];
 
+  if (pullRequests.length > 0) {
+    summaryLines.splice(3, 0, `${pullRequests.length} pull requests opened, merged, reviewed or discussed`);
+  }
+
+  if (commits.length === 0) {
+    summaryLines.push(...formatPullRequestLines(pullRequests));
+    return summaryLines.join('\n').trim();
+  }
+
   // Analyze development patterns
   const patterns = analyzeCommitPatterns(commits);
   const aiInsights = extractAIInsights(commits);
@@ -271,12 +302,32 @@ export const generateFormattedSummary = (commits, repositoryCount) => {
   });
   
   summaryLines.push('');
+  summaryLines.push(...formatPullRequestLines(pullRequests));
   summaryLines.push('💡 Key Achievements:');
   summaryLines.push(generateKeyAchievements(commits, patterns));
 
   return summaryLines.join('\n').trim();
 };
 
+/**
+ * Format pull request activity for the fallback summary
+ * @param {Array} pullRequests - Pull request activity entries
+ * @returns {Array<string>} Summary lines (empty without activity)
+ */
+const formatPullRequestLines = (pullRequests) => {
+  if (pullRequests.length === 0) {
+    return [];
+  }
+
+  const reviewed = pullRequests.filter(pr => pr.actions.includes('reviewed')).length;
+  const lines = [`🔀 Pull Requests & Reviews${reviewed > 0 ? ` (${reviewed} reviewed)` : ''}:`];
+  pullRequests.forEach(pr => {
+    lines.push(`• ${pr.repository}#${pr.number} ${pr.title}: ${pr.actions.join(', ')}`);
+  });
+  lines.push('');
+  return lines;
+};
+
 /**
  * Group commits by repository name
  * @param {Array} commits - Array of commit objects
@@ -292,6 +343,27 @@ const groupCommitsByRepository = (commits) => {
   }, {});
 };
 
+/**
+ * Group commits by repository, then by the branch they were read from
+ * @param {Array} commits - Array of formatted commit objects
+ * @returns {Object} Commits keyed by repository name, then branch name
+ */
+const groupCommitsByBranch = (commits) => {
+  return commits.reduce((acc, commit) => {
+    if (!commit.branch) {
+      return acc;
+    }
+    if (!acc[commit.repository]) {
+      acc[commit.repository] = {};
+    }
+    if (!acc[commit.repository][commit.branch]) {
+      acc[commit.repository][commit.branch] = [];
+    }
+    acc[commit.repository][commit.branch].push(commit);
+    return acc;
+  }, {});
+};
+
 /**
  * Analyze commit patterns to understand development focus
  * @param {Array} commits - Array of formatted commit objects
@@ -0,0 +1,351 @@
+import User from '../../models/User.js';
+import ScheduledRun from '../../models/ScheduledRun.js';
+import { YesterdaySummaryService } from './YesterdaySummaryService.js';
+import { generateTaskSuggestions } from './TaskSuggester.js';
+import { collectTaskIssues } from './IssueCollector.js';
+import { getUserAICredentials } from '../ai/LLMProviders.js';
+import { resolveAuthorFilter } from '../../utils/AuthorFilter.js';
+import { resolveCommitExclusion } from '../../utils/CommitExclusion.js';
+import { getUserGitHubClient } from '../external/GitHubAuth.js';
+import {
+  resolveSummaryRange,
+  getLocalDateString,
+  getLocalTimeOfDay,
+  getZonedDateTime,
+  isWeekendDate,
+  addDays
+} from '../../utils/DateUtils.js';
+
+/**
+ * Summary Scheduler - Functional Pattern
+ * Pre-generates each opted-in user's summary and task suggestions at their
+ * configured local time, so the dashboard loads from cache in the morning.
+ *
+ * - A tick runs every minute and picks up users whose local time has passed scheduleTime
+ * - Each scheduled run is claimed by inserting a ScheduledRun document; the unique
+ *   { userId, runDate } index makes sure only one backend instance runs it
+ * - Runs are processed one user at a time to stay clear of GitHub and AI rate limits
+ */
+
+const SCHEDULER_TICK_MS = 60 * 1000;
+const HISTORY_LIMIT = 30;
+
+// Module-level state (equivalent to singleton pattern)
+let schedulerTimer = null;
+let tickInProgress = false;
+
+/**
+ * Check whether a scheduled run is due for a user right now
+ * @param {Object} user - User document
+ * @param {Date} now - Current instant
+ * @returns {Object|null} { runDate } when due, otherwise null
+ */
+const getDueRun = (user, now) => {
+  const timeZone = user.timezone || 'UTC';
+  const runDate = getLocalDateString(now, timeZone);
+
+  // Users who skip weekends have nothing to prepare on Saturday and Sunday
+  if (user.skipWeekends && isWeekendDate(runDate)) return null;
+  if (getLocalTimeOfDay(now, timeZone) < user.scheduleTime) return null;
+
+  return { runDate };
+};
+
+/**
+ * Run a timed step and record its outcome on the run document
+ * @param {Object} run - ScheduledRun document
+ * @param {string} name - Step name ('summary' or 'tasks')
+ * @param {Function} operation - Async step returning { count, message }
+ * @returns {Promise<Object|null>} Step output, or null if the step failed
+ */
+const runStep = async (run, name, operation) => {
+  const startedAt = Date.now();
+  try {
+    const output = await operation();
+    run.steps[name] = {
+      status: 'completed',
+      message: output.message,
+      count: output.count,
+      durationMs: Date.now() - startedAt
+    };
+    return output;
+  } catch (error) {
+    console.error(`❌ SummaryScheduler: ${name} step failed for user ${run.userId}:`, error.message);
+    run.steps[name] = {
+      status: 'failed',
+      message: error.message,
+      durationMs: Date.now() - startedAt
+    };
+    return null;
+  }
+};
+
+/**
+ * Mark a step as skipped with a reason
+ * @param {Object} run - ScheduledRun document
+ * @param {string} name - Step name
+ * @param {string} message - Reason for skipping
+ */
+const skipStep = (run, name, message) => {
+  run.steps[name] = { status: 'skipped', message };
+};
+
+/**
+ * Generate and cache the summary and task suggestions for a user
+ * Uses the same caches the dashboard reads, so its next load is a cache hit
+ * @param {Object} user - User document loaded with '+accessToken +githubRefreshToken +openaiApiKey'
+ * @param {Object} run - ScheduledRun document to record results on
+ * @param {Date} now - Current instant
+ * @returns {Promise<Object>} Updated run document
+ */
+const executeRun = async (user, run, now) => {
+  const aiSettings = getUserAICredentials(user);
+
+  if (!aiSettings) {
+    skipStep(run, 'summary', 'No AI provider configured');
+    skipStep(run, 'tasks', 'No AI provider configured');
+    run.status = 'skipped';
+  } else {
+    const range = resolveSummaryRange({
+      timeZone: user.timezone || 'UTC',
+      skipWeekends: !!user.skipWeekends,
+      mondayCoversWeekend: !!user.mondayCoversWeekend,
+      now
+    });
+    run.summaryRange = range.label;
+
+    let githubService = null;
+    const summary = await runStep(run, 'summary', async () => {
+      githubService = await getUserGitHubClient(user);
+      const summaryService = new YesterdaySummaryService(githubService, user._id);
+      const authorFilter = await resolveAuthorFilter(user, githubService);
+      const result = await summaryService.generateSummary(false, aiSettings.credentials, aiSettings.model, range, authorFilter, {
+        allBranches: !!user.summaryAllBranches,
+        commitExclusion: resolveCommitExclusion(user)
+      });
+      return {
+        result,
+        count: result.commitCount,
+        message: `Summarized ${result.commitCount} commits across ${result.repositoryCount} repositories`
+      };
+    });
+
+    const commits = summary?.result.formattedCommits?.allCommits || [];
+    if (!summary) {
+      skipStep(run, 'tasks', 'Summary step failed');
+    } else if (commits.length === 0) {
+      skipStep(run, 'tasks', `No commits found for ${range.label}`);
+    } else {
+      // Same repository id the dashboard uses for cross-repository suggestions
+      await runStep(run, 'tasks', async () => {
+        const issues = await collectTaskIssues(githubService, commits);
+        const tasks = await generateTaskSuggestions(commits, 'ALL_REPOS', aiSettings.credentials, aiSettings.model, false, {
+          issues,
+          userId: user._id.toString()
+        });
+        return { count: tasks.length, message: `Suggested ${tasks.length} tasks` };
+      });
+    }
+
+    run.status = summary ? 'completed' : 'failed';
+    if (!summary) run.error = run.steps.summary.message;
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+
+  console.log(`⏰ SummaryScheduler: ${run.trigger} run for user ${run.userId} finished with status ${run.status}`);
+  return run;
+};
+
+/**
+ * Run the pre-generation for a user immediately (the settings "Run now" button)
+ * @param {string} userId - User id
+ * @param {Date} now - Current instant (default: now)
+ * @returns {Promise<Object>} Finished run
+ */
+export const runNow = async (userId, now = new Date()) => {
+  const user = await User.findById(userId).select('+accessToken +githubRefreshToken +openaiApiKey');
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const run = await ScheduledRun.create({
+    userId: user._id.toString(),
+    runDate: getLocalDateString(now, user.timezone || 'UTC'),
+    trigger: 'manual',
+    timezone: user.timezone || 'UTC'
+  });
+
+  return toRunSummary(await executeRun(user, run, now));
+};
+
+/**
+ * Run every scheduled job that is due and not yet claimed
+ * @param {Date} now - Current instant (default: now)
+ * @returns {Promise<number>} Number of runs executed by this instance
+ */
+export const runDueSchedules = async (now = new Date()) => {
+  const users = await User.find({ scheduleEnabled: true }).select('+accessToken +githubRefreshToken +openaiApiKey');
+  let executed = 0;
+
+  for (const user of users) {
+    const due = getDueRun(user, now);
+    if (!due) continue;
+
+    let run;
+    try {
+      run = await ScheduledRun.create({
+        userId: user._id.toString(),
+        runDate: due.runDate,
+        trigger: 'schedule',
+        timezone: user.timezone || 'UTC'
+      });
+    } catch (error) {
+      // Already ran today, or another instance claimed it first
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    try {
+      await executeRun(user, run, now);
+    } catch (error) {
+      console.error(`❌ SummaryScheduler: Run failed for user ${user._id}:`, error.message);
+      run.status = 'failed';
+      run.error = error.message;
+      run.finishedAt = new Date();
+      await run.save().catch(() => {});
+    }
+    executed++;
+  }
+
+  return executed;
+};
+
+/**
+ * Shape a run document for API responses
+ * @param {Object} run - ScheduledRun document or lean object
+ * @returns {Object} Run summary
+ */
+const toRunSummary = (run) => ({
+  id: run._id.toString(),
+  runDate: run.runDate,
+  trigger: run.trigger,
+  status: run.status,
+  timezone: run.timezone,
+  summaryRange: run.summaryRange,
+  steps: run.steps,
+  error: run.error,
+  startedAt: run.startedAt,
+  finishedAt: run.finishedAt,
+  durationMs: run.finishedAt ? run.finishedAt - run.startedAt : null
+});
+
+/**
+ * Get recent runs for a user, newest first
+ * @param {string} userId - User id
+ * @param {number} limit - Maximum runs to return
+ * @returns {Promise<Array>} Run summaries
+ */
+export const getRunHistory = async (userId, limit = HISTORY_LIMIT) => {
+  const runs = await ScheduledRun.find({ userId: userId.toString() })
+    .sort({ startedAt: -1 })
+    .limit(Math.min(limit, HISTORY_LIMIT))
+    .lean();
+  return runs.map(toRunSummary);
+};
+
+/**
+ * Get a user's schedule configuration and the next time it will run
+ * @param {string} userId - User id
+ * @param {Date} now - Current instant (default: now)
+ * @returns {Promise<Object>} { enabled, time, timezone, nextRunAt }
+ */
+export const getScheduleStatus = async (userId, now = new Date()) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const timeZone = user.timezone || 'UTC';
+  let nextRunAt = null;
+
+  if (user.scheduleEnabled) {
+    const today = getLocalDateString(now, timeZone);
+    const ranToday = await ScheduledRun.exists({ userId: user._id.toString(), runDate: today, trigger: 'schedule' });
+
+    // Walk forward to the first day that has not run yet and is not a skipped weekend day
+    for (let offset = 0; offset < 7 && !nextRunAt; offset++) {
+      const day = addDays(today, offset);
+      if (offset === 0 && ranToday) continue;
+      if (user.skipWeekends && isWeekendDate(day)) continue;
+
+      const candidate = getZonedDateTime(day, user.scheduleTime, timeZone);
+      // A run that is already due today starts on the next tick
+      nextRunAt = offset === 0 && candidate < now ? now : candidate;
+    }
+  }
+
+  return {
+    enabled: !!user.scheduleEnabled,
+    time: user.scheduleTime,
+    timezone: timeZone,
+    nextRunAt
+  };
+};
+
+/**
+ * Run one scheduler tick, skipping it if the previous tick is still working
+ * @returns {Promise<void>}
+ */
+const tick = async () => {
+  if (tickInProgress) return;
+  tickInProgress = true;
+  try {
+    const executed = await runDueSchedules();
+    if (executed > 0) {
+      console.log(`⏰ SummaryScheduler: Completed ${executed} scheduled run(s)`);
+    }
+  } catch (error) {
+    console.error('❌ SummaryScheduler: Tick failed:', error.message);
+  } finally {
+    tickInProgress = false;
+  }
+};
+
+/**
+ * Start the scheduler loop (no-op if already started)
+ * Set SCHEDULER_ENABLED=false to keep an instance from running scheduled jobs
+ * @returns {boolean} True if the scheduler was started
+ */
+export const startScheduler = () => {
+  if (schedulerTimer || process.env.SCHEDULER_ENABLED === 'false') {
+    return false;
+  }
+
+  schedulerTimer = setInterval(tick, SCHEDULER_TICK_MS);
+  schedulerTimer.unref();
+  console.log('⏰ SummaryScheduler started (checking every minute)');
+  return true;
+};
+
+/**
+ * Stop the scheduler loop
+ */
+export const stopScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+    console.log('⏰ SummaryScheduler stopped');
+  }
+};
+
+// Export all functions as default for backwards compatibility
+export default {
+  startScheduler,
+  stopScheduler,
+  runDueSchedules,
+  runNow,
+  getRunHistory,
+  getScheduleStatus
+};
@@ -1,9 +1,14 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import connectDB from '../../config/database.js';
 import PromptBuilder from '../prompts/PromptBuilder.js';
 import { TaskSuggestion } from '../../models/aiModels.js';
 import { callOpenAI, defaultOptions } from '../ai/OpenAIClientManager.js';
+import { AI_FEATURES } from '../ai/UsageTracker.js';
 import { parseTaskResponse, createWorkSignature } from '../ai/AIResponseParser.js';
 import { generateTasks as fallbackTasks } from '../ai/AIFallbackStrategies.js';
+import { buildIssueKey, getCommitRepository, isGitHubCommit } from './IssueCollector.js';
+import { toTaskViews, completeTasksFromCommits, getTaskStatusHistory } from './TaskTracker.js';
 
 /**
  * Task Suggester - Functional Pattern
@@ -25,6 +30,83 @@ const init = async () => {
   }
 };
 
+/**
+ * Create the cache signature for a set of commits and open issues
+ * @param {Array} recentCommits - Commits the suggestions are based on
+ * @param {Array} issues - Open issues included in the prompt
+ * @returns {string} Work signature
+ */
+const createTaskSignature = (recentCommits, issues) => {
+  const commitSignature = createWorkSignature(recentCommits);
+  if (issues.length === 0) {
+    return commitSignature;
+  }
+
+  // Suggestions are regenerated when issues are opened, closed or retitled
+  const issueHash = crypto
+    .createHash('sha1')
+    .update(issues.map(issue => `${buildIssueKey(issue.repository, issue.number)}:${issue.title}`).sort().join('\n'))
+    .digest('hex')
+    .substring(0, 12);
+  return `${commitSignature}-${issueHash}`;
+};
+
+/**
+ * Link AI suggested tasks to the real issues they were given, and pick the
+ * repository an issue for each task would be created in
+ * @param {Array} tasks - Parsed tasks with optional issueNumber / issueRepository
+ * @param {Array} issues - Open issues included in the prompt
+ * @param {Array} recentCommits - Commits the suggestions are based on
+ * @returns {Array} Tasks with issue and targetRepository
+ */
+const linkTasksToIssues = (tasks, issues, recentCommits) => {
+  const issuesByKey = new Map(issues.map(issue => [buildIssueKey(issue.repository, issue.number), issue]));
+
+  // The AI names repositories by short name; map them back to full names
+  const fullNames = new Map();
+  [
+    ...recentCommits.filter(isGitHubCommit).map(commit => getCommitRepository(commit)),
+    ...issues.map(issue => issue.repository)
+  ].filter(Boolean).forEach(fullName => {
+    fullNames.set(fullName, fullName);
+    fullNames.set(fullName.split('/')[1], fullName);
+  });
+
+  const findIssue = (number, repository) => {
+    if (!number) return null;
+    if (repository) {
+      return issuesByKey.get(buildIssueKey(fullNames.get(repository) || repository, number)) || null;
+    }
+    // Without a repository the number has to be unambiguous
+    const matches = issues.filter(issue => issue.number === number);
+    return matches.length === 1 ? matches[0] : null;
+  };
+
+  // With a single repository in play every task belongs to it
+  const distinctRepositories = [...new Set(fullNames.values())];
+  const onlyRepository = distinctRepositories.length === 1 ? distinctRepositories[0] : null;
+
+  return tasks.map(({ issueNumber, issueRepository, ...task }) => {
+    const issue = findIssue(issueNumber, issueRepository);
+    const targetRepository = issue?.repository
+      || (task.repositories || []).map(name => fullNames.get(name)).find(Boolean)
+      || onlyRepository;
+
+    return {
+      ...task,
+      targetRepository,
+      ...(issue && {
+        issue: {
+          repository: issue.repository,
+          number: issue.number,
+          title: issue.title,
+          url: issue.url
+        }
+      })
+    };
+  });
+};
+
 /**
  * Generate task suggestions based on recent commits
  * @param {Array} recentCommits - Array of recent commit objects
@@ -32,19 +114,29 @@ const init = async () => {
  * @param {string} userApiKey - User's OpenAI API key
  * @param {string} userModel - User's preferred model
  * @param {boolean} forceRefresh - Force regeneration
+ * @param {Object} context - { issues, userId }
+ *   issues: open GitHub issues from IssueCollector to link tasks to
+ *   userId: owner whose task state is tracked; without it tasks aren't tracked
  * @returns {Promise<Array>} Array of task suggestions
  */
-export const generateTaskSuggestions = async (recentCommits, repositoryId, userApiKey, userModel = 'gpt-4o-mini', forceRefresh = false) => {
+export const generateTaskSuggestions = async (recentCommits, repositoryId, userApiKey, userModel = 'gpt-4o-mini', forceRefresh = false, context = {}) => {
   await init();
+  const { issues = [], userId = null } = context;
 
   try {
+    // Later commits complete the user's matching tasks before new ones are suggested
+    if (userId) {
+      await completeTasksFromCommits(userId, recentCommits);
+    }
+
     // Create work signature for caching
-    const workSignature = createWorkSignature(recentCommits);
+    const workSignature = createTaskSignature(recentCommits, issues);
 
     // Check for recent similar analysis unless force refresh requested
     if (!forceRefresh) {
       const recentSuggestion = await TaskSuggestion.findOne({
         repositoryId: repositoryId,
+        userId: userId,
         workSignature: workSignature,
         createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
       }).lean();
@@ -57,7 +149,7 @@ export const generateTaskSuggestions = async (recentCommits, repositoryId, userA
         
         if (tasksHaveRequiredFields) {
           console.log('Using recent task suggestions with all required fields');
-          return recentSuggestion.tasks;
+          return toTaskViews(recentSuggestion);
         } else {
           console.log('Cached tasks missing required fields (basedOn/repositories) - generating fresh suggestions');
         }
@@ -67,10 +159,14 @@ export const generateTaskSuggestions = async (recentCommits, repositoryId, userA
     }
 
     // Generate new suggestions with AI
-    console.log(`📋 TaskSuggester: Generating task suggestions based on ${recentCommits.length} recent commits`);
-    const prompt = promptBuilder.createTaskPrompt(recentCommits);
-    const aiResponse = await callOpenAI(prompt, userApiKey, userModel, defaultOptions.taskSuggestion);
-    const tasks = parseTaskResponse(aiResponse);
+    console.log(`📋 TaskSuggester: Generating task suggestions based on ${recentCommits.length} recent commits and ${issues.length} open issues`);
+    const taskHistory = await getTaskStatusHistory(userId);
+    const prompt = promptBuilder.createTaskPrompt(recentCommits, issues, taskHistory);
+    const aiResponse = await callOpenAI(prompt, userApiKey, userModel, {
+      ...defaultOptions.taskSuggestion,
+      usage: { feature: AI_FEATURES.TASKS, repository: repositoryId }
+    });
+    const tasks = linkTasksToIssues(parseTaskResponse(aiResponse), issues, recentCommits);
 
     // Add metadata to tasks
     const enhancedTasks = tasks.map(task => ({
@@ -82,16 +178,70 @@ export const generateTaskSuggestions = async (recentCommits, repositoryId, userA
     }));
 
     // Store in database for future requests
-    await storeTaskSuggestions(repositoryId, workSignature, enhancedTasks, recentCommits);
+    const stored = await storeTaskSuggestions(repositoryId, userId, workSignature, enhancedTasks, recentCommits);
 
     console.log(`Generated ${enhancedTasks.length} new task suggestions`);
-    return enhancedTasks;
+    return stored ? toTaskViews(stored.toObject()) : enhancedTasks;
   } catch (error) {
     console.error('Task generation failed:', error.message);
     return fallbackTasks(recentCommits);
   }
 };
 
+/**
+ * Get a single suggested task
+ * @param {string} userId - Owner of the suggestion
+ * @param {string} suggestionId - TaskSuggestion id
+ * @param {string} taskId - Task id within the suggestion
+ * @returns {Promise<Object|null>} Task, or null when either id is unknown
+ */
+export const getSuggestedTask = async (userId, suggestionId, taskId) => {
+  await init();
+
+  // Suggestions stored without an owner are never handed out by id
+  if (!userId || !mongoose.isValidObjectId(suggestionId) || !mongoose.isValidObjectId(taskId)) {
+    return null;
+  }
+
+  const suggestion = await TaskSuggestion.findOne({ _id: suggestionId, userId }).lean();
+  const task = suggestion?.tasks.find(entry => entry._id.toString() === taskId);
+  return task ? toTaskViews({ ...suggestion, tasks: [task] })[0] : null;
+};
+
+/**
+ * Link a suggested task to a GitHub issue
+ * @param {string} userId - Owner of the suggestion
+ * @param {string} suggestionId - TaskSuggestion id
+ * @param {string} taskId - Task id within the suggestion
+ * @param {Object} issue - { repository, number, title, url }
+ * @returns {Promise<Object|null>} Updated task, or null when either id is unknown
+ */
+export const linkTaskIssue = async (userId, suggestionId, taskId, issue) => {
+  await init();
+
+  if (!userId || !mongoose.isValidObjectId(suggestionId) || !mongoose.isValidObjectId(taskId)) {
+    return null;
+  }
+
+  const suggestion = await TaskSuggestion.findOneAndUpdate(
+    { _id: suggestionId, userId, 'tasks._id': taskId },
+    {
+      $set: {
+        'tasks.$.issue': {
+          repository: issue.repository,
+          number: issue.number,
+          title: issue.title,
+          url: issue.url
+        }
+      }
+    },
+    { new: true }
+  ).lean();
+
+  const task = suggestion?.tasks.find(entry => entry._id.toString() === taskId);
+  return task ? toTaskViews({ ...suggestion, tasks: [task] })[0] : null;
+};
+
 /**
  * Get task suggestion history for a repository
  * @param {string} repositoryId - Repository identifier
@@ -255,15 +405,17 @@ export const cleanupOldTaskSuggestions = async (days = 30) => {
 /**
  * Store task suggestions in database
  * @param {string} repositoryId - Repository identifier
+ * @param {string|null} userId - Owner of the suggestions
  * @param {string} workSignature - Work signature for caching
  * @param {Array} tasks - Array of task objects
  * @param {Array} recentCommits - Base commits for suggestions
- * @returns {Promise<void>}
+ * @returns {Promise<Object|null>} Stored TaskSuggestion document, or null when storage failed
  */
-const storeTaskSuggestions = async (repositoryId, workSignature, tasks, recentCommits) => {
+const storeTaskSuggestions = async (repositoryId, userId, workSignature, tasks, recentCommits) => {
   try {
-    await TaskSuggestion.create({
+    return await TaskSuggestion.create({
       repositoryId: repositoryId,
+      userId: userId,
       workSignature: workSignature,
       tasks: tasks,
       baseCommits: recentCommits.map(c => c.sha || c.id)
@@ -271,6 +423,7 @@ const storeTaskSuggestions = async (repositoryId, workSignature, tasks, recentCo
   } catch (error) {
     console.error('Failed to store task suggestions:', error.message);
     // Don't throw - task generation succeeded, storage failure shouldn't break the flow
+    return null;
   }
 };
 
@@ -0,0 +1,257 @@
+import mongoose from 'mongoose';
+import { TaskSuggestion } from '../../models/aiModels.js';
+import { extractIssueReferences } from '../../utils/CommitFormatter.js';
+import { getCommitRepository } from './IssueCollector.js';
+
+/**
+ * Task Tracker - Functional Pattern
+ * Lifecycle of suggested tasks: users accept, start, complete or dismiss them,
+ * later commits complete matching tasks automatically, and the history is fed
+ * back into task prompts so finished or dismissed work isn't suggested again
+ */
+
+export const TASK_STATUSES = {
+  SUGGESTED: 'suggested', // Fresh from the AI, not acted on yet
+  ACCEPTED: 'accepted', // On the user's list
+  IN_PROGRESS: 'in_progress',
+  DONE: 'done',
+  DISMISSED: 'dismissed' // Not relevant; never suggest again
+};
+
+// Tasks a matching commit can still complete
+const OPEN_TASK_STATUSES = [TASK_STATUSES.SUGGESTED, TASK_STATUSES.ACCEPTED, TASK_STATUSES.IN_PROGRESS];
+
+// How far back tasks are auto-completed and fed into prompts
+const TASK_HISTORY_DAYS = 14;
+
+// Words that say nothing about which task a commit belongs to
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'that', 'this', 'when', 'add', 'adds', 'added',
+  'fix', 'fixes', 'fixed', 'update', 'updates', 'updated', 'improve', 'implement', 'use', 'make',
+  'new', 'all', 'more', 'some', 'missing', 'remove', 'support', 'handle', 'code'
+]);
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with a status property
+ */
+const createTaskError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Check whether a value is a supported task status
+ * @param {string} status - Status to check
+ * @returns {boolean} True if supported
+ */
+export const isValidTaskStatus = (status) => {
+  return Object.values(TASK_STATUSES).includes(status);
+};
+
+/**
+ * Convert a stored suggestion set to the tasks returned to callers
+ * @param {Object} suggestion - Lean TaskSuggestion document
+ * @returns {Array} Tasks with id and suggestionId, so their state can be changed later
+ */
+export const toTaskViews = (suggestion) => {
+  return suggestion.tasks.map(({ _id, ...task }) => ({
+    ...task,
+    status: task.status || TASK_STATUSES.SUGGESTED,
+    id: _id.toString(),
+    suggestionId: suggestion._id.toString()
+  }));
+};
+
+/**
+ * Reduce text to the distinctive words used to match commits to tasks
+ * @param {string} text - Task title or commit message
+ * @returns {Array<string>} Lowercased keywords with a plural "s" dropped
+ */
+const extractKeywords = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+    .map(word => (word.length > 4 && word.endsWith('s') ? word.slice(0, -1) : word));
+};
+
+/**
+ * Check whether a commit completes a task
+ * A commit matches when it references the task's issue, or when it is in one of the
+ * task's repositories and its message shares most of the task title's keywords
+ * @param {Object} commit - Formatted commit
+ * @param {Object} task - Stored task
+ * @returns {boolean} True if the commit completes the task
+ */
+export const commitMatchesTask = (commit, task) => {
+  const message = commit.message || commit.description || '';
+  const repository = getCommitRepository(commit);
+
+  if (task.issue?.number && repository === task.issue.repository
+    && extractIssueReferences(message).includes(task.issue.number)) {
+    return true;
+  }
+
+  const repositories = (task.repositories || []).filter(name => name !== 'current');
+  if (repositories.length > 0 && !repositories.includes(commit.repository) && !repositories.includes(repository)) {
+    return false;
+  }
+
+  const keywords = [...new Set(extractKeywords(task.title))];
+  if (keywords.length < 2) {
+    return false; // Too little to go on
+  }
+
+  const words = new Set(extractKeywords(message));
+  const matched = keywords.filter(keyword => words.has(keyword)).length;
+  return matched >= 2 && matched / keywords.length >= 0.6;
+};
+
+/**
+ * Mark the user's open tasks done when a commit made after the suggestion matches them
+ * @param {string} userId - User id
+ * @param {Array} commits - Formatted commits with dates
+ * @returns {Promise<number>} Number of tasks completed
+ */
+export const completeTasksFromCommits = async (userId, commits = []) => {
+  if (!userId || commits.length === 0) return 0;
+
+  const cutoff = new Date(Date.now() - TASK_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const suggestions = await TaskSuggestion.find({
+    userId,
+    createdAt: { $gte: cutoff },
+    'tasks.status': { $in: OPEN_TASK_STATUSES }
+  });
+
+  let completed = 0;
+  for (const suggestion of suggestions) {
+    const laterCommits = commits.filter(commit => commit.date && new Date(commit.date) > suggestion.createdAt);
+    let changed = false;
+
+    suggestion.tasks
+      .filter(task => OPEN_TASK_STATUSES.includes(task.status))
+      .forEach(task => {
+        const commit = laterCommits.find(candidate => commitMatchesTask(candidate, task));
+        if (!commit) return;
+
+        task.status = TASK_STATUSES.DONE;
+        task.statusUpdatedAt = new Date();
+        task.completedBy = { sha: commit.sha, url: commit.url };
+        changed = true;
+        completed++;
+      });
+
+    if (changed) {
+      await suggestion.save();
+    }
+  }
+
+  if (completed > 0) {
+    console.log(`✅ TaskTracker: Marked ${completed} tasks done from recent commits`);
+  }
+  return completed;
+};
+
+/**
+ * Get the tasks the user acted on recently, for task prompts
+ * @param {string} userId - User id
+ * @param {number} days - Days to look back
+ * @returns {Promise<Array>} [{ title, status, repositories }], newest first, one entry per title
+ */
+export const getTaskStatusHistory = async (userId, days = TASK_HISTORY_DAYS) => {
+  if (!userId) return [];
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const suggestions = await TaskSuggestion.find({
+    userId,
+    createdAt: { $gte: cutoff },
+    'tasks.status': { $in: Object.values(TASK_STATUSES).filter(status => status !== TASK_STATUSES.SUGGESTED) }
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const history = new Map();
+  suggestions.forEach(suggestion => {
+    suggestion.tasks
+      .filter(task => task.status && task.status !== TASK_STATUSES.SUGGESTED)
+      .forEach(task => {
+        const key = task.title.toLowerCase();
+        if (!history.has(key)) {
+          history.set(key, { title: task.title, status: task.status, repositories: task.repositories || [] });
+        }
+      });
+  });
+
+  return [...history.values()];
+};
+
+/**
+ * List the user's tracked tasks
+ * @param {string} userId - User id
+ * @param {Object} options - { statuses, days }
+ * @returns {Promise<Array>} Tasks with ids, newest suggestion first
+ */
+export const getTrackedTasks = async (userId, options = {}) => {
+  const { statuses = [TASK_STATUSES.ACCEPTED, TASK_STATUSES.IN_PROGRESS], days = TASK_HISTORY_DAYS } = options;
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const suggestions = await TaskSuggestion.find({
+    userId,
+    createdAt: { $gte: cutoff },
+    'tasks.status': { $in: statuses }
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return suggestions
+    .flatMap(suggestion => toTaskViews(suggestion))
+    .filter(task => statuses.includes(task.status));
+};
+
+/**
+ * Change a task's status
+ * @param {string} userId - Requesting user id
+ * @param {string} suggestionId - TaskSuggestion id
+ * @param {string} taskId - Task id within the suggestion
+ * @param {string} status - New status
+ * @returns {Promise<Object>} Updated task
+ */
+export const updateTaskStatus = async (userId, suggestionId, taskId, status) => {
+  if (!isValidTaskStatus(status)) {
+    throw createTaskError(`Status must be one of: ${Object.values(TASK_STATUSES).join(', ')}`, 400);
+  }
+  if (!mongoose.isValidObjectId(suggestionId) || !mongoose.isValidObjectId(taskId)) {
+    throw createTaskError('Task not found', 404);
+  }
+
+  const suggestion = await TaskSuggestion.findOneAndUpdate(
+    { _id: suggestionId, userId, 'tasks._id': taskId },
+    {
+      $set: { 'tasks.$.status': status, 'tasks.$.statusUpdatedAt': new Date() },
+      // A task moved by hand is no longer attributed to a commit
+      $unset: { 'tasks.$.completedBy': '' }
+    },
+    { new: true }
+  ).lean();
+
+  const task = suggestion?.tasks.find(entry => entry._id.toString() === taskId);
+  if (!task) {
+    throw createTaskError('Task not found', 404);
+  }
+  return toTaskViews({ ...suggestion, tasks: [task] })[0];
+};
+
+export default {
+  TASK_STATUSES,
+  isValidTaskStatus,
+  toTaskViews,
+  commitMatchesTask,
+  completeTasksFromCommits,
+  getTaskStatusHistory,
+  getTrackedTasks,
+  updateTaskStatus
+};
@@ -0,0 +1,327 @@
+import User from '../../models/User.js';
+import TeamDashboard from '../../models/TeamDashboard.js';
+import { DailySummary } from '../../models/aiModels.js';
+import { getUserGitHubClient } from '../external/GitHubAuth.js';
+import { getTeamForMember, toTeamSummary } from './TeamService.js';
+import { createSummaryText, generateFormattedSummary, structureFormattedCommits } from './SummaryGenerator.js';
+import { generateTaskSuggestions } from './TaskSuggester.js';
+import { generateTasks as fallbackTasks } from '../ai/AIFallbackStrategies.js';
+import { createWorkSignature } from '../ai/AIResponseParser.js';
+import { getUserAICredentials } from '../ai/LLMProviders.js';
+import {
+  analyzeMessageQuality,
+  detectCommitPatterns,
+  calculateFallbackQualityScore
+} from '../quality/QualityMetricsCalculator.js';
+import { resolveSummaryRange } from '../../utils/DateUtils.js';
+import { formatCommitObject } from '../../utils/CommitFormatter.js';
+import { countByCategory } from '../../utils/CommitTaxonomy.js';
+import { buildAuthorFilter, filterCommitsByAuthor, AUTHOR_FILTER_MODES } from '../../utils/AuthorFilter.js';
+
+/**
+ * Team Dashboard Service - Functional Pattern
+ * Builds the standup view for a team: each member's summary and priorities side
+ * by side, plus aggregate metrics for the team's repositories
+ *
+ * - Commits are read from the local commit store, synced with the viewer's GitHub token,
+ *   so only repositories the viewer can read are included
+ * - Commits are attributed to members by GitHub login and known emails
+ * - AI summaries and priorities use the viewer's AI provider and are cached per member
+ * - Dashboards are built in a background job (buildTeamDashboard) and stored per viewer
+ *   and date range; getTeamDashboard only reads the stored snapshot
+ */
+
+/**
+ * Fetch the window's commits for every team repository
+ * @param {Object} githubService - GitHub client for the viewer
+ * @param {Array<string>} repositories - Repository full names
+ * @param {Object} range - Resolved summary range
+ * @returns {Promise<Object>} { commits, unavailable }
+ */
+const fetchTeamCommits = async (githubService, repositories, range) => {
+  const commits = [];
+  const unavailable = [];
+
+  for (const fullName of repositories) {
+    const [owner, name] = fullName.split('/');
+    try {
+      const repoCommits = await githubService.getCommits(owner, name, {
+        per_page: 100,
+        since: range.start.toISOString(),
+        until: range.end.toISOString(),
+        includeStats: true
+      });
+
+      // Merge commits repeat work that is already attributed to its author
+      repoCommits
+        .filter(commit => !(commit.parents && commit.parents.length > 1))
+        .forEach(commit => commits.push({ ...commit, repository: { name, fullName } }));
+    } catch (error) {
+      console.error(`❌ TeamDashboard: Could not read ${fullName}:`, error.message || error.log);
+      unavailable.push(fullName);
+    }
+  }
+
+  return { commits, unavailable };
+};
+
+/**
+ * Build a member's author filter without calling GitHub on their behalf
+ * @param {Object} member - User document
+ * @returns {Object} Author filter
+ */
+const buildMemberFilter = (member) => {
+  return buildAuthorFilter({
+    mode: AUTHOR_FILTER_MODES.ME,
+    login: member.username,
+    githubId: member.githubId,
+    emails: [member.email, ...(member.authorEmails || [])]
+  });
+};
+
+/**
+ * Get a member's summary text, reusing the cached one while their work is unchanged
+ * @param {string} teamId - Team id
+ * @param {Object} member - User document
+ * @param {Object} range - Resolved summary range
+ * @param {Array} formattedCommits - Member's formatted commits
+ * @param {Object|null} aiSettings - Viewer's AI credentials and model
+ * @param {boolean} forceRefresh - Regenerate even when cached
+ * @returns {Promise<string>} Summary text
+ */
+const getMemberSummary = async (teamId, member, range, formattedCommits, aiSettings, forceRefresh) => {
+  const repositoryCount = new Set(formattedCommits.map(commit => commit.repository)).size;
+  if (!aiSettings) {
+    return generateFormattedSummary(formattedCommits, repositoryCount);
+  }
+
+  // The work signature changes whenever the member pushes more commits
+  const cacheQuery = {
+    date: range.from,
+    repositoryId: `team:${teamId}`,
+    userId: member._id.toString(),
+    rangeKey: `${range.key}:${createWorkSignature(formattedCommits)}`
+  };
+
+  if (!forceRefresh) {
+    const cached = await DailySummary.findOne(cacheQuery).lean();
+    if (cached) return cached.summary;
+  }
+
+  let summary;
+  try {
+    summary = await createSummaryText(formattedCommits, aiSettings.credentials, aiSettings.model, [], cacheQuery.repositoryId);
+  } catch (error) {
+    console.error(`❌ TeamDashboard: AI summary failed for ${member.username} - using fallback:`, error.message);
+    return generateFormattedSummary(formattedCommits, repositoryCount);
+  }
+
+  await DailySummary.findOneAndUpdate(
+    cacheQuery,
+    {
+      ...cacheQuery,
+      rangeStart: range.start,
+      rangeEnd: range.end,
+      timezone: range.timeZone,
+      summary,
+      commitCount: formattedCommits.length,
+      repositoryCount,
+      formattedCommits: structureFormattedCommits(formattedCommits)
+    },
+    { upsert: true }
+  );
+  return summary;
+};
+
+/**
+ * Sum line changes of raw commits
+ * @param {Array} commits - Commits with stats
+ * @returns {Object} { additions, deletions }
+ */
+const sumLineChanges = (commits) => ({
+  additions: commits.reduce((sum, commit) => sum + (commit.stats?.additions || 0), 0),
+  deletions: commits.reduce((sum, commit) => sum + (commit.stats?.deletions || 0), 0)
+});
+
+/**
+ * Build commit-based quality metrics for a set of raw commits
+ * @param {Array} commits - Raw commits
+ * @returns {Object|null} { qualityScore, messageQuality, patterns }, or null without commits
+ */
+const buildQualityMetrics = (commits) => {
+  if (commits.length === 0) return null;
+  return {
+    qualityScore: calculateFallbackQualityScore(commits),
+    messageQuality: analyzeMessageQuality(commits),
+    patterns: detectCommitPatterns(commits)
+  };
+};
+
+/**
+ * Resolve the dashboard window in the team's time zone and weekend settings
+ * @param {Object} team - Team document
+ * @param {string|null} from - Optional first day (YYYY-MM-DD)
+ * @param {string|null} to - Optional last day (YYYY-MM-DD, inclusive)
+ * @returns {Object} Resolved range from DateUtils.resolveSummaryRange
+ */
+const resolveTeamRange = (team, from, to) => {
+  try {
+    return resolveSummaryRange({
+      from,
+      to,
+      timeZone: team.timezone || 'UTC',
+      skipWeekends: !!team.skipWeekends,
+      mondayCoversWeekend: !!team.mondayCoversWeekend
+    });
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+};
+
+/**
+ * Shape a resolved range for API responses
+ * @param {Object} range - Resolved summary range
+ * @returns {Object} Date range view
+ */
+const toDateRangeView = (range) => ({
+  key: range.key,
+  from: range.from,
+  to: range.to,
+  start: range.start.toISOString(),
+  end: range.end.toISOString(),
+  timeZone: range.timeZone,
+  label: range.label
+});
+
+/**
+ * Get the stored standup dashboard for a member and date range
+ * Never builds one; see buildTeamDashboard
+ * @param {string} teamId - Team id
+ * @param {string} viewerId - Requesting member id
+ * @param {Object} options - { from, to }
+ * @returns {Promise<Object>} { team, dateRange, dashboard (null until built), generatedAt }
+ */
+export const getTeamDashboard = async (teamId, viewerId, options = {}) => {
+  const { from = null, to = null } = options;
+
+  const team = await getTeamForMember(teamId, viewerId);
+  const range = resolveTeamRange(team, from, to);
+  const snapshot = await TeamDashboard.findOne({ teamId: team._id, viewerId, rangeKey: range.key }).lean();
+
+  return {
+    team: toTeamSummary(team, viewerId),
+    dateRange: toDateRangeView(range),
+    dashboard: snapshot ? { ...snapshot.data, team: toTeamSummary(team, viewerId) } : null,
+    generatedAt: snapshot?.generatedAt || null
+  };
+};
+
+/**
+ * Build the team standup dashboard and store it for getTeamDashboard
+ * Slow - reads every team repository and makes AI calls per member - so run it as a job
+ * @param {string} teamId - Team id
+ * @param {string} viewerId - Requesting member id
+ * @param {Object} options - { from, to, forceRefresh, onProgress(progress, message, step) }
+ * @returns {Promise<Object>} { team, dateRange, members, metrics, unavailableRepositories }
+ */
+export const buildTeamDashboard = async (teamId, viewerId, options = {}) => {
+  const { from = null, to = null, forceRefresh = false, onProgress = null } = options;
+  const report = async (progress, message, step = null) => {
+    if (onProgress) await onProgress(progress, message, step);
+  };
+
+  const team = await getTeamForMember(teamId, viewerId);
+  const viewer = await User.findById(viewerId).select('+accessToken +githubRefreshToken +openaiApiKey');
+  const members = await User.find({ _id: { $in: team.members.map(member => member._id) } });
+  const range = resolveTeamRange(team, from, to);
+
+  console.log(`👥 TeamDashboard: Building "${team.name}" dashboard for ${range.key}`);
+
+  await report(5, `Reading ${team.repositories.length} repositories`, 'commits');
+  const githubService = await getUserGitHubClient(viewer);
+  const { commits, unavailable } = await fetchTeamCommits(githubService, team.repositories, range);
+  const aiSettings = getUserAICredentials(viewer);
+
+  const attributed = new Set();
+  const memberViews = [];
+
+  // One member at a time to stay clear of AI rate limits
+  for (const [index, member] of members.entries()) {
+    await report(
+      25 + Math.round((index / Math.max(members.length, 1)) * 70),
+      `Summarizing ${member.username}'s work`,
+      'members'
+    );
+
+    const memberCommits = filterCommitsByAuthor(commits, buildMemberFilter(member));
+    memberCommits.forEach(commit => attributed.add(commit.sha));
+
+    const formattedCommits = memberCommits.map(commit => ({
+      ...formatCommitObject(commit, commit.repository),
+      message: commit.message
+    }));
+
+    let summary = `No work found for ${range.label}`;
+    let priorities = [];
+    if (formattedCommits.length > 0) {
+      summary = await getMemberSummary(teamId, member, range, formattedCommits, aiSettings, forceRefresh);
+      priorities = aiSettings
+        ? await generateTaskSuggestions(formattedCommits, `team:${teamId}`, aiSettings.credentials, aiSettings.model, forceRefresh, {
+          userId: member._id.toString()
+        })
+        : fallbackTasks(formattedCommits);
+    }
+
+    memberViews.push({
+      id: member._id.toString(),
+      username: member.username,
+      avatarUrl: member.avatarUrl,
+      summary,
+      priorities,
+      commits: formattedCommits,
+      metrics: {
+        commitCount: memberCommits.length,
+        repositories: [...new Set(memberCommits.map(commit => commit.repository.fullName))],
+        ...sumLineChanges(memberCommits),
+        quality: buildQualityMetrics(memberCommits)
+      }
+    });
+  }
+
+  const teamCommits = commits.filter(commit => attributed.has(commit.sha));
+  const allFormatted = memberViews.flatMap(member => member.commits);
+
+  const dashboard = {
+    team: toTeamSummary(team, viewerId),
+    dateRange: toDateRangeView(range),
+    members: memberViews,
+    metrics: {
+      totalCommits: teamCommits.length,
+      activeMembers: memberViews.filter(member => member.metrics.commitCount > 0).length,
+      memberCount: memberViews.length,
+      repositoriesTouched: new Set(teamCommits.map(commit => commit.repository.fullName)).size,
+      ...sumLineChanges(teamCommits),
+      // Keyed by commit category (see utils/CommitTaxonomy.js)
+      commitTypes: countByCategory(allFormatted),
+      // Commits in team repositories by people outside the team
+      unattributedCommits: commits.length - teamCommits.length,
+      quality: buildQualityMetrics(teamCommits),
+      aiGenerated: !!aiSettings
+    },
+    unavailableRepositories: unavailable
+  };
+
+  await report(97, 'Saving dashboard', 'save');
+  await TeamDashboard.findOneAndUpdate(
+    { teamId: team._id, viewerId, rangeKey: range.key },
+    { data: dashboard, generatedAt: new Date() },
+    { upsert: true }
+  );
+  return dashboard;
+};
+
+export default {
+  getTeamDashboard,
+  buildTeamDashboard
+};
@@ -0,0 +1,408 @@
+import mongoose from 'mongoose';
+import Team from '../../models/Team.js';
+import TeamDashboard from '../../models/TeamDashboard.js';
+import User from '../../models/User.js';
+import { isValidTimeZone } from '../../utils/DateUtils.js';
+
+/**
+ * Team Service - Functional Pattern
+ * Team membership and administration
+ *
+ * - Only members can see a team; non-members get the same 404 as a missing team
+ * - Only admins can rename a team, change its repositories or manage members
+ * - People are invited by GitHub login (they must have signed in to DevSum once) and only
+ *   become members - sharing their commits and summaries with the team - once they accept
+ */
+
+const REPOSITORY_NAME_PATTERN = /^[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/;
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with a status property
+ */
+const createTeamError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Check whether an id list contains a user
+ * @param {Array} ids - ObjectIds
+ * @param {string} userId - User id
+ * @returns {boolean} True if present
+ */
+const includesUser = (ids, userId) => {
+  return ids.some(id => id.toString() === userId.toString());
+};
+
+/**
+ * Validate and de-duplicate repository full names
+ * @param {Array<string>} repositories - Repository full names ("owner/repo")
+ * @returns {Array<string>} Repository full names
+ */
+const normalizeRepositories = (repositories) => {
+  if (!Array.isArray(repositories)) {
+    throw createTeamError('Repositories must be a list of "owner/repo" names', 400);
+  }
+
+  const names = [...new Set(repositories.map(name => String(name).trim()).filter(Boolean))];
+  const invalid = names.find(name => !REPOSITORY_NAME_PATTERN.test(name));
+  if (invalid) {
+    throw createTeamError(`'${invalid}' is not a repository full name (owner/repo)`, 400);
+  }
+  return names;
+};
+
+/**
+ * Find DevSum users by GitHub login
+ * @param {Array<string>} usernames - GitHub logins
+ * @returns {Promise<Array>} User documents in the same order
+ */
+const findUsersByUsername = async (usernames) => {
+  const logins = [...new Set(usernames.map(name => String(name).trim()).filter(Boolean))];
+  const users = await User.find({ username: { $in: logins } });
+
+  const missing = logins.filter(login => !users.some(user => user.username === login));
+  if (missing.length > 0) {
+    throw createTeamError(`${missing.join(', ')} must sign in to DevSum before joining a team`, 400);
+  }
+  return logins.map(login => users.find(user => user.username === login));
+};
+
+/**
+ * Apply editable settings to a team document
+ * @param {Object} team - Team document
+ * @param {Object} changes - { name, repositories, timezone, skipWeekends, mondayCoversWeekend }
+ */
+const applyTeamSettings = (team, changes) => {
+  if (changes.name !== undefined) {
+    const name = String(changes.name).trim();
+    if (!name) {
+      throw createTeamError('Team name is required', 400);
+    }
+    team.name = name;
+  }
+  if (changes.repositories !== undefined) {
+    team.repositories = normalizeRepositories(changes.repositories);
+  }
+  if (changes.timezone !== undefined) {
+    if (!isValidTimeZone(changes.timezone)) {
+      throw createTeamError(`Unknown time zone '${changes.timezone}'`, 400);
+    }
+    team.timezone = changes.timezone;
+  }
+  if (changes.skipWeekends !== undefined) team.skipWeekends = !!changes.skipWeekends;
+  if (changes.mondayCoversWeekend !== undefined) team.mondayCoversWeekend = !!changes.mondayCoversWeekend;
+};
+
+/**
+ * Get the user id of an invite whether or not its user is populated
+ * @param {Object} invite - Team invite
+ * @returns {string} User id
+ */
+const getInviteUserId = (invite) => (invite.user?._id || invite.user).toString();
+
+/**
+ * Invite a user to a team, or update their pending invite
+ * Members are left alone; only their admin role can change (see addMember)
+ * @param {Object} team - Team document
+ * @param {Object} user - Invited user document
+ * @param {boolean} admin - Whether they join as an admin
+ * @param {string} invitedBy - Inviting admin id
+ */
+const inviteUser = (team, user, admin, invitedBy) => {
+  const existing = team.invites.find(invite => getInviteUserId(invite) === user._id.toString());
+  if (existing) {
+    existing.admin = !!admin;
+    return;
+  }
+  team.invites.push({ user: user._id, admin: !!admin, invitedBy, invitedAt: new Date() });
+};
+
+/**
+ * Shape a team for API responses
+ * @param {Object} team - Team document with members and invited users populated
+ * @param {string} viewerId - Requesting user id
+ * @returns {Object} Team summary (pending invites are only listed for admins)
+ */
+export const toTeamSummary = (team, viewerId) => {
+  const isAdmin = includesUser(team.admins, viewerId);
+  return {
+    id: team._id.toString(),
+    name: team.name,
+    repositories: team.repositories,
+    timezone: team.timezone,
+    skipWeekends: team.skipWeekends,
+    mondayCoversWeekend: team.mondayCoversWeekend,
+    isAdmin,
+    members: team.members.map(member => ({
+      id: member._id.toString(),
+      username: member.username,
+      avatarUrl: member.avatarUrl,
+      isAdmin: includesUser(team.admins, member._id)
+    })),
+    invites: isAdmin
+      ? team.invites.map(invite => ({
+        id: getInviteUserId(invite),
+        username: invite.user?.username,
+        admin: invite.admin,
+        invitedAt: invite.invitedAt
+      }))
+      : []
+  };
+};
+
+/**
+ * Load a team the user belongs to
+ * @param {string} teamId - Team id
+ * @param {string} userId - Requesting user id
+ * @returns {Promise<Object>} Team document with members populated
+ */
+export const getTeamForMember = async (teamId, userId) => {
+  const team = mongoose.isValidObjectId(teamId)
+    ? await Team.findById(teamId).populate('members', 'username avatarUrl').populate('invites.user', 'username')
+    : null;
+
+  if (!team || !includesUser(team.members.map(member => member._id), userId)) {
+    throw createTeamError('Team not found', 404);
+  }
+  return team;
+};
+
+/**
+ * Load a team the user administers
+ * @param {string} teamId - Team id
+ * @param {string} userId - Requesting user id
+ * @returns {Promise<Object>} Team document with members populated
+ */
+const getTeamForAdmin = async (teamId, userId) => {
+  const team = await getTeamForMember(teamId, userId);
+  if (!includesUser(team.admins, userId)) {
+    throw createTeamError('Only team admins can change this team', 403);
+  }
+  return team;
+};
+
+/**
+ * List the teams a user belongs to
+ * @param {string} userId - User id
+ * @returns {Promise<Array>} Team summaries
+ */
+export const listTeams = async (userId) => {
+  const teams = await Team.find({ members: userId })
+    .sort({ name: 1 })
+    .populate('members', 'username avatarUrl')
+    .populate('invites.user', 'username');
+  return teams.map(team => toTeamSummary(team, userId));
+};
+
+/**
+ * List the teams a user has been invited to and not answered yet
+ * @param {string} userId - User id
+ * @returns {Promise<Array>} [{ teamId, name, invitedBy, admin, invitedAt }]
+ */
+export const listInvites = async (userId) => {
+  const teams = await Team.find({ 'invites.user': userId })
+    .sort({ name: 1 })
+    .populate('invites.invitedBy', 'username');
+
+  return teams.map(team => {
+    const invite = team.invites.find(candidate => getInviteUserId(candidate) === userId.toString());
+    return {
+      teamId: team._id.toString(),
+      name: team.name,
+      invitedBy: invite.invitedBy?.username || null,
+      admin: invite.admin,
+      invitedAt: invite.invitedAt
+    };
+  });
+};
+
+/**
+ * Load a team the user has a pending invite to
+ * @param {string} teamId - Team id
+ * @param {string} userId - Invited user id
+ * @returns {Promise<Object>} Team document
+ */
+const getTeamForInvitee = async (teamId, userId) => {
+  const team = mongoose.isValidObjectId(teamId)
+    ? await Team.findOne({ _id: teamId, 'invites.user': userId })
+    : null;
+
+  if (!team) {
+    throw createTeamError('Invite not found', 404);
+  }
+  return team;
+};
+
+/**
+ * Accept an invite and join the team
+ * @param {string} teamId - Team id
+ * @param {string} userId - Invited user id
+ * @returns {Promise<Object>} Team summary
+ */
+export const acceptInvite = async (teamId, userId) => {
+  const team = await getTeamForInvitee(teamId, userId);
+  const invite = team.invites.find(candidate => getInviteUserId(candidate) === userId.toString());
+
+  if (!includesUser(team.members, userId)) team.members.push(userId);
+  if (invite.admin && !includesUser(team.admins, userId)) team.admins.push(userId);
+  team.invites = team.invites.filter(candidate => candidate !== invite);
+  await team.save();
+
+  console.log(`👥 TeamService: Invite to "${team.name}" accepted`);
+  return getTeam(teamId, userId);
+};
+
+/**
+ * Decline an invite
+ * @param {string} teamId - Team id
+ * @param {string} userId - Invited user id
+ * @returns {Promise<void>}
+ */
+export const declineInvite = async (teamId, userId) => {
+  const team = await getTeamForInvitee(teamId, userId);
+  team.invites = team.invites.filter(invite => getInviteUserId(invite) !== userId.toString());
+  await team.save();
+};
+
+/**
+ * Get a team the user belongs to
+ * @param {string} teamId - Team id
+ * @param {string} userId - Requesting user id
+ * @returns {Promise<Object>} Team summary
+ */
+export const getTeam = async (teamId, userId) => {
+  return toTeamSummary(await getTeamForMember(teamId, userId), userId);
+};
+
+/**
+ * Create a team; the creator becomes its first admin and everyone else listed is invited
+ * @param {string} userId - Creating user id
+ * @param {Object} data - { name, repositories, members (GitHub logins to invite), timezone, skipWeekends, mondayCoversWeekend }
+ * @returns {Promise<Object>} Team summary
+ */
+export const createTeam = async (userId, data = {}) => {
+  const team = new Team({
+    members: [userId],
+    admins: [userId],
+    createdBy: userId
+  });
+  applyTeamSettings(team, { repositories: [], ...data, name: data.name ?? '' });
+
+  const invited = await findUsersByUsername(data.members || []);
+  invited.forEach(member => {
+    if (!includesUser(team.members, member._id)) inviteUser(team, member, false, userId);
+  });
+
+  await team.save();
+  console.log(`👥 TeamService: Created team "${team.name}" with ${team.invites.length} invites`);
+  return getTeam(team._id, userId);
+};
+
+/**
+ * Update a team's settings
+ * @param {string} teamId - Team id
+ * @param {string} userId - Requesting admin id
+ * @param {Object} changes - { name, repositories, timezone, skipWeekends, mondayCoversWeekend }
+ * @returns {Promise<Object>} Team summary
+ */
+export const updateTeam = async (teamId, userId, changes = {}) => {
+  const team = await getTeamForAdmin(teamId, userId);
+  applyTeamSettings(team, changes);
+  await team.save();
+  return getTeam(teamId, userId);
+};
+
+/**
+ * Invite someone by GitHub login, or change an existing member's admin role
+ * Invited users join only when they accept (see acceptInvite)
+ * @param {string} teamId - Team id
+ * @param {string} userId - Requesting admin id
+ * @param {Object} data - { username, admin }
+ * @returns {Promise<Object>} Team summary
+ */
+export const addMember = async (teamId, userId, { username, admin = false } = {}) => {
+  const team = await getTeamForAdmin(teamId, userId);
+  const [member] = await findUsersByUsername([username || '']);
+  if (!member) {
+    throw createTeamError('A GitHub username is required', 400);
+  }
+
+  if (!includesUser(team.members.map(existing => existing._id), member._id)) {
+    inviteUser(team, member, admin, userId);
+    await team.save();
+    return getTeam(teamId, userId);
+  }
+  if (admin && !includesUser(team.admins, member._id)) {
+    team.admins.push(member._id);
+  } else if (!admin && includesUser(team.admins, member._id)) {
+    if (team.admins.length === 1) {
+      throw createTeamError('A team needs at least one admin', 400);
+    }
+    team.admins = team.admins.filter(id => id.toString() !== member._id.toString());
+  }
+
+  await team.save();
+  return getTeam(teamId, userId);
+};
+
+/**
+ * Remove a member or withdraw an invite (admins can remove anyone, members can leave)
+ * @param {string} teamId - Team id
+ * @param {string} userId - Requesting user id
+ * @param {string} memberId - User id to remove
+ * @returns {Promise<Object|null>} Team summary, or null if the user left the team
+ */
+export const removeMember = async (teamId, userId, memberId) => {
+  const leaving = memberId.toString() === userId.toString();
+  const team = leaving ? await getTeamForMember(teamId, userId) : await getTeamForAdmin(teamId, userId);
+
+  if (!leaving && team.invites.some(invite => getInviteUserId(invite) === memberId.toString())) {
+    team.invites = team.invites.filter(invite => getInviteUserId(invite) !== memberId.toString());
+    await team.save();
+    return getTeam(teamId, userId);
+  }
+
+  if (includesUser(team.admins, memberId) && team.admins.length === 1) {
+    throw createTeamError('A team needs at least one admin - promote someone else first', 400);
+  }
+
+  team.members = team.members.filter(member => member._id.toString() !== memberId.toString());
+  team.admins = team.admins.filter(id => id.toString() !== memberId.toString());
+  await team.save();
+
+  return leaving ? null : getTeam(teamId, userId);
+};
+
+/**
+ * Delete a team
+ * @param {string} teamId - Team id
+ * @param {string} userId - Requesting admin id
+ * @returns {Promise<void>}
+ */
+export const deleteTeam = async (teamId, userId) => {
+  const team = await getTeamForAdmin(teamId, userId);
+  await team.deleteOne();
+  await TeamDashboard.deleteMany({ teamId: team._id });
+  console.log(`👥 TeamService: Deleted team "${team.name}"`);
+};
+
+// Export all functions as default for backwards compatibility
+export default {
+  listTeams,
+  listInvites,
+  acceptInvite,
+  declineInvite,
+  getTeam,
+  getTeamForMember,
+  createTeam,
+  updateTeam,
+  addMember,
+  removeMember,
+  deleteTeam,
+  toTeamSummary
+};
@@ -1,25 +1,48 @@
 /**
  * Yesterday Summary Service
- * Orchestrates the generation of yesterday's development summary
+ * Orchestrates the generation of yesterday's (or any resolved date range's) development summary
  * Follows SOLID principles - Single Responsibility, Dependency Injection
  * Now includes MongoDB caching for performance optimization
  */
 
-import GitHubService from '../external/GitHubAPIClient.js';
 import aiService from '../ai/AICoordinator.js';
 import connectDB from '../../config/database.js';
 import { DailySummary } from '../../models/aiModels.js';
-import { getYesterdayRange, formatDateForAPI } from '../../utils/DateUtils.js';
+import { resolveSummaryRange } from '../../utils/DateUtils.js';
 import { formatCommitObject, generateFakeObjectId } from '../../utils/CommitFormatter.js';
-import { structureFormattedCommits, generateFormattedSummary } from './SummaryGenerator.js';
+import { countByCategory } from '../../utils/CommitTaxonomy.js';
+import { categorizeCommitDiff } from '../ai/AIFallbackStrategies.js';
+import { prepareDiff } from '../../utils/DiffPreparation.js';
+import { getDiffChunkSize, getMaxDiffChunks } from '../../config/diffLimits.js';
+import { filterCommitsByAuthor, extendAuthorFilter, includesOwnActivity, AUTHOR_FILTER_MODES } from '../../utils/AuthorFilter.js';
+import {
+  buildCommitExclusion,
+  partitionCommits,
+  isPathOnlyChange,
+  createSkipCounts,
+  addSkipCount,
+  COMMIT_SKIP_REASONS
+} from '../../utils/CommitExclusion.js';
+import { PROVIDERS, getConnectedClients, getAllUserRepos, splitRepositoryName } from '../external/SourceControlProvider.js';
+import { structureFormattedCommits, generateFormattedSummary, createSummaryText } from './SummaryGenerator.js';
+
+// DailySummary indexes are synced once per process so the legacy
+// { date, repositoryId } unique index is replaced by the range-aware one
+let summaryIndexesSynced = false;
 
 /**
  * Service for generating yesterday's development summary across all repositories
  */
 export class YesterdaySummaryService {
-  constructor(accessToken) {
-    this.githubService = GitHubService(accessToken); // GitHubService is now a factory function
+  /**
+   * @param {Object} githubService - User's GitHub client (see GitHubAuth.getUserGitHubClient)
+   * @param {string} userId - Owner of the cached summaries (null for legacy shared cache)
+   */
+  constructor(githubService, userId = null) {
+    this.githubService = githubService;
     this.aiService = aiService; // Use the exported singleton instance
+    this.userId = userId ? userId.toString() : null;
+    this.connectedClients = []; // GitLab / Bitbucket clients, loaded with the repositories
     this.initialized = false;
   }
 
@@ -29,35 +52,70 @@ export class YesterdaySummaryService {
   async init() {
     if (!this.initialized) {
       await connectDB();
+      if (!summaryIndexesSynced) {
+        try {
+          await DailySummary.syncIndexes();
+          summaryIndexesSynced = true;
+        } catch (error) {
+          console.error('⚠️  YesterdaySummaryService: Failed to sync DailySummary indexes:', error.message);
+        }
+      }
       // AICoordinator handles its own initialization automatically
       this.initialized = true;
     }
   }
 
   /**
-   * Generate complete yesterday summary with MongoDB caching
+   * Generate complete summary for a date range with MongoDB caching
    * @param {boolean} forceRefresh - Force bypass cache and generate fresh summary
-   * @param {string} userApiKey - User's OpenAI API key
-   * @param {string} userModel - User's preferred OpenAI model
-   * @returns {Object} Complete summary data
+   * @param {string|Object} userApiKey - User's API key or AI provider credentials
+   * @param {string} userModel - User's preferred model
+   * @param {Object} range - Resolved range from DateUtils.resolveSummaryRange (defaults to UTC yesterday)
+   * @param {Object} authorFilter - Filter from AuthorFilter.resolveAuthorFilter (null includes everyone)
+   * @param {Object} options - { allBranches, commitExclusion } - allBranches also reads every recently active branch,
+   *   not just the default one; commitExclusion is from CommitExclusion.resolveCommitExclusion (merges and bots by default)
+   * @returns {Object} Complete summary data, with skippedCommits counted per reason
    */
-  async generateSummary(forceRefresh = false, userApiKey = null, userModel = 'gpt-4o-mini') {
+  async generateSummary(forceRefresh = false, userApiKey = null, userModel = 'gpt-4o-mini', range = null, authorFilter = null, options = {}) {
     await this.init(); // Ensure DB connection
     
-    const { start, end } = getYesterdayRange();
-    const dateStr = formatDateForAPI(start);
+    const summaryRange = range || resolveSummaryRange();
+    const { start, end } = summaryRange;
+    const dateStr = summaryRange.from;
     const repositoryId = 'ALL_REPOS'; // Special identifier for cross-repository summaries
+    const cacheQuery = {
+      date: dateStr,
+      repositoryId: repositoryId,
+      userId: this.userId,
+      rangeKey: summaryRange.key
+    };
+    const dateRange = {
+      from: summaryRange.from,
+      to: summaryRange.to,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      timeZone: summaryRange.timeZone,
+      label: summaryRange.label
+    };
+    const emptySummaryText = `No work found for ${summaryRange.label}`;
+    const authorFilterKey = authorFilter?.key || AUTHOR_FILTER_MODES.EVERYONE;
+    const branchScope = options.allBranches ? 'active' : 'default';
+    const commitExclusion = options.commitExclusion || buildCommitExclusion();
 
     try {
-      // Check for cached summary for yesterday (unless force refresh requested)
+      // Check for cached summary for this range (unless force refresh requested)
       if (!forceRefresh) {
-        const existing = await DailySummary.findOne({
-          date: dateStr,
-          repositoryId: repositoryId
-        }).lean();
+        const existing = await DailySummary.findOne(cacheQuery).lean();
 
-        if (existing) {
-          console.log(`📦 YesterdaySummaryService: Using CACHED yesterday summary for ${dateStr}`);
+        // A summary built for a different set of authors is regenerated in place
+        if (existing && (existing.authorFilterKey || AUTHOR_FILTER_MODES.EVERYONE) !== authorFilterKey) {
+          console.log(`📦 YesterdaySummaryService: Cached summary for ${summaryRange.key} used another author filter - will generate fresh`);
+        } else if (existing && (existing.branchScope || 'default') !== branchScope) {
+          console.log(`📦 YesterdaySummaryService: Cached summary for ${summaryRange.key} read other branches - will generate fresh`);
+        } else if (existing && existing.commitExclusionKey !== commitExclusion.key) {
+          console.log(`📦 YesterdaySummaryService: Cached summary for ${summaryRange.key} skipped other commits - will generate fresh`);
+        } else if (existing) {
+          console.log(`📦 YesterdaySummaryService: Using CACHED summary for ${summaryRange.key}`);
           console.log(`📦 Cache hit - Summary preview: "${existing.summary.substring(0, 100)}..."`);
           
           // Return cached data in the expected format
@@ -67,18 +125,21 @@ export class YesterdaySummaryService {
             commitCount: existing.commitCount,
             repositoryCount: existing.repositoryCount,
             repositories: existing.repositories || [],
-            formattedCommits: existing.formattedCommits || { total: existing.commitCount, byRepository: {}, allCommits: [] }
+            formattedCommits: existing.formattedCommits || { total: existing.commitCount, byRepository: {}, allCommits: [] },
+            pullRequests: existing.pullRequests || [],
+            skippedCommits: existing.skippedCommits || createSkipCounts(),
+            dateRange
           };
         } else {
-          console.log(`📦 YesterdaySummaryService: No cached summary found for ${dateStr} - will generate fresh`);
+          console.log(`📦 YesterdaySummaryService: No cached summary found for ${summaryRange.key} - will generate fresh`);
         }
       } else {
-        console.log(`🔄 YesterdaySummaryService: Force refresh requested - bypassing cache for ${dateStr}`);
+        console.log(`🔄 YesterdaySummaryService: Force refresh requested - bypassing cache for ${summaryRange.key}`);
       }
 
       // Generate new summary if not cached or refresh requested
-      console.log(`🔄 Generating fresh yesterday summary for ${dateStr}...`);
-      const repos = await this.githubService.getUserRepos();
+      console.log(`🔄 Generating fresh summary for ${summaryRange.key}...`);
+      const repos = await this._getAllRepositories();
       
       // Debug logging for date range
       console.log(`📅 DEBUG - Date Range:`);
@@ -86,12 +147,12 @@ export class YesterdaySummaryService {
       console.log(`   End: ${end.toISOString()} (${end.toLocaleString()})`);
       console.log(`   Duration: ${Math.round((end - start) / (1000 * 60 * 60))} hours`);
       
-      const { commits, repositoryData } = await this.fetchAllCommits(repos, start, end);
+      const { commits, repositoryData, skippedCommits } = await this.fetchAllCommits(repos, start, end, authorFilter, { ...options, commitExclusion, userApiKey, userModel });
       
       // Debug logging for returned data
       console.log(`📊 DEBUG - Fetch Results:`);
       console.log(`   Repositories found: ${repositoryData.length}`);
-      console.log(`   Total commits found: ${commits.length}`);
+      console.log(`   Total commits found: ${commits.length} (${skippedCommits.total} skipped)`);
       if (commits.length > 0) {
         console.log(`   First commit: ${commits[0].sha?.substring(0, 7)} - "${commits[0].message?.substring(0, 50)}..."`);
         console.log(`   Last commit: ${commits[commits.length - 1].sha?.substring(0, 7)} - "${commits[commits.length - 1].message?.substring(0, 50)}..."`);
@@ -100,20 +161,26 @@ export class YesterdaySummaryService {
       console.log(`   Repository details:`, repositoryData.map(r => `${r.name} (${r.commitCount} commits)`));
       
       const formattedCommits = structureFormattedCommits(commits);
+      const pullRequests = await this.fetchPullRequestActivity(start, end, authorFilter);
       
-      // Check if there are any commits - if not, return simple message
+      // Check if there is any work - if not, return simple message
       let summaryText;
-      if (commits.length === 0) {
-        summaryText = "No work found for yesterday";
+      if (commits.length === 0 && pullRequests.length === 0) {
+        summaryText = emptySummaryText;
       } else if (!userApiKey) {
         // No API key provided - use fallback summary
         console.log(`⚠️  YesterdaySummaryService: No OpenAI API key provided - using fallback summary`);
-        summaryText = generateFormattedSummary(commits, repositoryData.length);
+        summaryText = generateFormattedSummary(commits, repositoryData.length, pullRequests);
       } else {
-        // Use AI-powered summary for actual commits - pass through forceRefresh and user's API key
-        console.log(`🔄 YesterdaySummaryService: Generating fresh summary via AIService with user's API key (forceRefresh=${forceRefresh})`);
-        summaryText = await this.aiService.generateDailySummary(commits, repositoryId, userApiKey, userModel, new Date(dateStr), forceRefresh);
-        console.log(`✅ YesterdaySummaryService: Received summary from AIService - Preview: "${summaryText.substring(0, 100)}..."`);
+        // Use AI-powered summary for actual commits - caching is handled here on the range key
+        console.log(`🔄 YesterdaySummaryService: Generating fresh summary via SummaryGenerator with user's API key (forceRefresh=${forceRefresh})`);
+        try {
+          summaryText = await createSummaryText(commits, userApiKey, userModel, pullRequests, repositoryId);
+        } catch (error) {
+          console.error(`❌ YesterdaySummaryService: AI summary failed - using fallback summary:`, error.message);
+          summaryText = generateFormattedSummary(commits, repositoryData.length, pullRequests);
+        }
+        console.log(`✅ YesterdaySummaryService: Received summary - Preview: "${summaryText.substring(0, 100)}..."`);
       }
 
       const summaryData = {
@@ -122,41 +189,52 @@ export class YesterdaySummaryService {
         commitCount: commits.length,
         repositoryCount: repositoryData.length,
         repositories: repositoryData,
-        formattedCommits
+        formattedCommits,
+        pullRequests,
+        skippedCommits,
+        dateRange
       };
 
       // Store in MongoDB for future caching (replace existing if force refresh)
       await DailySummary.findOneAndUpdate(
-        { date: dateStr, repositoryId: repositoryId },
+        cacheQuery,
         {
-          date: dateStr,
-          repositoryId: repositoryId,
+          ...cacheQuery,
+          rangeStart: start,
+          rangeEnd: end,
+          timezone: summaryRange.timeZone,
+          authorFilterKey,
+          branchScope,
+          commitExclusionKey: commitExclusion.key,
+          skippedCommits,
           summary: summaryText,
           commitCount: commits.length,
           repositoryCount: repositoryData.length,
           repositories: repositoryData,
           formattedCommits: formattedCommits,
+          pullRequests,
           categories: this._groupByCategory(commits)
         },
         { upsert: true, new: true }
       );
 
-      console.log(`💾 YesterdaySummaryService: Fresh summary generated and cached for ${dateStr}`);
+      console.log(`💾 YesterdaySummaryService: Fresh summary generated and cached for ${summaryRange.key}`);
       console.log(`💾 Final summary being returned - Preview: "${summaryText.substring(0, 100)}..."`);
       return summaryData;
 
     } catch (error) {
-      console.error('❌ YesterdaySummaryService: Failed to generate yesterday summary:', error.message);
+      console.error('❌ YesterdaySummaryService: Failed to generate summary:', error.message);
       
       // Fallback: generate without caching using SummaryGenerator
       console.log('⚠️  YesterdaySummaryService: Falling back to non-cached generation...');
-      const repos = await this.githubService.getUserRepos();
-      const { commits, repositoryData } = await this.fetchAllCommits(repos, start, end);
+      const repos = await this._getAllRepositories();
+      const { commits, repositoryData, skippedCommits } = await this.fetchAllCommits(repos, start, end, authorFilter, { ...options, commitExclusion, userApiKey, userModel });
       
       const formattedCommits = structureFormattedCommits(commits);
-      const summaryText = commits.length === 0 
-        ? "No work found for yesterday" 
-        : generateFormattedSummary(commits, repositoryData.length);
+      const pullRequests = await this.fetchPullRequestActivity(start, end, authorFilter);
+      const summaryText = commits.length === 0 && pullRequests.length === 0
+        ? emptySummaryText 
+        : generateFormattedSummary(commits, repositoryData.length, pullRequests);
 
       console.log(`⚠️  YesterdaySummaryService: FALLBACK summary generated - Preview: "${summaryText.substring(0, 100)}..."`);
       return {
@@ -165,64 +243,111 @@ export class YesterdaySummaryService {
         commitCount: commits.length,
         repositoryCount: repositoryData.length,
         repositories: repositoryData,
-        formattedCommits
+        formattedCommits,
+        pullRequests,
+        skippedCommits,
+        dateRange
       };
     }
   }
 
+  /**
+   * Get the repositories of GitHub and every connected GitLab / Bitbucket account
+   * @returns {Promise<Array>} Repositories tagged with their provider
+   */
+  async _getAllRepositories() {
+    this.connectedClients = await getConnectedClients(this.userId);
+    return getAllUserRepos(this.githubService, this.connectedClients);
+  }
+
+  /**
+   * Get the client and author filter to read a repository with
+   * On GitLab and Bitbucket the user's own commits are also matched by that account's username and emails;
+   * local repositories only have commit emails, so the GitHub filter is used as is
+   * @param {Object} repo - Repository tagged with its provider
+   * @param {Object} authorFilter - Filter from AuthorFilter.resolveAuthorFilter (null includes everyone)
+   * @returns {Object} { client, authorFilter }
+   */
+  _getRepositorySource(repo, authorFilter) {
+    if (!repo.provider || repo.provider === PROVIDERS.GITHUB) {
+      return { client: this.githubService, authorFilter };
+    }
+
+    const { client, connection } = this.connectedClients.find(entry => entry.provider === repo.provider);
+    return {
+      client,
+      authorFilter: connection
+        ? extendAuthorFilter(authorFilter, { logins: [connection.username], emails: connection.emails || [] })
+        : authorFilter
+    };
+  }
+
   /**
    * Group commits by category for database storage
-   * @param {Array} commits - Array of commit objects
-   * @returns {Object} Object with category counts
+   * @param {Array} commits - Array of formatted commit objects
+   * @returns {Object} Object with counts per CommitTaxonomy category
    */
   _groupByCategory(commits) {
-    return commits.reduce((acc, commit) => {
-      const category = commit.type || 'other';
-      acc[category] = (acc[category] || 0) + 1;
-      return acc;
-    }, {});
+    return countByCategory(commits);
   }
 
   /**
    * Fetch commits from all repositories for the specified date range with AI analysis
-   * @param {Array} repos - Array of repository objects
+   * @param {Array} repos - Array of repository objects, tagged with their provider
    * @param {Date} start - Start date
    * @param {Date} end - End date
-   * @returns {Object} { commits, repositoryData }
+   * @param {Object} authorFilter - Filter from AuthorFilter.resolveAuthorFilter (null includes everyone)
+   * @param {Object} options - { allBranches, commitExclusion, userApiKey, userModel } - allBranches also reads every
+   *   recently active branch, not just the default one; commits matching commitExclusion (merges and bots by default)
+   *   are skipped before AI analysis; commits are analyzed with AI when userApiKey is set
+   * @returns {Object} { commits, repositoryData, skippedCommits } - skippedCommits counts skipped commits per reason
    */
-  async fetchAllCommits(repos, start, end) {
+  async fetchAllCommits(repos, start, end, authorFilter = null, options = {}) {
     const allCommits = [];
     const repositoryData = [];
+    const commitExclusion = options.commitExclusion || buildCommitExclusion();
+    const skippedCommits = createSkipCounts();
 
     for (const repo of repos) {
       try {
-        const [owner, name] = repo.fullName.split('/');
-        const commits = await this.githubService.getCommits(owner, name, {
-          per_page: 10, // Limit to 20 commits per repo for performance
+        const [owner, name] = splitRepositoryName(repo.fullName);
+        const source = this._getRepositorySource(repo, authorFilter);
+        // Branch discovery costs extra API calls, so it is skipped for repositories nobody pushed to in the window
+        const allBranches = !!options.allBranches && (!repo.pushedAt || new Date(repo.pushedAt) >= start);
+        // Read the whole window from the commit store so teammates' commits can't crowd out the user's own
+        const repoCommits = await source.client.getCommits(owner, name, {
+          per_page: 100,
           since: start.toISOString(),
           until: end.toISOString(),
+          allBranches
         });
+        const commits = filterCommitsByAuthor(repoCommits, source.authorFilter);
 
         if (commits.length > 0) {
-          console.log(`📥 Processing ${commits.length} commits for ${repo.fullName}`);
+          console.log(`📥 Processing ${commits.length} of ${repoCommits.length} commits for ${repo.fullName} on ${repo.provider || PROVIDERS.GITHUB} (authors: ${authorFilter?.mode || AUTHOR_FILTER_MODES.EVERYONE})`);
           
-          // Filter out merge commits from today-summary results
-          const filteredCommits = this._filterMergeCommits(commits);
-          console.log(`📊 Filtered out ${commits.length - filteredCommits.length} merge commits, ${filteredCommits.length} regular commits remaining`);
+          // Leave merges, bot commits and the user's excluded messages out of the summary
+          const { kept, counts } = partitionCommits(commits, commitExclusion);
+          Object.values(COMMIT_SKIP_REASONS).forEach(reason => addSkipCount(skippedCommits, reason, counts[reason]));
+          console.log(`📊 Skipped ${counts.total} commits (${counts.merge} merges, ${counts.bot} bots, ${counts.message} by message), ${kept.length} remaining`);
           
-          if (filteredCommits.length > 0) {
+          if (kept.length > 0) {
             // Format commits with AI analysis for this repository
-            const formattedCommits = await this._processCommitsWithAI(filteredCommits, repo);
+            const { formattedCommits, pathOnlyCount } = await this._processCommitsWithAI(kept, repo, source.client, { ...options, commitExclusion });
+            addSkipCount(skippedCommits, COMMIT_SKIP_REASONS.PATHS, pathOnlyCount);
             allCommits.push(...formattedCommits);
             
             // Add repository data
-            repositoryData.push({
-              id: repo.id.toString(),
-              name: repo.name,
-              fullName: repo.fullName,
-              commitCount: filteredCommits.length,
-              _id: generateFakeObjectId()
-            });
+            if (formattedCommits.length > 0) {
+              repositoryData.push({
+                id: repo.id.toString(),
+                name: repo.name,
+                fullName: repo.fullName,
+                provider: repo.provider || PROVIDERS.GITHUB,
+                commitCount: formattedCommits.length,
+                _id: generateFakeObjectId()
+              });
+            }
           }
         }
       } catch (error) {
@@ -231,104 +356,136 @@ export class YesterdaySummaryService {
       }
     }
 
-    return { commits: allCommits, repositoryData };
+    return { commits: allCommits, repositoryData, skippedCommits };
+  }
+
+  /**
+   * Fetch the user's pull request activity (opened, merged, reviewed, commented) in the range
+   * Skipped when a selected-authors filter leaves the user out; failures only drop PR activity
+   * @param {Date} start - Start date
+   * @param {Date} end - End date
+   * @param {Object} authorFilter - Filter from AuthorFilter.resolveAuthorFilter (null includes everyone)
+   * @returns {Promise<Array>} Pull request activity entries
+   */
+  async fetchPullRequestActivity(start, end, authorFilter = null) {
+    if (!includesOwnActivity(authorFilter)) {
+      return [];
+    }
+
+    try {
+      return await this.githubService.getPullRequestActivity({
+        since: start.toISOString(),
+        until: end.toISOString(),
+        login: authorFilter?.login || undefined
+      });
+    } catch (error) {
+      console.error('⚠️  YesterdaySummaryService: Could not load pull request activity:', error.message || error.log);
+      return [];
+    }
   }
 
   /**
    * Process commits with AI analysis for each commit
+   * Diffs are fetched through the provider client's work queue and small commits are
+   * analyzed several to a prompt (see AICommitAnalyzer.analyzeCommitDiffs)
    * @param {Array} commits - Raw commits from GitHub
    * @param {Object} repo - Repository object
-   * @returns {Array} Formatted commits with AI analysis
+   * @param {Object} client - Provider client the commits were read with (default: GitHub)
+   * @param {Object} ai - { userApiKey, userModel, commitExclusion } - without a key no diffs are fetched and commits
+   *   are formatted without AI analysis, categorized from files already in the commit store where known; of the
+   *   commits whose files are known, those that only change commitExclusion's paths are dropped
+   * @returns {Object} { formattedCommits, pathOnlyCount } - formatted commits with AI analysis, and how many were dropped
    */
-  async _processCommitsWithAI(commits, repo) {
-    const formattedCommits = [];
-    const [owner, name] = repo.fullName.split('/');
+  async _processCommitsWithAI(commits, repo, client = this.githubService, { userApiKey = null, userModel = 'gpt-4o-mini', commitExclusion = null } = {}) {
+    const [owner, name] = splitRepositoryName(repo.fullName);
     
-    // Limit the number of commits to analyze to prevent excessive API calls
+    // Limit the number of commits whose diffs are read to prevent excessive API calls
     const commitsToAnalyze = commits.slice(0, 10); // Max 10 commits per repo
     
-    for (const commit of commitsToAnalyze) {
-      try {
-        // Get the commit diff
-        const diff = await this._getCommitDiff(owner, name, commit.sha);
-        
-        // Run AI analysis on the diff
-        const aiAnalysis = await this.aiService.analyzeCommitDiff(commit, diff);
-        
-        // Format the commit with AI analysis
-        const formattedCommit = formatCommitObject(commit, repo, aiAnalysis);
-        formattedCommits.push(formattedCommit);
-        
-        console.log(`✅ Analyzed commit ${commit.sha?.substring(0, 7)} in ${repo.name}`);
-        
-      } catch (error) {
-        console.error(`Failed to analyze commit ${commit.sha?.substring(0, 7)} in ${repo.name}:`, error.message);
-        
-        // Fallback: format commit without AI analysis
-        const formattedCommit = formatCommitObject(commit, repo);
-        formattedCommits.push(formattedCommit);
-      }
+    // Changed files categorize commits (see AIFallbackStrategies.categorizeCommitDiff); diffs are only
+    // fetched for AI analysis, so without an API key only files the commit store already has are used
+    const fetched = userApiKey
+      ? await Promise.all(commitsToAnalyze.map(async (commit) => {
+        const { diff, prepared, files } = await this._getCommitDiff(owner, name, commit.sha, client, userModel);
+        return {
+          commit: { ...commit, category: categorizeCommitDiff(commit.message, files).category },
+          diff,
+          prepared,
+          files
+        };
+      }))
+      : await this._readKnownFiles(commitsToAnalyze, owner, name, client);
+
+    // Path rules need the changed files, so they only apply to commits whose diff was read
+    const entries = fetched
+      .filter(entry => !isPathOnlyChange(entry.files, commitExclusion))
+      .map(({ commit, diff, prepared }) => ({ commit, diff, prepared }));
+    const pathOnlyCount = fetched.length - entries.length;
+    if (pathOnlyCount > 0) {
+      console.log(`📊 Skipped ${pathOnlyCount} commits that only change excluded paths in ${repo.name}`);
     }
+    const remaining = [...entries.map(entry => entry.commit), ...commits.slice(commitsToAnalyze.length)];
     
-    // Add remaining commits without AI analysis if there are more than 10
-    if (commits.length > 10) {
-      const remainingCommits = commits.slice(10);
-      console.log(`📊 Adding ${remainingCommits.length} commits without AI analysis for ${repo.name}`);
-      
-      for (const commit of remainingCommits) {
-        const formattedCommit = formatCommitObject(commit, repo);
-        formattedCommits.push(formattedCommit);
-      }
+    let analyses = [];
+    if (userApiKey && entries.length > 0) {
+      analyses = await this.aiService.analyzeCommitDiffs(entries, userApiKey, userModel, repo.fullName);
+      console.log(`✅ Analyzed ${analyses.length} commits in ${repo.name}`);
     }
     
-    return formattedCommits;
+    // Commits past the first 10 (or all of them without an API key) are added without AI analysis
+    if (remaining.length > analyses.length) {
+      console.log(`📊 Adding ${remaining.length - analyses.length} commits without AI analysis for ${repo.name}`);
+    }
+    
+    const formattedCommits = remaining.map((commit, index) => formatCommitObject(commit, repo, analyses[index] || null));
+    return { formattedCommits, pathOnlyCount };
   }
 
   /**
-   * Get commit diff from GitHub
+   * Categorize commits from the changed files already stored for them, without fetching diffs
+   * @param {Array} commits - Raw commits
    * @param {string} owner - Repository owner
    * @param {string} name - Repository name
-   * @param {string} sha - Commit SHA
-   * @returns {string} Commit diff
+   * @param {Object} client - Provider client; only GitHub has a commit store to read
+   * @returns {Array} [{ commit, diff, prepared, files }] - diff is always empty, files too when unknown
    */
-  async _getCommitDiff(owner, name, sha) {
+  async _readKnownFiles(commits, owner, name, client = this.githubService) {
+    let filesBySha = new Map();
     try {
-      const commitDiff = await this.githubService.getCommitDiff(owner, name, sha);
-      
-      // Extract diff text from files
-      const diffText = commitDiff.files
-        .map(file => file.patch || '')
-        .join('\n');
-      
-      return diffText;
+      filesBySha = await client.getKnownCommitFiles?.(owner, name, commits.map(commit => commit.sha)) || filesBySha;
     } catch (error) {
-      console.error(`Failed to get diff for ${sha}:`, error.message);
-      return ''; // Return empty string if diff fetch fails
+      console.error(`Failed to read stored files for ${owner}/${name}:`, error.message);
     }
+
+    return commits.map(commit => {
+      const files = filesBySha.get(commit.sha) || [];
+      return {
+        commit: { ...commit, category: categorizeCommitDiff(commit.message, files).category },
+        diff: '',
+        prepared: null,
+        files
+      };
+    });
   }
 
   /**
-   * Filter out merge commits from the commit list
-   * @param {Array} commits - Array of commit objects
-   * @returns {Array} Filtered commits without merge commits
+   * Get commit diff from the repository's provider, prepared for the model (see utils/DiffPreparation.js)
+   * @param {string} owner - Repository owner
+   * @param {string} name - Repository name
+   * @param {string} sha - Commit SHA
+   * @param {Object} client - Provider client (default: GitHub)
+   * @param {string} model - AI model the diff is sized for
+   * @returns {Object} { diff, prepared, files } - empty when the diff can't be fetched
    */
-  _filterMergeCommits(commits) {
-    return commits.filter(commit => {
-      // Check if it's a merge commit by parents count
-      const isMergeCommit = commit.parents && commit.parents.length > 1;
-      
-      // Also check for merge commit patterns in the message as fallback
-      const mergeMessagePatterns = [
-        /^Merge pull request #\d+/i,
-        /^Merge branch/i,
-        /^Merge remote-tracking branch/i,
-        /^Merge \w+/i
-      ];
-      const hasMergeMessage = mergeMessagePatterns.some(pattern => 
-        pattern.test(commit.message)
-      );
+  async _getCommitDiff(owner, name, sha, client = this.githubService, model = 'gpt-4o-mini') {
+    try {
+      const commitDiff = await client.getCommitDiff(owner, name, sha);
+      const prepared = prepareDiff(commitDiff.files, { chunkChars: getDiffChunkSize(model), maxChunks: getMaxDiffChunks() });
       
-      return !(isMergeCommit || hasMergeMessage);
-    });
+      return { diff: prepared.diff, prepared, files: commitDiff.files };
+    } catch (error) {
+      console.error(`Failed to get diff for ${sha}:`, error.message);
+      return { diff: '', prepared: null, files: [] }; // Return empty diff if fetch fails
+    }
   }
 } 
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AUTHOR_FILTER_MODES,
+  parseAuthorList,
+  buildAuthorFilter,
+  extendAuthorFilter,
+  matchesAuthorFilter,
+  includesOwnActivity,
+  resolveAuthorFilter
+} from '../utils/AuthorFilter.js';
+
+const commitBy = (username, email) => ({ author: { username, email } });
+
+test('parseAuthorList splits on commas and newlines and drops duplicates', () => {
+  assert.deepEqual(parseAuthorList(' octocat, hubot\nocto@example.com,,octocat '), ['octocat', 'hubot', 'octo@example.com']);
+  assert.deepEqual(parseAuthorList(null), []);
+});
+
+test('"me" matches the login, extra emails and GitHub noreply addresses case-insensitively', () => {
+  const filter = buildAuthorFilter({ login: 'OctoCat', githubId: '42', emails: ['Work@Example.com'] });
+
+  assert.ok(matchesAuthorFilter(commitBy('octocat'), filter));
+  assert.ok(matchesAuthorFilter(commitBy(null, 'work@example.com'), filter));
+  assert.ok(matchesAuthorFilter(commitBy(null, '42+OctoCat@users.noreply.github.com'), filter));
+  assert.ok(!matchesAuthorFilter(commitBy('hubot', 'hubot@example.com'), filter));
+  assert.ok(!matchesAuthorFilter({ author: {} }, filter));
+});
+
+test('"selected" sorts entries into logins and emails', () => {
+  const filter = buildAuthorFilter({ mode: AUTHOR_FILTER_MODES.SELECTED, login: 'octocat', selected: 'hubot, Jane@Example.com' });
+
+  assert.ok(matchesAuthorFilter(commitBy('HUBOT'), filter));
+  assert.ok(matchesAuthorFilter(commitBy(null, 'jane@example.com'), filter));
+  assert.ok(!matchesAuthorFilter(commitBy('octocat'), filter));
+  assert.equal(includesOwnActivity(filter), false);
+});
+
+test('"everyone" and a missing filter keep every commit', () => {
+  const everyone = buildAuthorFilter({ mode: AUTHOR_FILTER_MODES.EVERYONE, login: 'octocat' });
+
+  assert.ok(matchesAuthorFilter(commitBy('anyone'), everyone));
+  assert.ok(matchesAuthorFilter(commitBy('anyone'), null));
+  assert.equal(everyone.key, 'everyone');
+});
+
+test('cache keys only depend on the set of authors', () => {
+  const a = buildAuthorFilter({ mode: AUTHOR_FILTER_MODES.SELECTED, selected: ['b', 'a'] });
+  const b = buildAuthorFilter({ mode: AUTHOR_FILTER_MODES.SELECTED, selected: 'A,B' });
+  const c = buildAuthorFilter({ mode: AUTHOR_FILTER_MODES.SELECTED, selected: ['a'] });
+
+  assert.equal(a.key, b.key);
+  assert.notEqual(a.key, c.key);
+});
+
+test('extendAuthorFilter adds other provider identities to "me" without changing the key', () => {
+  const filter = buildAuthorFilter({ login: 'octocat' });
+  const extended = extendAuthorFilter(filter, { logins: ['Octo-GitLab'], emails: ['octo@gitlab.example'] });
+
+  assert.ok(matchesAuthorFilter(commitBy('octo-gitlab'), extended));
+  assert.ok(matchesAuthorFilter(commitBy(null, 'octo@gitlab.example'), extended));
+  assert.equal(extended.key, filter.key);
+
+  const selected = buildAuthorFilter({ mode: AUTHOR_FILTER_MODES.SELECTED, selected: ['hubot'] });
+  assert.equal(extendAuthorFilter(selected, { logins: ['x'] }), selected);
+});
+
+test('resolveAuthorFilter adds verified GitHub emails and survives lookup failures', async () => {
+  const user = { username: 'octocat', githubId: '42', email: 'me@example.com', authorFilter: 'me' };
+
+  const filter = await resolveAuthorFilter(user, { getUserEmails: async () => ['verified@example.com'] });
+  assert.ok(matchesAuthorFilter(commitBy(null, 'verified@example.com'), filter));
+
+  const fallback = await resolveAuthorFilter(user, { getUserEmails: async () => { throw new Error('forbidden'); } });
+  assert.ok(matchesAuthorFilter(commitBy(null, 'me@example.com'), fallback));
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  COMMIT_SKIP_REASONS,
+  MAX_MESSAGE_PATTERN_LENGTH,
+  parsePatternList,
+  findInvalidPattern,
+  getPatternError,
+  buildCommitExclusion,
+  isMergeCommit,
+  isBotCommit,
+  isPathOnlyChange,
+  getSkipReason,
+  partitionCommits
+} from '../utils/CommitExclusion.js';
+
+const files = (...filenames) => filenames.map(filename => ({ filename }));
+const pathRules = (...paths) => buildCommitExclusion({ paths });
+
+test('parsePatternList splits on newlines only and drops duplicates', () => {
+  assert.deepEqual(parsePatternList('^chore\\(release\\)\n  ^wip,tmp \n\n^chore\\(release\\)'), ['^chore\\(release\\)', '^wip,tmp']);
+});
+
+test('findInvalidPattern rejects patterns that do not compile or are too long', () => {
+  assert.equal(findInvalidPattern(['^docs:', '(unclosed']), '(unclosed');
+  assert.match(getPatternError('(unclosed'), /not a valid regular expression/);
+
+  const long = 'a'.repeat(MAX_MESSAGE_PATTERN_LENGTH + 1);
+  assert.equal(findInvalidPattern([long]), long);
+  assert.match(getPatternError(long), /longer than 200 characters/);
+});
+
+test('findInvalidPattern rejects nested quantifiers and backreferences', () => {
+  ['(a+)+$', '(\\w*\\s?)*x', '((ab)*c)+', '(a+){2,}', '(x)\\1', '(?<w>a)\\k<w>'].forEach(pattern => {
+    assert.equal(findInvalidPattern([pattern]), pattern, pattern);
+  });
+  assert.match(getPatternError('(a+)+'), /can stall the server/);
+});
+
+test('findInvalidPattern accepts ordinary patterns', () => {
+  const patterns = ['^chore\\(release\\)', '^(wip|tmp)\\b', '^Bump [\\w-]+ from', '(fix|feat)+:', '[(a+)]+', '\\(a+\\)+', '(?:v\\d+)?'];
+  assert.equal(findInvalidPattern(patterns), null);
+});
+
+test('buildCommitExclusion drops unusable patterns and keys the cache on the rest', () => {
+  const rules = buildCommitExclusion({ messagePatterns: ['^wip', '(a+)+', '(bad'] });
+
+  assert.equal(rules.messagePatterns.length, 1);
+  assert.equal(rules.key, buildCommitExclusion({ messagePatterns: ['^wip'] }).key);
+  assert.equal(getSkipReason({ message: 'WIP: try again', parents: [{}] }, rules), COMMIT_SKIP_REASONS.MESSAGE);
+});
+
+test('isMergeCommit trusts parents when they are known', () => {
+  assert.ok(isMergeCommit({ message: 'Integrate feature', parents: [{ sha: 'a' }, { sha: 'b' }] }));
+  assert.ok(!isMergeCommit({ message: 'Merge branch main into feature', parents: [{ sha: 'a' }] }));
+  assert.ok(!isMergeCommit({ message: 'Merge sort for the results table', parents: [{ sha: 'a' }] }));
+});
+
+test('isMergeCommit falls back to default merge messages without parents', () => {
+  assert.ok(isMergeCommit({ message: 'Merge pull request #12 from octo/feature', parents: null }));
+  assert.ok(isMergeCommit({ message: 'Merge branch \'main\' into feature', parents: [] }));
+  assert.ok(isMergeCommit({ message: 'Merge remote-tracking branch \'origin/main\'' }));
+  assert.ok(!isMergeCommit({ message: 'Merge sort for the results table' }));
+});
+
+test('isBotCommit recognizes [bot] accounts, known bots and extra authors', () => {
+  assert.ok(isBotCommit({ author: { username: 'dependabot[bot]' } }));
+  assert.ok(isBotCommit({ author: { email: '49699333+dependabot[bot]@users.noreply.github.com' } }));
+  assert.ok(isBotCommit({ author: { username: 'Renovate' } }));
+  assert.ok(isBotCommit({ author: { email: 'release@example.com' } }, new Set(['release@example.com'])));
+  assert.ok(!isBotCommit({ author: { username: 'octocat', email: 'octo@example.com' } }));
+});
+
+test('path globs match directories, file names anywhere and single segments', () => {
+  assert.ok(isPathOnlyChange(files('dist/app.js', 'dist/css/app.css'), pathRules('dist/')));
+  assert.ok(isPathOnlyChange(files('dist/app.js'), pathRules('./dist/**')));
+  assert.ok(isPathOnlyChange(files('yarn.lock', 'packages/web/yarn.lock'), pathRules('*.lock')));
+  assert.ok(isPathOnlyChange(files('docs/a/b/guide.md'), pathRules('docs/**/*.md')));
+  assert.ok(isPathOnlyChange(files('docs/guide.md'), pathRules('docs/**/*.md')));
+  assert.ok(isPathOnlyChange(files('v1.txt'), pathRules('v?.txt')));
+
+  assert.ok(!isPathOnlyChange(files('src/dist/app.js'), pathRules('dist/**')));
+  assert.ok(!isPathOnlyChange(files('docs/a/guide.md'), pathRules('docs/*.md')));
+  assert.ok(!isPathOnlyChange(files('v10.txt'), pathRules('v?.txt')));
+  assert.ok(!isPathOnlyChange(files('distXapp.js'), pathRules('dist.app.js')));
+});
+
+test('a commit is only path-only when every file is excluded', () => {
+  const rules = pathRules('dist/**', '*.lock');
+
+  assert.ok(isPathOnlyChange(files('dist/app.js', 'yarn.lock'), rules));
+  assert.ok(!isPathOnlyChange(files('dist/app.js', 'src/app.js'), rules));
+  assert.ok(!isPathOnlyChange([], rules));
+  assert.ok(!isPathOnlyChange(files('dist/app.js'), buildCommitExclusion()));
+});
+
+test('partitionCommits skips by the first matching reason and counts each reason', () => {
+  const rules = buildCommitExclusion({ messagePatterns: ['^chore\\(release\\)'], paths: ['dist/**'] });
+  const commits = [
+    { sha: '1', message: 'Merge pull request #1', parents: [{}, {}] },
+    { sha: '2', message: 'Bump lodash', author: { username: 'dependabot[bot]' }, parents: [{}] },
+    { sha: '3', message: 'chore(release): 1.2.0', parents: [{}] },
+    { sha: '4', message: 'Rebuild', parents: [{}], files: files('dist/app.js') },
+    { sha: '5', message: 'Add export', parents: [{}], files: files('src/export.js') }
+  ];
+
+  const { kept, skipped, counts } = partitionCommits(commits, rules);
+
+  assert.deepEqual(kept.map(commit => commit.sha), ['5']);
+  assert.deepEqual(skipped.map(entry => entry.reason), ['merge', 'bot', 'message', 'paths']);
+  assert.deepEqual(counts, { merge: 1, bot: 1, message: 1, paths: 1, total: 4 });
+});
+
+test('disabled rules and missing rules keep merges and bots', () => {
+  const rules = buildCommitExclusion({ excludeMerges: false, excludeBots: false });
+  const merge = { message: 'Merge branch main', parents: [{}, {}], author: { username: 'renovate' } };
+
+  assert.equal(getSkipReason(merge, rules), null);
+  assert.equal(getSkipReason(merge, null), null);
+});
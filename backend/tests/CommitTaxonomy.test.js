@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  COMMIT_CATEGORIES,
+  CATEGORY_IDS,
+  normalizeCategory,
+  getCategoryType,
+  categorizeMessage,
+  countByCategory,
+  describeCategories
+} from '../utils/CommitTaxonomy.js';
+
+test('category ids are unique and every category has a conventional type', () => {
+  assert.equal(new Set(CATEGORY_IDS).size, COMMIT_CATEGORIES.length);
+  COMMIT_CATEGORIES.forEach(category => assert.ok(category.type && category.label, category.id));
+});
+
+test('normalizeCategory maps types and older names onto categories', () => {
+  assert.equal(normalizeCategory('feat'), 'feature');
+  assert.equal(normalizeCategory(' BugFix '), 'bugfix');
+  assert.equal(normalizeCategory('testing'), 'test');
+  assert.equal(normalizeCategory('optimization'), 'perf');
+  assert.equal(normalizeCategory('mystery'), 'other');
+  assert.equal(normalizeCategory(null), 'other');
+});
+
+test('getCategoryType writes the conventional type for a category', () => {
+  assert.equal(getCategoryType('feature'), 'feat');
+  assert.equal(getCategoryType('hotfix'), 'fix');
+  assert.equal(getCategoryType('other'), 'chore');
+});
+
+test('a known conventional commit type wins over keywords', () => {
+  assert.deepEqual(categorizeMessage('docs(api): fix typo in the error table'), {
+    category: 'docs',
+    confidence: 0.9,
+    reason: 'Conventional commit type "docs"'
+  });
+  assert.equal(categorizeMessage('feat!: drop Node 16').category, 'feature');
+  assert.equal(categorizeMessage('fix(auth): handle expired tokens\n\nLonger body about tests').category, 'bugfix');
+});
+
+test('messages without a known type fall back to keyword rules in order', () => {
+  assert.equal(categorizeMessage('Revert "Add dark mode"').category, 'revert');
+  assert.equal(categorizeMessage('Sanitize markdown to prevent XSS').category, 'security');
+  assert.equal(categorizeMessage('Fix crash when the list is empty').category, 'bugfix');
+  assert.equal(categorizeMessage('Bump express from 4.18 to 4.19').category, 'build');
+  assert.equal(categorizeMessage('Add export to CSV').category, 'feature');
+  assert.equal(categorizeMessage('wip: Add export to CSV').category, 'feature');
+  assert.equal(categorizeMessage('Add export to CSV').confidence, 0.6);
+});
+
+test('messages without keywords are "other" with low confidence', () => {
+  assert.deepEqual(categorizeMessage('misc'), {
+    category: 'other',
+    confidence: 0.4,
+    reason: 'No category keywords found'
+  });
+  assert.equal(categorizeMessage('').category, 'other');
+});
+
+test('countByCategory counts by category, falling back to the conventional type', () => {
+  assert.deepEqual(countByCategory([
+    { category: 'feature' },
+    { type: 'feat' },
+    { type: 'fix' },
+    { category: 'docs', type: 'chore' },
+    {}
+  ]), { feature: 2, bugfix: 1, docs: 1, other: 1 });
+});
+
+test('describeCategories lists every category for prompts', () => {
+  const lines = describeCategories().split('\n');
+  assert.equal(lines.length, COMMIT_CATEGORIES.length);
+  assert.equal(lines[0], '- feature: new functionality, additions, enhancements');
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSummaryRange, resolveRetrospectiveRange, getZonedDayRange, MAX_SUMMARY_RANGE_DAYS } from '../utils/DateUtils.js';
+
+test('resolveSummaryRange covers yesterday in the user time zone', () => {
+  // 03:00 UTC on Wednesday is still Tuesday evening in New York
+  const range = resolveSummaryRange({ timeZone: 'America/New_York', now: new Date('2024-03-13T03:00:00Z') });
+
+  assert.equal(range.from, '2024-03-11');
+  assert.equal(range.to, '2024-03-11');
+  assert.equal(range.label, 'yesterday');
+  assert.equal(range.start.toISOString(), '2024-03-11T04:00:00.000Z');
+  assert.equal(range.end.toISOString(), '2024-03-12T03:59:59.999Z');
+  assert.equal(range.key, '2024-03-11..2024-03-11@America/New_York');
+});
+
+test('getZonedDayRange follows daylight saving changes', () => {
+  // 2024-03-10 is 23 hours long in New York
+  const { start, end } = getZonedDayRange('2024-03-10', '2024-03-10', 'America/New_York');
+
+  assert.equal(start.toISOString(), '2024-03-10T05:00:00.000Z');
+  assert.equal(end.toISOString(), '2024-03-11T03:59:59.999Z');
+});
+
+test('resolveSummaryRange skips weekends back to Friday', () => {
+  // Monday
+  const range = resolveSummaryRange({ skipWeekends: true, now: new Date('2024-03-11T09:00:00Z') });
+
+  assert.equal(range.from, '2024-03-08');
+  assert.equal(range.to, '2024-03-08');
+  assert.equal(range.label, 'last workday');
+});
+
+test('resolveSummaryRange covers Friday to Sunday on Mondays when asked', () => {
+  const range = resolveSummaryRange({ mondayCoversWeekend: true, now: new Date('2024-03-11T09:00:00Z') });
+
+  assert.equal(range.from, '2024-03-08');
+  assert.equal(range.to, '2024-03-10');
+  assert.equal(range.label, 'Friday to Sunday');
+});
+
+test('resolveSummaryRange uses explicit days and validates them', () => {
+  const range = resolveSummaryRange({ from: '2024-01-01', to: '2024-01-05', timeZone: 'Asia/Tokyo' });
+  assert.equal(range.start.toISOString(), '2023-12-31T15:00:00.000Z');
+  assert.equal(range.label, '2024-01-01 to 2024-01-05');
+
+  assert.throws(() => resolveSummaryRange({ from: '2024-01-05', to: '2024-01-01' }), /on or before/);
+  assert.throws(() => resolveSummaryRange({ from: '2024-02-30' }), /Invalid date/);
+  assert.throws(() => resolveSummaryRange({ from: '2024-01-01', to: '2024-03-01' }), new RegExp(`${MAX_SUMMARY_RANGE_DAYS} days`));
+  assert.throws(() => resolveSummaryRange({ timeZone: 'Mars/Olympus' }), /Invalid time zone/);
+});
+
+test('resolveRetrospectiveRange covers the 7 completed days before today', () => {
+  // Already Thursday in Tokyo
+  const range = resolveRetrospectiveRange({ timeZone: 'Asia/Tokyo', now: new Date('2024-03-13T16:00:00Z') });
+
+  assert.equal(range.type, 'week');
+  assert.equal(range.from, '2024-03-07');
+  assert.equal(range.to, '2024-03-13');
+  assert.equal(range.end.toISOString(), '2024-03-13T14:59:59.999Z');
+});
+
+test('resolveRetrospectiveRange cuts a running sprint off at yesterday', () => {
+  const now = new Date('2024-03-13T09:00:00Z');
+
+  const running = resolveRetrospectiveRange({ period: 'sprint', from: '2024-03-04', to: '2024-03-15', now });
+  assert.equal(running.type, 'sprint');
+  assert.equal(running.from, '2024-03-04');
+  assert.equal(running.to, '2024-03-12');
+
+  const finished = resolveRetrospectiveRange({ period: 'sprint', from: '2024-02-19', to: '2024-03-01', now });
+  assert.equal(finished.to, '2024-03-01');
+
+  assert.throws(() => resolveRetrospectiveRange({ period: 'sprint', from: '2024-03-13', to: '2024-03-20', now }), /no completed days/);
+  assert.throws(() => resolveRetrospectiveRange({ period: 'sprint', from: '2024-03-04', now }), /require both/);
+  assert.throws(() => resolveRetrospectiveRange({ period: 'month', now }), /Unknown retrospective period/);
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePatchHunks } from '../utils/DiffUtils.js';
+import {
+  parseLineRange,
+  findChangedFile,
+  locateFinding,
+  locateFindings,
+  formatFindingLocation
+} from '../utils/DiffFindings.js';
+
+const PATCH = [
+  '@@ -10,4 +10,5 @@ function load() {',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+const c = 4;',
+  '',
+  ' return a;',
+  '@@ -40 +41,2 @@',
+  '-old();',
+  '+next();',
+  '+done();',
+  '\\ No newline at end of file',
+  ''
+].join('\n');
+
+const FILES = [
+  { filename: 'src/app.js', patch: PATCH },
+  { filename: 'lib/app.js', patch: '@@ -1 +1 @@\n-a\n+b' },
+  { filename: 'assets/logo.png', patch: null }
+];
+
+test('parsePatchHunks numbers old and new lines of every hunk', () => {
+  const [first, second] = parsePatchHunks(PATCH);
+
+  assert.equal(first.header, '@@ -10,4 +10,5 @@ function load() {');
+  assert.equal(first.newStart, 10);
+  assert.equal(first.newEnd, 14);
+  assert.deepEqual(first.lines.map(line => [line.type, line.oldLine, line.newLine]), [
+    ['context', 10, 10],
+    ['del', 11, null],
+    ['add', null, 11],
+    ['add', null, 12],
+    ['context', 12, 13], // Blank context line with its leading space trimmed
+    ['context', 13, 14]
+  ]);
+  assert.deepEqual(second.lines.map(line => [line.type, line.content]), [['del', 'old();'], ['add', 'next();'], ['add', 'done();']]);
+  assert.equal(second.newStart, 41);
+  assert.equal(second.newEnd, 42);
+});
+
+test('parsePatchHunks ignores a trailing newline and text past the last hunk', () => {
+  const [hunk] = parsePatchHunks('@@ -1,2 +1,2 @@\n a\n-b\n+c\n');
+
+  assert.deepEqual(hunk.lines.map(line => line.type), ['context', 'del', 'add']);
+  assert.equal(hunk.lines.at(-1).newLine, 2);
+  assert.deepEqual(parsePatchHunks(''), []);
+  assert.deepEqual(parsePatchHunks(null), []);
+});
+
+test('parseLineRange prefers lineStart/lineEnd and falls back to free-form lines', () => {
+  assert.deepEqual(parseLineRange({ lineStart: '12', lineEnd: 15 }), { start: 12, end: 15 });
+  assert.deepEqual(parseLineRange({ lineStart: 12, lineEnd: 3 }), { start: 12, end: 12 });
+  assert.deepEqual(parseLineRange({ line: '~40' }), { start: 40, end: 40 });
+  assert.deepEqual(parseLineRange({ line: 'L40 to L45' }), { start: 40, end: 45 });
+  assert.equal(parseLineRange({ line: 'somewhere' }), null);
+});
+
+test('findChangedFile matches exact paths, prefixed paths and unique suffixes', () => {
+  assert.equal(findChangedFile('src/app.js', FILES).filename, 'src/app.js');
+  assert.equal(findChangedFile('b/src/app.js', FILES).filename, 'src/app.js');
+  assert.equal(findChangedFile('repo/lib/app.js', FILES).filename, 'lib/app.js');
+  assert.equal(findChangedFile('app.js', FILES), null); // Two files end with it
+  assert.equal(findChangedFile('assets/logo.png', FILES), null); // No patch to point into
+  assert.equal(findChangedFile('', [FILES[0], FILES[2]]).filename, 'src/app.js');
+});
+
+test('locateFinding pins a finding to its lines with a link and an excerpt', () => {
+  const finding = locateFinding(
+    { file: 'src/app.js', lineStart: 11, lineEnd: 30, message: 'Magic number' },
+    FILES,
+    { repositoryFullName: 'octo/repo', sha: 'abc123' }
+  );
+
+  assert.equal(finding.located, true);
+  assert.equal(finding.lineStart, 11);
+  assert.equal(finding.lineEnd, 14); // Clipped to the hunk
+  assert.equal(finding.line, '11-14');
+  assert.equal(finding.url, 'https://github.com/octo/repo/blob/abc123/src/app.js#L11-L14');
+  assert.equal(finding.message, 'Magic number');
+  assert.deepEqual(
+    finding.excerpt.lines.filter(line => line.highlight).map(line => line.newLine),
+    [11, 12, 13, 14]
+  );
+});
+
+test('findings outside the diff keep their text but lose their location', () => {
+  const [outside, unknownFile] = locateFindings([
+    { file: 'src/app.js', lineStart: 100, message: 'Far away' },
+    { file: 'src/missing.js', line: '3', message: 'Unknown file' }
+  ], FILES);
+
+  assert.equal(outside.located, false);
+  assert.equal(outside.file, 'src/app.js');
+  assert.equal(outside.excerpt, null);
+  assert.equal(unknownFile.file, null);
+  assert.equal(unknownFile.message, 'Unknown file');
+});
+
+test('a finding without a repository has no link', () => {
+  assert.equal(locateFinding({ file: 'src/app.js', lineStart: 41 }, FILES).url, null);
+});
+
+test('findings outside GitHub are located but have no link', () => {
+  ['gitlab', 'bitbucket', 'local'].forEach(provider => {
+    const finding = locateFinding(
+      { file: 'src/app.js', lineStart: 41 },
+      FILES,
+      { repositoryFullName: 'group/sub/repo', sha: 'abc123', provider }
+    );
+    assert.equal(finding.located, true, provider);
+    assert.equal(finding.url, null, provider);
+  });
+  assert.match(locateFindings([{ file: 'src/app.js', lineStart: 41 }], FILES, {
+    repositoryFullName: 'octo/repo',
+    sha: 'abc123',
+    provider: 'github'
+  })[0].url, /^https:\/\/github\.com\/octo\/repo\/blob\/abc123\/src\/app\.js#L41$/);
+});
+
+test('formatFindingLocation prints file and lines', () => {
+  assert.equal(formatFindingLocation({ file: 'src/app.js', lineStart: 40, lineEnd: 45 }), 'src/app.js:40-45');
+  assert.equal(formatFindingLocation({ file: 'src/app.js', lineStart: 40, lineEnd: 40 }), 'src/app.js:40');
+  assert.equal(formatFindingLocation({ file: 'src/app.js' }), 'src/app.js');
+  assert.equal(formatFindingLocation({ line: '~40' }), '~40');
+  assert.equal(formatFindingLocation({}), 'unknown');
+});
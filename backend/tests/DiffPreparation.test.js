@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OMIT_REASONS, getOmitReason, prepareDiff, describeOmittedFiles } from '../utils/DiffPreparation.js';
+
+// A patch of hunks, each with the given number of added lines
+const patchOf = (...hunkSizes) => hunkSizes
+  .map((lines, index) => [
+    `@@ -${index * 100 + 1},0 +${index * 100 + 1},${lines} @@`,
+    ...Array.from({ length: lines }, (_, line) => `+hunk ${index} line ${line} ${'x'.repeat(30)}`)
+  ].join('\n'))
+  .join('\n');
+
+const fileOf = (filename, patch, changes = 1) => ({ filename, patch, changes });
+
+test('lockfiles, vendored, generated and patchless files are omitted with a reason', () => {
+  assert.equal(getOmitReason(fileOf('package-lock.json', '+{}')), OMIT_REASONS.LOCKFILE);
+  assert.equal(getOmitReason(fileOf('vendor/lib/a.go', '+x')), OMIT_REASONS.VENDORED);
+  assert.equal(getOmitReason(fileOf('public/app.min.js', '+x')), OMIT_REASONS.GENERATED);
+  assert.equal(getOmitReason(fileOf('src/api.ts', '+// Code generated by protoc. DO NOT EDIT.\n+x')), OMIT_REASONS.GENERATED);
+  assert.equal(getOmitReason(fileOf('assets/logo.png', undefined)), OMIT_REASONS.BINARY);
+  assert.equal(getOmitReason(fileOf('src/app.js', '+const a = 1;')), null);
+});
+
+test('kept files are ranked source first, then by lines changed', () => {
+  const { files, omitted } = prepareDiff([
+    fileOf('README.md', '+docs', 50),
+    fileOf('src/small.js', '+a', 2),
+    fileOf('yarn.lock', '+lock', 500),
+    fileOf('tests/app.test.js', '+t', 40),
+    fileOf('src/big.js', '+b', 30)
+  ]);
+
+  assert.deepEqual(files.map(file => file.filename), ['src/big.js', 'src/small.js', 'tests/app.test.js', 'README.md']);
+  assert.deepEqual(omitted, [{ filename: 'yarn.lock', reason: OMIT_REASONS.LOCKFILE }]);
+});
+
+test('small files share a chunk and each gets a git header', () => {
+  const prepared = prepareDiff([fileOf('src/a.js', '+a'), fileOf('src/b.js', '+b')]);
+
+  assert.equal(prepared.chunks.length, 1);
+  assert.equal(prepared.diff, 'diff --git a/src/a.js b/src/a.js\n+a\ndiff --git a/src/b.js b/src/b.js\n+b');
+});
+
+test('a large file is split between hunks into chunks that repeat its header', () => {
+  const file = fileOf('src/big.js', patchOf(10, 10, 10), 30);
+  const prepared = prepareDiff([file], { chunkChars: 800, maxChunks: 4 });
+
+  assert.ok(prepared.chunks.length > 1);
+  prepared.chunks.forEach(chunk => {
+    assert.ok(chunk.length <= 800);
+    assert.ok(chunk.startsWith('diff --git a/src/big.js b/src/big.js\n@@'));
+  });
+  assert.equal(prepared.chunks.join('').match(/^\+hunk/gm).length, 30);
+  assert.deepEqual(prepared.files, [{ filename: 'src/big.js', kind: 'source', changes: 30, partial: false }]);
+});
+
+test('a hunk longer than a chunk is cut short and marked', () => {
+  const prepared = prepareDiff([fileOf('src/huge.js', patchOf(100))], { chunkChars: 600, maxChunks: 2 });
+
+  assert.equal(prepared.chunks.length, 1);
+  assert.ok(prepared.chunks[0].length <= 600);
+  assert.ok(prepared.chunks[0].endsWith('... (hunk truncated)'));
+});
+
+test('files that no longer fit in the chunk limit are partial or omitted for size', () => {
+  const prepared = prepareDiff([
+    fileOf('src/first.js', patchOf(10, 10, 10), 30),
+    fileOf('src/second.js', patchOf(10), 10)
+  ], { chunkChars: 500, maxChunks: 2 });
+
+  assert.equal(prepared.chunks.length, 2);
+  assert.deepEqual(prepared.files.map(file => [file.filename, file.partial]), [['src/first.js', true]]);
+  assert.deepEqual(prepared.omitted, [{ filename: 'src/second.js', reason: OMIT_REASONS.SIZE }]);
+});
+
+test('an empty commit prepares to an empty diff', () => {
+  assert.deepEqual(prepareDiff(), { diff: '', chunks: [], files: [], omitted: [] });
+});
+
+test('describeOmittedFiles names files up to the limit and counts the rest', () => {
+  const omitted = [
+    { filename: 'package-lock.json', reason: 'lockfile' },
+    { filename: 'dist/app.js', reason: 'generated' },
+    { filename: 'logo.png', reason: 'binary' }
+  ];
+
+  assert.equal(describeOmittedFiles(omitted), 'package-lock.json (lockfile), dist/app.js (generated), logo.png (binary)');
+  assert.equal(describeOmittedFiles(omitted, 1), 'package-lock.json (lockfile) and 2 more');
+  assert.equal(describeOmittedFiles([]), '');
+});
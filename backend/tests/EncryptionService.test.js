@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+const NEW_KEY = crypto.randomBytes(32).toString('hex');
+
+// The keyring is read on first use and kept per module instance, so each key setup
+// gets a fresh import that reads its keys straight away
+const loadWithKeys = async (keys, instance) => {
+  process.env.ENCRYPTION_KEYS = keys;
+  const service = await import(`../services/security/EncryptionService.js?${instance}`);
+  assert.ok(service.isEncryptionConfigured());
+  return service;
+};
+
+const before = await loadWithKeys(`1:${OLD_KEY}`, 'before-rotation');
+const after = await loadWithKeys(`2:${NEW_KEY}, 1:${OLD_KEY}`, 'after-rotation');
+const withoutOldKey = await loadWithKeys(`2:${NEW_KEY}`, 'old-key-dropped');
+delete process.env.ENCRYPTION_KEYS;
+
+test('encryptSecret writes the versioned format with a fresh IV per value', () => {
+  const first = before.encryptSecret('ghp_token');
+  const second = before.encryptSecret('ghp_token');
+
+  assert.match(first, /^enc:v1:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/);
+  assert.notEqual(first, second);
+  assert.equal(before.decryptSecret(first), 'ghp_token');
+  assert.equal(before.decryptSecret(second), 'ghp_token');
+});
+
+test('empty, missing and already encrypted values are left alone', () => {
+  const encrypted = before.encryptSecret('sk-key');
+
+  assert.equal(before.encryptSecret(''), '');
+  assert.equal(before.encryptSecret(null), null);
+  assert.equal(before.encryptSecret(undefined), undefined);
+  assert.equal(before.encryptSecret(encrypted), encrypted);
+});
+
+test('legacy plaintext is returned unchanged and marked for migration', () => {
+  assert.equal(before.isEncryptedSecret('plain-token'), false);
+  assert.equal(before.decryptSecret('plain-token'), 'plain-token');
+  assert.equal(before.needsReEncryption('plain-token'), true);
+  assert.equal(before.needsReEncryption(''), false);
+});
+
+test('after a rotation old values still decrypt and are marked for re-encryption', () => {
+  const oldValue = before.encryptSecret('rotated-secret');
+  const newValue = after.encryptSecret('rotated-secret');
+
+  assert.ok(newValue.startsWith('enc:v2:'));
+  assert.equal(after.decryptSecret(oldValue), 'rotated-secret');
+  assert.equal(after.needsReEncryption(oldValue), true);
+  assert.equal(after.needsReEncryption(newValue), false);
+});
+
+test('a value whose key was removed cannot be decrypted', () => {
+  const oldValue = before.encryptSecret('orphaned');
+
+  assert.throws(() => withoutOldKey.decryptSecret(oldValue), /No encryption key with version 1/);
+});
+
+test('tampered ciphertext fails authentication', () => {
+  const parts = before.encryptSecret('integrity').split(':');
+  const ciphertext = Buffer.from(parts[4], 'base64');
+  ciphertext[0] ^= 0xff;
+  parts[4] = ciphertext.toString('base64');
+
+  assert.throws(() => before.decryptSecret(parts.join(':')));
+});
+
+test('encryptedString getters read undecryptable values as null', () => {
+  const path = withoutOldKey.encryptedString({ select: false });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(path.select, false);
+    assert.equal(path.get(before.encryptSecret('orphaned')), null);
+    assert.equal(path.get(path.set('readable')), 'readable');
+  } finally {
+    console.error = originalError;
+  }
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FILE_KINDS, classifyFile } from '../utils/FileClassifier.js';
+
+const expectKinds = (kind, filenames) => {
+  filenames.forEach(filename => assert.equal(classifyFile(filename), kind, filename));
+};
+
+test('lockfiles are recognized by name in any directory', () => {
+  expectKinds(FILE_KINDS.LOCKFILE, ['package-lock.json', 'frontend/yarn.lock', 'Cargo.lock', 'go.sum', 'ios/Podfile.lock']);
+});
+
+test('CI workflows and pipeline files are CI', () => {
+  expectKinds(FILE_KINDS.CI, ['.github/workflows/test.yml', '.github/dependabot.yml', '.gitlab-ci.yml', 'Jenkinsfile', '.circleci/config.yml']);
+});
+
+test('test directories, suffixes and JUnit-style classes are tests', () => {
+  expectKinds(FILE_KINDS.TEST, [
+    'backend/tests/DateUtils.test.js',
+    'src/__tests__/App.jsx',
+    'src/user.spec.ts',
+    'test_models.py',
+    'server/handler_test.go',
+    'src/main/java/UserServiceTest.java',
+    'docs/fixtures/sample.md' // The first matching kind wins
+  ]);
+});
+
+test('JUnit-style names only count with a lower-case letter or digit before "Test"', () => {
+  expectKinds(FILE_KINDS.SOURCE, ['src/latest.php', 'src/Test.java']);
+});
+
+test('migrations, build files, docs and config are told apart', () => {
+  expectKinds(FILE_KINDS.MIGRATION, ['db/migrate/20240101_add_users.rb', 'alembic/versions/abc.py', 'prisma/schema.prisma']);
+  expectKinds(FILE_KINDS.BUILD, ['package.json', 'requirements-dev.txt', 'Dockerfile.prod', 'vite.config.js', 'app/app.csproj']);
+  expectKinds(FILE_KINDS.DOCS, ['README.md', 'docs/setup.html', 'LICENSE', 'CHANGELOG']);
+  expectKinds(FILE_KINDS.CONFIG, ['.eslintrc.json', '.gitignore', 'tailwind.config.js', 'tsconfig.app.json', 'config/app.yaml']);
+});
+
+test('everything else is source', () => {
+  expectKinds(FILE_KINDS.SOURCE, ['backend/server.js', 'src/components/App.jsx', 'lib/parser.rb']);
+  assert.equal(classifyFile(undefined), FILE_KINDS.SOURCE);
+});
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isRateLimitError,
+  isRetryableError,
+  getRetryDelay,
+  createWorkQueue
+} from '../utils/WorkQueue.js';
+
+const httpError = (status, headers = {}, message = 'Request failed') =>
+  Object.assign(new Error(message), { status, response: { headers } });
+
+// Fails with the given errors in turn, then succeeds
+const failingTask = (...errors) => {
+  const task = async () => {
+    task.calls++;
+    if (errors.length > 0) throw errors.shift();
+    return 'done';
+  };
+  task.calls = 0;
+  return task;
+};
+
+const silenceWarnings = async (run) => {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    return await run();
+  } finally {
+    console.warn = originalWarn;
+  }
+};
+
+test('rate limits are 429s and GitHub 403s that say so', () => {
+  assert.ok(isRateLimitError(httpError(429)));
+  assert.ok(isRateLimitError(httpError(403, { 'retry-after': '30' })));
+  assert.ok(isRateLimitError(httpError(403, { 'x-ratelimit-remaining': '0' })));
+  assert.ok(isRateLimitError(httpError(403, {}, 'You have exceeded a secondary rate limit')));
+  assert.ok(!isRateLimitError(httpError(403, {}, 'Resource not accessible by integration')));
+});
+
+test('server errors and dropped connections are retryable, client errors are not', () => {
+  assert.ok(isRetryableError(httpError(502)));
+  assert.ok(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })));
+  assert.ok(!isRetryableError(httpError(404)));
+  assert.ok(!isRetryableError(httpError(422)));
+});
+
+test('getRetryDelay honors Retry-After in seconds, milliseconds and HTTP dates', () => {
+  assert.equal(getRetryDelay(httpError(429, { 'retry-after': '7' }), 1), 7000);
+  assert.equal(getRetryDelay(httpError(429, { 'retry-after-ms': '250' }), 1), 250);
+
+  const dateDelay = getRetryDelay(httpError(429, { 'retry-after': new Date(Date.now() + 5000).toUTCString() }), 1);
+  assert.ok(dateDelay > 3000 && dateDelay <= 5000);
+});
+
+test('getRetryDelay waits for the rate limit reset, then backs off exponentially', () => {
+  const reset = Math.floor(Date.now() / 1000) + 10;
+  const resetDelay = getRetryDelay(httpError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }), 1);
+  assert.ok(resetDelay > 8000 && resetDelay <= 10000);
+
+  const first = getRetryDelay(httpError(503), 1);
+  const third = getRetryDelay(httpError(503), 3);
+  assert.ok(first >= 1000 && first <= 1250);
+  assert.ok(third >= 4000 && third <= 5000);
+});
+
+test('a rate limit pauses the whole queue for its Retry-After', async () => {
+  const queue = createWorkQueue({ concurrency: 1, retries: 2, maxDelayMs: 1000 });
+  const limited = failingTask(httpError(429, { 'retry-after-ms': '100' }));
+  const started = [];
+
+  await silenceWarnings(async () => {
+    const first = queue.run(async () => {
+      started.push(['limited', Date.now()]);
+      return limited();
+    });
+    const second = queue.run(async () => {
+      started.push(['waiting', Date.now()]);
+      return 'second';
+    });
+    assert.deepEqual(await Promise.all([first, second]), ['done', 'second']);
+  });
+
+  // The rate limited request goes first again, and nothing runs before the pause ends
+  assert.deepEqual(started.map(([name]) => name), ['limited', 'limited', 'waiting']);
+  assert.ok(started[1][1] - started[0][1] >= 90);
+  assert.equal(queue.size, 0);
+});
+
+test('tasks are retried up to the retry limit and then rejected', async () => {
+  const queue = createWorkQueue({ retries: 2, maxDelayMs: 1000 });
+  const task = failingTask(
+    httpError(429, { 'retry-after-ms': '0' }),
+    httpError(429, { 'retry-after-ms': '0' }),
+    httpError(429, { 'retry-after-ms': '0' })
+  );
+
+  await silenceWarnings(() => assert.rejects(queue.run(task), { status: 429 }));
+  assert.equal(task.calls, 3);
+});
+
+test('errors that are not retryable or would wait too long fail straight away', async () => {
+  const queue = createWorkQueue({ retries: 3, maxDelayMs: 1000 });
+
+  const notFound = failingTask(httpError(404));
+  await assert.rejects(queue.run(notFound), { status: 404 });
+  assert.equal(notFound.calls, 1);
+
+  const longWait = failingTask(httpError(429, { 'retry-after': '120' }));
+  await assert.rejects(queue.run(longWait), { status: 429 });
+  assert.equal(longWait.calls, 1);
+});
+
+test('retryOn limits which errors a task is retried after', async () => {
+  const queue = createWorkQueue({ retries: 3, maxDelayMs: 1000 });
+
+  // A write that hit a server error is not repeated
+  const write = failingTask(httpError(502));
+  await assert.rejects(queue.run(write, { retryOn: isRateLimitError }), { status: 502 });
+  assert.equal(write.calls, 1);
+
+  // ...but one that was rate limited is
+  const limitedWrite = failingTask(httpError(429, { 'retry-after-ms': '0' }));
+  await silenceWarnings(async () => {
+    assert.equal(await queue.run(limitedWrite, { retryOn: isRateLimitError }), 'done');
+  });
+  assert.equal(limitedWrite.calls, 2);
+});
+
+test('concurrency caps the requests in flight', async () => {
+  const queue = createWorkQueue({ concurrency: 2 });
+  let active = 0;
+  let peak = 0;
+
+  const task = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    active--;
+  };
+
+  await Promise.all(Array.from({ length: 6 }, () => queue.run(task)));
+  assert.equal(peak, 2);
+});
@@ -0,0 +1,45 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAllowedBaseUrlOrigins, isInternalAddress, isInternalHost } from '../config/aiEndpoints.js';
+import { PROVIDERS, getProvider, getBaseUrlError, assertBaseUrlAllowed } from '../services/ai/LLMProviders.js';
+
+const compatible = getProvider(PROVIDERS.OPENAI_COMPATIBLE);
+
+afterEach(() => {
+  delete process.env.AI_ALLOWED_BASE_URLS;
+});
+
+test('loopback, private, link-local and metadata hosts are internal', () => {
+  [
+    'http://localhost:11434', 'http://api.localhost', 'http://127.0.0.1', 'http://2130706433',
+    'http://10.1.2.3', 'http://192.168.1.10:8000', 'http://169.254.169.254/latest/meta-data',
+    'http://metadata.google.internal', 'http://[::1]:8080', 'http://[fe80::1]', 'http://[::ffff:169.254.169.254]',
+    'http://[fd00:ec2::254]', 'http://0.0.0.0'
+  ].forEach(url => assert.ok(isInternalHost(new URL(url)), url));
+
+  ['https://api.openai.com', 'http://8.8.8.8', 'http://[2001:db8::1]', 'http://172.32.0.1'].forEach(url => {
+    assert.ok(!isInternalHost(new URL(url)), url);
+  });
+  assert.ok(!isInternalAddress('not-an-ip'));
+});
+
+test('internal base URLs are rejected unless their origin is allowed', () => {
+  assert.ok(!compatible.validateBaseUrl('http://localhost:11434/v1'));
+  assert.match(getBaseUrlError('http://169.254.169.254'), /AI_ALLOWED_BASE_URLS/);
+  assert.ok(compatible.validateBaseUrl('https://llm.example.com/v1'));
+
+  process.env.AI_ALLOWED_BASE_URLS = 'http://localhost:11434/, not a url';
+  assert.deepEqual([...getAllowedBaseUrlOrigins()], ['http://localhost:11434']);
+  assert.ok(compatible.validateBaseUrl('http://localhost:11434/v1'));
+  assert.ok(!compatible.validateBaseUrl('http://localhost:8080/v1')); // Origins include the port
+  assert.equal(getBaseUrlError('ftp://localhost:11434'), 'Base URL must be an absolute http(s) URL');
+});
+
+test('assertBaseUrlAllowed checks where a host name resolves', async () => {
+  await assert.rejects(assertBaseUrlAllowed('http://169.254.169.254'), { code: 'AI_BASE_URL_NOT_ALLOWED' });
+  await assert.rejects(assertBaseUrlAllowed('http://[::1]'), { code: 'AI_BASE_URL_NOT_ALLOWED' });
+  await assertBaseUrlAllowed('http://8.8.8.8/v1');
+
+  process.env.AI_ALLOWED_BASE_URLS = 'http://169.254.169.254';
+  await assertBaseUrlAllowed('http://169.254.169.254/v1');
+});
@@ -0,0 +1,33 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { isTokenLoginEnabled, getTokenLoginUsers } from '../config/github.js';
+
+afterEach(() => {
+  delete process.env.GITHUB_TOKEN_LOGIN;
+  delete process.env.GITHUB_TOKEN_LOGIN_USERS;
+});
+
+test('token login stays disabled while GITHUB_TOKEN_LOGIN_USERS is empty', () => {
+  process.env.GITHUB_TOKEN_LOGIN = 'true';
+  assert.equal(isTokenLoginEnabled(), false);
+
+  process.env.GITHUB_TOKEN_LOGIN_USERS = ' , ';
+  assert.deepEqual(getTokenLoginUsers(), []);
+  assert.equal(isTokenLoginEnabled(), false);
+});
+
+test('token login is enabled for the listed logins only', () => {
+  process.env.GITHUB_TOKEN_LOGIN = 'true';
+  process.env.GITHUB_TOKEN_LOGIN_USERS = 'Octocat, hubot';
+
+  assert.equal(isTokenLoginEnabled(), true);
+  assert.deepEqual(getTokenLoginUsers(), ['octocat', 'hubot']);
+});
+
+test('token login is off unless GITHUB_TOKEN_LOGIN is "true"', () => {
+  process.env.GITHUB_TOKEN_LOGIN_USERS = 'octocat';
+  assert.equal(isTokenLoginEnabled(), false);
+
+  process.env.GITHUB_TOKEN_LOGIN = '1';
+  assert.equal(isTokenLoginEnabled(), false);
+});
@@ -0,0 +1,145 @@
+/**
+ * Author filtering utilities
+ * Decide whose commits count as "your" work in summaries, task suggestions and quality analysis
+ */
+
+export const AUTHOR_FILTER_MODES = {
+  ME: 'me', // Only the logged-in GitHub user
+  SELECTED: 'selected', // A chosen list of logins and/or emails
+  EVERYONE: 'everyone' // Every commit in the user's repositories
+};
+
+export const DEFAULT_AUTHOR_FILTER_MODE = AUTHOR_FILTER_MODES.ME;
+
+/**
+ * Check whether a value is a supported author filter mode
+ * @param {string} mode - Mode to check
+ * @returns {boolean} True if supported
+ */
+export const isValidAuthorFilterMode = (mode) => {
+  return Object.values(AUTHOR_FILTER_MODES).includes(mode);
+};
+
+/**
+ * Parse a comma or newline separated list of logins/emails
+ * @param {string|Array} value - Raw list
+ * @returns {Array<string>} Trimmed, de-duplicated entries
+ */
+export const parseAuthorList = (value) => {
+  const entries = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  return [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+};
+
+/**
+ * Build an author filter
+ * Logins and emails are compared case-insensitively; GitHub's noreply addresses
+ * are added for the logged-in user because web edits and private-email commits use them
+ * @param {Object} options - { mode, login, githubId, emails, selected }
+ * @returns {Object} { mode, logins, emails, key, login } - login is the user the filter was built for
+ */
+export const buildAuthorFilter = ({ mode = DEFAULT_AUTHOR_FILTER_MODE, login, githubId, emails = [], selected = [] } = {}) => {
+  const logins = new Set();
+  const emailSet = new Set();
+
+  if (mode === AUTHOR_FILTER_MODES.ME) {
+    if (login) {
+      logins.add(login.toLowerCase());
+      emailSet.add(`${login}@users.noreply.github.com`.toLowerCase());
+      if (githubId) emailSet.add(`${githubId}+${login}@users.noreply.github.com`.toLowerCase());
+    }
+    emails.filter(Boolean).forEach(email => emailSet.add(email.toLowerCase()));
+  } else if (mode === AUTHOR_FILTER_MODES.SELECTED) {
+    parseAuthorList(selected).forEach(entry => {
+      (entry.includes('@') ? emailSet : logins).add(entry.toLowerCase());
+    });
+  }
+
+  // Cached results are only reused for the same set of authors
+  const key = mode === AUTHOR_FILTER_MODES.EVERYONE
+    ? mode
+    : `${mode}:${[...logins, ...emailSet].sort().join(',')}`;
+
+  return { mode, logins, emails: emailSet, key, login: login || null };
+};
+
+/**
+ * Add the user's identities on another provider to an "only me" filter
+ * GitLab and Bitbucket accounts have their own usernames and commit emails;
+ * the cache key is kept so summaries aren't invalidated per provider
+ * @param {Object} filter - Filter from buildAuthorFilter (null includes everyone)
+ * @param {Object} identities - { logins, emails } on the other provider
+ * @returns {Object} Extended filter (other modes are returned unchanged)
+ */
+export const extendAuthorFilter = (filter, { logins = [], emails = [] } = {}) => {
+  if (!filter || filter.mode !== AUTHOR_FILTER_MODES.ME) return filter;
+
+  return {
+    ...filter,
+    logins: new Set([...filter.logins, ...logins.filter(Boolean).map(login => login.toLowerCase())]),
+    emails: new Set([...filter.emails, ...emails.filter(Boolean).map(email => email.toLowerCase())])
+  };
+};
+
+/**
+ * Check whether a commit was authored by someone the filter includes
+ * @param {Object} commit - Commit with author { username, email }
+ * @param {Object} filter - Filter from buildAuthorFilter
+ * @returns {boolean} True if the commit should be kept
+ */
+export const matchesAuthorFilter = (commit, filter) => {
+  if (!filter || filter.mode === AUTHOR_FILTER_MODES.EVERYONE) return true;
+
+  const username = (commit.author?.username || commit.author?.login || '').toLowerCase();
+  const email = (commit.author?.email || '').toLowerCase();
+
+  return (!!username && filter.logins.has(username)) || (!!email && filter.emails.has(email));
+};
+
+/**
+ * Check whether the filter covers the user's own work (pull requests, reviews)
+ * @param {Object} filter - Filter from buildAuthorFilter (null includes everyone)
+ * @returns {boolean} True unless a selected-authors filter leaves the user out
+ */
+export const includesOwnActivity = (filter) => {
+  if (!filter || filter.mode !== AUTHOR_FILTER_MODES.SELECTED) return true;
+  return !!filter.login && filter.logins.has(filter.login.toLowerCase());
+};
+
+/**
+ * Keep only commits by the filter's authors
+ * @param {Array} commits - Commits with author { username, email }
+ * @param {Object} filter - Filter from buildAuthorFilter (null keeps everything)
+ * @returns {Array} Filtered commits
+ */
+export const filterCommitsByAuthor = (commits, filter) => {
+  return commits.filter(commit => matchesAuthorFilter(commit, filter));
+};
+
+/**
+ * Resolve a user's author filter from their settings
+ * The GitHub account's verified emails are looked up so commits made with a
+ * work or personal address still count as the user's own
+ * @param {Object} user - User document
+ * @param {Object} githubService - GitHub client from createGitHubClient
+ * @returns {Promise<Object>} Filter from buildAuthorFilter
+ */
+export const resolveAuthorFilter = async (user, githubService) => {
+  const mode = user.authorFilter || DEFAULT_AUTHOR_FILTER_MODE;
+  let emails = [user.email, ...(user.authorEmails || [])];
+
+  if (mode === AUTHOR_FILTER_MODES.ME && githubService) {
+    try {
+      emails = emails.concat(await githubService.getUserEmails());
+    } catch (error) {
+      console.warn(`⚠️  AuthorFilter: Could not load GitHub emails for ${user.username}:`, error.message || error.log);
+    }
+  }
+
+  return buildAuthorFilter({
+    mode,
+    login: user.username,
+    githubId: user.githubId,
+    emails,
+    selected: user.authorFilterList || []
+  });
+};
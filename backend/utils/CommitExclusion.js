@@ -0,0 +1,299 @@
+/**
+ * Commit exclusion utilities
+ * Decide which commits are left out of summaries, quality analysis and AI commit analysis:
+ * merges, bot commits (Dependabot, Renovate, ...), messages matching user patterns and
+ * commits that only touch excluded paths. Skipped commits are counted per reason so
+ * callers can report what was left out
+ */
+
+export const COMMIT_SKIP_REASONS = {
+  MERGE: 'merge',
+  BOT: 'bot',
+  MESSAGE: 'message', // Matched one of the user's message patterns
+  PATHS: 'paths' // Only changed excluded paths
+};
+
+export const COMMIT_FILTER_MODES = {
+  EXCLUDE: 'exclude', // Skipped commits are dropped from every list
+  COLLAPSE: 'collapse' // Repository commit lists keep them, marked and without AI analysis
+};
+
+export const DEFAULT_COMMIT_FILTER_MODE = COMMIT_FILTER_MODES.EXCLUDE;
+
+// Logins of well-known bots that don't use the "[bot]" suffix
+const KNOWN_BOT_LOGINS = [
+  'dependabot', 'dependabot-preview', 'renovate', 'renovate-bot', 'greenkeeper', 'snyk-bot',
+  'imgbot', 'mergify', 'semantic-release-bot', 'depfu', 'allcontributors', 'github-actions'
+];
+
+// Default merge messages, only checked for commits whose parents aren't known
+const MERGE_MESSAGE_PATTERNS = [
+  /^Merge pull request #\d+/i,
+  /^Merge branch/i,
+  /^Merge remote-tracking branch/i
+];
+
+// User message patterns run against every commit message on the server, so they are kept short and
+// free of the constructs that make regular expressions backtrack exponentially (ReDoS)
+export const MAX_MESSAGE_PATTERN_LENGTH = 200;
+
+/**
+ * Check whether a value is a supported filter mode
+ * @param {string} mode - Mode to check
+ * @returns {boolean} True if supported
+ */
+export const isValidCommitFilterMode = (mode) => {
+  return Object.values(COMMIT_FILTER_MODES).includes(mode);
+};
+
+/**
+ * Parse a newline separated list of message patterns (regular expressions)
+ * Newlines rather than commas, since commas are common inside patterns
+ * @param {string|Array} value - Raw list
+ * @returns {Array<string>} Trimmed, de-duplicated patterns
+ */
+export const parsePatternList = (value) => {
+  const entries = Array.isArray(value) ? value : String(value || '').split('\n');
+  return [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+};
+
+/**
+ * Check a pattern for nested quantifiers such as (a+)+ or (\w*\s?)*, and backreferences
+ * Scans groups outside character classes: a group containing a quantifier that is itself
+ * repeated by *, + or {n,} can backtrack exponentially on a non-matching message
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} True when the pattern could backtrack catastrophically
+ */
+const hasUnsafeRepetition = (pattern) => {
+  const groups = []; // Whether each open group contains a quantifier
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) return true;
+      i++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const containsQuantifier = groups.pop();
+      const repeated = /^([*+]|\{\d*,\d*\})/.test(pattern.substring(i + 1));
+      if (containsQuantifier && repeated) return true;
+      if (groups.length > 0 && (containsQuantifier || repeated)) groups[groups.length - 1] = true;
+    } else if ((char === '*' || char === '+' || char === '{') && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Explain why a message pattern can't be used
+ * @param {string} pattern - Pattern from parsePatternList
+ * @returns {string|null} Problem description, or null when the pattern is usable
+ */
+export const getPatternError = (pattern) => {
+  if (pattern.length > MAX_MESSAGE_PATTERN_LENGTH) {
+    return `'${pattern.substring(0, 40)}...' is longer than ${MAX_MESSAGE_PATTERN_LENGTH} characters`;
+  }
+  try {
+    new RegExp(pattern, 'i');
+  } catch {
+    return `'${pattern}' is not a valid regular expression`;
+  }
+  if (hasUnsafeRepetition(pattern)) {
+    return `'${pattern}' repeats a group that already repeats (like (a+)+) or uses a backreference, which can stall the server`;
+  }
+  return null;
+};
+
+/**
+ * Find the first pattern that can't be used: invalid, too long or prone to catastrophic backtracking
+ * @param {Array<string>} patterns - Patterns from parsePatternList
+ * @returns {string|null} Rejected pattern (see getPatternError for why), or null when all are usable
+ */
+export const findInvalidPattern = (patterns) => {
+  return patterns.find(pattern => getPatternError(pattern) !== null) || null;
+};
+
+/**
+ * Turn a path glob into a regular expression
+ * "**" matches across directories, "*" and "?" within one; a pattern without a slash
+ * matches the file name in any directory (like .gitignore)
+ * @param {string} glob - Glob such as "dist/**" or "*.lock"
+ * @returns {RegExp} Expression matching whole paths
+ */
+const globToRegExp = (glob) => {
+  const pattern = glob.replace(/^\.?\//, '').replace(/\/$/, '/**');
+  const source = pattern
+    .split(/(\*\*\/?|\*|\?)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`${pattern.includes('/') ? '^' : '(?:^|/)'}${source}$`, 'i');
+};
+
+/**
+ * Build exclusion rules
+ * @param {Object} options - { excludeMerges, excludeBots, botAuthors, messagePatterns, paths, mode }
+ *   botAuthors are extra bot logins or emails; paths are globs
+ * @returns {Object} Rules for getSkipReason and partitionCommits, with a key for caching
+ */
+export const buildCommitExclusion = ({
+  excludeMerges = true,
+  excludeBots = true,
+  botAuthors = [],
+  messagePatterns = [],
+  paths = [],
+  mode = DEFAULT_COMMIT_FILTER_MODE
+} = {}) => {
+  const validPatterns = messagePatterns.filter(pattern => !findInvalidPattern([pattern]));
+
+  // Cached summaries are only reused for the same rules
+  const key = [
+    excludeMerges ? 'm' : '',
+    excludeBots ? 'b' : '',
+    botAuthors.join(','),
+    validPatterns.join('\n'),
+    paths.join(',')
+  ].join('|');
+
+  return {
+    excludeMerges,
+    excludeBots,
+    botAuthors: new Set(botAuthors.map(author => author.toLowerCase())),
+    messagePatterns: validPatterns.map(pattern => new RegExp(pattern, 'i')),
+    pathPatterns: paths.map(globToRegExp),
+    mode,
+    key
+  };
+};
+
+/**
+ * Resolve a user's exclusion rules from their settings
+ * @param {Object} user - User document
+ * @returns {Object} Rules from buildCommitExclusion
+ */
+export const resolveCommitExclusion = (user) => {
+  return buildCommitExclusion({
+    excludeMerges: user?.excludeMergeCommits !== false,
+    excludeBots: user?.excludeBotCommits !== false,
+    botAuthors: user?.commitBotAuthors || [],
+    messagePatterns: user?.commitExcludePatterns || [],
+    paths: user?.commitExcludePaths || [],
+    mode: user?.commitFilterMode || DEFAULT_COMMIT_FILTER_MODE
+  });
+};
+
+/**
+ * Check whether a commit is a merge
+ * Parents decide when they are known; the default merge messages are only a fallback for
+ * commits without them (pushed commits not yet synced, providers that don't report parents)
+ * @param {Object} commit - Commit with parents and message
+ * @returns {boolean} True for merge commits
+ */
+export const isMergeCommit = (commit) => {
+  if (commit.parents && commit.parents.length > 0) return commit.parents.length > 1;
+  return MERGE_MESSAGE_PATTERNS.some(pattern => pattern.test(commit.message || ''));
+};
+
+/**
+ * Check whether a commit was made by a bot
+ * @param {Object} commit - Commit with author { name, username, email }
+ * @param {Set<string>} extraAuthors - Additional bot logins or emails (lower case)
+ * @returns {boolean} True for bot commits
+ */
+export const isBotCommit = (commit, extraAuthors = new Set()) => {
+  const identities = [commit.author?.username, commit.author?.login, commit.author?.name, commit.author?.email]
+    .filter(Boolean)
+    .map(value => String(value).toLowerCase());
+
+  return identities.some(identity =>
+    identity.endsWith('[bot]') ||
+    identity.includes('[bot]@') ||
+    KNOWN_BOT_LOGINS.includes(identity) ||
+    extraAuthors.has(identity)
+  );
+};
+
+/**
+ * Check whether every file a commit changed is covered by the excluded paths
+ * @param {Array} files - Changed files ({ filename }) from getCommitDiff
+ * @param {Object} rules - Rules from buildCommitExclusion (null excludes nothing)
+ * @returns {boolean} True when the commit only touches excluded paths
+ */
+export const isPathOnlyChange = (files, rules) => {
+  if (!rules || rules.pathPatterns.length === 0 || !files || files.length === 0) return false;
+  return files.every(file => rules.pathPatterns.some(pattern => pattern.test(file.filename)));
+};
+
+/**
+ * Get the reason a commit is skipped
+ * Path rules only apply to commits carrying their changed files
+ * @param {Object} commit - Commit with message, author, parents and optionally files
+ * @param {Object} rules - Rules from buildCommitExclusion (null keeps everything)
+ * @returns {string|null} One of COMMIT_SKIP_REASONS, or null when the commit is kept
+ */
+export const getSkipReason = (commit, rules) => {
+  if (!rules) return null;
+  if (rules.excludeMerges && isMergeCommit(commit)) return COMMIT_SKIP_REASONS.MERGE;
+  if (rules.excludeBots && isBotCommit(commit, rules.botAuthors)) return COMMIT_SKIP_REASONS.BOT;
+  if (rules.messagePatterns.some(pattern => pattern.test(commit.message || ''))) return COMMIT_SKIP_REASONS.MESSAGE;
+  if (isPathOnlyChange(commit.files, rules)) return COMMIT_SKIP_REASONS.PATHS;
+  return null;
+};
+
+/**
+ * Create an empty set of skip counts
+ * @returns {Object} { merge, bot, message, paths, total }
+ */
+export const createSkipCounts = () => ({
+  ...Object.fromEntries(Object.values(COMMIT_SKIP_REASONS).map(reason => [reason, 0])),
+  total: 0
+});
+
+/**
+ * Add skipped commits to a set of counts
+ * @param {Object} counts - Counts from createSkipCounts (updated in place)
+ * @param {string} reason - One of COMMIT_SKIP_REASONS
+ * @param {number} count - Commits skipped for the reason
+ * @returns {Object} The counts
+ */
+export const addSkipCount = (counts, reason, count = 1) => {
+  counts[reason] += count;
+  counts.total += count;
+  return counts;
+};
+
+/**
+ * Split commits into the ones to process and the ones to skip
+ * @param {Array} commits - Commits
+ * @param {Object} rules - Rules from buildCommitExclusion (null keeps everything)
+ * @returns {Object} { kept, skipped, counts } - skipped is [{ commit, reason }]
+ */
+export const partitionCommits = (commits, rules) => {
+  const kept = [];
+  const skipped = [];
+  const counts = createSkipCounts();
+
+  commits.forEach(commit => {
+    const reason = getSkipReason(commit, rules);
+    if (reason) {
+      skipped.push({ commit, reason });
+      addSkipCount(counts, reason);
+    } else {
+      kept.push(commit);
+    }
+  });
+
+  return { kept, skipped, counts };
+};
@@ -1,3 +1,5 @@
+import { categorizeMessage, getCategoryType } from './CommitTaxonomy.js';
+
 /**
  * Commit formatting utilities
  * Follows Single Responsibility Principle - handles only commit message parsing and formatting
@@ -5,52 +7,89 @@
 
 /**
  * Parse conventional commit format or create default structure
+ * Messages without a type get the type of their category (see CommitTaxonomy)
  * @param {string} message - Raw commit message
  * @param {string} repoName - Repository name for default scope
- * @returns {Object} { type, scope, description }
+ * @param {string} knownCategory - Category already worked out, e.g. from the commit's files (optional)
+ * @returns {Object} { type, scope, description, category }
  */
-export function parseConventionalCommit(message, repoName) {
+export function parseConventionalCommit(message, repoName, knownCategory = null) {
   const firstLine = message.split('\n')[0];
   const conventionalMatch = firstLine.match(/^(\w+)(\(.+\))?\s*:\s*(.+)/);
+  const category = knownCategory || categorizeMessage(firstLine).category;
   
   if (conventionalMatch) {
     return {
       type: conventionalMatch[1],
       scope: conventionalMatch[2] ? conventionalMatch[2].slice(1, -1) : repoName,
-      description: conventionalMatch[3]
+      description: conventionalMatch[3],
+      category
     };
   }
   
   // Create conventional format from raw message
   return {
-    type: 'feat',
+    type: getCategoryType(category),
     scope: repoName,
-    description: firstLine
+    description: firstLine,
+    category
   };
 }
 
+/**
+ * Extract issue numbers referenced as "#123" in a commit message
+ * Cross-repository references ("owner/repo#123") are left out
+ * @param {string} message - Commit message
+ * @returns {Array<number>} Unique issue numbers in order of appearance
+ */
+export function extractIssueReferences(message) {
+  const numbers = [...(message || '').matchAll(/(?:^|[^\w/])#(\d+)\b/g)].map(match => parseInt(match[1], 10));
+  return [...new Set(numbers)];
+}
+
+/**
+ * Check whether a repository comes from GitHub
+ * @param {Object} repo - Repository object, tagged with its provider outside GitHub
+ * @returns {boolean} True for GitHub repositories
+ */
+function isGitHubRepository(repo) {
+  return !repo.provider || repo.provider === 'github';
+}
+
 /**
  * Format commit object with all required fields and optional AI analysis
- * @param {Object} commit - Raw commit from GitHub API
+ * @param {Object} commit - Raw commit from GitHub API, with its category when already known
  * @param {Object} repo - Repository object
  * @param {Object} aiAnalysis - Optional AI analysis of the commit
  * @returns {Object} Formatted commit object
  */
 export function formatCommitObject(commit, repo, aiAnalysis = null) {
-  const parsed = parseConventionalCommit(commit.message || '', repo.name);
+  const parsed = parseConventionalCommit(commit.message || '', repo.name, commit.category);
   
   const formattedCommit = {
     type: parsed.type,
+    category: parsed.category,
     scope: parsed.scope,
     description: parsed.description,
     formatted: `${parsed.type}(${parsed.scope}): ${parsed.description}`,
     repository: repo.name,
+    repositoryFullName: repo.fullName,
     sha: commit.sha.substring(0, 7),
     author: commit.author?.name || commit.author || 'Unknown',
     date: commit.date || commit.author?.date,
-    url: `https://github.com/${repo.fullName}/commit/${commit.sha}`
+    url: commit.url || (isGitHubRepository(repo) ? `https://github.com/${repo.fullName}/commit/${commit.sha}` : null)
   };
   
+  // Branch the commit was read from
+  if (commit.branch) {
+    formattedCommit.branch = commit.branch;
+  }
+  
+  // GitLab, Bitbucket and local commits are marked so GitHub-only features (issues) skip them
+  if (!isGitHubRepository(repo)) {
+    formattedCommit.provider = repo.provider;
+  }
+  
   // Add AI analysis if provided
   if (aiAnalysis) {
     formattedCommit.aiAnalysis = {
@@ -0,0 +1,130 @@
+/**
+ * Commit taxonomy
+ * The one list of commit categories used by AI categorization, the offline fallback,
+ * stored CommitAnalysis documents, summary and retrospective metrics and the UI
+ * (served at GET /api/ai/commit-categories). Categories follow the conventional commit types
+ */
+
+// Categories in display order; type is the conventional commit type written for the category
+export const COMMIT_CATEGORIES = [
+  { id: 'feature', type: 'feat', label: 'Features', description: 'new functionality, additions, enhancements' },
+  { id: 'bugfix', type: 'fix', label: 'Bug Fixes', description: 'fixing errors, bugs, crashes, regressions' },
+  { id: 'refactor', type: 'refactor', label: 'Refactors', description: 'restructuring or cleaning up code without changing behavior' },
+  { id: 'perf', type: 'perf', label: 'Performance', description: 'making code faster or use fewer resources' },
+  { id: 'docs', type: 'docs', label: 'Docs', description: 'documentation, README, changelog' },
+  { id: 'test', type: 'test', label: 'Tests', description: 'adding or fixing tests' },
+  { id: 'security', type: 'security', label: 'Security', description: 'vulnerability fixes, hardening, dependency security patches' },
+  { id: 'build', type: 'build', label: 'Build', description: 'build system, bundler, dependencies' },
+  { id: 'ci', type: 'ci', label: 'CI', description: 'continuous integration pipelines and workflows' },
+  { id: 'chore', type: 'chore', label: 'Chores', description: 'maintenance, configuration, formatting, releases' },
+  { id: 'revert', type: 'revert', label: 'Reverts', description: 'reverting earlier commits' },
+  { id: 'other', type: 'chore', label: 'Other', description: 'anything that fits none of the above' }
+];
+
+export const CATEGORY_IDS = COMMIT_CATEGORIES.map(category => category.id);
+
+// Conventional commit types and older category names (task categories, the pre-taxonomy fallback) → category
+const CATEGORY_ALIASES = {
+  feat: 'feature',
+  features: 'feature',
+  fix: 'bugfix',
+  bug: 'bugfix',
+  hotfix: 'bugfix',
+  style: 'chore',
+  optimization: 'perf',
+  performance: 'perf',
+  doc: 'docs',
+  documentation: 'docs',
+  tests: 'test',
+  testing: 'test',
+  sec: 'security',
+  deps: 'build',
+  release: 'chore'
+};
+
+// Keyword rules for messages without a conventional type, checked in order
+const KEYWORD_RULES = [
+  { category: 'revert', pattern: /^revert\b/, reason: 'Reverts an earlier commit' },
+  { category: 'security', pattern: /\b(security|vulnerab\w*|cve-\d+|xss|csrf|sanitiz\w*)\b/, reason: 'Contains security keywords' },
+  { category: 'bugfix', pattern: /\b(fix\w*|bugs?|error|crash\w*|hotfix|resolve[sd]?)\b/, reason: 'Contains fix/bug/error keywords' },
+  { category: 'test', pattern: /\b(tests?|specs?|testing|coverage)\b/, reason: 'Contains test/spec keywords' },
+  { category: 'docs', pattern: /\b(docs?|documentation|readme|changelog)\b/, reason: 'Contains documentation keywords' },
+  { category: 'ci', pattern: /\b(ci|pipelines?|workflows?|github actions)\b/, reason: 'Contains CI keywords' },
+  { category: 'perf', pattern: /\b(perf|performance|optimi[sz]\w*|faster|speed up)\b/, reason: 'Contains performance keywords' },
+  { category: 'build', pattern: /\b(webpack|vite|rollup|dockerfile|makefile|dependenc\w*|deps|bump\w*|upgrade\w*)\b/, reason: 'Contains build/dependency keywords' },
+  { category: 'refactor', pattern: /\b(refactor\w*|clean\s?up|clean|restructur\w*|renam\w*|simplif\w*|improve\w*)\b/, reason: 'Contains refactor/clean/improve keywords' },
+  { category: 'feature', pattern: /\b(feat\w*|add\w*|new|implement\w*|introduc\w*|support)\b/, reason: 'Contains feature/add/new keywords' },
+  { category: 'chore', pattern: /\b(chore|lint\w*|format\w*|typos?|config\w*|release|version)\b/, reason: 'Contains maintenance keywords' }
+];
+
+/**
+ * Look up the category for a category id, conventional type or older category name
+ * @param {string} value - Category or type
+ * @returns {string|null} Category id, or null when unknown
+ */
+function lookupCategory(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (CATEGORY_IDS.includes(normalized)) return normalized;
+  return CATEGORY_ALIASES[normalized] || null;
+}
+
+/**
+ * Normalize a category id, conventional type or older category name
+ * @param {string} value - Category or type, e.g. "feat", "testing" or "bugfix"
+ * @returns {string} Category id ('other' when unknown)
+ */
+export function normalizeCategory(value) {
+  return lookupCategory(value) || 'other';
+}
+
+/**
+ * Get the conventional commit type written for a category
+ * @param {string} category - Category id
+ * @returns {string} Conventional type, e.g. "feat"
+ */
+export function getCategoryType(category) {
+  return COMMIT_CATEGORIES.find(c => c.id === normalizeCategory(category)).type;
+}
+
+/**
+ * Categorize a commit from its message
+ * The conventional commit type wins when it is a known one; otherwise keyword rules decide
+ * @param {string} message - Commit message
+ * @returns {Object} { category, confidence, reason }
+ */
+export function categorizeMessage(message) {
+  const firstLine = String(message || '').split('\n')[0].trim().toLowerCase();
+
+  const typeMatch = firstLine.match(/^(\w+)(\(.+\))?!?\s*:/);
+  const typeCategory = typeMatch && lookupCategory(typeMatch[1]);
+  if (typeCategory) {
+    return { category: typeCategory, confidence: 0.9, reason: `Conventional commit type "${typeMatch[1]}"` };
+  }
+
+  const rule = KEYWORD_RULES.find(r => r.pattern.test(firstLine));
+  return rule
+    ? { category: rule.category, confidence: 0.6, reason: rule.reason }
+    : { category: 'other', confidence: 0.4, reason: 'No category keywords found' };
+}
+
+/**
+ * Count commits per category
+ * Commits without a category (formatted before the shared taxonomy) are counted by conventional type
+ * @param {Array} commits - Commits with category and/or type
+ * @returns {Object} Counts keyed by category id
+ */
+export function countByCategory(commits) {
+  return commits.reduce((counts, commit) => {
+    const category = normalizeCategory(commit.category || commit.type);
+    counts[category] = (counts[category] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Describe the categories for an AI prompt
+ * @returns {string} One "- id: description" line per category
+ */
+export function describeCategories() {
+  return COMMIT_CATEGORIES.map(c => `- ${c.id}: ${c.description}`).join('\n');
+}
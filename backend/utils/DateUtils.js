@@ -5,6 +5,7 @@
 
 /**
  * Get yesterday's date range (start and end of day)
+ * Always UTC - prefer resolveSummaryRange() for user-facing windows
  * @returns {Object} { start: Date, end: Date }
  */
 export function getYesterdayRange() {
@@ -27,4 +28,329 @@ export function getYesterdayRange() {
  */
 export function formatDateForAPI(date) {
   return date.toISOString().split('T')[0];
-} 
\ No newline at end of file
+}
+
+/**
+ * Maximum number of calendar days a custom summary range may cover
+ */
+export const MAX_SUMMARY_RANGE_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check whether a string is a valid IANA time zone (e.g. "America/Los_Angeles")
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar parts of an instant as seen in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday } (month 1-12, weekday 0=Sunday)
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date);
+
+  const value = (type) => parts.find(part => part.type === type).value;
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    year: Number(value('year')),
+    month: Number(value('month')),
+    day: Number(value('day')),
+    hour: Number(value('hour')),
+    minute: Number(value('minute')),
+    second: Number(value('second')),
+    weekday: weekdays.indexOf(value('weekday'))
+  };
+}
+
+/**
+ * Offset between a time zone's wall clock and UTC at a given instant
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const wallClockAsUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClockAsUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a local wall-clock time in a time zone to a UTC instant
+ * Re-checks the offset at the result so DST transitions resolve correctly
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} ms - Milliseconds since local midnight
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToUTC(year, month, day, ms, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day) + ms;
+  const firstGuess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - getTimeZoneOffset(new Date(firstGuess), timeZone));
+}
+
+/**
+ * Parse "YYYY-MM-DD" into numeric parts
+ * @param {string} dateStr
+ * @returns {Object} { year, month, day }
+ */
+function parseDateOnly(dateStr) {
+  if (!DATE_ONLY_PATTERN.test(dateStr || '')) {
+    throw new Error(`Invalid date "${dateStr}", expected YYYY-MM-DD`);
+  }
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    throw new Error(`Invalid date "${dateStr}"`);
+  }
+  return { year, month, day };
+}
+
+/**
+ * Add calendar days to a "YYYY-MM-DD" string
+ * @param {string} dateStr
+ * @param {number} days - May be negative
+ * @returns {string}
+ */
+export function addDays(dateStr, days) {
+  const { year, month, day } = parseDateOnly(dateStr);
+  return formatDateForAPI(new Date(Date.UTC(year, month - 1, day) + days * DAY_MS));
+}
+
+/**
+ * Get the local calendar date ("YYYY-MM-DD") of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function getLocalDateString(date, timeZone = 'UTC') {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Check whether a string is a 24-hour "HH:MM" time of day
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidTimeOfDay(value) {
+  return typeof value === 'string' && TIME_OF_DAY_PATTERN.test(value);
+}
+
+/**
+ * Get the local wall-clock time ("HH:MM", 24-hour) of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function getLocalTimeOfDay(date, timeZone = 'UTC') {
+  const p = getZonedParts(date, timeZone);
+  return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Get the UTC instant of a local date and time of day in a time zone
+ * @param {string} dateStr - Local day, "YYYY-MM-DD"
+ * @param {string} timeOfDay - Local time, "HH:MM"
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+export function getZonedDateTime(dateStr, timeOfDay, timeZone = 'UTC') {
+  if (!isValidTimeOfDay(timeOfDay)) {
+    throw new Error(`Invalid time "${timeOfDay}", expected HH:MM`);
+  }
+  const { year, month, day } = parseDateOnly(dateStr);
+  const [hours, minutes] = timeOfDay.split(':').map(Number);
+  return zonedTimeToUTC(year, month, day, (hours * 60 + minutes) * 60 * 1000, timeZone);
+}
+
+/**
+ * Day of week (0=Sunday) for a "YYYY-MM-DD" string
+ * @param {string} dateStr
+ * @returns {number}
+ */
+function getWeekday(dateStr) {
+  const { year, month, day } = parseDateOnly(dateStr);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Check whether a "YYYY-MM-DD" string falls on a Saturday or Sunday
+ * @param {string} dateStr
+ * @returns {boolean}
+ */
+export function isWeekendDate(dateStr) {
+  const weekday = getWeekday(dateStr);
+  return weekday === 0 || weekday === 6;
+}
+
+/**
+ * Get the UTC instants bounding local calendar days in a time zone
+ * @param {string} fromDate - First local day, "YYYY-MM-DD"
+ * @param {string} toDate - Last local day (inclusive), "YYYY-MM-DD"
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { start: Date, end: Date }
+ */
+export function getZonedDayRange(fromDate, toDate = fromDate, timeZone = 'UTC') {
+  const from = parseDateOnly(fromDate);
+  const to = parseDateOnly(toDate);
+  const start = zonedTimeToUTC(from.year, from.month, from.day, 0, timeZone);
+  // End is one millisecond before the next local midnight
+  const nextDay = parseDateOnly(addDays(toDate, 1));
+  const end = new Date(zonedTimeToUTC(nextDay.year, nextDay.month, nextDay.day, 0, timeZone).getTime() - 1);
+  return { start, end };
+}
+
+/**
+ * Resolve the window a summary should cover
+ *
+ * With explicit from/to, covers those local days inclusively. Otherwise covers the
+ * previous workday in the user's time zone:
+ * - skipWeekends: Saturday/Sunday are never "yesterday"; the last weekday is used instead
+ * - mondayCoversWeekend: on Monday the window is Friday through Sunday
+ *
+ * @param {Object} options
+ * @param {string} [options.from] - First local day, "YYYY-MM-DD"
+ * @param {string} [options.to] - Last local day (inclusive), "YYYY-MM-DD"
+ * @param {string} [options.timeZone='UTC'] - IANA time zone
+ * @param {boolean} [options.skipWeekends=false]
+ * @param {boolean} [options.mondayCoversWeekend=false]
+ * @param {Date} [options.now=new Date()]
+ * @returns {Object} { start, end, from, to, timeZone, label, key }
+ */
+export function resolveSummaryRange({
+  from = null,
+  to = null,
+  timeZone = 'UTC',
+  skipWeekends = false,
+  mondayCoversWeekend = false,
+  now = new Date()
+} = {}) {
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Invalid time zone "${timeZone}"`);
+  }
+
+  let fromDate;
+  let toDate;
+  let label;
+
+  if (from || to) {
+    fromDate = from || to;
+    toDate = to || from;
+    parseDateOnly(fromDate);
+    parseDateOnly(toDate);
+
+    if (fromDate > toDate) {
+      throw new Error('"from" must be on or before "to"');
+    }
+    const spanDays = Math.round((Date.parse(toDate) - Date.parse(fromDate)) / DAY_MS) + 1;
+    if (spanDays > MAX_SUMMARY_RANGE_DAYS) {
+      throw new Error(`Summary range cannot exceed ${MAX_SUMMARY_RANGE_DAYS} days`);
+    }
+    label = fromDate === toDate ? fromDate : `${fromDate} to ${toDate}`;
+  } else {
+    const today = getLocalDateString(now, timeZone);
+    const todayWeekday = getWeekday(today);
+
+    if (mondayCoversWeekend && todayWeekday === 1) {
+      fromDate = addDays(today, -3);
+      toDate = addDays(today, -1);
+      label = 'Friday to Sunday';
+    } else {
+      toDate = addDays(today, -1);
+      if (skipWeekends) {
+        // Walk back from Sunday/Saturday to Friday
+        while ([0, 6].includes(getWeekday(toDate))) {
+          toDate = addDays(toDate, -1);
+        }
+      }
+      fromDate = toDate;
+      label = toDate === addDays(today, -1) ? 'yesterday' : 'last workday';
+    }
+  }
+
+  const { start, end } = getZonedDayRange(fromDate, toDate, timeZone);
+
+  return {
+    start,
+    end,
+    from: fromDate,
+    to: toDate,
+    timeZone,
+    label,
+    key: `${fromDate}..${toDate}@${timeZone}`
+  };
+}
+
+/**
+ * Resolve the window for a weekly or sprint retrospective
+ * Both end at the last completed local day; today is still in progress
+ * - week: the 7 local days before today
+ * - sprint: explicit from/to local days (both required), cut off at yesterday
+ * @param {Object} options
+ * @param {string} [options.period='week'] - 'week' or 'sprint'
+ * @param {string} [options.from] - Sprint start, "YYYY-MM-DD"
+ * @param {string} [options.to] - Sprint end (inclusive), "YYYY-MM-DD"
+ * @param {string} [options.timeZone='UTC'] - IANA time zone
+ * @param {Date} [options.now=new Date()]
+ * @returns {Object} Same shape as resolveSummaryRange plus { type }
+ */
+export function resolveRetrospectiveRange({
+  period = 'week',
+  from = null,
+  to = null,
+  timeZone = 'UTC',
+  now = new Date()
+} = {}) {
+  if (period !== 'week' && period !== 'sprint') {
+    throw new Error(`Unknown retrospective period "${period}", expected "week" or "sprint"`);
+  }
+  if (period === 'sprint' && (!from || !to)) {
+    throw new Error('Sprint retrospectives require both "from" and "to"');
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Invalid time zone "${timeZone}"`);
+  }
+
+  const yesterday = addDays(getLocalDateString(now, timeZone), -1);
+
+  if (period === 'sprint') {
+    parseDateOnly(to);
+    const lastDay = to < yesterday ? to : yesterday;
+    if (from > lastDay) {
+      throw new Error('Sprint has no completed days yet');
+    }
+    return { ...resolveSummaryRange({ from, to: lastDay, timeZone }), type: 'sprint' };
+  }
+
+  return {
+    ...resolveSummaryRange({ from: addDays(yesterday, -6), to: yesterday, timeZone }),
+    type: 'week'
+  };
+}
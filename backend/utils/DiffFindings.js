@@ -0,0 +1,145 @@
+/**
+ * Diff findings utilities
+ * Tie code review findings to a changed file and a line range of its new version, checked against
+ * the commit's hunks. Located findings get a link to their lines and an excerpt of the diff around
+ * them; findings naming a file or lines the diff doesn't contain keep their text but no location
+ */
+
+import { parsePatchHunks } from './DiffUtils.js';
+
+// Diff lines shown before and after a finding's lines
+const EXCERPT_CONTEXT = 3;
+
+// Longest excerpt stored with a finding
+const MAX_EXCERPT_LINES = 40;
+
+/**
+ * Read a line number from an AI response
+ * @param {*} value - Number or numeric string
+ * @returns {number|null} Positive line number, or null
+ */
+const toLineNumber = (value) => {
+  const number = parseInt(value, 10);
+  return number > 0 ? number : null;
+};
+
+/**
+ * Read the line range a finding refers to
+ * lineStart/lineEnd are preferred; the free-form line ("~40", "40-45", "L12") of older prompts is the fallback
+ * @param {Object} issue - Finding ({ lineStart, lineEnd, line })
+ * @returns {Object|null} { start, end }, or null when the finding gives no line
+ */
+export const parseLineRange = (issue) => {
+  let start = toLineNumber(issue.lineStart);
+  let end = toLineNumber(issue.lineEnd);
+
+  if (!start) {
+    const match = String(issue.line || '').match(/(\d+)(?:\s*(?:-|–|to)\s*L?(\d+))?/i);
+    if (!match) return null;
+    start = toLineNumber(match[1]);
+    end = toLineNumber(match[2]);
+  }
+  if (!start) return null;
+
+  return { start, end: end && end >= start ? end : start };
+};
+
+/**
+ * Find the changed file a finding names
+ * Paths are matched exactly, then without a/ b/ ./ prefixes, then by a unique path suffix; a
+ * finding that names no file is given the only file with a patch, if there is just one
+ * @param {string} name - File named by the finding
+ * @param {Array} files - Changed files ({ filename, patch })
+ * @returns {Object|null} Matching file
+ */
+export const findChangedFile = (name, files) => {
+  const patched = files.filter(file => file.patch);
+  const path = String(name || '').trim().replace(/^(?:[ab]\/|\.\/|\/)/, '');
+  if (!path) return patched.length === 1 ? patched[0] : null;
+
+  const exact = patched.find(file => file.filename === path);
+  if (exact) return exact;
+
+  const bySuffix = patched.filter(file => file.filename.endsWith(`/${path}`) || path.endsWith(`/${file.filename}`));
+  return bySuffix.length === 1 ? bySuffix[0] : null;
+};
+
+/**
+ * Cut the part of a hunk around a line range
+ * @param {Object} hunk - Hunk from parsePatchHunks
+ * @param {number} start - First line of the range (new version)
+ * @param {number} end - Last line of the range (new version)
+ * @returns {Object} { header, lines } - lines as in parsePatchHunks, with highlight on the range's lines
+ */
+const cutExcerpt = (hunk, start, end) => {
+  const inRange = (line) => line.newLine !== null && line.newLine >= start && line.newLine <= end;
+  const first = hunk.lines.findIndex(inRange);
+  const last = hunk.lines.length - 1 - [...hunk.lines].reverse().findIndex(inRange);
+  const from = Math.max(0, first - EXCERPT_CONTEXT);
+  const to = Math.min(hunk.lines.length, last + EXCERPT_CONTEXT + 1, from + MAX_EXCERPT_LINES);
+
+  return {
+    header: hunk.header,
+    lines: hunk.lines.slice(from, to).map(line => ({ ...line, highlight: inRange(line) }))
+  };
+};
+
+/**
+ * Locate one finding in a commit's diff
+ * The range must start inside a hunk of the named file and is clipped to that hunk
+ * @param {Object} issue - Finding from the code analysis ({ file, lineStart, lineEnd, line, ... })
+ * @param {Array} files - Changed files of the commit ({ filename, patch })
+ * @param {Object} source - { repositoryFullName, sha, provider } for links; only GitHub
+ *   repositories (no provider, or 'github') get one
+ * @returns {Object} The finding with file, lineStart, lineEnd, located, url and excerpt
+ */
+export const locateFinding = (issue, files, { repositoryFullName = null, sha = null, provider = null } = {}) => {
+  const unlocated = { ...issue, file: null, lineStart: null, lineEnd: null, located: false, url: null, excerpt: null };
+  const file = findChangedFile(issue.file, files);
+  if (!file) return unlocated;
+
+  const range = parseLineRange(issue);
+  const hunk = range && parsePatchHunks(file.patch)
+    .find(candidate => range.start >= candidate.newStart && range.start <= candidate.newEnd);
+  if (!hunk) return { ...unlocated, file: file.filename };
+
+  const lineStart = range.start;
+  const lineEnd = Math.min(range.end, hunk.newEnd);
+  const isGitHub = !provider || provider === 'github';
+  const url = isGitHub && repositoryFullName && sha
+    ? `https://github.com/${repositoryFullName}/blob/${sha}/${file.filename.split('/').map(encodeURIComponent).join('/')}#L${lineStart}${lineEnd > lineStart ? `-L${lineEnd}` : ''}`
+    : null;
+
+  return {
+    ...issue,
+    file: file.filename,
+    lineStart,
+    lineEnd,
+    line: lineEnd > lineStart ? `${lineStart}-${lineEnd}` : String(lineStart),
+    located: true,
+    url,
+    excerpt: cutExcerpt(hunk, lineStart, lineEnd)
+  };
+};
+
+/**
+ * Locate every finding of a code analysis
+ * @param {Array} issues - Findings from the code analysis
+ * @param {Array} files - Changed files of the commit
+ * @param {Object} source - { repositoryFullName, sha, provider } for GitHub links
+ * @returns {Array} Findings from locateFinding, in the same order
+ */
+export const locateFindings = (issues = [], files = [], source = {}) => {
+  return issues.map(issue => locateFinding(issue, files, source));
+};
+
+/**
+ * Format where a finding is, for text listings
+ * @param {Object} issue - Finding from locateFinding (or an older one with only line)
+ * @returns {string} e.g. "src/app.js:40-45", "src/app.js" or the finding's free-form line
+ */
+export const formatFindingLocation = (issue) => {
+  if (!issue.file) return issue.line || 'unknown';
+  if (!issue.lineStart) return issue.file;
+  return `${issue.file}:${issue.lineEnd > issue.lineStart ? `${issue.lineStart}-${issue.lineEnd}` : issue.lineStart}`;
+};
@@ -0,0 +1,146 @@
+/**
+ * Diff preparation for AI prompts
+ * Turns a commit's changed files into prompt-sized chunks: lockfiles, generated, vendored and
+ * binary files are dropped, the rest are ranked by relevance (source first, biggest changes first)
+ * and packed into chunks, splitting large files between hunks. Whatever doesn't fit in the chunk
+ * limit is left out and listed, so prompts can say what the model didn't see
+ */
+
+import { classifyFile, FILE_KINDS } from './FileClassifier.js';
+
+export const OMIT_REASONS = {
+  LOCKFILE: 'lockfile',
+  GENERATED: 'generated',
+  VENDORED: 'vendored',
+  BINARY: 'binary', // No patch: binary files and pure renames
+  SIZE: 'size' // Ranked below what fits in the chunk limit
+};
+
+const VENDORED_PATTERNS = [
+  /(^|\/)(node_modules|bower_components|jspm_packages|vendor|third_party|third-party|external)\//i,
+  /(^|\/)Pods\//, /(^|\/)\.yarn\/(releases|plugins|cache)\//
+];
+
+const GENERATED_PATTERNS = [
+  /\.min\.(js|css|mjs)$/i, /\.(js|css)\.map$/i, /(^|\/)(dist|build|out|coverage|\.next|\.nuxt)\//i,
+  /\.snap$/i, /(^|\/)__generated__\//i, /\.generated\.\w+$/i, /\.g\.(cs|dart)$/i, /\.freezed\.dart$/i,
+  /\.pb\.(go|cc|h)$/i, /_pb2(_grpc)?\.pyi?$/i, /\.designer\.cs$/i
+];
+
+// Markers tools put at the top of the files they write
+const GENERATED_MARKER = /^\+.*(@generated|auto-?generated|do not edit|code generated by)/im;
+
+// Most relevant kinds first; files of the same kind are ranked by lines changed
+const KIND_PRIORITY = [
+  FILE_KINDS.SOURCE, FILE_KINDS.MIGRATION, FILE_KINDS.TEST, FILE_KINDS.CONFIG,
+  FILE_KINDS.BUILD, FILE_KINDS.CI, FILE_KINDS.DOCS
+];
+
+/**
+ * Get the reason a changed file is left out of prompts
+ * @param {Object} file - Changed file ({ filename, patch })
+ * @returns {string|null} One of OMIT_REASONS, or null when the file is kept
+ */
+export function getOmitReason(file) {
+  const kind = classifyFile(file.filename);
+  if (kind === FILE_KINDS.LOCKFILE) return OMIT_REASONS.LOCKFILE;
+  if (VENDORED_PATTERNS.some(pattern => pattern.test(file.filename))) return OMIT_REASONS.VENDORED;
+  if (GENERATED_PATTERNS.some(pattern => pattern.test(file.filename))) return OMIT_REASONS.GENERATED;
+  if (!file.patch) return OMIT_REASONS.BINARY;
+  if (GENERATED_MARKER.test(file.patch.substring(0, 500))) return OMIT_REASONS.GENERATED;
+  return null;
+}
+
+/**
+ * Split one file's diff into pieces no longer than the chunk size
+ * Pieces break between hunks and repeat the file header; a single hunk longer than a chunk is cut short
+ * @param {Object} file - Changed file ({ filename, patch })
+ * @param {number} chunkChars - Characters per chunk
+ * @returns {Array<string>} Diff pieces
+ */
+function splitFileDiff(file, chunkChars) {
+  const header = `diff --git a/${file.filename} b/${file.filename}\n`;
+  const section = header + file.patch;
+  if (section.length <= chunkChars) return [section];
+
+  const room = chunkChars - header.length;
+  const pieces = [];
+  let current = '';
+  file.patch.split(/\n(?=@@)/).forEach(hunk => {
+    const text = hunk.length > room
+      ? `${hunk.substring(0, room - 40)}\n... (hunk truncated)`
+      : hunk;
+    if (current && current.length + text.length + 1 > room) {
+      pieces.push(header + current);
+      current = '';
+    }
+    current = current ? `${current}\n${text}` : text;
+  });
+  if (current) pieces.push(header + current);
+  return pieces;
+}
+
+/**
+ * Prepare a commit's changed files for AI analysis
+ * @param {Array} files - Changed files from a provider client's getCommitDiff ({ filename, patch, changes })
+ * @param {Object} options - { chunkChars, maxChunks } from config/diffLimits.js
+ * @returns {Object} { diff, chunks, files, omitted } - diff is every chunk joined; files are the kept
+ *   files in rank order ({ filename, kind, changes, partial }); omitted are [{ filename, reason }]
+ */
+export function prepareDiff(files = [], { chunkChars = 15000, maxChunks = 4 } = {}) {
+  const omitted = [];
+  const kept = [];
+
+  files.forEach(file => {
+    const reason = getOmitReason(file);
+    if (reason) {
+      omitted.push({ filename: file.filename, reason });
+    } else {
+      kept.push({ file, kind: classifyFile(file.filename) });
+    }
+  });
+
+  kept.sort((a, b) =>
+    KIND_PRIORITY.indexOf(a.kind) - KIND_PRIORITY.indexOf(b.kind) ||
+    (b.file.changes || 0) - (a.file.changes || 0)
+  );
+
+  // First fit in rank order: each piece goes into the first chunk with room for it
+  const chunks = [];
+  const included = [];
+  kept.forEach(({ file, kind }) => {
+    const pieces = splitFileDiff(file, chunkChars);
+    let placed = 0;
+    for (const piece of pieces) {
+      const index = chunks.findIndex(chunk => chunk.length + piece.length + 1 <= chunkChars);
+      if (index !== -1) {
+        chunks[index] = `${chunks[index]}\n${piece}`;
+      } else if (chunks.length < maxChunks) {
+        chunks.push(piece);
+      } else {
+        break;
+      }
+      placed++;
+    }
+
+    if (placed === 0) {
+      omitted.push({ filename: file.filename, reason: OMIT_REASONS.SIZE });
+    } else {
+      included.push({ filename: file.filename, kind, changes: file.changes || 0, partial: placed < pieces.length });
+    }
+  });
+
+  return { diff: chunks.join('\n'), chunks, files: included, omitted };
+}
+
+/**
+ * Describe the files a prepared diff left out, for a prompt
+ * @param {Array} omitted - Omitted files from prepareDiff
+ * @param {number} limit - Files named before the rest are counted
+ * @returns {string} e.g. "package-lock.json (lockfile), dist/app.js (generated) and 3 more", or '' when none
+ */
+export function describeOmittedFiles(omitted = [], limit = 10) {
+  if (omitted.length === 0) return '';
+  const named = omitted.slice(0, limit).map(({ filename, reason }) => `${filename} (${reason})`).join(', ');
+  return omitted.length > limit ? `${named} and ${omitted.length - limit} more` : named;
+}
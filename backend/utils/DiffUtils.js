@@ -0,0 +1,112 @@
+/**
+ * Unified diff utilities
+ * Turn raw `git diff` output into the per-file entries GitHubAPIClient.getCommitDiff returns,
+ * for providers that only hand back one diff per commit (Bitbucket, local git), and read the
+ * line numbers of a file's hunks
+ */
+
+/**
+ * Count added and removed lines in a unified diff
+ * @param {string} diff - Diff text
+ * @returns {Object} { additions, deletions }
+ */
+export function countDiffLines(diff = '') {
+  const lines = diff.split('\n');
+  return {
+    additions: lines.filter(line => line.startsWith('+') && !line.startsWith('+++')).length,
+    deletions: lines.filter(line => line.startsWith('-') && !line.startsWith('---')).length
+  };
+}
+
+/**
+ * Get the path a diff section applies to
+ * The "+++ b/" line is preferred because header paths are ambiguous when they contain spaces;
+ * deleted files only have "--- a/"
+ * @param {string} section - One "diff --git" section
+ * @returns {string} File path
+ */
+function getSectionFilename(section) {
+  const added = section.match(/^\+\+\+ b\/(.+)$/m);
+  if (added) return added[1];
+  const removed = section.match(/^--- a\/(.+)$/m);
+  if (removed) return removed[1];
+  const [header] = section.split('\n');
+  return header.match(/ b\/(.+)$/)?.[1] || header;
+}
+
+/**
+ * Split a unified diff of a whole commit into per-file entries
+ * Like GitHub's, each patch starts at the first hunk (null for binary files and pure renames)
+ * @param {string} diff - Raw diff
+ * @returns {Array} [{ filename, status, additions, deletions, changes, patch }]
+ */
+export function splitUnifiedDiff(diff = '') {
+  return diff
+    .split(/^(?=diff --git )/m)
+    .filter(section => section.startsWith('diff --git '))
+    .map(section => {
+      const hunkStart = section.search(/^@@/m);
+      const patch = hunkStart === -1 ? null : section.substring(hunkStart).replace(/\n$/, '');
+      const { additions, deletions } = countDiffLines(patch || '');
+      const status = /^new file mode/m.test(section) ? 'added'
+        : /^deleted file mode/m.test(section) ? 'removed'
+          : /^rename from/m.test(section) ? 'renamed'
+            : 'modified';
+
+      return {
+        filename: getSectionFilename(section),
+        status,
+        additions,
+        deletions,
+        changes: additions + deletions,
+        patch
+      };
+    });
+}
+
+/**
+ * Parse a file's patch into hunks with the old and new line number of every line
+ * Each hunk takes as many lines as its header counts, so a trailing newline (or anything else
+ * after the last hunk) isn't read as an extra context line. Empty lines inside a hunk are blank
+ * context lines whose leading space was trimmed
+ * @param {string} patch - Patch of one file, starting at its first hunk
+ * @returns {Array} [{ header, newStart, newEnd, lines: [{ type, content, oldLine, newLine }] }] - type is
+ *   'add', 'del' or 'context'; newEnd is the last line of the new version the hunk covers
+ */
+export function parsePatchHunks(patch = '') {
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  (patch || '').split('\n').forEach(line => {
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      oldLine = Number(header[1]);
+      newLine = Number(header[3]);
+      oldRemaining = header[2] === undefined ? 1 : Number(header[2]);
+      newRemaining = header[4] === undefined ? 1 : Number(header[4]);
+      hunk = { header: line, newStart: newLine, newEnd: newLine + newRemaining - 1, lines: [] };
+      hunks.push(hunk);
+      return;
+    }
+    if (!hunk || line.startsWith('\\')) return; // "\ No newline at end of file"
+    if (oldRemaining <= 0 && newRemaining <= 0) return; // Past the end of the hunk
+
+    if (line.startsWith('+')) {
+      hunk.lines.push({ type: 'add', content: line.substring(1), oldLine: null, newLine: newLine++ });
+      newRemaining--;
+    } else if (line.startsWith('-')) {
+      hunk.lines.push({ type: 'del', content: line.substring(1), oldLine: oldLine++, newLine: null });
+      oldRemaining--;
+    } else {
+      hunk.lines.push({ type: 'context', content: line.substring(1), oldLine: oldLine++, newLine: newLine++ });
+      oldRemaining--;
+      newRemaining--;
+    }
+  });
+
+  return hunks;
+}
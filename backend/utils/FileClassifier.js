@@ -0,0 +1,88 @@
+/**
+ * File classification utilities
+ * Sort changed files into kinds (tests, docs, CI, lockfiles, build, config, migrations, source)
+ * from their path alone, for the offline commit categorizer (see AIFallbackStrategies.categorizeCommitDiff)
+ */
+
+export const FILE_KINDS = {
+  LOCKFILE: 'lockfile',
+  CI: 'ci',
+  TEST: 'test',
+  MIGRATION: 'migration',
+  DOCS: 'docs',
+  BUILD: 'build',
+  CONFIG: 'config',
+  SOURCE: 'source'
+};
+
+const LOCKFILES = [
+  'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb', 'bun.lock',
+  'gemfile.lock', 'cargo.lock', 'poetry.lock', 'pipfile.lock', 'uv.lock', 'composer.lock', 'go.sum',
+  'mix.lock', 'podfile.lock', 'packages.lock.json', 'gradle.lockfile', 'flake.lock', 'pubspec.lock'
+];
+
+// JUnit-style test classes (UserServiceTest.java) - matched case-sensitively so "latest.php" isn't one
+const TEST_CLASS_PATTERN = /[a-z0-9]Tests?\.(java|kt|cs|php|swift)$/;
+
+// Checked in order - the first matching kind wins (a test fixture under docs/ is still a test)
+const KIND_PATTERNS = [
+  {
+    kind: FILE_KINDS.CI,
+    patterns: [
+      /^\.github\/(workflows|actions)\//, /^\.github\/dependabot\.ya?ml$/, /(^|\/)\.gitlab-ci\.ya?ml$/,
+      /^\.circleci\//, /^\.buildkite\//, /(^|\/)\.travis\.ya?ml$/, /(^|\/)jenkinsfile$/,
+      /(^|\/)azure-pipelines\.ya?ml$/, /(^|\/)bitbucket-pipelines\.ya?ml$/
+    ]
+  },
+  {
+    kind: FILE_KINDS.TEST,
+    patterns: [
+      /(^|\/)(__tests__|__mocks__|tests?|specs?|e2e|cypress|fixtures|testdata)\//,
+      /[._-](test|spec)s?\.\w+$/, /(^|\/)test_[^/]+\.py$/, /_test\.(go|py|rb|exs?)$/
+    ]
+  },
+  {
+    kind: FILE_KINDS.MIGRATION,
+    patterns: [/(^|\/)(migrations?|migrate)\//, /(^|\/)alembic\/versions\//, /(^|\/)db\/schema\.rb$/, /(^|\/)prisma\/schema\.prisma$/]
+  },
+  {
+    kind: FILE_KINDS.BUILD,
+    patterns: [
+      /(^|\/)package\.json$/, /(^|\/)requirements[^/]*\.(txt|in)$/, /(^|\/)(pyproject\.toml|setup\.py|setup\.cfg|pipfile)$/,
+      /(^|\/)(gemfile|cargo\.toml|go\.mod|pom\.xml|composer\.json|mix\.exs|pubspec\.yaml)$/,
+      /(^|\/)build\.gradle(\.kts)?$/, /(^|\/)settings\.gradle(\.kts)?$/, /(^|\/)(makefile|cmakelists\.txt|justfile)$/,
+      /(^|\/)dockerfile[^/]*$/, /(^|\/)docker-compose[^/]*\.ya?ml$/, /(^|\/)\.dockerignore$/, /\.csproj$/,
+      /(^|\/)(webpack|vite|rollup|esbuild|turbo|nx)\.config\.\w+$/
+    ]
+  },
+  {
+    kind: FILE_KINDS.DOCS,
+    patterns: [
+      /(^|\/)docs?\//, /\.(md|mdx|rst|adoc)$/, /(^|\/)(license|licence|authors|contributors|notice)(\.\w+)?$/,
+      /(^|\/)changelog(\.\w+)?$/
+    ]
+  },
+  {
+    kind: FILE_KINDS.CONFIG,
+    patterns: [
+      /(^|\/)\.[^/]+rc(\.\w+)?$/, /(^|\/)\.(editorconfig|gitignore|gitattributes|npmignore|nvmrc|node-version|env\.example)$/,
+      /(^|\/)env\.example$/, /(^|\/)[^/]*\.config\.(js|cjs|mjs|ts)$/, /(^|\/)tsconfig[^/]*\.json$/,
+      /\.(ya?ml|toml|ini|properties|cfg|conf)$/
+    ]
+  }
+];
+
+/**
+ * Classify a changed file by its path
+ * @param {string} filename - Path relative to the repository root
+ * @returns {string} One of FILE_KINDS
+ */
+export function classifyFile(filename) {
+  const path = String(filename || '').toLowerCase();
+  const basename = path.substring(path.lastIndexOf('/') + 1);
+
+  if (LOCKFILES.includes(basename)) return FILE_KINDS.LOCKFILE;
+  if (TEST_CLASS_PATTERN.test(filename)) return FILE_KINDS.TEST;
+  const match = KIND_PATTERNS.find(({ patterns }) => patterns.some(pattern => pattern.test(path)));
+  return match ? match.kind : FILE_KINDS.SOURCE;
+}
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import { getRetryConfig } from '../config/workQueue.js';
+
+/**
+ * Work queue utilities
+ * Limit how many requests run at once against a rate limited API and retry the ones that
+ * are rate limited or fail temporarily. A rate limit response pauses the whole queue until
+ * its Retry-After has passed, so requests waiting behind it don't trip the limit again.
+ * Queues are shared per user or token, so every request made with the same credentials
+ * (across call sites and concurrent HTTP requests) counts against the same limit
+ */
+
+const BASE_RETRY_DELAY_MS = 1000;
+const SECONDARY_RATE_LIMIT_DELAY_MS = 60000; // GitHub asks to wait at least a minute
+const TRANSIENT_STATUSES = [500, 502, 503, 504, 529]; // 529: Anthropic overloaded
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+const sharedQueues = new Map(); // key → queue
+
+/**
+ * Read a response header from an error
+ * Octokit errors carry headers on error.response, fetch-based clients and the OpenAI SDK on error.headers
+ * @param {Error} error - Failed request error
+ * @param {string} name - Lower-case header name
+ * @returns {string|null} Header value
+ */
+function getErrorHeader(error, name) {
+  const headers = error?.response?.headers || error?.headers;
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return value ?? null;
+}
+
+/**
+ * Check whether an error is a rate limit response
+ * GitHub reports primary and secondary rate limits as 403 as well as 429
+ * @param {Error} error - Failed request error
+ * @returns {boolean} True when rate limited
+ */
+export function isRateLimitError(error) {
+  if (!error) return false;
+  if (error.status === 429) return true;
+  return error.status === 403 && (
+    getErrorHeader(error, 'retry-after') !== null ||
+    getErrorHeader(error, 'x-ratelimit-remaining') === '0' ||
+    /rate limit/i.test(error.message || '')
+  );
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Failed request error
+ * @returns {boolean} True for rate limits, server errors and dropped connections
+ */
+export function isRetryableError(error) {
+  if (error?.status !== undefined) {
+    return isRateLimitError(error) || TRANSIENT_STATUSES.includes(error.status);
+  }
+  return TRANSIENT_NETWORK_CODES.includes(error?.code || error?.cause?.code);
+}
+
+/**
+ * Work out how long to wait before retrying
+ * Honors retry-after-ms, Retry-After (seconds or an HTTP date) and GitHub's rate limit reset;
+ * otherwise backs off exponentially with jitter
+ * @param {Error} error - Failed request error
+ * @param {number} attempt - Retry number, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(error, attempt) {
+  const retryAfterMs = parseFloat(getErrorHeader(error, 'retry-after-ms'));
+  if (retryAfterMs >= 0) return retryAfterMs;
+
+  const retryAfter = getErrorHeader(error, 'retry-after');
+  if (retryAfter !== null) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (!Number.isNaN(delay)) return Math.max(delay, 0);
+  }
+
+  if (getErrorHeader(error, 'x-ratelimit-remaining') === '0') {
+    const reset = Number(getErrorHeader(error, 'x-ratelimit-reset'));
+    if (reset > 0) return Math.max(reset * 1000 - Date.now(), 0);
+  }
+
+  if (error?.status === 403 && /secondary rate limit/i.test(error.message || '')) {
+    return SECONDARY_RATE_LIMIT_DELAY_MS;
+  }
+
+  const backoff = BASE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+  return backoff + Math.random() * backoff * 0.25;
+}
+
+/**
+ * Create a work queue
+ * @param {Object} options - { concurrency, name, retries, maxDelayMs } - retry settings default to getRetryConfig()
+ * @returns {Object} Queue with run(task) and size
+ */
+export function createWorkQueue({ concurrency = 1, name = 'queue', ...retryOptions } = {}) {
+  const { retries, maxDelayMs } = { ...getRetryConfig(), ...retryOptions };
+  const waiting = [];
+  let active = 0;
+  let delayed = 0; // Jobs waiting out a backoff outside the queue
+  let pausedUntil = 0;
+  let resumeTimer = null;
+
+  const next = () => {
+    const pause = pausedUntil - Date.now();
+    if (pause > 0) {
+      if (!resumeTimer) {
+        resumeTimer = setTimeout(() => {
+          resumeTimer = null;
+          next();
+        }, pause);
+      }
+      return;
+    }
+
+    while (active < concurrency && waiting.length > 0) {
+      const job = waiting.shift();
+      active++;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, (error) => retryOrReject(job, error))
+        .finally(() => {
+          active--;
+          queue.onSettled?.();
+          next();
+        });
+    }
+  };
+
+  const retryOrReject = (job, error) => {
+    job.attempt++;
+    const delay = job.retryOn(error) ? getRetryDelay(error, job.attempt) : null;
+
+    if (delay === null || job.attempt > retries || delay > maxDelayMs) {
+      job.reject(error);
+      return;
+    }
+
+    console.warn(`⏳ ${name}: ${error.status || error.code} - retry ${job.attempt}/${retries} in ${Math.ceil(delay / 1000)}s`);
+    if (isRateLimitError(error)) {
+      // Everything behind a rate limit would hit it too
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      waiting.unshift(job);
+    } else {
+      delayed++;
+      setTimeout(() => {
+        delayed--;
+        waiting.unshift(job);
+        next();
+      }, delay);
+    }
+  };
+
+  const queue = {
+    /**
+     * Run a task when a slot is free, retrying it while it fails with retryable errors
+     * Requests that are not safe to repeat (e.g. creating an issue) should pass
+     * { retryOn: isRateLimitError }: a server error or dropped connection may mean the
+     * request already took effect, while a rate limited request was never processed
+     * @param {Function} task - Async function performing one request
+     * @param {Object} options - { retryOn(error) → boolean } - defaults to isRetryableError
+     * @returns {Promise<*>} The task's result
+     */
+    run: (task, { retryOn = isRetryableError } = {}) => new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject, retryOn, attempt: 0 });
+      next();
+    }),
+    get size() {
+      return active + waiting.length + delayed;
+    }
+  };
+  return queue;
+}
+
+/**
+ * Get the queue shared by every request made under a key
+ * Queues are dropped once idle, so keys can be per user or per token
+ * @param {string} key - Queue key, e.g. "ai:<userId>"
+ * @param {number} concurrency - Requests in flight at once
+ * @returns {Object} Work queue
+ */
+export function getSharedQueue(key, concurrency) {
+  if (!sharedQueues.has(key)) {
+    const queue = createWorkQueue({ concurrency, name: key.split(':')[0] });
+    queue.onSettled = () => {
+      if (queue.size === 0 && sharedQueues.get(key) === queue) {
+        sharedQueues.delete(key);
+      }
+    };
+    sharedQueues.set(key, queue);
+  }
+  return sharedQueues.get(key);
+}
+
+/**
+ * Get the shared queue for an API token without keeping the token itself as a key
+ * @param {string} prefix - API name, e.g. "github"
+ * @param {string} token - Access token
+ * @param {number} concurrency - Requests in flight at once
+ * @returns {Object} Work queue
+ */
+export function getTokenQueue(prefix, token, concurrency) {
+  const digest = crypto.createHash('sha256').update(String(token)).digest('hex').substring(0, 16);
+  return getSharedQueue(`${prefix}:${digest}`, concurrency);
+}
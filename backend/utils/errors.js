@@ -42,6 +42,15 @@ export const createGitHubError = (originalError, context = '') => ({
   message: { err: 'External service error' }
 });
 
+/**
+ * Source control provider (GitLab, Bitbucket) API error helper
+ */
+export const createProviderError = (provider, originalError, context = '') => ({
+  log: `${provider} API error${context ? ` - ${context}` : ''}: ${originalError.message}`,
+  status: originalError.status || 502,
+  message: { err: 'External service error' }
+});
+
 /**
  * Generic server error helper
  */
@@ -8,6 +8,12 @@ import RepoListing from './components/RepoListing.jsx';
 import RepoAnalytics from './components/RepoAnalytics';
 import CommitAnalysis from './components/CommitAnalysis';
 import Settings from './components/Settings.jsx';
+import Retrospective from './components/Retrospective.jsx';
+import TeamDashboard from './components/TeamDashboard.jsx';
+
+// Quality analyses of other providers are kept apart from same-named GitHub repositories
+const getQualityCacheKey = (repositoryId, provider = 'github') =>
+  provider === 'github' ? repositoryId : `${provider}:${repositoryId}`;
 
 // Wrapper component that uses shared authentication state
 function ProtectedRoute({ children, isAuthenticated, authLoading }) {
@@ -40,6 +46,7 @@ function App() {
   const [qualityAnalysisCache, setQualityAnalysisCache] = useState({}); // Quality analysis cached by repo ID
   const [qualityLoading, setQualityLoading] = useState(false); // Loading state for quality analysis
   const [qualityError, setQualityError] = useState(null); // Error state for quality analysis
+  const [qualityJobId, setQualityJobId] = useState(null); // Progress job for the running quality analysis
   const [isBrowserRefresh, setIsBrowserRefresh] = useState(false); // Track if current session started with browser refresh
 
   // Browser refresh detection using Performance API
@@ -210,17 +217,27 @@ function App() {
     }
   };
 
-  // Fetch quality analysis for commits - cached by repository ID
-  const fetchQualityAnalysis = async (commits, repositoryId, forceRefresh = false) => {
+  // Fetch quality analysis for commits - cached by provider and repository ID
+  const fetchQualityAnalysis = async (
+    commits,
+    repositoryId,
+    forceRefresh = false,
+    provider = 'github'
+  ) => {
     // Guard clause - exit early if no commits or repo
     if (!commits || commits.length === 0 || !repositoryId) return;
 
+    const cacheKey = getQualityCacheKey(repositoryId, provider);
+
     // Check cache first unless force refresh
-    if (!forceRefresh && qualityAnalysisCache[repositoryId]) {
+    if (!forceRefresh && qualityAnalysisCache[cacheKey]) {
       console.log(`📦 Using cached quality analysis for ${repositoryId}`);
-      return qualityAnalysisCache[repositoryId];
+      return qualityAnalysisCache[cacheKey];
     }
 
+    // Client-generated job id so progress can be streamed while the request runs
+    const jobId = crypto.randomUUID();
+    setQualityJobId(jobId);
     setQualityLoading(true);
     setQualityError(null);
 
@@ -239,6 +256,8 @@ function App() {
             timeframe: 'weekly',
             repositoryFullName: repositoryId,
             forceRefresh: forceRefresh,
+            jobId: jobId,
+            provider: provider,
           }),
         }
       );
@@ -250,10 +269,10 @@ function App() {
       const data = await response.json();
 
       if (data.success) {
-        // Cache the quality analysis by repository ID
+        // Cache the quality analysis by provider and repository ID
         setQualityAnalysisCache(prev => ({
           ...prev,
-          [repositoryId]: data.data
+          [cacheKey]: data.data
         }));
 
         // Log cache status for debugging
@@ -352,12 +371,13 @@ function App() {
     tasksLoading,           // Loading state for tasks
     tasksError,             // Error state for tasks
     refreshTasks: () => fetchTaskSuggestions(true),  // Manual refresh function for tasks
-    qualityAnalysisCache,   // Quality analysis cached by repository ID
+    qualityAnalysisCache,   // Quality analysis cached by provider and repository ID
     qualityLoading,         // Loading state for quality analysis
     qualityError,           // Error state for quality analysis
+    qualityJobId,           // Progress job id for the running quality analysis
     fetchQualityAnalysis,   // Function to fetch quality analysis
-    getQualityAnalysis: (repositoryId) => qualityAnalysisCache[repositoryId] || null,  // Get cached analysis for repo
-    refreshQualityAnalysis: (commits, repositoryId) => fetchQualityAnalysis(commits, repositoryId, true),  // Manual refresh
+    getQualityAnalysis: (repositoryId, provider) => qualityAnalysisCache[getQualityCacheKey(repositoryId, provider)] || null,  // Get cached analysis for repo
+    refreshQualityAnalysis: (commits, repositoryId, provider) => fetchQualityAnalysis(commits, repositoryId, true, provider),  // Manual refresh
     user,                   // Current authenticated user data
   };
 
@@ -400,6 +420,22 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path='/retrospective'
+          element={
+            <ProtectedRoute isAuthenticated={isAuthenticated} authLoading={authLoading}>
+              <Retrospective user={user} />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path='/team'
+          element={
+            <ProtectedRoute isAuthenticated={isAuthenticated} authLoading={authLoading}>
+              <TeamDashboard user={user} />
+            </ProtectedRoute>
+          }
+        />
         <Route 
           path='/settings' 
           element={
@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from 'react';
+
+// Display names for the features AI calls are attributed to
+const FEATURE_LABELS = {
+  summary: 'Summaries',
+  tasks: 'Task Suggestions',
+  quality: 'Quality Analysis',
+  commit_message: 'Commit Messages',
+  commit_analysis: 'Commit Analysis',
+  categorization: 'Categorization',
+  retrospective: 'Retrospectives',
+  connection_test: 'Connection Tests',
+  other: 'Other',
+};
+
+// Format an estimated USD amount; small amounts keep more precision
+const formatCost = (cost) => {
+  if (!cost) return '$0.00';
+  return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+};
+
+// Format a token count with thousands separators
+const formatTokens = (tokens) => (tokens || 0).toLocaleString();
+
+// Current month as YYYY-MM in the browser's time zone
+const getCurrentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Breakdown table of calls, tokens and cost per feature, repository or model
+const UsageTable = ({ title, rows, nameKey, formatName = (name) => name }) => (
+  <div className='mt-4'>
+    <h3 className='text-sm font-semibold text-white mb-2'>{title}</h3>
+    <table className='w-full text-sm'>
+      <thead>
+        <tr className='text-gray-400 text-left'>
+          <th className='pb-2'>Name</th>
+          <th className='pb-2 text-right'>Calls</th>
+          <th className='pb-2 text-right'>Tokens</th>
+          <th className='pb-2 text-right'>Est. Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row[nameKey] || 'unknown'} className='text-white'>
+            <td className='py-1'>{formatName(row[nameKey] || 'unknown')}</td>
+            <td className='py-1 text-right font-mono'>{row.calls}</td>
+            <td className='py-1 text-right font-mono'>
+              {formatTokens(row.totalTokens)}
+            </td>
+            <td
+              className='py-1 text-right font-mono'
+              title={
+                row.unpricedCalls
+                  ? `${row.unpricedCalls} call(s) used a model without a known price`
+                  : undefined
+              }
+            >
+              {formatCost(row.cost)}
+              {row.unpricedCalls > 0 && '*'}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// AI token usage, estimated cost and monthly budget shown on the settings page
+const AIUsage = () => {
+  const [month, setMonth] = useState(getCurrentMonth);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Reload whenever another month is picked
+  useEffect(() => {
+    const fetchUsage = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await fetch(
+          `${import.meta.env.VITE_API_URL}/api/ai/usage?month=${month}`,
+          {
+            credentials: 'include',
+          }
+        );
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || 'Failed to load AI usage');
+        }
+
+        setReport(data.data);
+      } catch (err) {
+        console.error('AI usage fetch error:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchUsage();
+  }, [month]);
+
+  const budget = report?.budget;
+  const budgetPercent =
+    budget?.limit > 0 ? Math.min((budget.spent / budget.limit) * 100, 100) : 0;
+  const maxDailyCost = Math.max(...(report?.byDay || []).map((d) => d.cost), 0);
+
+  return (
+    <div className='mt-6 bg-[#2d2b3e] rounded-lg shadow-md p-6 border border-slate-600'>
+      <div className='flex justify-between items-start mb-4'>
+        <div>
+          <h2 className='text-xl font-bold text-white'>AI Usage</h2>
+          <p className='text-sm text-gray-300 mt-1'>
+            Tokens and estimated cost of AI calls made with your provider
+            settings. Your provider's invoice is authoritative.
+          </p>
+        </div>
+        <input
+          type='month'
+          value={month}
+          max={getCurrentMonth()}
+          onChange={(e) => e.target.value && setMonth(e.target.value)}
+          className='px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+        />
+      </div>
+
+      {error && <p className='mb-4 text-red-400 text-sm'>Error: {error}</p>}
+
+      {loading ? (
+        <p className='text-gray-400 text-sm'>Loading usage...</p>
+      ) : (
+        report && (
+          <>
+            {/* Month totals */}
+            <div className='grid grid-cols-3 gap-4 mb-4'>
+              <div className='bg-[#1a1928] rounded-md p-3'>
+                <p className='text-gray-400 text-xs'>Calls</p>
+                <p className='text-white text-lg font-mono'>
+                  {report.totals.calls}
+                </p>
+              </div>
+              <div className='bg-[#1a1928] rounded-md p-3'>
+                <p className='text-gray-400 text-xs'>Tokens</p>
+                <p className='text-white text-lg font-mono'>
+                  {formatTokens(report.totals.totalTokens)}
+                </p>
+              </div>
+              <div className='bg-[#1a1928] rounded-md p-3'>
+                <p className='text-gray-400 text-xs'>Estimated Cost</p>
+                <p className='text-white text-lg font-mono'>
+                  {formatCost(report.totals.cost)}
+                </p>
+              </div>
+            </div>
+
+            {/* Budget progress */}
+            {budget.limit !== null ? (
+              <div className='mb-4'>
+                <div className='flex justify-between text-sm mb-1'>
+                  <span className='text-gray-300'>
+                    {formatCost(budget.spent)} of {formatCost(budget.limit)}{' '}
+                    {budget.source === 'server'
+                      ? 'organization budget'
+                      : 'personal budget'}
+                  </span>
+                  <span
+                    className={
+                      budget.exceeded ? 'text-red-400' : 'text-gray-400'
+                    }
+                  >
+                    {budget.exceeded
+                      ? 'Budget reached — using offline results'
+                      : `${formatCost(budget.remaining)} left`}
+                  </span>
+                </div>
+                <div className='w-full h-2 bg-[#1a1928] rounded-full overflow-hidden'>
+                  <div
+                    className={`h-full ${
+                      budgetPercent >= 100
+                        ? 'bg-red-500'
+                        : budgetPercent >= 80
+                        ? 'bg-yellow-500'
+                        : 'bg-[#5b56dd]'
+                    }`}
+                    style={{ width: `${budgetPercent}%` }}
+                  ></div>
+                </div>
+              </div>
+            ) : (
+              <p className='mb-4 text-gray-400 text-sm'>
+                No monthly budget is set.
+              </p>
+            )}
+
+            {report.totals.calls === 0 ? (
+              <p className='text-gray-400 text-sm'>
+                No AI calls in this month.
+              </p>
+            ) : (
+              <>
+                {/* Daily spend */}
+                <div className='flex items-end h-16 gap-1'>
+                  {report.byDay.map((day) => (
+                    <div
+                      key={day.day}
+                      className='flex-1 bg-[#5b56dd] rounded-t'
+                      style={{
+                        height: `${
+                          maxDailyCost > 0
+                            ? Math.max((day.cost / maxDailyCost) * 100, 4)
+                            : 4
+                        }%`,
+                      }}
+                      title={`${day.day}: ${formatCost(day.cost)}, ${formatTokens(
+                        day.totalTokens
+                      )} tokens`}
+                    ></div>
+                  ))}
+                </div>
+
+                <UsageTable
+                  title='By Feature'
+                  rows={report.byFeature}
+                  nameKey='feature'
+                  formatName={(feature) => FEATURE_LABELS[feature] || feature}
+                />
+                <UsageTable
+                  title='By Repository'
+                  rows={report.byRepository}
+                  nameKey='repository'
+                  formatName={(repository) =>
+                    repository === 'ALL_REPOS' ? 'All repositories' : repository
+                  }
+                />
+                <UsageTable
+                  title='By Model'
+                  rows={report.byModel}
+                  nameKey='model'
+                />
+
+                {report.totals.unpricedCalls > 0 && (
+                  <p className='mt-3 text-gray-400 text-xs'>
+                    * Some calls used a model without a known price and are not
+                    included in the cost. Prices can be added with
+                    AI_MODEL_PRICES.
+                  </p>
+                )}
+              </>
+            )}
+          </>
+        )
+      )}
+    </div>
+  );
+};
+
+export default AIUsage;
@@ -1,6 +1,26 @@
 import React, { useState, useEffect } from 'react';
 import { useSearchParams, useNavigate, useLocation } from 'react-router-dom';
 import UserHeader from './UserHeader';
+import DiffExcerpt from './DiffExcerpt';
+
+// Group findings by the file they're in; findings without a file come last
+const groupIssuesByFile = (issues) => {
+  const groups = new Map();
+  issues.forEach((issue) => {
+    const key = issue.file || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(issue);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === '') - (b === '') || a.localeCompare(b))
+    .map(([file, fileIssues]) => ({ file, issues: fileIssues }));
+};
+
+// Line range of a located finding, e.g. "L40-L45"
+const formatLineRange = (issue) =>
+  issue.lineEnd > issue.lineStart
+    ? `L${issue.lineStart}-L${issue.lineEnd}`
+    : `L${issue.lineStart}`;
 
 // Component to display detailed quality analysis for a specific commit
 const CommitAnalysis = ({ user }) => {
@@ -197,38 +217,72 @@ const CommitAnalysis = ({ user }) => {
                   <h2 className='text-white text-xl font-bold mb-4'>
                     Issues Found ({analysisData.analysis.issues.length})
                   </h2>
-                  <div className='space-y-3'>
-                    {analysisData.analysis.issues.map((issue, index) => (
-                      <div
-                        key={index}
-                        className='border-l-4 border-red-500 pl-4'
-                      >
-                        <div className='flex items-center gap-2 mb-1'>
-                          <span className='text-red-400 font-medium capitalize'>
-                            {issue.severity} - {issue.type.replace('_', ' ')}
-                          </span>
-                          {issue.line && issue.line !== 'unknown' && (
-                            <span className='text-gray-400 text-sm'>
-                              Line {issue.line}
-                            </span>
-                          )}
+                  <div className='space-y-6'>
+                    {groupIssuesByFile(analysisData.analysis.issues).map(
+                      (group) => (
+                        <div key={group.file || 'general'}>
+                          <h3 className='text-gray-200 font-mono text-sm mb-3'>
+                            {group.file ||
+                              'General (not tied to changed lines)'}
+                          </h3>
+                          <div className='space-y-4'>
+                            {group.issues.map((issue, index) => (
+                              <div
+                                key={index}
+                                className='border-l-4 border-red-500 pl-4'
+                              >
+                                <div className='flex items-center gap-2 mb-1'>
+                                  <span className='text-red-400 font-medium capitalize'>
+                                    {issue.severity} -{' '}
+                                    {issue.type.replace('_', ' ')}
+                                  </span>
+                                  {issue.located &&
+                                    (issue.url ? (
+                                      <a
+                                        href={issue.url}
+                                        target='_blank'
+                                        rel='noopener noreferrer'
+                                        className='text-blue-400 hover:text-blue-300 text-sm font-mono'
+                                      >
+                                        {formatLineRange(issue)} on GitHub
+                                      </a>
+                                    ) : (
+                                      <span className='text-gray-400 text-sm font-mono'>
+                                        {formatLineRange(issue)}
+                                      </span>
+                                    ))}
+                                  {/* Older analyses only have the AI's free-form line */}
+                                  {issue.located === undefined &&
+                                    issue.line &&
+                                    issue.line !== 'unknown' && (
+                                      <span className='text-gray-400 text-sm'>
+                                        Line {issue.line}
+                                      </span>
+                                    )}
+                                </div>
+                                <p className='text-gray-300 mb-2'>
+                                  {issue.description}
+                                </p>
+                                {issue.suggestion && (
+                                  <p className='text-blue-400 text-sm'>
+                                    {' '}
+                                    {issue.suggestion}
+                                  </p>
+                                )}
+                                {issue.example && (
+                                  <p className='text-green-400 text-sm'>
+                                    Example: {issue.example}
+                                  </p>
+                                )}
+                                {issue.located && (
+                                  <DiffExcerpt excerpt={issue.excerpt} />
+                                )}
+                              </div>
+                            ))}
+                          </div>
                         </div>
-                        <p className='text-gray-300 mb-2'>
-                          {issue.description}
-                        </p>
-                        {issue.suggestion && (
-                          <p className='text-blue-400 text-sm'>
-                            {' '}
-                            {issue.suggestion}
-                          </p>
-                        )}
-                        {issue.example && (
-                          <p className='text-green-400 text-sm'>
-                            Example: {issue.example}
-                          </p>
-                        )}
-                      </div>
-                    ))}
+                      )
+                    )}
                   </div>
                 </div>
               )}
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+// Display names of the providers that can be connected next to GitHub
+const PROVIDER_LABELS = {
+  gitlab: 'GitLab',
+  bitbucket: 'Bitbucket',
+};
+
+// GitLab and Bitbucket accounts whose repositories are included in summaries
+const ConnectedAccounts = () => {
+  const [searchParams] = useSearchParams();
+  const [connections, setConnections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyProvider, setBusyProvider] = useState(null);
+  const [error, setError] = useState(null);
+
+  // The OAuth callback redirects back here with ?connected= or ?connect_error=
+  const connectedProvider = searchParams.get('connected');
+  const failedProvider = searchParams.get('connect_error');
+
+  // Load connections on mount
+  useEffect(() => {
+    fetchConnections();
+  }, []);
+
+  // Fetch which providers are available and connected
+  const fetchConnections = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(
+        `${import.meta.env.VITE_API_URL}/api/settings/connections`,
+        {
+          credentials: 'include',
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.err || 'Failed to load connected accounts');
+      }
+
+      setConnections(data.data);
+    } catch (err) {
+      console.error('Connections fetch error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Remove a connected account and refresh the list
+  const handleDisconnect = async (provider) => {
+    try {
+      setBusyProvider(provider);
+      setError(null);
+
+      const response = await fetch(
+        `${import.meta.env.VITE_API_URL}/api/settings/connections/${provider}`,
+        {
+          method: 'DELETE',
+          credentials: 'include',
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.err || 'Failed to disconnect');
+      }
+
+      await fetchConnections();
+    } catch (err) {
+      console.error('Disconnect error:', err);
+      setError(err.message);
+    } finally {
+      setBusyProvider(null);
+    }
+  };
+
+  return (
+    <div className='mt-6 bg-[#2d2b3e] rounded-lg shadow-md p-6 border border-slate-600'>
+      <h2 className='text-xl font-bold text-white'>Connected Accounts</h2>
+      <p className='text-sm text-gray-300 mt-1 mb-4'>
+        Include repositories from GitLab and Bitbucket in your summaries next to
+        GitHub
+      </p>
+
+      {connectedProvider && PROVIDER_LABELS[connectedProvider] && (
+        <p className='mb-4 text-green-400 text-sm'>
+          {PROVIDER_LABELS[connectedProvider]} account connected.
+        </p>
+      )}
+      {failedProvider && PROVIDER_LABELS[failedProvider] && (
+        <p className='mb-4 text-red-400 text-sm'>
+          Could not connect your {PROVIDER_LABELS[failedProvider]} account.
+        </p>
+      )}
+      {error && <p className='mb-4 text-red-400 text-sm'>Error: {error}</p>}
+
+      {loading ? (
+        <p className='text-gray-400 text-sm'>Loading connected accounts...</p>
+      ) : (
+        <div className='space-y-3'>
+          {connections.map((connection) => (
+            <div
+              key={connection.provider}
+              className='flex justify-between items-center border-b border-slate-600 pb-3'
+            >
+              <div>
+                <p className='text-white font-medium'>
+                  {PROVIDER_LABELS[connection.provider]}
+                </p>
+                <p className='text-sm text-gray-400'>
+                  {connection.connected
+                    ? `Connected as ${connection.username || 'unknown user'}${
+                        connection.baseUrl ? ` on ${connection.baseUrl}` : ''
+                      }`
+                    : connection.available
+                    ? 'Not connected'
+                    : 'Not configured on this server'}
+                </p>
+              </div>
+              {connection.connected ? (
+                <button
+                  onClick={() => handleDisconnect(connection.provider)}
+                  disabled={busyProvider === connection.provider}
+                  className='px-4 py-2 bg-slate-600 text-white rounded-md hover:bg-slate-500 disabled:opacity-50 disabled:cursor-not-allowed'
+                >
+                  {busyProvider === connection.provider
+                    ? 'Disconnecting...'
+                    : 'Disconnect'}
+                </button>
+              ) : (
+                connection.available && (
+                  <a
+                    href={`${import.meta.env.VITE_API_URL}/auth/${
+                      connection.provider
+                    }`}
+                    className='px-4 py-2 bg-[#5b56dd] text-white rounded-md hover:bg-[#4a45c4]'
+                  >
+                    Connect
+                  </a>
+                )
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConnectedAccounts;
@@ -0,0 +1,49 @@
+import React from 'react';
+
+// Background and marker of each kind of diff line
+const LINE_STYLES = {
+  add: { marker: '+', className: 'bg-green-900/40 text-green-200' },
+  del: { marker: '-', className: 'bg-red-900/40 text-red-200' },
+  context: { marker: ' ', className: 'text-gray-300' },
+};
+
+// Component to display the part of a diff a quality finding points at
+const DiffExcerpt = ({ excerpt }) => {
+  if (!excerpt || !excerpt.lines || excerpt.lines.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className='mt-2 rounded border border-slate-600 overflow-x-auto font-mono text-xs'>
+      <div className='px-3 py-1 bg-slate-800 text-blue-300'>
+        {excerpt.header}
+      </div>
+      <table className='w-full border-collapse'>
+        <tbody>
+          {excerpt.lines.map((line, index) => {
+            const style = LINE_STYLES[line.type] || LINE_STYLES.context;
+            return (
+              <tr
+                key={index}
+                className={`${style.className} ${
+                  line.highlight ? 'outline outline-1 outline-yellow-500' : ''
+                }`}
+              >
+                <td className='px-2 text-right text-gray-500 select-none w-10'>
+                  {line.oldLine ?? ''}
+                </td>
+                <td className='px-2 text-right text-gray-500 select-none w-10'>
+                  {line.newLine ?? ''}
+                </td>
+                <td className='px-1 select-none w-4'>{style.marker}</td>
+                <td className='pr-3 whitespace-pre'>{line.content}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default DiffExcerpt;
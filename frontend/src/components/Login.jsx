@@ -1,20 +1,65 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import logo from '../assets/devsum-logo.png';
 
+const backendUrl = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+
 const Login = () => {
+  // Sign-in methods offered by the server; GitHub is assumed until they load
+  const [methods, setMethods] = useState({ github: true, token: false });
+  const [token, setToken] = useState('');
+  const [tokenError, setTokenError] = useState(null);
+  const [signingIn, setSigningIn] = useState(false);
+
+  useEffect(() => {
+    fetch(`${backendUrl}/auth/methods`, { credentials: 'include' })
+      .then((response) => response.json())
+      .then((data) => {
+        if (data.success) setMethods(data.data);
+      })
+      .catch((err) => console.error('Sign-in methods fetch error:', err));
+  }, []);
+
   const handleGitHubLogin = () => {
-    const backendUrl = import.meta.env.VITE_API_URL || 'http://localhost:3000';
     window.location.href = `${backendUrl}/auth/github`;
   };
 
-  // Create 50 particles with random positions and timings
-  const particles = Array.from({ length: 50 }, (_, i) => ({
-    id: i,
-    left: Math.random() * 100,
-    top: Math.random() * 100,
-    delay: Math.random() * 6,
-    duration: 3 + Math.random() * 3,
-  }));
+  // Sign in with a GitHub personal access token
+  const handleTokenLogin = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSigningIn(true);
+      setTokenError(null);
+
+      const response = await fetch(`${backendUrl}/auth/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ token }),
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.err || data.message || 'Sign-in failed');
+      }
+
+      window.location.href = '/dashboard';
+    } catch (err) {
+      setTokenError(err.message);
+      setSigningIn(false);
+    }
+  };
+
+  // Create 50 particles with random positions and timings (once, so they don't jump on re-render)
+  const [particles] = useState(() =>
+    Array.from({ length: 50 }, (_, i) => ({
+      id: i,
+      left: Math.random() * 100,
+      top: Math.random() * 100,
+      delay: Math.random() * 6,
+      duration: 3 + Math.random() * 3,
+    }))
+  );
 
   return (
     <div className='login-wrapper'>
@@ -44,12 +89,38 @@ const Login = () => {
         <h3 className='tagline'>Your daily dev bites.</h3>
         <p className='subtitle'>Smart. Steamy. Structured.</p>
 
-        <button className='github-button' onClick={handleGitHubLogin}>
-          <svg width='20' height='20' fill='currentColor' viewBox='0 0 24 24'>
-            <path d='M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z' />
-          </svg>
-          Continue with GitHub
-        </button>
+        {methods.github && (
+          <button className='github-button' onClick={handleGitHubLogin}>
+            <svg width='20' height='20' fill='currentColor' viewBox='0 0 24 24'>
+              <path d='M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z' />
+            </svg>
+            Continue with GitHub
+          </button>
+        )}
+
+        {methods.token && (
+          <form className='token-form' onSubmit={handleTokenLogin}>
+            <input
+              type='password'
+              className='token-input'
+              placeholder='GitHub personal access token'
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+              autoComplete='off'
+            />
+            <button
+              type='submit'
+              className='token-button'
+              disabled={!token.trim() || signingIn}
+            >
+              {signingIn ? 'Signing in...' : 'Sign in with token'}
+            </button>
+            {tokenError && <p className='token-error'>{tokenError}</p>}
+            <p className='token-hint'>
+              A fine-grained token with read-only Contents access is enough
+            </p>
+          </form>
+        )}
       </div>
 
       <style jsx>{`
@@ -195,6 +266,63 @@ const Login = () => {
           transform: translateY(-2px);
           box-shadow: 0 12px 35px rgba(0, 0, 0, 0.4);
         }
+
+        .token-form {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 10px;
+          width: 320px;
+        }
+
+        .token-input {
+          width: 100%;
+          padding: 12px 16px;
+          background: rgba(255, 255, 255, 0.08);
+          color: white;
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          border-radius: 12px;
+          font-size: 14px;
+        }
+
+        .token-input:focus {
+          outline: none;
+          border-color: #3b82f6;
+        }
+
+        .token-button {
+          width: 100%;
+          padding: 12px 16px;
+          background: #3b82f6;
+          color: white;
+          border: none;
+          border-radius: 12px;
+          font-size: 15px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: background 0.3s ease;
+        }
+
+        .token-button:hover:not(:disabled) {
+          background: #2563eb;
+        }
+
+        .token-button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .token-error {
+          margin: 0;
+          color: #f87171;
+          font-size: 0.9rem;
+        }
+
+        .token-hint {
+          margin: 0;
+          color: rgba(255, 255, 255, 0.5);
+          font-size: 0.8rem;
+        }
       `}</style>
     </div>
   );
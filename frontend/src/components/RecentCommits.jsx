@@ -1,6 +1,14 @@
 import React from 'react';
 import CommitItem from './CommitItem.jsx';
 
+// Why a commit was skipped (see the backend's CommitExclusion rules)
+const SKIP_REASON_LABELS = {
+  merge: 'Merge',
+  bot: 'Bot',
+  message: 'Excluded message',
+  paths: 'Excluded paths',
+};
+
 // Component to display list of recent commits with loading/error states
 const RecentCommits = ({
   commits,
@@ -67,11 +75,15 @@ const RecentCommits = ({
     totalInsights: qualityAnalysis?.codeAnalysis?.insights?.length || 0,
   });
 
+  // Skipped commits are only sent when the user collapses rather than hides them
+  const analyzedCommits = commits.filter((commit) => !commit.skipReason);
+  const skippedCommits = commits.filter((commit) => commit.skipReason);
+
   // Render commits list
   return (
     <div className='w-full max-w-4xl'>
       <h2 className='text-white text-xl mb-4'>
-        Recent Commits ({commits.length})
+        Recent Commits ({analyzedCommits.length})
         {hasQualityAnalysis && (
           <span className='text-sm text-green-400 ml-2'>
             Analysis Available
@@ -81,7 +93,7 @@ const RecentCommits = ({
 
       {/* Map through commits and render individual CommitItem components */}
       <div className='space-y-3'>
-        {commits.map((commit) => (
+        {analyzedCommits.map((commit) => (
           <CommitItem
             key={commit.sha}
             commit={commit}
@@ -92,6 +104,35 @@ const RecentCommits = ({
           />
         ))}
       </div>
+
+      {/* Merges, bot commits and excluded commits, without AI analysis */}
+      {skippedCommits.length > 0 && (
+        <details className='mt-4 bg-[#2d2b3e] border border-slate-600 rounded-lg'>
+          <summary className='px-4 py-3 text-sm text-gray-300 cursor-pointer'>
+            {skippedCommits.length} skipped commit
+            {skippedCommits.length === 1 ? '' : 's'} (merges, bots and your
+            commit filters)
+          </summary>
+          <ul className='px-4 pb-3 space-y-2'>
+            {skippedCommits.map((commit) => (
+              <li
+                key={commit.sha}
+                className='flex items-center gap-3 text-sm text-gray-400'
+              >
+                <span className='px-2 py-0.5 rounded bg-slate-700 text-xs text-gray-300 whitespace-nowrap'>
+                  {SKIP_REASON_LABELS[commit.skipReason] || commit.skipReason}
+                </span>
+                <span className='font-mono text-xs'>
+                  {commit.sha.substring(0, 7)}
+                </span>
+                <span className='truncate'>
+                  {commit.message.split('\n')[0]}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
     </div>
   );
 };
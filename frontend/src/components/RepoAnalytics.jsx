@@ -6,6 +6,22 @@ import RecentCommits from './RecentCommits.jsx';
 import LoadingProgressIndicator from './LoadingProgressIndicator.jsx';
 import { useProgressTracking } from '../hooks/useProgressTracking.js';
 
+// Branch selector value for commits from every recently active branch
+// ('*' can't appear in a git branch name)
+const ALL_BRANCHES = '*';
+
+// API path of a repository; GitLab namespaces can contain subgroups,
+// so only the last segment is the name and the owner is encoded
+const getRepoApiPath = (repo) => {
+  const index = repo.fullName.lastIndexOf('/');
+  const owner = encodeURIComponent(repo.fullName.substring(0, index));
+  const name = encodeURIComponent(repo.fullName.substring(index + 1));
+  return `${import.meta.env.VITE_API_URL}/api/repos/${owner}/${name}`;
+};
+
+// GitLab and Bitbucket repositories are read through the provider they came from
+const isGitHubRepo = (repo) => !repo.provider || repo.provider === 'github';
+
 // Main repository analytics page component
 const RepoAnalytics = ({
   user,
@@ -21,13 +37,14 @@ const RepoAnalytics = ({
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  // Branches of the selected repository; '' reads the default branch
+  const [branches, setBranches] = useState([]);
+  const [selectedBranch, setSelectedBranch] = useState('');
+
   // Local state for manual refresh tracking only
   const [isRefreshing, setIsRefreshing] = useState(false);
 
-  // Simulated progress state for fallback
-  const [simulatedProgress, setSimulatedProgress] = useState(0);
-
-  // Real progress tracking for quality analysis (when qualityJobId is provided)
+  // Real progress tracking for quality analysis (streamed from the backend job)
   const {
     progress: realProgress,
     message: realMessage,
@@ -39,55 +56,67 @@ const RepoAnalytics = ({
     !!qualityJobId && (qualityLoading || isRefreshing)
   );
 
-  // Track the last fetched repository to prevent unnecessary re-fetches
+  // Track the last fetched repository and branch to prevent unnecessary re-fetches
   const lastFetchedRepo = useRef(null);
 
   // Note: Navigation state restoration is no longer needed since quality analysis
   // is now cached at the app level and persists across all navigation
 
-  // Simulate progress when quality analysis loading starts (fallback when no qualityJobId)
-  useEffect(() => {
-    if ((qualityLoading || isRefreshing) && !qualityJobId) {
-      setSimulatedProgress(0);
-      const interval = setInterval(() => {
-        setSimulatedProgress((prev) => {
-          if (prev >= 95) {
-            clearInterval(interval);
-            return 95; // Stop at 95% until actual completion
-          }
-          // Simulate realistic progress curve for commit diff analysis
-          const increment = prev < 40 ? 6 : prev < 80 ? 3 : 1;
-          return Math.min(95, prev + increment);
-        });
-      }, 1200); // Slower updates for analysis operations
-
-      return () => clearInterval(interval);
-    } else {
-      setSimulatedProgress(100); // Complete when loading finishes
+  // Fetch the repository's branches for the branch selector
+  const fetchBranches = async (repo) => {
+    // Branch listing is GitHub-only; other providers read their default branch
+    if (!isGitHubRepo(repo)) {
+      setBranches([]);
+      return;
     }
-  }, [qualityLoading, isRefreshing, qualityJobId]);
 
-  // Fetch recent commits for the selected repository
-  const fetchCommits = async (repo) => {
-    if (!repo) return;
+    try {
+      const response = await fetch(`${getRepoApiPath(repo)}/branches`, {
+        credentials: 'include',
+      });
 
-    // Prevent duplicate fetches for the same repository
-    if (lastFetchedRepo.current === repo.fullName) {
-      console.log(`📦 Skipping duplicate fetch for ${repo.fullName}`);
-      return;
+      if (!response.ok) {
+        throw new Error(`Failed to fetch branches: ${response.status}`);
+      }
+
+      const data = await response.json();
+      setBranches(data.success ? data.data.branches : []);
+    } catch (error) {
+      // The default branch still works without the selector
+      console.error('Branch fetch error:', error);
+      setBranches([]);
+    }
+  };
+
+  // Fetch recent commits for the selected repository and branch
+  const fetchCommits = async (repo, branch = '') => {
+    if (!repo) return null;
+
+    // Prevent duplicate fetches for the same repository and branch
+    const fetchKey = `${repo.provider || 'github'}:${repo.fullName}@${branch}`;
+    if (lastFetchedRepo.current === fetchKey) {
+      console.log(`📦 Skipping duplicate fetch for ${fetchKey}`);
+      return null;
     }
 
     setLoading(true);
     setError(null);
-    lastFetchedRepo.current = repo.fullName;
+    lastFetchedRepo.current = fetchKey;
 
     try {
-      // Parse repository owner and name from fullName
-      const [owner, name] = repo.fullName.split('/');
+      const branchParam =
+        branch === ALL_BRANCHES
+          ? '&all_branches=true'
+          : branch
+          ? `&branch=${encodeURIComponent(branch)}`
+          : '';
+      const providerParam = isGitHubRepo(repo)
+        ? ''
+        : `&provider=${repo.provider}`;
       const response = await fetch(
-        `${
-          import.meta.env.VITE_API_URL
-        }/api/repos/${owner}/${name}/commits?per_page=10`,
+        `${getRepoApiPath(
+          repo
+        )}/commits?per_page=10${branchParam}${providerParam}`,
         {
           credentials: 'include',
         }
@@ -112,6 +141,7 @@ const RepoAnalytics = ({
         console.log(
           `✨ ${enhancedCount}/${data.data.commits.length} commits have AI suggested messages`
         );
+        return data.data.commits;
       } else {
         throw new Error('Failed to load commits');
       }
@@ -123,6 +153,7 @@ const RepoAnalytics = ({
     } finally {
       setLoading(false);
     }
+    return null;
   };
 
   // Wrapper for app-level quality analysis fetch with local refresh state tracking
@@ -137,7 +168,12 @@ const RepoAnalytics = ({
         }
 
         // Use app-level fetch function
-        await fetchQualityAnalysis(commits, repo.fullName, forceRefresh);
+        await fetchQualityAnalysis(
+          commits,
+          repo.fullName,
+          forceRefresh,
+          repo.provider || 'github'
+        );
       } catch (error) {
         console.error('Quality analysis error:', error);
       } finally {
@@ -157,9 +193,20 @@ const RepoAnalytics = ({
     await handleQualityAnalysis(commits, selectedRepo, true);
   };
 
-  // Auto-fetch commits when repository selection changes
+  // Switch branches and re-run quality analysis for the new commits
+  const handleBranchChange = async (branch) => {
+    setSelectedBranch(branch);
+    const branchCommits = await fetchCommits(selectedRepo, branch);
+    if (branchCommits) {
+      await handleQualityAnalysis(branchCommits, selectedRepo, false);
+    }
+  };
+
+  // Auto-fetch branches and default branch commits when repository selection changes
   useEffect(() => {
     if (selectedRepo) {
+      setSelectedBranch('');
+      fetchBranches(selectedRepo);
       fetchCommits(selectedRepo);
     }
   }, [selectedRepo]);
@@ -167,7 +214,10 @@ const RepoAnalytics = ({
   // Auto-fetch quality analysis when commits are loaded - uses app-level cache
   useEffect(() => {
     if (commits.length > 0 && selectedRepo) {
-      const cachedQualityAnalysis = getQualityAnalysis(selectedRepo.fullName);
+      const cachedQualityAnalysis = getQualityAnalysis(
+        selectedRepo.fullName,
+        selectedRepo.provider || 'github'
+      );
 
       if (!cachedQualityAnalysis) {
         // No cached data - fetch from backend (backend will check 4-hour cache first)
@@ -221,6 +271,34 @@ const RepoAnalytics = ({
 
       {/* Analytics content container */}
       <div className='flex flex-col  items-center  border border-slate-400   rounded-2xl  p-4 gap-6 max-w-6xl mx-auto '>
+        {/* Branch selector */}
+        {branches.length > 0 && (
+          <div className='flex items-center gap-3 self-end'>
+            <label htmlFor='branch-select' className='text-gray-300 text-sm'>
+              Branch
+            </label>
+            <select
+              id='branch-select'
+              value={selectedBranch}
+              onChange={(e) => handleBranchChange(e.target.value)}
+              disabled={loading}
+              className='px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white disabled:opacity-50'
+            >
+              <option value=''>
+                Default branch (
+                {branches.find((branch) => branch.isDefault)?.name || 'default'}
+                )
+              </option>
+              <option value={ALL_BRANCHES}>All active branches</option>
+              {branches.map((branch) => (
+                <option key={branch.name} value={branch.name}>
+                  {branch.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         {/* Repository metrics display */}
         <RepoMetricDisplay
           selectedRepo={selectedRepo}
@@ -259,7 +337,7 @@ const RepoAnalytics = ({
                 size='medium'
                 showSpinner={true}
                 showProgressBar={true}
-                progress={qualityJobId ? realProgress : simulatedProgress}
+                progress={realProgress}
               />
               {/* Show additional progress info for real tracking */}
               {qualityJobId && realMessage && (
@@ -297,7 +375,10 @@ const RepoAnalytics = ({
           commits={commits}
           loading={loading}
           error={error}
-          qualityAnalysis={getQualityAnalysis(selectedRepo?.fullName)}
+          qualityAnalysis={getQualityAnalysis(
+            selectedRepo?.fullName,
+            selectedRepo?.provider || 'github'
+          )}
           repositoryId={selectedRepo?.fullName}
         />
       </div>
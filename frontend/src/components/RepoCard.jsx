@@ -1,9 +1,17 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
 
+// Labels for repositories read from a connected GitLab or Bitbucket account
+// or from a git repository on the server
+const PROVIDER_LABELS = {
+  gitlab: 'GitLab',
+  bitbucket: 'Bitbucket',
+  local: 'Local',
+};
+
 // RepoCard displays individual repository info & actions
 // Props:
-// repository: object containing GitHub repository data (name, description, language, etc.)
+// repository: object containing repository data (name, description, language, provider, etc.)
 // setSelectedRepo: function to update selected repository in App.jsx state
 const RepoCard = ({ repository, setSelectedRepo }) => {
   const navigate = useNavigate();
@@ -21,9 +29,16 @@ const RepoCard = ({ repository, setSelectedRepo }) => {
 
   return (
     <div className='bg-white/10 backdrop-blur border border-white/20 rounded-lg p-6 hover:bg-white/15 transition-all duration-200 hover:scale-105'>
-      <h3 className='text-xl font-semibold text-white mb-3 truncate'>
-        {repository.name}
-      </h3>
+      <div className='flex items-center justify-between gap-2 mb-3'>
+        <h3 className='text-xl font-semibold text-white truncate'>
+          {repository.name}
+        </h3>
+        {PROVIDER_LABELS[repository.provider] && (
+          <span className='shrink-0 px-2 py-0.5 text-xs rounded bg-[#5b56dd]/30 text-white/80 border border-[#5b56dd]/50'>
+            {PROVIDER_LABELS[repository.provider]}
+          </span>
+        )}
+      </div>
       <p className='text-white/80 mb-4 line-clamp-2 min-h-[3rem]'>
         {repository.description || 'No description'}
       </p>
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 
 // Component to display repository metrics calculated from commit data
 const RepoMetricDisplay = ({
@@ -7,51 +7,55 @@ const RepoMetricDisplay = ({
   // loading,
   // yesterdaySummary,
 }) => {
+  // Commit categories shared with the backend (id, label), in display order
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await fetch(
+          `${import.meta.env.VITE_API_URL}/api/ai/commit-categories`,
+          {
+            credentials: 'include',
+          }
+        );
+        const data = await response.json();
+        if (response.ok && data.success) {
+          setCategories(data.data);
+        }
+      } catch (err) {
+        console.error('Commit categories fetch error:', err);
+      }
+    };
+
+    fetchCategories();
+  }, []);
+
   // Calculate various metrics from commits array
   const calculateMetrics = () => {
-    // Return default metrics when no commits available
-    if (!commits || commits.length === 0) {
-      return {
-        totalCommits: 0,
-        features: 0,
-        bugFixes: 0,
-        docs: 0,
-        refactors: 0,
-        test: 0,
-        totalAdditions: 0,
-        totalDeletions: 0,
-        uniqueAuthors: 0,
-      };
-    }
-
     // Initialize metrics object with commit count
     const metrics = {
-      totalCommits: commits.length,
-      features: 0,
-      bugFixes: 0,
-      docs: 0,
-      refactors: 0,
-      test: 0,
+      totalCommits: commits?.length || 0,
+      categoryCounts: {},
       totalAdditions: 0,
       totalDeletions: 0,
       uniqueAuthors: 0,
     };
 
+    // Return default metrics when no commits available
+    if (!commits || commits.length === 0) {
+      return metrics;
+    }
+
     // Track unique commit authors
     const authors = new Set();
 
     // Process each commit to extract metrics
     commits.forEach((commit) => {
-      const message = commit.message.toLowerCase();
-
-      // Count commit types based on message keywords
-      if (message.includes('feat') || message.includes('feature'))
-        metrics.features++;
-      if (message.includes('fix') || message.includes('bug'))
-        metrics.bugFixes++;
-      if (message.includes('docs')) metrics.docs++;
-      if (message.includes('refactor')) metrics.refactors++;
-      if (message.includes('test')) metrics.refactors++;
+      // Categories come from the backend so every screen counts commits the same way
+      const category = commit.category || 'other';
+      metrics.categoryCounts[category] =
+        (metrics.categoryCounts[category] || 0) + 1;
 
       // Aggregate code change statistics
       if (commit.stats) {
@@ -73,7 +77,12 @@ const RepoMetricDisplay = ({
   // Get calculated metrics for display
   const metrics = calculateMetrics();
 
-  // metric cards with values for display
+  // metric cards with values for display; categories missing from the
+  // shared list (before it loads) are shown by id after the known ones
+  const knownIds = categories.map((category) => category.id);
+  const unknownIds = Object.keys(metrics.categoryCounts).filter(
+    (id) => !knownIds.includes(id)
+  );
 
   const metricCard = [
     {
@@ -83,36 +92,14 @@ const RepoMetricDisplay = ({
       color: 'text-white',
       show: 'true',
     },
-    {
-      key: 'feature',
-      label: 'Feature',
-      value: metrics.features,
-      show: metrics.features > 0,
-    },
-    {
-      key: 'bugFixes',
-      label: 'BugFixes',
-      value: metrics.bugFixes,
-      show: metrics.bugFixes > 0,
-    },
-    {
-      key: 'docs',
-      label: 'Docs',
-      value: metrics.docs,
-      show: metrics.docs > 0,
-    },
-    {
-      key: ' refactors',
-      label: 'Refactors',
-      value: metrics.refactors,
-      show: metrics.refactors > 0,
-    },
-    {
-      key: 'test',
-      label: 'Test',
-      value: metrics.test,
-      show: metrics.test > 0,
-    },
+    ...categories
+      .concat(unknownIds.map((id) => ({ id, label: id })))
+      .map((category) => ({
+        key: category.id,
+        label: category.label,
+        value: metrics.categoryCounts[category.id] || 0,
+        show: metrics.categoryCounts[category.id] > 0,
+      })),
   ];
   // Filters metric card to be showed in return
   const visibleCards = metricCard.filter((card) => card.show);
@@ -0,0 +1,309 @@
+import React, { useState } from 'react';
+import UserHeader from './UserHeader';
+
+// Format a Date as YYYY-MM-DD in the browser's local time zone
+const toDateInputValue = (date) => {
+  const offsetDate = new Date(
+    date.getTime() - date.getTimezoneOffset() * 60000
+  );
+  return offsetDate.toISOString().split('T')[0];
+};
+
+// Show a signed change value, or n/a when there is no baseline
+const formatDelta = (value, digits = 2) => {
+  if (value === null || value === undefined) return 'n/a';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+};
+
+// Weekly / sprint retrospective page built from stored summaries, analyses and tasks
+const Retrospective = ({ user }) => {
+  // Period selection: last 7 days or an explicit sprint window
+  const [period, setPeriod] = useState('week');
+  const [sprintFrom, setSprintFrom] = useState(
+    toDateInputValue(new Date(Date.now() - 13 * 24 * 60 * 60 * 1000))
+  );
+  const [sprintTo, setSprintTo] = useState(toDateInputValue(new Date()));
+
+  // Retrospective result and request state
+  const [retrospective, setRetrospective] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // Request the retrospective for the selected period
+  const fetchRetrospective = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setCopied(false);
+
+      const params = new URLSearchParams({ period });
+      if (period === 'sprint') {
+        params.set('from', sprintFrom);
+        params.set('to', sprintTo);
+      }
+
+      const response = await fetch(
+        `${import.meta.env.VITE_API_URL}/api/ai/retrospective?${params}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to generate retrospective');
+      }
+
+      setRetrospective(data.data);
+    } catch (err) {
+      console.error('Retrospective fetch error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Copy the Markdown rendering for pasting into a sprint review
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(retrospective.markdown);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  return (
+    <div
+      className='min-h-screen'
+      style={{
+        background:
+          'linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%)',
+      }}
+    >
+      <UserHeader user={user} />
+
+      <div className='max-w-5xl mx-auto p-6 space-y-6'>
+        {/* Period controls */}
+        <div className='bg-[#272633] border border-slate-400 rounded-lg p-6'>
+          <h1 className='text-white text-2xl font-bold mb-4'>Retrospective</h1>
+          <div className='flex flex-wrap items-end gap-4'>
+            <div className='flex rounded overflow-hidden border border-slate-600'>
+              {['week', 'sprint'].map((option) => (
+                <button
+                  key={option}
+                  onClick={() => setPeriod(option)}
+                  className={`px-4 py-2 text-sm capitalize transition-colors ${
+                    period === option
+                      ? 'bg-[#5b56dd] text-white'
+                      : 'bg-[#1e1d2b] text-gray-300 hover:bg-[#2d2b3e]'
+                  }`}
+                >
+                  {option === 'week' ? 'Last 7 days' : 'Sprint'}
+                </button>
+              ))}
+            </div>
+
+            {period === 'sprint' && (
+              <>
+                <label className='text-sm text-gray-300'>
+                  From
+                  <input
+                    type='date'
+                    value={sprintFrom}
+                    onChange={(e) => setSprintFrom(e.target.value)}
+                    className='block mt-1 px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white'
+                  />
+                </label>
+                <label className='text-sm text-gray-300'>
+                  To
+                  <input
+                    type='date'
+                    value={sprintTo}
+                    onChange={(e) => setSprintTo(e.target.value)}
+                    className='block mt-1 px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white'
+                  />
+                </label>
+              </>
+            )}
+
+            <button
+              onClick={fetchRetrospective}
+              disabled={loading}
+              className='px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed'
+            >
+              {loading ? 'Generating...' : 'Generate'}
+            </button>
+          </div>
+          {error && <p className='mt-4 text-red-400'>Error: {error}</p>}
+        </div>
+
+        {retrospective && (
+          <>
+            {/* Overview and narrative */}
+            <div className='bg-[#272633] border border-slate-400 rounded-lg p-6'>
+              <div className='flex justify-between items-start mb-4'>
+                <div>
+                  <h2 className='text-white text-xl font-bold'>
+                    {retrospective.period.from} to {retrospective.period.to}
+                  </h2>
+                  <p className='text-gray-400 text-sm'>
+                    {retrospective.totals.commits} commits ·{' '}
+                    {retrospective.totals.repositories} repositories ·{' '}
+                    {retrospective.totals.activeDays} active days ·{' '}
+                    {retrospective.period.timeZone}
+                  </p>
+                </div>
+                <button
+                  onClick={handleCopy}
+                  className='px-3 py-2 bg-slate-700 hover:bg-slate-500 text-white rounded text-sm transition-colors'
+                >
+                  {copied ? 'Copied!' : 'Copy as Markdown'}
+                </button>
+              </div>
+              <p className='text-gray-300 leading-relaxed'>
+                {retrospective.narrative}
+              </p>
+              {/* Days nobody generated a summary for aren't in the numbers */}
+              {retrospective.coverage?.missingDays.length > 0 && (
+                <p className='mt-4 text-yellow-400 text-sm'>
+                  No summary was generated for{' '}
+                  {retrospective.coverage.missingDays.length} of{' '}
+                  {retrospective.coverage.days} days (
+                  {retrospective.coverage.missingDays.join(', ')}), so their
+                  commits are not included.
+                </p>
+              )}
+            </div>
+
+            {/* Highlights */}
+            {retrospective.highlights.length > 0 && (
+              <div className='bg-[#272633] border border-slate-400 rounded-lg p-6'>
+                <h2 className='text-white text-xl font-bold mb-4'>
+                  Highlights
+                </h2>
+                <ul className='space-y-2'>
+                  {retrospective.highlights.map((highlight, index) => (
+                    <li key={index} className='flex items-start gap-2'>
+                      <span className='text-green-400 mt-1'>✓</span>
+                      <span className='text-gray-300'>{highlight}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Category breakdown */}
+            {retrospective.categories.length > 0 && (
+              <div className='bg-[#272633] border border-slate-400 rounded-lg p-6'>
+                <h2 className='text-white text-xl font-bold mb-4'>
+                  Category Breakdown
+                </h2>
+                <div className='space-y-3'>
+                  {retrospective.categories.map((category) => (
+                    <div key={category.category}>
+                      <div className='flex justify-between text-sm mb-1'>
+                        <span className='text-white capitalize'>
+                          {category.category}
+                        </span>
+                        <span className='text-gray-400'>
+                          {category.count} ({category.percentage}%)
+                        </span>
+                      </div>
+                      <div className='h-2 bg-[#1e1d2b] rounded'>
+                        <div
+                          className='h-2 bg-[#5b56dd] rounded'
+                          style={{ width: `${category.percentage}%` }}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Quality trend deltas */}
+            {retrospective.quality.length > 0 && (
+              <div className='bg-[#272633] border border-slate-400 rounded-lg p-6'>
+                <h2 className='text-white text-xl font-bold mb-4'>
+                  Quality Trends
+                </h2>
+                <table className='w-full text-sm'>
+                  <thead>
+                    <tr className='text-gray-400 text-left'>
+                      <th className='pb-2'>Repository</th>
+                      <th className='pb-2'>Score</th>
+                      <th className='pb-2'>Change</th>
+                      <th className='pb-2'>Issues</th>
+                      <th className='pb-2'>Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {retrospective.quality.map((repo) => (
+                      <tr key={repo.repositoryId} className='text-white'>
+                        <td className='py-1'>{repo.repositoryId}</td>
+                        <td className='py-1 font-mono'>
+                          {repo.currentScore.toFixed(2)}
+                        </td>
+                        <td
+                          className={`py-1 font-mono ${
+                            repo.scoreDelta > 0
+                              ? 'text-green-400'
+                              : repo.scoreDelta < 0
+                              ? 'text-red-400'
+                              : 'text-gray-400'
+                          }`}
+                        >
+                          {formatDelta(repo.scoreDelta)}
+                        </td>
+                        <td className='py-1 font-mono'>{repo.currentIssues}</td>
+                        <td className='py-1 font-mono text-gray-400'>
+                          {formatDelta(repo.issuesDelta, 0)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Carried-over tasks */}
+            {retrospective.carriedOverTasks.length > 0 && (
+              <div className='bg-[#272633] border border-slate-400 rounded-lg p-6'>
+                <h2 className='text-white text-xl font-bold mb-4'>
+                  Carried Over
+                </h2>
+                <div className='space-y-3'>
+                  {retrospective.carriedOverTasks.map((task, index) => (
+                    <div
+                      key={index}
+                      className='border-l-2 border-[#5b56dd] pl-3'
+                    >
+                      <p className='text-white text-sm font-semibold'>
+                        {task.title}
+                        <span className='ml-2 text-xs font-normal text-gray-400'>
+                          {task.priority}
+                          {task.timesSuggested > 1 &&
+                            ` · suggested ${task.timesSuggested} times`}
+                        </span>
+                      </p>
+                      <p className='text-gray-300 text-sm'>
+                        {task.description}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Retrospective;
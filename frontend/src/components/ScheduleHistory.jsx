@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+
+// Text colors for run and step statuses
+const STATUS_COLORS = {
+  completed: 'text-green-400',
+  failed: 'text-red-400',
+  skipped: 'text-yellow-400',
+  running: 'text-blue-400',
+  pending: 'text-gray-400',
+};
+
+// Format a millisecond duration as seconds
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  return `${(ms / 1000).toFixed(1)}s`;
+};
+
+// Morning pre-generation status and run history shown on the settings page
+const ScheduleHistory = () => {
+  const [schedule, setSchedule] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load schedule and history on mount
+  useEffect(() => {
+    fetchSchedule();
+  }, []);
+
+  // Fetch the schedule status and recent runs together
+  const fetchSchedule = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [scheduleResponse, runsResponse] = await Promise.all([
+        fetch(`${import.meta.env.VITE_API_URL}/api/schedule`, {
+          credentials: 'include',
+        }),
+        fetch(`${import.meta.env.VITE_API_URL}/api/schedule/runs`, {
+          credentials: 'include',
+        }),
+      ]);
+
+      const scheduleData = await scheduleResponse.json();
+      const runsData = await runsResponse.json();
+
+      if (!scheduleResponse.ok || !runsResponse.ok) {
+        throw new Error(
+          scheduleData.error || runsData.error || 'Failed to load schedule'
+        );
+      }
+
+      setSchedule(scheduleData.data);
+      setRuns(runsData.data);
+    } catch (err) {
+      console.error('Schedule fetch error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run the pre-generation immediately and refresh the history
+  const handleRunNow = async () => {
+    try {
+      setRunning(true);
+      setError(null);
+
+      const response = await fetch(
+        `${import.meta.env.VITE_API_URL}/api/schedule/run`,
+        {
+          method: 'POST',
+          credentials: 'include',
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Run failed');
+      }
+
+      await fetchSchedule();
+    } catch (err) {
+      console.error('Schedule run error:', err);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className='mt-6 bg-[#2d2b3e] rounded-lg shadow-md p-6 border border-slate-600'>
+      <div className='flex justify-between items-start mb-4'>
+        <div>
+          <h2 className='text-xl font-bold text-white'>Morning Preparation</h2>
+          {schedule && (
+            <p className='text-sm text-gray-300 mt-1'>
+              {schedule.enabled
+                ? `Next run: ${
+                    schedule.nextRunAt
+                      ? new Date(schedule.nextRunAt).toLocaleString()
+                      : 'not scheduled'
+                  } (${schedule.time} ${schedule.timezone})`
+                : 'Disabled — turn on "Prepare Dashboard Every Morning" above'}
+            </p>
+          )}
+        </div>
+        <button
+          onClick={handleRunNow}
+          disabled={running || loading}
+          className='px-4 py-2 bg-slate-600 text-white rounded-md hover:bg-slate-500 disabled:opacity-50 disabled:cursor-not-allowed'
+        >
+          {running ? 'Running...' : 'Run Now'}
+        </button>
+      </div>
+
+      {error && <p className='mb-4 text-red-400 text-sm'>Error: {error}</p>}
+
+      {loading ? (
+        <p className='text-gray-400 text-sm'>Loading run history...</p>
+      ) : runs.length === 0 ? (
+        <p className='text-gray-400 text-sm'>No runs yet.</p>
+      ) : (
+        <table className='w-full text-sm'>
+          <thead>
+            <tr className='text-gray-400 text-left'>
+              <th className='pb-2'>Day</th>
+              <th className='pb-2'>Trigger</th>
+              <th className='pb-2'>Status</th>
+              <th className='pb-2'>Summary</th>
+              <th className='pb-2'>Tasks</th>
+              <th className='pb-2'>Duration</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map((run) => (
+              <tr key={run.id} className='text-white align-top'>
+                <td className='py-1 font-mono'>{run.runDate}</td>
+                <td className='py-1 capitalize'>{run.trigger}</td>
+                <td className={`py-1 capitalize ${STATUS_COLORS[run.status]}`}>
+                  {run.status}
+                </td>
+                {['summary', 'tasks'].map((step) => (
+                  <td
+                    key={step}
+                    className={`py-1 ${STATUS_COLORS[run.steps?.[step]?.status]}`}
+                    title={run.steps?.[step]?.message}
+                  >
+                    {run.steps?.[step]?.status === 'completed'
+                      ? run.steps[step].count
+                      : run.steps?.[step]?.status || '—'}
+                  </td>
+                ))}
+                <td className='py-1 font-mono text-gray-400'>
+                  {formatDuration(run.durationMs)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleHistory;
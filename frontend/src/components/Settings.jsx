@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import ScheduleHistory from './ScheduleHistory.jsx';
+import ConnectedAccounts from './ConnectedAccounts.jsx';
+import AIUsage from './AIUsage.jsx';
 
 // Settings management component for API keys and configuration
 const Settings = () => {
@@ -7,8 +10,26 @@ const Settings = () => {
 
   // Current settings values displayed in form inputs
   const [settings, setSettings] = useState({
+    AI_PROVIDER: 'openai',
+    AI_BASE_URL: '',
     OPENAI_API_KEY: '',
     OPENAI_MODEL: '',
+    AI_MONTHLY_BUDGET: '',
+    TIMEZONE: '',
+    SKIP_WEEKENDS: 'false',
+    MONDAY_COVERS_WEEKEND: 'false',
+    SCHEDULE_ENABLED: 'false',
+    SCHEDULE_TIME: '08:30',
+    AUTHOR_FILTER: 'me',
+    AUTHOR_FILTER_LIST: '',
+    AUTHOR_EMAILS: '',
+    SUMMARY_ALL_BRANCHES: 'false',
+    EXCLUDE_MERGE_COMMITS: 'true',
+    EXCLUDE_BOT_COMMITS: 'true',
+    COMMIT_BOT_AUTHORS: '',
+    COMMIT_EXCLUDE_PATTERNS: '',
+    COMMIT_EXCLUDE_PATHS: '',
+    COMMIT_FILTER_MODE: 'exclude',
   });
 
   // Original settings from server for change detection
@@ -77,7 +98,10 @@ const Settings = () => {
       // Only send changed settings to minimize payload and avoid unnecessary updates
       const changedSettings = {};
       Object.keys(settings).forEach((key) => {
-        if (settings[key] !== originalSettings[key] && settings[key].trim()) {
+        if (
+          settings[key] !== originalSettings[key] &&
+          (settings[key].trim() || isClearableField(key))
+        ) {
           changedSettings[key] = settings[key].trim();
         }
       });
@@ -165,17 +189,62 @@ const Settings = () => {
   // Check if any settings have been modified from their original values
   const hasChanges = () => {
     return Object.keys(settings).some(
-      (key) => settings[key] !== originalSettings[key] && settings[key].trim()
+      (key) =>
+        settings[key] !== originalSettings[key] &&
+        (settings[key].trim() || isClearableField(key))
     );
   };
 
+  // Currently selected AI provider (drives labels and which fields are shown)
+  const provider = settings.AI_PROVIDER || 'openai';
+
   // Convert setting keys to user-friendly display labels
   const getFieldLabel = (key) => {
     switch (key) {
+      case 'AI_PROVIDER':
+        return 'AI Provider';
+      case 'AI_BASE_URL':
+        return 'Server Base URL';
       case 'OPENAI_API_KEY':
-        return 'OpenAI API Key';
+        return provider === 'anthropic'
+          ? 'Anthropic API Key'
+          : provider === 'openai-compatible'
+          ? 'API Key (optional)'
+          : 'OpenAI API Key';
       case 'OPENAI_MODEL':
-        return 'OpenAI Model';
+        return 'Model';
+      case 'AI_MONTHLY_BUDGET':
+        return 'Monthly AI Budget (USD)';
+      case 'TIMEZONE':
+        return 'Time Zone';
+      case 'SKIP_WEEKENDS':
+        return 'Skip Weekends';
+      case 'MONDAY_COVERS_WEEKEND':
+        return 'Monday Covers Friday–Sunday';
+      case 'SCHEDULE_ENABLED':
+        return 'Prepare Dashboard Every Morning';
+      case 'SCHEDULE_TIME':
+        return 'Preparation Time';
+      case 'AUTHOR_FILTER':
+        return 'Whose Commits to Include';
+      case 'AUTHOR_FILTER_LIST':
+        return 'Selected Authors';
+      case 'AUTHOR_EMAILS':
+        return 'My Other Commit Emails';
+      case 'SUMMARY_ALL_BRANCHES':
+        return 'Include Feature Branches';
+      case 'EXCLUDE_MERGE_COMMITS':
+        return 'Skip Merge Commits';
+      case 'EXCLUDE_BOT_COMMITS':
+        return 'Skip Bot Commits';
+      case 'COMMIT_BOT_AUTHORS':
+        return 'Other Bot Accounts';
+      case 'COMMIT_EXCLUDE_PATTERNS':
+        return 'Skip Commits Matching';
+      case 'COMMIT_EXCLUDE_PATHS':
+        return 'Skip Commits Only Changing';
+      case 'COMMIT_FILTER_MODE':
+        return 'Skipped Commits in Repository View';
       default:
         return key;
     }
@@ -184,20 +253,144 @@ const Settings = () => {
   // Provide helpful descriptions for each setting field
   const getFieldDescription = (key) => {
     switch (key) {
+      case 'AI_PROVIDER':
+        return 'Where AI requests are sent. Choose an OpenAI-compatible server to keep diffs on your own infrastructure';
+      case 'AI_BASE_URL':
+        return provider === 'anthropic'
+          ? 'Optional custom endpoint for the Anthropic API'
+          : 'Base URL of your OpenAI-compatible server, e.g. http://localhost:11434/v1 for Ollama. Private and local addresses must be allowed by the server administrator';
       case 'OPENAI_API_KEY':
-        return 'Your personal OpenAI API Key for AI features (stored securely in your account)';
+        return 'Your personal API key for AI features (stored securely in your account)';
       case 'OPENAI_MODEL':
-        return 'Select your preferred OpenAI model for AI-powered features';
+        return provider === 'openai'
+          ? 'Select your preferred OpenAI model for AI-powered features'
+          : 'Name of the model to use, as your provider expects it';
+      case 'AI_MONTHLY_BUDGET':
+        return 'Once estimated spend reaches this amount, AI features switch to offline results until next month. Leave empty for no personal limit';
+      case 'TIMEZONE':
+        return 'Your local time zone, used to decide where "yesterday" starts and ends';
+      case 'SKIP_WEEKENDS':
+        return 'When yesterday was a Saturday or Sunday, summarize the last weekday instead';
+      case 'MONDAY_COVERS_WEEKEND':
+        return 'On Mondays, the summary covers Friday through Sunday';
+      case 'SCHEDULE_ENABLED':
+        return 'Generate your summary and task suggestions in the background so the dashboard is ready when you open it';
+      case 'SCHEDULE_TIME':
+        return 'Local time (in your time zone) when the morning preparation runs, e.g. 08:30 for a 9:00 standup';
+      case 'AUTHOR_FILTER':
+        return 'Limit summaries, task suggestions and quality analysis to your own commits, a chosen list of authors, or everyone in your repositories';
+      case 'AUTHOR_FILTER_LIST':
+        return 'GitHub logins and/or commit emails, separated by commas';
+      case 'AUTHOR_EMAILS':
+        return 'Emails you commit with that are not verified on your GitHub account, separated by commas';
+      case 'SUMMARY_ALL_BRANCHES':
+        return 'Summarize commits on every recently active branch, not just the default branch, so unmerged work shows up';
+      case 'EXCLUDE_MERGE_COMMITS':
+        return 'Leave merge commits out of summaries, quality analysis and AI commit analysis';
+      case 'EXCLUDE_BOT_COMMITS':
+        return 'Leave commits by Dependabot, Renovate and other bot accounts out as well';
+      case 'COMMIT_BOT_AUTHORS':
+        return 'Logins and/or commit emails of other bots (e.g. a release bot), separated by commas';
+      case 'COMMIT_EXCLUDE_PATTERNS':
+        return 'Regular expressions of up to 200 characters, one per line, without repeated repeating groups like (a+)+. Commits whose message matches any of them are skipped';
+      case 'COMMIT_EXCLUDE_PATHS':
+        return 'Path globs such as dist/** or *.lock, separated by commas. Commits that only change matching files are skipped';
+      case 'COMMIT_FILTER_MODE':
+        return 'Hide skipped commits, or keep them in the commit list marked as skipped and without AI analysis';
       default:
         return '';
     }
   };
 
+  // Hide the base URL for the hosted OpenAI API, where it is never needed,
+  // and the author list unless selected authors are being filtered
+  const isFieldVisible = (key) => {
+    if (key === 'AI_BASE_URL') return provider !== 'openai';
+    if (key === 'AUTHOR_FILTER_LIST') {
+      return settings.AUTHOR_FILTER === 'selected';
+    }
+    return true;
+  };
+
+  // List settings that may be saved empty to clear them
+  const isClearableField = (key) => {
+    return (
+      key === 'AUTHOR_FILTER_LIST' ||
+      key === 'AUTHOR_EMAILS' ||
+      key === 'AI_MONTHLY_BUDGET' ||
+      key === 'COMMIT_BOT_AUTHORS' ||
+      key === 'COMMIT_EXCLUDE_PATTERNS' ||
+      key === 'COMMIT_EXCLUDE_PATHS'
+    );
+  };
+
   // Determine if field should be masked (password input) for security
   const isFieldSensitive = (key) => {
     return key.includes('SECRET') || key.includes('KEY');
   };
 
+  // Settings fields rendered in the form
+  const visibleKeys = Object.keys(settings).filter(isFieldVisible);
+
+  // Settings stored as 'true' / 'false' and edited with a Yes/No select
+  const isBooleanField = (key) => {
+    return (
+      key === 'SKIP_WEEKENDS' ||
+      key === 'MONDAY_COVERS_WEEKEND' ||
+      key === 'SCHEDULE_ENABLED' ||
+      key === 'SUMMARY_ALL_BRANCHES' ||
+      key === 'EXCLUDE_MERGE_COMMITS' ||
+      key === 'EXCLUDE_BOT_COMMITS'
+    );
+  };
+
+  // Time zones supported by the browser, with the detected zone listed first
+  const getTimeZoneOptions = () => {
+    const detected = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const zones =
+      typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('timeZone')
+        : [];
+    return [
+      { value: '', label: 'Select a time zone...' },
+      ...[detected, 'UTC', ...zones]
+        .filter((zone, index, all) => all.indexOf(zone) === index)
+        .map((zone) => ({
+          value: zone,
+          label: zone === detected ? `${zone} (detected)` : zone,
+        })),
+    ];
+  };
+
+  // Define author filter options
+  const getAuthorFilterOptions = () => {
+    return [
+      { value: 'me', label: 'Only my commits' },
+      { value: 'selected', label: 'Selected authors' },
+      { value: 'everyone', label: 'Everyone' },
+    ];
+  };
+
+  // Define how skipped commits are shown in repository commit lists
+  const getCommitFilterModeOptions = () => {
+    return [
+      { value: 'exclude', label: 'Hide them' },
+      { value: 'collapse', label: 'Show them collapsed' },
+    ];
+  };
+
+  // Define available AI provider options
+  const getProviderOptions = () => {
+    return [
+      { value: 'openai', label: 'OpenAI' },
+      {
+        value: 'openai-compatible',
+        label: 'OpenAI-compatible (Ollama, vLLM, LM Studio)',
+      },
+      { value: 'anthropic', label: 'Anthropic' },
+    ];
+  };
+
   // Define available OpenAI model options with descriptions
   const getOpenAIModelOptions = () => {
     return [
@@ -210,9 +403,145 @@ const Settings = () => {
     ];
   };
 
-  // Render appropriate input type based on field (select for models, password for secrets)
+  // Render appropriate input type based on field (select for provider/models, password for secrets)
   const renderField = (key) => {
-    if (key === 'OPENAI_MODEL') {
+    if (isBooleanField(key)) {
+      return (
+        <select
+          value={settings[key]}
+          onChange={(e) => handleInputChange(key, e.target.value)}
+          className='flex-1 px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+        >
+          <option value='false' className='bg-[#1a1928] text-white'>
+            No
+          </option>
+          <option value='true' className='bg-[#1a1928] text-white'>
+            Yes
+          </option>
+        </select>
+      );
+    }
+
+    if (key === 'TIMEZONE') {
+      return (
+        <select
+          value={settings[key]}
+          onChange={(e) => handleInputChange(key, e.target.value)}
+          className='flex-1 px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+        >
+          {getTimeZoneOptions().map((option) => (
+            <option
+              key={option.value}
+              value={option.value}
+              className='bg-[#1a1928] text-white'
+            >
+              {option.label}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    if (key === 'SCHEDULE_TIME') {
+      return (
+        <input
+          type='time'
+          value={settings[key]}
+          onChange={(e) => handleInputChange(key, e.target.value)}
+          className='flex-1 px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+        />
+      );
+    }
+
+    if (key === 'AI_MONTHLY_BUDGET') {
+      return (
+        <input
+          type='number'
+          min='0'
+          step='0.01'
+          value={settings[key]}
+          onChange={(e) => handleInputChange(key, e.target.value)}
+          className='flex-1 px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+          placeholder='No limit'
+        />
+      );
+    }
+
+    if (key === 'AUTHOR_FILTER') {
+      return (
+        <select
+          value={settings[key]}
+          onChange={(e) => handleInputChange(key, e.target.value)}
+          className='flex-1 px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+        >
+          {getAuthorFilterOptions().map((option) => (
+            <option
+              key={option.value}
+              value={option.value}
+              className='bg-[#1a1928] text-white'
+            >
+              {option.label}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    if (key === 'COMMIT_FILTER_MODE') {
+      return (
+        <select
+          value={settings[key]}
+          onChange={(e) => handleInputChange(key, e.target.value)}
+          className='flex-1 px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+        >
+          {getCommitFilterModeOptions().map((option) => (
+            <option
+              key={option.value}
+              value={option.value}
+              className='bg-[#1a1928] text-white'
+            >
+              {option.label}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    // Patterns may contain commas, so they are entered one per line
+    if (key === 'COMMIT_EXCLUDE_PATTERNS') {
+      return (
+        <textarea
+          rows={3}
+          value={settings[key]}
+          onChange={(e) => handleInputChange(key, e.target.value)}
+          className='flex-1 px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white font-mono text-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+          placeholder={'^chore\\(release\\)\n^Update translations'}
+        />
+      );
+    }
+
+    if (key === 'AI_PROVIDER') {
+      return (
+        <select
+          value={settings[key]}
+          onChange={(e) => handleInputChange(key, e.target.value)}
+          className='flex-1 px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+        >
+          {getProviderOptions().map((option) => (
+            <option
+              key={option.value}
+              value={option.value}
+              className='bg-[#1a1928] text-white'
+            >
+              {option.label}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    // Model names are free-form for providers other than OpenAI
+    if (key === 'OPENAI_MODEL' && provider === 'openai') {
       return (
         <select
           value={settings[key]}
@@ -304,7 +633,7 @@ const Settings = () => {
 
             {/* Settings form fields with labels, descriptions, and test buttons */}
             <div className='space-y-6'>
-              {Object.keys(settings).map((key) => (
+              {visibleKeys.map((key) => (
                 <div key={key} className='border-b border-slate-600 pb-6'>
                   <label className='block text-sm font-medium text-white mb-2'>
                     {getFieldLabel(key)}
@@ -316,10 +645,14 @@ const Settings = () => {
                   <div className='flex space-x-3'>
                     {renderField(key)}
 
-                    {/* Test button for validation (except for model selection) */}
+                    {/* Test button for validation (except for model and provider selection) */}
                     {settings[key] &&
                       settings[key].trim() &&
-                      key !== 'OPENAI_MODEL' && (
+                      key !== 'OPENAI_MODEL' &&
+                      key !== 'AI_PROVIDER' &&
+                      key !== 'AUTHOR_FILTER' &&
+                      key !== 'COMMIT_FILTER_MODE' &&
+                      !isBooleanField(key) && (
                         <button
                           onClick={() => handleTest(key, settings[key])}
                           disabled={testing[key]}
@@ -351,6 +684,15 @@ const Settings = () => {
               </button>
             </div>
           </div>
+
+          {/* Token usage, estimated cost and budget for this month */}
+          <AIUsage />
+
+          {/* GitLab and Bitbucket accounts included in summaries */}
+          <ConnectedAccounts />
+
+          {/* Morning pre-generation run history */}
+          <ScheduleHistory />
         </div>
       </div>
     </div>
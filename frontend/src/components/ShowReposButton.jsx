@@ -16,6 +16,20 @@ const ShowReposButton = () => {
       >
         <span>View Your GitHub Repositories</span>
       </button>
+      {/* Weekly / sprint retrospective built from stored summaries */}
+      <button
+        className='bg-slate-700 hover:bg-slate-500 text-white font-medium text-base transition-all duration-200 cursor-pointer shadow-md border border-slate-600 rounded px-6 py-3 flex items-center m-5'
+        onClick={() => navigate('/retrospective')}
+      >
+        <span>Sprint Retrospective</span>
+      </button>
+      {/* Team standup with every member's summary side by side */}
+      <button
+        className='bg-slate-700 hover:bg-slate-500 text-white font-medium text-base transition-all duration-200 cursor-pointer shadow-md border border-slate-600 rounded px-6 py-3 flex items-center m-5'
+        onClick={() => navigate('/team')}
+      >
+        <span>Team Standup</span>
+      </button>
     </div>
   );
 };
@@ -0,0 +1,580 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import UserHeader from './UserHeader';
+import { useProgressTracking } from '../hooks/useProgressTracking.js';
+
+const API_URL = `${import.meta.env.VITE_API_URL}/api/teams`;
+
+// Text colors for task priorities
+const PRIORITY_COLORS = {
+  high: 'text-red-400',
+  medium: 'text-yellow-400',
+  low: 'text-green-400',
+};
+
+// Label category counts in the categories' display order; unknown ids go last
+const sortCategoryCounts = (counts, categories) => {
+  const known = categories
+    .filter((category) => counts[category.id] > 0)
+    .map((category) => ({
+      id: category.id,
+      label: category.label,
+      count: counts[category.id],
+    }));
+  const unknown = Object.keys(counts)
+    .filter((id) => !categories.some((category) => category.id === id))
+    .map((id) => ({ id, label: id, count: counts[id] }));
+  return [...known, ...unknown];
+};
+
+// Split a comma separated input into trimmed entries
+const parseList = (value) =>
+  value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+// Send a JSON request to the teams API and unwrap the response
+const requestTeams = async (path = '', options = {}) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    ...options,
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Team request failed');
+  }
+  return data.data;
+};
+
+// Team standup page: every member's summary and priorities side by side
+const TeamDashboard = ({ user }) => {
+  const [teams, setTeams] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [selectedTeamId, setSelectedTeamId] = useState('');
+  const [dashboard, setDashboard] = useState(null);
+  // Range and build time of the loaded standup; dashboard stays null until one is built
+  const [dashboardInfo, setDashboardInfo] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Standup builds run as a backend job; follow its progress until it finishes
+  const [buildJobId, setBuildJobId] = useState(null);
+  const {
+    progress: buildProgress,
+    message: buildMessage,
+    error: buildError,
+    isComplete: buildComplete,
+    isFailed: buildFailed,
+  } = useProgressTracking(buildJobId, 1000, !!buildJobId);
+
+  // Create team form
+  const [showCreate, setShowCreate] = useState(false);
+  const [newTeam, setNewTeam] = useState({
+    name: '',
+    repositories: '',
+    members: '',
+  });
+
+  // Admin member management
+  const [newMember, setNewMember] = useState('');
+
+  // Commit categories shared with the backend (id, label), in display order
+  const [categories, setCategories] = useState([]);
+
+  const selectedTeam = teams.find((team) => team.id === selectedTeamId);
+
+  // Load the user's teams, invites and the commit categories on mount
+  useEffect(() => {
+    fetchTeams();
+    fetchInvites();
+    fetchCategories();
+  }, []);
+
+  // Fetch category labels for the commit type counts
+  const fetchCategories = async () => {
+    try {
+      const response = await fetch(
+        `${import.meta.env.VITE_API_URL}/api/ai/commit-categories`,
+        {
+          credentials: 'include',
+        }
+      );
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setCategories(data.data);
+      }
+    } catch (err) {
+      console.error('Commit categories fetch error:', err);
+    }
+  };
+
+  // Fetch teams and keep the current selection when it still exists
+  const fetchTeams = async (preferredId = null) => {
+    try {
+      setError(null);
+      const data = await requestTeams();
+      setTeams(data);
+      setShowCreate(data.length === 0);
+      setSelectedTeamId((current) => {
+        const wanted = preferredId || current;
+        return data.some((team) => team.id === wanted)
+          ? wanted
+          : data[0]?.id || '';
+      });
+    } catch (err) {
+      console.error('Teams fetch error:', err);
+      setError(err.message);
+    }
+  };
+
+  // Fetch the invites waiting for the current user
+  const fetchInvites = async () => {
+    try {
+      setInvites(await requestTeams('/invites'));
+    } catch (err) {
+      console.error('Team invites fetch error:', err);
+      setError(err.message);
+    }
+  };
+
+  // Join a team, or turn its invite down
+  const handleInvite = async (teamId, accept) => {
+    try {
+      setError(null);
+      await requestTeams(
+        accept ? `/${teamId}/invite/accept` : `/${teamId}/invite`,
+        { method: accept ? 'POST' : 'DELETE' }
+      );
+      await fetchInvites();
+      if (accept) await fetchTeams(teamId);
+    } catch (err) {
+      console.error('Team invite error:', err);
+      setError(err.message);
+    }
+  };
+
+  // Load the last standup built for the selected team
+  const fetchDashboard = useCallback(async () => {
+    if (!selectedTeamId) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await requestTeams(`/${selectedTeamId}/dashboard`);
+      setDashboard(data.dashboard);
+      setDashboardInfo({
+        dateRange: data.dateRange,
+        generatedAt: data.generatedAt,
+      });
+    } catch (err) {
+      console.error('Team dashboard fetch error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedTeamId]);
+
+  // Start a background build of the standup for the selected team
+  const buildDashboard = async (force = false) => {
+    if (!selectedTeamId) return;
+    try {
+      setError(null);
+      const data = await requestTeams(`/${selectedTeamId}/dashboard/refresh`, {
+        method: 'POST',
+        body: JSON.stringify({ force }),
+      });
+      setBuildJobId(data.jobId);
+    } catch (err) {
+      console.error('Team dashboard build error:', err);
+      setError(err.message);
+    }
+  };
+
+  // Show the finished build, or why it failed
+  useEffect(() => {
+    if (!buildJobId) return;
+    if (buildComplete) {
+      setBuildJobId(null);
+      fetchDashboard();
+    } else if (buildFailed) {
+      setBuildJobId(null);
+      setError(buildError || 'Building the standup failed');
+    }
+  }, [buildJobId, buildComplete, buildFailed, buildError, fetchDashboard]);
+
+  // Create a team from the form
+  const handleCreateTeam = async () => {
+    try {
+      setError(null);
+      const team = await requestTeams('', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: newTeam.name,
+          repositories: parseList(newTeam.repositories),
+          members: parseList(newTeam.members),
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        }),
+      });
+      setNewTeam({ name: '', repositories: '', members: '' });
+      setDashboard(null);
+      setDashboardInfo(null);
+      await fetchTeams(team.id);
+    } catch (err) {
+      console.error('Team create error:', err);
+      setError(err.message);
+    }
+  };
+
+  // Invite someone to the selected team by GitHub login
+  const handleInviteMember = async () => {
+    try {
+      setError(null);
+      await requestTeams(`/${selectedTeamId}/members`, {
+        method: 'POST',
+        body: JSON.stringify({ username: newMember.trim() }),
+      });
+      setNewMember('');
+      await fetchTeams();
+    } catch (err) {
+      console.error('Invite member error:', err);
+      setError(err.message);
+    }
+  };
+
+  // Remove a member from the selected team or withdraw their invite
+  const handleRemoveMember = async (memberId) => {
+    try {
+      setError(null);
+      await requestTeams(`/${selectedTeamId}/members/${memberId}`, {
+        method: 'DELETE',
+      });
+      await fetchTeams();
+    } catch (err) {
+      console.error('Remove member error:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div
+      className='min-h-screen'
+      style={{
+        background:
+          'linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%)',
+      }}
+    >
+      <UserHeader user={user} />
+
+      <div className='max-w-7xl mx-auto p-6 space-y-6'>
+        {/* Team selection */}
+        <div className='bg-[#272633] border border-slate-400 rounded-lg p-6'>
+          <div className='flex flex-wrap items-end gap-4'>
+            <h1 className='text-white text-2xl font-bold mr-auto'>
+              Team Standup
+            </h1>
+            {teams.length > 0 && (
+              <select
+                value={selectedTeamId}
+                onChange={(e) => {
+                  setSelectedTeamId(e.target.value);
+                  setDashboard(null);
+                  setDashboardInfo(null);
+                }}
+                className='px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white'
+              >
+                {teams.map((team) => (
+                  <option key={team.id} value={team.id}>
+                    {team.name}
+                  </option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={fetchDashboard}
+              disabled={!selectedTeamId || loading}
+              className='px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed'
+            >
+              {loading ? 'Loading...' : 'Load Standup'}
+            </button>
+            {dashboardInfo && (
+              <button
+                onClick={() => buildDashboard(!!dashboard)}
+                disabled={loading || !!buildJobId}
+                className='px-4 py-2 bg-slate-600 text-white rounded-md hover:bg-slate-500 disabled:opacity-50 disabled:cursor-not-allowed'
+              >
+                {buildJobId
+                  ? 'Building...'
+                  : dashboard
+                    ? 'Refresh'
+                    : 'Build Standup'}
+              </button>
+            )}
+            <button
+              onClick={() => setShowCreate(!showCreate)}
+              className='px-4 py-2 bg-slate-700 text-white rounded-md hover:bg-slate-500'
+            >
+              New Team
+            </button>
+          </div>
+          {selectedTeam && (
+            <p className='text-gray-400 text-sm mt-2'>
+              {selectedTeam.repositories.join(', ') || 'No repositories yet'}
+            </p>
+          )}
+          {buildJobId && (
+            <p className='text-gray-300 text-sm mt-2'>
+              {buildMessage || 'Building standup...'} ({buildProgress}%)
+            </p>
+          )}
+          {dashboardInfo && !dashboard && !buildJobId && (
+            <p className='text-gray-300 text-sm mt-2'>
+              No standup built yet for {dashboardInfo.dateRange.label}.
+            </p>
+          )}
+          {dashboard && dashboardInfo?.generatedAt && (
+            <p className='text-gray-400 text-xs mt-2'>
+              Built {new Date(dashboardInfo.generatedAt).toLocaleString()}
+            </p>
+          )}
+          {error && <p className='mt-4 text-red-400'>Error: {error}</p>}
+        </div>
+
+        {/* Invites waiting for the current user */}
+        {invites.length > 0 && (
+          <div className='bg-[#272633] border border-slate-400 rounded-lg p-6 space-y-3'>
+            <h2 className='text-white text-xl font-bold'>Team Invites</h2>
+            <p className='text-gray-400 text-sm'>
+              Team members see your commits, summaries and priorities for the
+              team&apos;s repositories.
+            </p>
+            {invites.map((invite) => (
+              <div key={invite.teamId} className='flex items-center gap-3'>
+                <span className='text-white mr-auto'>
+                  {invite.name}
+                  {invite.invitedBy && (
+                    <span className='text-gray-400 text-sm'>
+                      {' '}
+                      · invited by {invite.invitedBy}
+                    </span>
+                  )}
+                </span>
+                <button
+                  onClick={() => handleInvite(invite.teamId, true)}
+                  className='px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700'
+                >
+                  Join
+                </button>
+                <button
+                  onClick={() => handleInvite(invite.teamId, false)}
+                  className='px-3 py-1 bg-slate-600 text-white rounded-md hover:bg-slate-500'
+                >
+                  Decline
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Create team form */}
+        {showCreate && (
+          <div className='bg-[#272633] border border-slate-400 rounded-lg p-6 space-y-3'>
+            <h2 className='text-white text-xl font-bold'>Create a Team</h2>
+            {[
+              ['name', 'Team name'],
+              ['repositories', 'Repositories (owner/repo, comma separated)'],
+              ['members', 'Invite members (GitHub logins, comma separated)'],
+            ].map(([field, placeholder]) => (
+              <input
+                key={field}
+                type='text'
+                value={newTeam[field]}
+                onChange={(e) =>
+                  setNewTeam((prev) => ({ ...prev, [field]: e.target.value }))
+                }
+                placeholder={placeholder}
+                className='w-full px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white placeholder-gray-400'
+              />
+            ))}
+            <p className='text-gray-400 text-sm'>
+              Invited people need to have signed in to DevSum once and join when
+              they accept. You become the team&apos;s admin.
+            </p>
+            <button
+              onClick={handleCreateTeam}
+              disabled={!newTeam.name.trim()}
+              className='px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed'
+            >
+              Create Team
+            </button>
+          </div>
+        )}
+
+        {/* Membership (admins can invite and remove members) */}
+        {selectedTeam && (
+          <div className='bg-[#272633] border border-slate-400 rounded-lg p-6'>
+            <h2 className='text-white text-xl font-bold mb-3'>Members</h2>
+            <div className='flex flex-wrap gap-2'>
+              {selectedTeam.members.map((member) => (
+                <span
+                  key={member.id}
+                  className='flex items-center gap-2 bg-[#1e1d2b] text-white text-sm rounded-full px-3 py-1'
+                >
+                  {member.username}
+                  {member.isAdmin && (
+                    <span className='text-xs text-gray-400'>admin</span>
+                  )}
+                  {selectedTeam.isAdmin && !member.isAdmin && (
+                    <button
+                      onClick={() => handleRemoveMember(member.id)}
+                      className='text-gray-400 hover:text-red-400'
+                      title='Remove from team'
+                    >
+                      ×
+                    </button>
+                  )}
+                </span>
+              ))}
+              {selectedTeam.invites.map((invite) => (
+                <span
+                  key={invite.id}
+                  className='flex items-center gap-2 border border-dashed border-slate-500 text-gray-300 text-sm rounded-full px-3 py-1'
+                >
+                  {invite.username}
+                  <span className='text-xs text-gray-400'>invited</span>
+                  <button
+                    onClick={() => handleRemoveMember(invite.id)}
+                    className='text-gray-400 hover:text-red-400'
+                    title='Withdraw invite'
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+            {selectedTeam.isAdmin && (
+              <div className='flex gap-3 mt-4'>
+                <input
+                  type='text'
+                  value={newMember}
+                  onChange={(e) => setNewMember(e.target.value)}
+                  placeholder='GitHub login'
+                  className='px-3 py-2 bg-[#1a1928] border border-slate-600 rounded-md text-white placeholder-gray-400'
+                />
+                <button
+                  onClick={handleInviteMember}
+                  disabled={!newMember.trim()}
+                  className='px-4 py-2 bg-slate-600 text-white rounded-md hover:bg-slate-500 disabled:opacity-50 disabled:cursor-not-allowed'
+                >
+                  Invite
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {dashboard && (
+          <>
+            {/* Team metrics */}
+            <div className='bg-[#272633] border border-slate-400 rounded-lg p-6'>
+              <h2 className='text-white text-xl font-bold'>
+                {dashboard.dateRange.label}
+              </h2>
+              <p className='text-gray-400 text-sm mb-4'>
+                {dashboard.metrics.totalCommits} commits ·{' '}
+                {dashboard.metrics.activeMembers}/
+                {dashboard.metrics.memberCount} members active ·{' '}
+                {dashboard.metrics.repositoriesTouched} repositories ·{' '}
+                <span className='text-green-400'>
+                  +{dashboard.metrics.additions}
+                </span>{' '}
+                <span className='text-red-400'>
+                  -{dashboard.metrics.deletions}
+                </span>
+                {dashboard.metrics.quality &&
+                  ` · quality ${dashboard.metrics.quality.qualityScore.toFixed(
+                    2
+                  )}`}
+              </p>
+              <div className='flex flex-wrap gap-2'>
+                {sortCategoryCounts(
+                  dashboard.metrics.commitTypes,
+                  categories
+                ).map(({ id, label, count }) => (
+                  <span
+                    key={id}
+                    className='bg-[#1e1d2b] text-gray-300 text-xs rounded px-2 py-1'
+                  >
+                    {label}: {count}
+                  </span>
+                ))}
+              </div>
+              {dashboard.unavailableRepositories.length > 0 && (
+                <p className='text-yellow-400 text-sm mt-3'>
+                  Could not read: {dashboard.unavailableRepositories.join(', ')}
+                </p>
+              )}
+            </div>
+
+            {/* Member cards */}
+            <div className='grid gap-6 md:grid-cols-2 xl:grid-cols-3'>
+              {dashboard.members.map((member) => (
+                <div
+                  key={member.id}
+                  className='bg-[#272633] border border-slate-400 rounded-lg p-5 flex flex-col'
+                >
+                  <div className='flex items-center gap-3 mb-3'>
+                    {member.avatarUrl && (
+                      <img
+                        src={member.avatarUrl}
+                        alt={member.username}
+                        className='w-10 h-10 rounded-full'
+                      />
+                    )}
+                    <div>
+                      <p className='text-white font-semibold'>
+                        {member.username}
+                      </p>
+                      <p className='text-gray-400 text-xs'>
+                        {member.metrics.commitCount} commits ·{' '}
+                        {member.metrics.repositories.length} repositories
+                      </p>
+                    </div>
+                  </div>
+
+                  <p className='text-gray-300 text-sm whitespace-pre-line mb-4'>
+                    {member.summary}
+                  </p>
+
+                  {member.priorities.length > 0 && (
+                    <div className='mt-auto'>
+                      <h3 className='text-white text-sm font-semibold mb-2'>
+                        Priorities
+                      </h3>
+                      <ul className='space-y-1'>
+                        {member.priorities.slice(0, 3).map((task, index) => (
+                          <li key={index} className='text-sm text-gray-300'>
+                            <span
+                              className={`mr-2 text-xs uppercase ${
+                                PRIORITY_COLORS[task.priority] ||
+                                'text-gray-400'
+                              }`}
+                            >
+                              {task.priority}
+                            </span>
+                            {task.title}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TeamDashboard;
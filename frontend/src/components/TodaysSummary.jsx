@@ -79,8 +79,14 @@ const TodaysSummary = ({
 
   return (
     <div className='p-2'>
-      <div className='flex justify-items-start font-bold text-white'>
+      <div className='flex justify-items-start items-baseline gap-2 font-bold text-white'>
         Summary
+        {/* Window the summary covers, resolved in the user's time zone */}
+        {yesterdaySummary.dateRange && (
+          <span className='text-xs font-normal text-gray-400'>
+            {`${yesterdaySummary.dateRange.label} (${yesterdaySummary.dateRange.timeZone})`}
+          </span>
+        )}
       </div>
       {/* add a height of 90  to the scroll bar with a padding od 2*/}
       <div className='max-h-130  overflow-y-auto pr-2'>
@@ -92,6 +98,50 @@ const TodaysSummary = ({
           <h1 className='flex-1 p-2 text-white'>{yesterdaySummary.summary}</h1>
         </div>
 
+        {/* Pull requests opened, merged, reviewed or commented on */}
+        {yesterdaySummary.pullRequests?.length > 0 && (
+          <div className='mb-4'>
+            <div className='bg-[#1e1d2b] rounded-lg p-3 mb-2'>
+              <h2 className='text-white font-semibold text-lg'>
+                Pull Requests & Reviews
+              </h2>
+            </div>
+            <div className='flex flex-col ml-4 space-y-2'>
+              {yesterdaySummary.pullRequests.map((pr) => (
+                <a
+                  key={pr.url}
+                  href={pr.url}
+                  target='_blank'
+                  rel='noopener noreferrer'
+                  className='bg-[#272633] rounded-lg p-3 border-l-2 border-[#44905e] hover:bg-[#2d2b3e]'
+                >
+                  <div className='flex justify-between flex-row gap-2 text-xs text-gray-400'>
+                    <h3>
+                      <span className='text-gray-500'>
+                        {pr.repository}#{pr.number}
+                      </span>{' '}
+                      {pr.title}
+                    </h3>
+                    <span className='whitespace-nowrap text-gray-500'>
+                      {pr.state}
+                    </span>
+                  </div>
+                  <div className='flex flex-wrap gap-1 mt-2'>
+                    {pr.actions.map((action) => (
+                      <span
+                        key={action}
+                        className='px-1.5 py-0.5 rounded bg-[#1e1d2b] text-xs text-[#5b56dd]'
+                      >
+                        {action}
+                      </span>
+                    ))}
+                  </div>
+                </a>
+              ))}
+            </div>
+          </div>
+        )}
+
         <div className='max-h-160 overflow-y-auto pr-2'>
           {yesterdaySummary.formattedCommits?.byRepository &&
             Object.entries(yesterdaySummary.formattedCommits.byRepository).map(
@@ -114,7 +164,20 @@ const TodaysSummary = ({
                         className='bg-[#272633] rounded-lg p-3 border-l-2 border-[#5b56dd]'
                       >
                         <div className=' flex justify-between  flex-row gap-2 text-xs text-gray-400'>
-                          <h3>{commit.description}</h3>
+                          <h3>
+                            {/* Branch badge once work spans several branches */}
+                            {commit.branch &&
+                              Object.keys(
+                                yesterdaySummary.formattedCommits.byBranch?.[
+                                  repoName
+                                ] || {}
+                              ).length > 1 && (
+                                <span className='mr-2 px-1.5 py-0.5 rounded bg-[#1e1d2b] text-[#5b56dd]'>
+                                  {commit.branch}
+                                </span>
+                              )}
+                            {commit.description}
+                          </h3>
                           <span className='text-xs text-gray-500 whitespace-nowrap'>
                             {new Date(commit.date).toLocaleString('en-US', {
                               month: '2-digit',
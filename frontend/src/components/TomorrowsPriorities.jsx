@@ -1,4 +1,44 @@
-import React from 'react';
+import React, { useState } from 'react';
+
+const TASKS_API_URL = `${import.meta.env.VITE_API_URL}/api/ai/task-suggestions`;
+
+// Status changes offered for each task status: [label, next status]
+const STATUS_ACTIONS = {
+  suggested: [
+    ['Accept', 'accepted'],
+    ['Dismiss', 'dismissed'],
+  ],
+  accepted: [
+    ['Start', 'in_progress'],
+    ['Dismiss', 'dismissed'],
+  ],
+  in_progress: [['Done', 'done']],
+  done: [['Reopen', 'accepted']],
+};
+
+// Badge text and color for tracked task statuses
+const STATUS_BADGES = {
+  accepted: ['Accepted', 'text-blue-400'],
+  in_progress: ['In progress', 'text-yellow-400'],
+  done: ['Done', 'text-green-400'],
+};
+
+// Send a request for a single task and return the updated task
+const requestTask = async (task, path, options) => {
+  const response = await fetch(
+    `${TASKS_API_URL}/${task.suggestionId}/tasks/${task.id}${path}`,
+    {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      ...options,
+    }
+  );
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Task request failed');
+  }
+  return data.data;
+};
 
 // Component to display AI-generated task priorities for upcoming work
 const TomorrowsPriorities = ({
@@ -7,6 +47,37 @@ const TomorrowsPriorities = ({
   tasksError, // Error state for task suggestions
   // refreshTasks, // Function to regenerate task suggestions
 }) => {
+  // Tasks changed from this list (status or linked issue), keyed by task id
+  const [updatedTasks, setUpdatedTasks] = useState({});
+  const [busyTaskId, setBusyTaskId] = useState(null);
+  const [taskError, setTaskError] = useState(null);
+
+  // Run a task request and keep the updated task
+  const updateTask = async (task, path, options) => {
+    try {
+      setBusyTaskId(task.id);
+      setTaskError(null);
+      const updated = await requestTask(task, path, options);
+      setUpdatedTasks((prev) => ({ ...prev, [task.id]: updated }));
+    } catch (err) {
+      console.error('Task update error:', err);
+      setTaskError(err.message);
+    } finally {
+      setBusyTaskId(null);
+    }
+  };
+
+  // Create a GitHub issue from a task and link the task to it
+  const createIssue = (task) =>
+    updateTask(task, '/issue', { method: 'POST', body: JSON.stringify({}) });
+
+  // Accept, start, complete or dismiss a task
+  const changeStatus = (task, status) =>
+    updateTask(task, '', {
+      method: 'PATCH',
+      body: JSON.stringify({ status }),
+    });
+
   //handle loading states first
   if (tasksLoading)
     return <div className='p-4 text-white'>Loading tasks...</div>;
@@ -15,9 +86,12 @@ const TomorrowsPriorities = ({
   if (!taskSuggestions)
     return <div className='p4 text-white'>no task available</div>;
 
-  //extract task from data structure in app.jsx
-  const tasks = taskSuggestions;
-  console.log(tasks);
+  //extract task from data structure in app.jsx, with local changes applied and dismissed tasks hidden
+  const tasks = Array.isArray(taskSuggestions)
+    ? taskSuggestions
+        .map((task) => updatedTasks[task.id] || task)
+        .filter((task) => task.status !== 'dismissed')
+    : taskSuggestions;
 
   //renders the container with heading always visible
   return (
@@ -27,6 +101,10 @@ const TomorrowsPriorities = ({
         Today's Priorities
       </div>
 
+      {taskError && (
+        <div className='px-1 py-2 text-red-400 text-sm'>Error: {taskError}</div>
+      )}
+
       {/* Conditional content based on tasks availability */}
       {!tasks || !Array.isArray(tasks) || tasks.length === 0 ? (
         <div className='p-4 text-gray-400'>No tasks found in suggestions</div>
@@ -34,19 +112,83 @@ const TomorrowsPriorities = ({
         /* add a vertical scrollable bar with a height of 130 */
         <div className='max-h-130 overflow-y-auto pr-2'>
           {/* iterate on each task */}
-          {tasks.map((task, index) => (
-            <div key={index} className='mb-4'>
-              {/* Task Details */}
-              <div className='flex flex-col bg-[#272633] rounded-lg p-3 border-l-2 border-[#5b56dd]'>
-                {/* gives task title in white  */}
-                <h2 className='text-white font-semibold text-sm '>
-                  {task.title}
-                </h2>
-                {/* gives task description added a padding of 3 so that is shows indented from the title */}
-                <p className='text-white text-sm  p-3'>{task.description}</p>
+          {tasks.map((task, index) => {
+            const issue = task.issue;
+            const badge = STATUS_BADGES[task.status];
+            return (
+              <div key={task.id || index} className='mb-4'>
+                {/* Task Details */}
+                <div className='flex flex-col bg-[#272633] rounded-lg p-3 border-l-2 border-[#5b56dd]'>
+                  {/* gives task title in white, with its status once the user acted on it */}
+                  <div className='flex items-start justify-between gap-2'>
+                    <h2
+                      className={`text-white font-semibold text-sm ${
+                        task.status === 'done' ? 'line-through opacity-60' : ''
+                      }`}
+                    >
+                      {task.title}
+                    </h2>
+                    {badge && (
+                      <span className={`text-xs whitespace-nowrap ${badge[1]}`}>
+                        {badge[0]}
+                      </span>
+                    )}
+                  </div>
+                  {/* gives task description added a padding of 3 so that is shows indented from the title */}
+                  <p className='text-white text-sm  p-3'>{task.description}</p>
+                  {/* commit that completed the task automatically */}
+                  {task.status === 'done' && task.completedBy?.url && (
+                    <a
+                      href={task.completedBy.url}
+                      target='_blank'
+                      rel='noopener noreferrer'
+                      className='self-start text-xs text-green-400 hover:underline px-3 pb-2'
+                    >
+                      Completed by {task.completedBy.sha}
+                    </a>
+                  )}
+                  {/* status controls for tracked tasks */}
+                  {task.id && STATUS_ACTIONS[task.status] && (
+                    <div className='flex gap-2 px-3 pb-2'>
+                      {STATUS_ACTIONS[task.status].map(([label, status]) => (
+                        <button
+                          key={status}
+                          onClick={() => changeStatus(task, status)}
+                          disabled={busyTaskId === task.id}
+                          className='text-xs px-2 py-1 bg-[#1e1d2b] text-gray-300 rounded hover:bg-[#2d2b3e] disabled:opacity-50 disabled:cursor-not-allowed'
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {/* linked GitHub issue, or a button to create one for suggestions that have a repository */}
+                  {issue ? (
+                    <a
+                      href={issue.url}
+                      target='_blank'
+                      rel='noopener noreferrer'
+                      className='self-start text-xs text-blue-400 hover:underline px-3'
+                    >
+                      {issue.repository}#{issue.number}
+                    </a>
+                  ) : (
+                    task.id &&
+                    task.targetRepository && (
+                      <button
+                        onClick={() => createIssue(task)}
+                        disabled={busyTaskId === task.id}
+                        className='self-start text-xs px-2 py-1 mx-3 bg-[#1e1d2b] text-gray-300 rounded hover:bg-[#2d2b3e] disabled:opacity-50 disabled:cursor-not-allowed'
+                        title={`Create an issue in ${task.targetRepository}`}
+                      >
+                        {busyTaskId === task.id ? 'Saving...' : 'Create issue'}
+                      </button>
+                    )
+                  )}
+                </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
       )}
     </div>
@@ -1,20 +1,24 @@
 import { useState, useEffect, useRef } from 'react';
 
 /**
- * Custom hook for tracking job progress via polling
+ * Custom hook for tracking job progress
+ * Streams updates over Server-Sent Events and falls back to polling when the
+ * stream is unavailable or drops
  * @param {string} jobId - Unique job identifier
- * @param {number} pollInterval - Polling interval in milliseconds (default: 1000)
- * @param {boolean} enabled - Whether polling is enabled
- * @returns {object} { progress, status, message, error, isComplete }
+ * @param {number} pollInterval - Polling interval in milliseconds for the fallback (default: 1000)
+ * @param {boolean} enabled - Whether tracking is enabled
+ * @returns {object} { progress, status, message, steps, error, isComplete }
  */
 export const useProgressTracking = (jobId, pollInterval = 1000, enabled = true) => {
   const [progress, setProgress] = useState(0);
   const [status, setStatus] = useState('idle');
   const [message, setMessage] = useState('');
+  const [steps, setSteps] = useState([]);
   const [error, setError] = useState(null);
   const [isComplete, setIsComplete] = useState(false);
-  
+
   const intervalRef = useRef(null);
+  const eventSourceRef = useRef(null);
   const lastJobIdRef = useRef(null);
 
   // Reset state when jobId changes
@@ -23,35 +27,54 @@ export const useProgressTracking = (jobId, pollInterval = 1000, enabled = true)
       setProgress(0);
       setStatus('idle');
       setMessage('');
+      setSteps([]);
       setError(null);
       setIsComplete(false);
       lastJobIdRef.current = jobId;
     }
   }, [jobId]);
 
-  // Polling logic
+  // Streaming with polling fallback
   useEffect(() => {
-    const pollProgress = async () => {
-      if (!jobId || !enabled) return;
+    if (!enabled || !jobId || isComplete) return;
+
+    const progressUrl = `${import.meta.env.VITE_API_URL}/api/progress/${jobId}`;
+    let finished = false;
 
+    const stopTracking = () => {
+      if (eventSourceRef.current) {
+        eventSourceRef.current.close();
+        eventSourceRef.current = null;
+      }
+      if (intervalRef.current) {
+        clearInterval(intervalRef.current);
+        intervalRef.current = null;
+      }
+    };
+
+    // Apply a job status received from the stream or a poll
+    const applyStatus = (data) => {
+      setProgress(data.progress || 0);
+      setStatus(data.status || 'running');
+      setMessage(data.message || '');
+      setSteps(data.steps || []);
+      setError(null);
+
+      // Stop tracking if job is complete or failed
+      if (data.status === 'completed' || data.status === 'failed') {
+        finished = true;
+        setIsComplete(true);
+        stopTracking();
+      }
+    };
+
+    const pollProgress = async () => {
       try {
-        const response = await fetch(`/api/progress/${jobId}`);
+        const response = await fetch(progressUrl, { credentials: 'include' });
         const data = await response.json();
 
         if (response.ok && data.success) {
-          setProgress(data.progress || 0);
-          setStatus(data.status || 'running');
-          setMessage(data.message || '');
-          setError(null);
-          
-          // Stop polling if job is complete or failed
-          if (data.status === 'completed' || data.status === 'failed') {
-            setIsComplete(true);
-            if (intervalRef.current) {
-              clearInterval(intervalRef.current);
-              intervalRef.current = null;
-            }
-          }
+          applyStatus(data);
         } else {
           // Handle 404 (job not found) gracefully
           if (response.status === 404) {
@@ -66,37 +89,49 @@ export const useProgressTracking = (jobId, pollInterval = 1000, enabled = true)
       }
     };
 
-    // Start polling when enabled and jobId exists
-    if (enabled && jobId && !isComplete) {
-      // Poll immediately
+    const startPolling = () => {
+      if (finished || intervalRef.current) return;
+
+      // Poll immediately, then on an interval
       pollProgress();
-      
-      // Set up interval polling
       intervalRef.current = setInterval(pollProgress, pollInterval);
+    };
+
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+    } else {
+      const eventSource = new EventSource(`${progressUrl}/stream`, {
+        withCredentials: true,
+      });
+      eventSourceRef.current = eventSource;
+
+      eventSource.addEventListener('progress', (event) => {
+        applyStatus(JSON.parse(event.data));
+      });
+
+      eventSource.addEventListener('not-found', () => {
+        finished = true;
+        setError('Job not found');
+        stopTracking();
+      });
+
+      // Stream unavailable or dropped - keep tracking by polling
+      eventSource.onerror = () => {
+        eventSource.close();
+        eventSourceRef.current = null;
+        startPolling();
+      };
     }
 
     // Cleanup function
-    return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-        intervalRef.current = null;
-      }
-    };
+    return stopTracking;
   }, [jobId, enabled, pollInterval, isComplete]);
 
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-      }
-    };
-  }, []);
-
   return {
     progress,
     status,
     message,
+    steps,
     error,
     isComplete,
     // Utility methods
@@ -104,4 +139,4 @@ export const useProgressTracking = (jobId, pollInterval = 1000, enabled = true)
     isFailed: status === 'failed',
     isSuccess: status === 'completed',
   };
-}; 
\ No newline at end of file
+};